@@ -2,14 +2,43 @@
  * AudioAnalyzer - Real-time audio analysis with frequency band isolation
  * Uses p5.sound's FFT for frequency analysis
  */
+
+/**
+ * Analyzer tunables for the settings panel (schema described in Settings)
+ */
+const AnalyzerParameters = [
+    // p5.FFT allows at most 1024 bins; the buffers are sized at construction
+    { key: 'fftSize', label: 'FFT bins', type: 'select', options: [256, 512, 1024], default: 1024, reload: true },
+    { key: 'smoothing', label: 'FFT smoothing', type: 'number', min: 0, max: 0.99, step: 0.01 },
+    { key: 'energySmoothing', label: 'Energy smoothing', type: 'number', min: 0.05, max: 1, step: 0.01 },
+    { key: 'onsetSensitivity', label: 'Onset threshold', type: 'number', min: 1, max: 4, step: 0.05 },
+    { key: 'onsetDelta', label: 'Onset floor', type: 'number', min: 0, max: 0.05, step: 0.001 },
+    { key: 'minOnsetInterval', label: 'Onset spacing (s)', type: 'number', min: 0.02, max: 0.5, step: 0.01 },
+    { key: 'separationEnabled', label: 'Harmonic/percussive split', type: 'boolean' },
+    { key: 'stereoEnabled', label: 'Stereo analysis', type: 'boolean' }
+];
+
 class AudioAnalyzer {
     constructor(fftSize = 1024, smoothing = 0.8) {
         this.fftSize = fftSize;
         this.smoothing = smoothing;
         this.fft = null;
-        this.mic = null;
+        this.source = null;
         this.isInitialized = false;
         this.isListening = false;
+        this.sampleRate = 44100;
+
+        // Latest spectrum from update(), shared by getSpectrum()
+        this.lastSpectrum = null;
+
+        // Input conditioning: dB scaling, noise floor and gain control,
+        // then per-band normalization of the energies
+        this.inputStage = new InputStage(fftSize);
+        this.bandNormalizer = new BandNormalizer();
+
+        // Live FFT while an offline buffer is being analyzed
+        this.liveFFT = null;
+        this.wasListening = false;
 
         // Pre-calculated bin ranges for performance
         this.binRanges = null;
@@ -23,6 +52,7 @@ class AudioAnalyzer {
         };
 
         // Smoothed values for visualization
+        this.energySmoothing = 0.3;
         this.smoothedEnergy = {
             drums: 0,
             vocals: 0,
@@ -30,9 +60,10 @@ class AudioAnalyzer {
             highs: 0
         };
 
-        // Peak detection
-        this.peakThreshold = 0.7;
-        this.peakDecay = 0.95;
+        // Onset detection (spectral flux with adaptive median threshold)
+        this.onsetSensitivity = 1.5; // Multiplier over the median flux
+        this.onsetDelta = 0.004; // Minimum flux above the median
+        this.minOnsetInterval = 0.1; // Seconds between onsets per category
         this.peaks = {
             drums: { value: 0, isPeak: false },
             vocals: { value: 0, isPeak: false },
@@ -40,12 +71,72 @@ class AudioAnalyzer {
             highs: { value: 0, isPeak: false }
         };
 
-        // History for beat detection (circular buffer)
+        // Spectral flux per category and the spectrum it is measured against
+        this.flux = { drums: 0, vocals: 0, bass: 0, highs: 0 };
+        this.lastOnsetTime = { drums: 0, vocals: 0, bass: 0, highs: 0 };
+        this.previousSpectrum = new Float32Array(fftSize);
+        this.previousPercussive = new Float32Array(fftSize);
+        this.groupBinRanges = null;
+
+        // Harmonic/percussive separation: drums read the percussive part,
+        // vocals and bass the harmonic part (false = frequency bands only)
+        this.separator = new HarmonicPercussiveSeparator(fftSize);
+        this.separationEnabled = true;
+        this.groupSpectra = { drums: null, vocals: null, bass: null, highs: null };
+
+        // Log-spaced sub-spectrum per group (0-1), resampled over the
+        // group's frequency range, e.g. 20-250 Hz for bass
+        this.subSpectrumSize = 32;
+        this.subSpectra = {
+            drums: new Float32Array(this.subSpectrumSize),
+            vocals: new Float32Array(this.subSpectrumSize),
+            bass: new Float32Array(this.subSpectrumSize),
+            highs: new Float32Array(this.subSpectrumSize)
+        };
+        this.subSpectrumMaps = null;
+
+        // Flux history for adaptive thresholds (circular buffer)
         this.historySize = 43; // ~0.7 seconds at 60fps
         this.historyIndex = 0;
-        this.energyHistory = {
+        this.fluxHistory = {
             drums: new Float32Array(this.historySize),
-            bass: new Float32Array(this.historySize)
+            vocals: new Float32Array(this.historySize),
+            bass: new Float32Array(this.historySize),
+            highs: new Float32Array(this.historySize)
+        };
+        this.medianScratch = new Float32Array(this.historySize);
+
+        // Tempo and beat phase
+        this.beatTracker = new BeatTracker();
+
+        // Vocal melody from the waveform
+        this.pitchDetector = new PitchDetector();
+
+        // Chroma, key and chord
+        this.chromaAnalyzer = new ChromaAnalyzer();
+
+        // Kick, snare and hi-hat onsets
+        this.drumDetector = new DrumDetector(this.historySize);
+
+        // Left/right balance and width per group (off by default: it runs
+        // two extra FFTs a frame)
+        this.stereoAnalyzer = new StereoAnalyzer(fftSize);
+        this.stereoEnabled = false;
+
+        // Full spectrum (0-255) and waveform of the last update(), with the
+        // width of a spectrum bin in Hz, for visualizers that show the raw signal
+        this.signal = { spectrum: null, waveform: null, binFrequency: 0 };
+
+        // Per-group analysis passed to visualizers (reused every frame)
+        const beat = this.beatTracker.getBeat();
+        const bands = this.energyCache;
+        const stereo = this.stereoAnalyzer.stereo;
+        const signal = this.signal;
+        this.groupAnalysis = {
+            drums: { beat, stereo, signal, spectrum: this.subSpectra.drums, bands: bands.drums, hits: this.drumDetector.hits },
+            vocals: { beat, stereo, signal, spectrum: this.subSpectra.vocals, bands: bands.vocals, pitch: this.pitchDetector.pitch },
+            bass: { beat, stereo, signal, spectrum: this.subSpectra.bass, bands: bands.bass },
+            highs: { beat, stereo, signal, spectrum: this.subSpectra.highs, bands: bands.highs }
         };
     }
 
@@ -59,15 +150,10 @@ class AudioAnalyzer {
         try {
             // Initialize p5.sound FFT
             this.fft = new p5.FFT(this.smoothing, this.fftSize);
-
-            // Initialize microphone input
-            this.mic = new p5.AudioIn();
+            this.inputStage.configureAnalyser(this.fft);
 
             // Calculate bin ranges for frequency bands
-            this.binRanges = calculateAllBinRanges(
-                getAudioContext().sampleRate,
-                this.fftSize
-            );
+            this._calculateBinRanges(getAudioContext().sampleRate);
 
             this.isInitialized = true;
             console.log('AudioAnalyzer initialized');
@@ -79,36 +165,255 @@ class AudioAnalyzer {
     }
 
     /**
-     * Start listening to microphone input
+     * Switch the analyzed input to a new source
+     * @param {InputSource} source - Source to analyze
+     * @returns {Promise<boolean>} True if the source started
      */
-    async startListening() {
+    async setSource(source) {
         if (!this.isInitialized) {
             const success = await this.init();
             if (!success) return false;
         }
 
         try {
-            await this.mic.start();
-            this.fft.setInput(this.mic);
-            this.isListening = true;
-            console.log('Started listening to microphone');
-            return true;
+            await source.start();
         } catch (error) {
-            console.error('Failed to start microphone:', error);
+            // The current source keeps playing if the new one can't start
+            console.error(`Failed to start ${source.type} input:`, error);
+            if (source !== this.source) {
+                source.dispose();
+            }
             return false;
         }
+
+        // Only one source is analyzed at a time
+        if (this.source && this.source !== source) {
+            this.source.dispose();
+        }
+        this.source = source;
+
+        this.fft.setInput(source.getNode());
+        this.stereoAnalyzer.connect(source.getNode());
+        this.isListening = true;
+        return true;
+    }
+
+    /**
+     * Start listening to microphone input
+     */
+    async startListening() {
+        return this.setSource(new MicrophoneSource());
+    }
+
+    /**
+     * Load and play a local audio file
+     * @param {File} file - MP3/WAV/OGG/FLAC file
+     */
+    async loadFile(file) {
+        return this.setSource(new FileSource(file));
     }
 
     /**
      * Stop listening
      */
     stopListening() {
-        if (this.mic && this.isListening) {
-            this.mic.stop();
+        if (this.source && this.isListening) {
+            this.source.stop();
             this.isListening = false;
         }
     }
 
+    /**
+     * Analyze a decoded buffer frame by frame instead of live input
+     * Position the returned FFT with setTime() before each update()
+     * @param {AudioBuffer} buffer - Decoded audio
+     * @returns {Promise<OfflineFFT>} FFT driving the analysis
+     */
+    async beginOffline(buffer) {
+        if (!this.isInitialized) {
+            const success = await this.init();
+            if (!success) throw new Error('AudioAnalyzer failed to initialize');
+        }
+
+        this.liveFFT = this.fft;
+        this.wasListening = this.isListening;
+
+        this.fft = new OfflineFFT(buffer, this.smoothing, this.fftSize);
+        this.inputStage.configureAnalyser(this.fft);
+        this._calculateBinRanges(buffer.sampleRate);
+        this.stereoAnalyzer.beginOffline(buffer, this.fft);
+
+        // The noise floor was measured for the live input, not this file
+        this.inputStage.noiseFloorEnabled = false;
+        this.isListening = true;
+        this.resetState();
+
+        return this.fft;
+    }
+
+    /**
+     * Return to live input after beginOffline()
+     */
+    endOffline() {
+        if (!this.liveFFT) return;
+
+        this.fft = this.liveFFT;
+        this.liveFFT = null;
+        this.isListening = this.wasListening;
+        this.inputStage.noiseFloorEnabled = true;
+        this.stereoAnalyzer.endOffline();
+        this._calculateBinRanges(getAudioContext().sampleRate);
+        this.resetState();
+    }
+
+    /**
+     * Turn the stereo analysis on or off
+     * @param {boolean} enabled - True to analyze left/right
+     */
+    setStereo(enabled) {
+        this.stereoEnabled = enabled;
+        this.stereoAnalyzer.enabled = enabled;
+        this.stereoAnalyzer.reset();
+    }
+
+    /**
+     * Switch between harmonic/percussive separation and plain frequency bands
+     * @param {boolean} enabled - True to separate
+     */
+    setSeparation(enabled) {
+        if (enabled === this.separationEnabled) return;
+        this.separationEnabled = enabled;
+
+        // The drum flux compares against a different spectrum now
+        this.previousPercussive.fill(0);
+        this.separator.reset();
+        this.drumDetector.reset();
+    }
+
+    /**
+     * @returns {Array} Parameter schema (see Settings)
+     */
+    getParameters() {
+        return AnalyzerParameters;
+    }
+
+    /**
+     * @param {string} key - Parameter key
+     * @returns {*} Current value
+     */
+    getParameter(key) {
+        return this[key];
+    }
+
+    /**
+     * Apply a parameter live (fftSize only takes effect at construction)
+     * @param {string} key - Parameter key
+     * @param {*} value - Valid value for the parameter
+     */
+    setParameter(key, value) {
+        switch (key) {
+            case 'fftSize':
+                return;
+            case 'smoothing':
+                this.smoothing = value;
+                // OfflineFFT takes the smoothing when an offline analysis starts
+                if (this.fft && this.fft.smooth) {
+                    this.fft.smooth(value);
+                }
+                return;
+            case 'separationEnabled':
+                this.setSeparation(value);
+                return;
+            case 'stereoEnabled':
+                this.setStereo(value);
+                return;
+        }
+        this[key] = value;
+    }
+
+    /**
+     * Apply input settings, ignoring unknown or invalid values
+     * @param {Object} config - { agc, targetLevel, attack, release, maxGain,
+     *   normalize, normalizeWindow }
+     */
+    configureInput(config) {
+        this.inputStage.configure(config);
+        this.bandNormalizer.configure(config);
+    }
+
+    /**
+     * Current input settings
+     * @returns {Object} See configureInput()
+     */
+    getInputConfig() {
+        return { ...this.inputStage.getConfig(), ...this.bandNormalizer.getConfig() };
+    }
+
+    /**
+     * Measure the input's noise floor; keep the room quiet while it runs
+     * @param {number} seconds - Measuring time
+     * @returns {Promise<void>} Resolves when the floor is set
+     */
+    calibrateNoiseFloor(seconds = 3) {
+        return this.inputStage.calibrate(seconds);
+    }
+
+    /**
+     * Remove the measured noise floor
+     */
+    clearNoiseFloor() {
+        this.inputStage.clearNoiseFloor();
+    }
+
+    /**
+     * Recompute bin ranges after FrequencyBands or VisualizerGroups change
+     */
+    updateBands() {
+        if (this.binRanges) {
+            this._calculateBinRanges(this.sampleRate);
+        }
+    }
+
+    /**
+     * Clear smoothing, onset history and tempo state
+     */
+    resetState() {
+        for (const cat in this.energyCache) {
+            const bands = this.energyCache[cat];
+            for (const key in bands) {
+                bands[key] = 0;
+            }
+        }
+
+        for (const cat in this.smoothedEnergy) {
+            this.smoothedEnergy[cat] = 0;
+            this.flux[cat] = 0;
+            this.lastOnsetTime[cat] = 0;
+            this.fluxHistory[cat].fill(0);
+            this.peaks[cat].value = 0;
+            this.peaks[cat].isPeak = false;
+        }
+
+        for (const cat in this.subSpectra) {
+            this.subSpectra[cat].fill(0);
+        }
+
+        this.previousSpectrum.fill(0);
+        this.previousPercussive.fill(0);
+        this.separator.reset();
+        this.lastSpectrum = null;
+        this.signal.spectrum = null;
+        this.signal.waveform = null;
+        this.historyIndex = 0;
+        this.beatTracker.reset();
+        this.pitchDetector.reset();
+        this.chromaAnalyzer.reset();
+        this.drumDetector.reset();
+        this.stereoAnalyzer.reset();
+        this.inputStage.reset();
+        this.bandNormalizer.reset();
+    }
+
     /**
      * Get energy for a specific frequency band
      * @param {string} bandName - Name of the frequency band
@@ -134,59 +439,107 @@ class AudioAnalyzer {
     /**
      * Update all frequency band energies
      * Call this once per frame
+     * @param {number} time - Current time in milliseconds
      */
-    update() {
+    update(time = clock.now()) {
         if (!this.fft || !this.isListening) return;
 
-        // Analyze spectrum
-        const spectrum = this.fft.analyze();
+        // Analyze and condition the spectrum
+        const spectrum = this.inputStage.process(this.fft.analyze(), time / 1000);
+        this.lastSpectrum = spectrum;
+        this.bandNormalizer.beginFrame(time / 1000);
+
+        // Pick the spectrum each group reads
+        const groups = this.groupSpectra;
+        if (this.separationEnabled) {
+            this.separator.process(spectrum);
+            groups.drums = this.separator.percussive;
+            groups.vocals = this.separator.harmonic;
+            groups.bass = this.separator.harmonic;
+        } else {
+            groups.drums = spectrum;
+            groups.vocals = spectrum;
+            groups.bass = spectrum;
+        }
+        groups.highs = spectrum;
 
         // Update drum energies
-        this.energyCache.drums.low = this._getAverageEnergy(spectrum, 'DRUMS_LOW');
-        this.energyCache.drums.mid = this._getAverageEnergy(spectrum, 'DRUMS_MID');
-        this.energyCache.drums.high = this._getAverageEnergy(spectrum, 'DRUMS_HIGH');
+        this.energyCache.drums.low = this._getAverageEnergy(groups.drums, 'DRUMS_LOW');
+        this.energyCache.drums.mid = this._getAverageEnergy(groups.drums, 'DRUMS_MID');
+        this.energyCache.drums.high = this._getAverageEnergy(groups.drums, 'DRUMS_HIGH');
         this.energyCache.drums.combined = this._calculateWeightedEnergy(
             [this.energyCache.drums.low, this.energyCache.drums.mid, this.energyCache.drums.high],
             VisualizerGroups.DRUMS.weights
         );
 
         // Update vocal energies
-        this.energyCache.vocals.low = this._getAverageEnergy(spectrum, 'VOCALS_LOW');
-        this.energyCache.vocals.mid = this._getAverageEnergy(spectrum, 'VOCALS_MID');
-        this.energyCache.vocals.high = this._getAverageEnergy(spectrum, 'VOCALS_HIGH');
+        this.energyCache.vocals.low = this._getAverageEnergy(groups.vocals, 'VOCALS_LOW');
+        this.energyCache.vocals.mid = this._getAverageEnergy(groups.vocals, 'VOCALS_MID');
+        this.energyCache.vocals.high = this._getAverageEnergy(groups.vocals, 'VOCALS_HIGH');
         this.energyCache.vocals.combined = this._calculateWeightedEnergy(
             [this.energyCache.vocals.low, this.energyCache.vocals.mid, this.energyCache.vocals.high],
             VisualizerGroups.VOCALS.weights
         );
 
         // Update bass energies
-        this.energyCache.bass.sub = this._getAverageEnergy(spectrum, 'SUB_BASS');
-        this.energyCache.bass.main = this._getAverageEnergy(spectrum, 'BASS');
+        this.energyCache.bass.sub = this._getAverageEnergy(groups.bass, 'SUB_BASS');
+        this.energyCache.bass.main = this._getAverageEnergy(groups.bass, 'BASS');
         this.energyCache.bass.combined = this._calculateWeightedEnergy(
             [this.energyCache.bass.sub, this.energyCache.bass.main],
             VisualizerGroups.BASS.weights
         );
 
         // Update highs energies
-        this.energyCache.highs.instruments = this._getAverageEnergy(spectrum, 'INSTRUMENTS_HIGH');
-        this.energyCache.highs.air = this._getAverageEnergy(spectrum, 'AIR');
+        this.energyCache.highs.instruments = this._getAverageEnergy(groups.highs, 'INSTRUMENTS_HIGH');
+        this.energyCache.highs.air = this._getAverageEnergy(groups.highs, 'AIR');
         this.energyCache.highs.combined = this._calculateWeightedEnergy(
             [this.energyCache.highs.instruments, this.energyCache.highs.air],
             VisualizerGroups.HIGHS.weights
         );
 
         // Update smoothed values
-        const smoothFactor = 0.3;
+        const smoothFactor = this.energySmoothing;
         this.smoothedEnergy.drums += (this.energyCache.drums.combined - this.smoothedEnergy.drums) * smoothFactor;
         this.smoothedEnergy.vocals += (this.energyCache.vocals.combined - this.smoothedEnergy.vocals) * smoothFactor;
         this.smoothedEnergy.bass += (this.energyCache.bass.combined - this.smoothedEnergy.bass) * smoothFactor;
         this.smoothedEnergy.highs += (this.energyCache.highs.combined - this.smoothedEnergy.highs) * smoothFactor;
 
-        // Update beat detection history
+        // Per-group sub-spectra for bar displays
+        this._updateSubSpectra(groups);
+
+        // Fundamental frequency of the (mostly vocal) melody
+        const waveform = this.fft.waveform();
+        if (waveform) {
+            this.pitchDetector.process(waveform, this.sampleRate);
+        }
+
+        this.signal.spectrum = spectrum;
+        this.signal.waveform = waveform;
+        this.signal.binFrequency = this.getBinFrequency(1);
+
+        // Harmony from the harmonic part when separating, so drum hits don't smear the chroma
+        this.chromaAnalyzer.process(groups.vocals, time / 1000);
+
+        // Detect onsets from spectral flux, then track the beat
+        this._calculateFlux(spectrum, groups.drums);
+        this._detectPeaks(time / 1000);
         this._updateHistory();
 
-        // Detect peaks/beats
-        this._detectPeaks();
+        // Kick, snare and hat separately, with the same threshold settings
+        this.drumDetector.sensitivity = this.onsetSensitivity;
+        this.drumDetector.delta = this.onsetDelta;
+        this.drumDetector.process(groups.drums, this.energyCache.drums, time / 1000);
+
+        this.beatTracker.process(
+            this.flux.drums + this.flux.bass,
+            this.peaks.drums.isPeak || this.peaks.bass.isPeak,
+            this.flux.bass,
+            time / 1000
+        );
+
+        // Pan and width per group, for visualizers following the stereo field
+        this.stereoAnalyzer.smoothing = this.smoothing;
+        this.stereoAnalyzer.process();
     }
 
     /**
@@ -205,7 +558,9 @@ class AudioAnalyzer {
             count++;
         }
 
-        return count > 0 ? sum / count / 255 : 0; // Normalize to 0-1
+        // Scale to 0-1, then against the band's recent range
+        const energy = count > 0 ? sum / count / 255 : 0;
+        return this.bandNormalizer.normalize(bandName, energy);
     }
 
     /**
@@ -221,35 +576,188 @@ class AudioAnalyzer {
     }
 
     /**
-     * Update energy history for beat detection
+     * Recalculate band, group, sub-spectrum and chroma bin mappings
+     * @private
+     */
+    _calculateBinRanges(sampleRate) {
+        this.sampleRate = sampleRate;
+        this.binRanges = calculateAllBinRanges(sampleRate, this.fftSize);
+        this.groupBinRanges = this._calculateGroupBinRanges();
+        this.subSpectrumMaps = this._calculateSubSpectrumMaps(sampleRate);
+        this.chromaAnalyzer.configure(this.fftSize, (bin) => this.getBinFrequency(bin));
+        this.drumDetector.configure(this.binRanges, this.fftSize);
+        this.stereoAnalyzer.configure(this.groupBinRanges);
+    }
+
+    /**
+     * Fractional FFT bin edges for each log-spaced sub-spectrum bin
+     * @private
+     */
+    _calculateSubSpectrumMaps(sampleRate) {
+        const binFrequency = sampleRate / this.fftSize;
+        const size = this.subSpectrumSize;
+        const maps = {};
+
+        for (const cat of Object.keys(this.subSpectra)) {
+            const group = VisualizerGroups[cat.toUpperCase()];
+            let minFreq = Infinity;
+            let maxFreq = 0;
+
+            for (const bandName of group.bands) {
+                minFreq = Math.min(minFreq, FrequencyBands[bandName].min);
+                maxFreq = Math.max(maxFreq, FrequencyBands[bandName].max);
+            }
+
+            // Pairs of [start, end) bin positions
+            const edges = new Float32Array(size * 2);
+            const ratio = maxFreq / minFreq;
+            for (let k = 0; k < size; k++) {
+                edges[k * 2] = (minFreq * Math.pow(ratio, k / size)) / binFrequency;
+                edges[k * 2 + 1] = (minFreq * Math.pow(ratio, (k + 1) / size)) / binFrequency;
+            }
+
+            maps[cat] = edges;
+        }
+
+        return maps;
+    }
+
+    /**
+     * Resample each group's spectrum into its log-spaced sub-spectrum
+     * @private
+     */
+    _updateSubSpectra(spectra) {
+        for (const cat in this.subSpectra) {
+            const spectrum = spectra[cat];
+            const last = spectrum.length - 1;
+            const out = this.subSpectra[cat];
+            const edges = this.subSpectrumMaps[cat];
+
+            for (let k = 0; k < out.length; k++) {
+                const start = edges[k * 2];
+                const end = edges[k * 2 + 1];
+                let value;
+
+                if (end - start < 1) {
+                    // Narrower than one FFT bin: interpolate at the center
+                    const center = Math.min((start + end) / 2, last);
+                    const i = Math.floor(center);
+                    const t = center - i;
+                    value = spectrum[i] * (1 - t) + spectrum[Math.min(i + 1, last)] * t;
+                } else {
+                    let sum = 0;
+                    let count = 0;
+                    for (let i = Math.floor(start); i < Math.ceil(end) && i <= last; i++) {
+                        sum += spectrum[i];
+                        count++;
+                    }
+                    value = count > 0 ? sum / count : 0;
+                }
+
+                out[k] = value / 255;
+            }
+        }
+    }
+
+    /**
+     * Combined bin range covering all bands of each visualizer group
+     * @private
+     */
+    _calculateGroupBinRanges() {
+        const ranges = {};
+
+        for (const cat of Object.keys(this.peaks)) {
+            const group = VisualizerGroups[cat.toUpperCase()];
+            let start = Infinity;
+            let end = 0;
+
+            for (const bandName of group.bands) {
+                const range = this.binRanges.get(bandName);
+                start = Math.min(start, range.start);
+                end = Math.max(end, range.end);
+            }
+
+            ranges[cat] = { start, end };
+        }
+
+        return ranges;
+    }
+
+    /**
+     * Half-wave rectified spectral flux per category (0-1)
+     * Drum onsets are measured on the drum spectrum (percussive when separating);
+     * the other groups use the full spectrum, since the harmonic part is
+     * smoothed over time and would blur their onsets
+     * @private
+     */
+    _calculateFlux(spectrum, drumSpectrum) {
+        for (const cat in this.groupBinRanges) {
+            const isDrums = cat === 'drums';
+            const current = isDrums ? drumSpectrum : spectrum;
+            const previous = isDrums ? this.previousPercussive : this.previousSpectrum;
+            const range = this.groupBinRanges[cat];
+            const end = Math.min(range.end, current.length);
+            let sum = 0;
+
+            for (let i = range.start; i < end; i++) {
+                const diff = current[i] - previous[i];
+                if (diff > 0) sum += diff;
+            }
+
+            const count = end - range.start;
+            this.flux[cat] = count > 0 ? sum / count / 255 : 0;
+        }
+
+        this.previousSpectrum.set(spectrum);
+        this.previousPercussive.set(drumSpectrum);
+    }
+
+    /**
+     * Update flux history for adaptive thresholds
      * @private
      */
     _updateHistory() {
-        this.energyHistory.drums[this.historyIndex] = this.energyCache.drums.combined;
-        this.energyHistory.bass[this.historyIndex] = this.energyCache.bass.combined;
+        for (const cat in this.fluxHistory) {
+            this.fluxHistory[cat][this.historyIndex] = this.flux[cat];
+        }
         this.historyIndex = (this.historyIndex + 1) % this.historySize;
     }
 
     /**
-     * Detect peaks/beats in the audio
+     * Median of a history buffer
      * @private
      */
-    _detectPeaks() {
+    _median(history) {
+        const scratch = this.medianScratch;
+        scratch.set(history);
+        scratch.sort();
+        return scratch[scratch.length >> 1];
+    }
+
+    /**
+     * Detect onsets: flux rising above an adaptive median threshold
+     * Must run before the current flux is pushed into the history
+     * @private
+     */
+    _detectPeaks(time) {
         const categories = ['drums', 'vocals', 'bass', 'highs'];
+        const previousIndex = (this.historyIndex - 1 + this.historySize) % this.historySize;
 
         for (const cat of categories) {
-            const current = this.smoothedEnergy[cat];
+            const history = this.fluxHistory[cat];
+            const flux = this.flux[cat];
+            const threshold = this._median(history) * this.onsetSensitivity + this.onsetDelta;
             const peak = this.peaks[cat];
 
-            // Decay previous peak
-            peak.value *= this.peakDecay;
+            // Onset on the rising edge, with a refractory period
+            const isRising = flux > threshold && history[previousIndex] <= threshold;
+            const isRested = time - this.lastOnsetTime[cat] >= this.minOnsetInterval;
+
+            peak.value = flux;
+            peak.isPeak = isRising && isRested;
 
-            // Check for new peak
-            if (current > peak.value && current > this.peakThreshold) {
-                peak.value = current;
-                peak.isPeak = true;
-            } else {
-                peak.isPeak = false;
+            if (peak.isPeak) {
+                this.lastOnsetTime[cat] = time;
             }
         }
     }
@@ -277,13 +785,89 @@ class AudioAnalyzer {
     }
 
     /**
-     * Get the raw spectrum data
-     * @returns {Uint8Array} Raw FFT spectrum
+     * Get tempo and beat phase
+     * @returns {Object} { bpm, confidence, phase, isBeat, isDownbeat }
+     */
+    getBeat() {
+        return this.beatTracker.getBeat();
+    }
+
+    /**
+     * Get the detected pitch
+     * Frequency, note and cents hold the last voiced values through silences
+     * @returns {Object} { frequency, midi, note, cents, confidence, voiced }
+     */
+    getPitch() {
+        return this.pitchDetector.pitch;
+    }
+
+    /**
+     * Get the chroma vector and the estimated key and chord
+     * Key and chord roots are pitch classes (0 = C), -1 until detected
+     * @returns {Object} { chroma, key: { root, mode, name, confidence },
+     *   chord: { root, quality, name, confidence } }
+     */
+    getHarmony() {
+        return this.chromaAnalyzer.harmony;
+    }
+
+    /**
+     * Get kick, snare and hi-hat onsets
+     * @returns {Object} { kick, snare, hat }, each { energy, flux, isOnset }
+     */
+    getDrumHits() {
+        return this.drumDetector.hits;
+    }
+
+    /**
+     * Get the stereo field (centered and narrow while stereoEnabled is off)
+     * @returns {Object} { enabled, correlation, left, right,
+     *   bands: { drums: { pan, width }, ... } }
+     */
+    getStereo() {
+        return this.stereoAnalyzer.stereo;
+    }
+
+    /**
+     * Get the full spectrum and waveform of the last update()
+     * @returns {Object} { spectrum (0-255), waveform (-1 to 1), binFrequency (Hz) }
+     */
+    getSignal() {
+        return this.signal;
+    }
+
+    /**
+     * Get per-group analysis passed to visualizers
+     * @param {string} group - Group key (drums, vocals, bass, highs)
+     * @returns {Object} Analysis data for the group: { beat, stereo, signal,
+     *   spectrum, bands } (bands: the group's sub-band energies; stereo: see
+     *   getStereo(); signal: { spectrum, waveform, binFrequency }, the same
+     *   for all groups), plus hits for drums and pitch for vocals
+     */
+    getGroupAnalysis(group) {
+        return this.groupAnalysis[group];
+    }
+
+    /**
+     * Get the spectrum data
+     * Returns the conditioned spectrum from the last update() (0-255, after
+     * noise floor and gain) so it is not re-analyzed
+     * @returns {Float32Array|Uint8Array} FFT spectrum
      */
     getSpectrum() {
+        if (this.lastSpectrum) return this.lastSpectrum;
         return this.fft ? this.fft.analyze() : null;
     }
 
+    /**
+     * Frequency in Hz at the start of an FFT bin
+     * @param {number} bin - Bin index
+     * @returns {number} Frequency in Hz
+     */
+    getBinFrequency(bin) {
+        return (bin * this.sampleRate) / this.fftSize;
+    }
+
     /**
      * Get waveform data
      * @returns {Float32Array} Waveform data
@@ -297,8 +881,9 @@ class AudioAnalyzer {
      */
     dispose() {
         this.stopListening();
+        this.stereoAnalyzer.disconnect();
         this.fft = null;
-        this.mic = null;
+        this.source = null;
         this.isInitialized = false;
     }
 }
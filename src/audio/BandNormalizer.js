@@ -0,0 +1,124 @@
+/**
+ * BandNormalizer - Per-band adaptive normalization
+ * Keeps a few seconds of each band's values and rescales the current value
+ * between a low and a high percentile of that history, so every band uses
+ * the full 0-1 range whatever the input level or the mix
+ */
+class BandNormalizer {
+    /**
+     * @param {Object} options - { window, rate, lowPercentile, highPercentile }
+     */
+    constructor(options = {}) {
+        this.enabled = true;
+
+        // History length in seconds and how often it is sampled
+        this.window = options.window || 10;
+        this.rate = options.rate || 10;
+
+        this.lowPercentile = options.lowPercentile || 0.05;
+        this.highPercentile = options.highPercentile || 0.95;
+
+        // Smallest range a band is stretched to, so near-silence stays dark
+        this.minRange = 0.05;
+
+        this.bands = new Map();
+        this.lastSampleTime = null;
+        this.sampleDue = false;
+        this._allocate();
+    }
+
+    /**
+     * Apply settings, ignoring unknown or invalid values
+     * @param {Object} config - { normalize, normalizeWindow }
+     */
+    configure(config) {
+        if (typeof config.normalize === 'boolean') this.enabled = config.normalize;
+
+        const window = config.normalizeWindow;
+        if (typeof window === 'number' && isFinite(window)) {
+            const seconds = Math.max(1, Math.min(60, window));
+            if (seconds !== this.window) {
+                this.window = seconds;
+                this._allocate();
+            }
+        }
+    }
+
+    /**
+     * Current settings
+     * @returns {Object} { normalize, normalizeWindow }
+     */
+    getConfig() {
+        return { normalize: this.enabled, normalizeWindow: this.window };
+    }
+
+    /**
+     * Forget all band histories
+     */
+    reset() {
+        this.bands.clear();
+        this.lastSampleTime = null;
+        this.sampleDue = false;
+    }
+
+    /**
+     * Start a frame; bands are sampled into their history at `rate`
+     * @param {number} time - Current time in seconds
+     */
+    beginFrame(time) {
+        this.sampleDue = this.lastSampleTime === null || time - this.lastSampleTime >= 1 / this.rate ||
+            time < this.lastSampleTime;
+        if (this.sampleDue) {
+            this.lastSampleTime = time;
+        }
+    }
+
+    /**
+     * Normalize a band value against its recent history
+     * @param {string} name - Band name
+     * @param {number} value - Raw value (0-1)
+     * @returns {number} Normalized value (0-1), or the raw value when disabled
+     */
+    normalize(name, value) {
+        if (!this.enabled) return value;
+
+        let band = this.bands.get(name);
+        if (!band) {
+            band = { values: new Float32Array(this.size), index: 0, count: 0, low: 0, high: 1 };
+            this.bands.set(name, band);
+        }
+
+        if (this.sampleDue) {
+            band.values[band.index] = value;
+            band.index = (band.index + 1) % this.size;
+            band.count = Math.min(band.count + 1, this.size);
+            this._updateRange(band);
+        }
+
+        const range = Math.max(this.minRange, band.high - band.low);
+        return Math.max(0, Math.min(1, (value - band.low) / range));
+    }
+
+    /**
+     * @private
+     */
+    _allocate() {
+        this.size = Math.max(2, Math.round(this.window * this.rate));
+        this.scratch = new Float32Array(this.size);
+        this.reset();
+    }
+
+    /**
+     * Percentiles of the band's history
+     * @private
+     */
+    _updateRange(band) {
+        const sorted = this.scratch.subarray(0, band.count);
+        sorted.set(band.values.subarray(0, band.count));
+        sorted.sort();
+
+        const last = band.count - 1;
+        band.low = sorted[Math.floor(last * this.lowPercentile)];
+        band.high = sorted[Math.ceil(last * this.highPercentile)];
+    }
+}
@@ -0,0 +1,316 @@
+/**
+ * BeatTracker - Tempo estimation and beat-phase tracking
+ * Estimates BPM by autocorrelating the onset strength envelope and
+ * keeps a phase-locked beat grid that is nudged toward detected onsets
+ */
+class BeatTracker {
+    constructor(options = {}) {
+        this.minBpm = options.minBpm || 70;
+        this.maxBpm = options.maxBpm || 180;
+        this.preferredBpm = options.preferredBpm || 120;
+        this.beatsPerBar = options.beatsPerBar || 4;
+
+        // Minimum autocorrelation confidence before beats are reported
+        this.minConfidence = options.minConfidence || 0.15;
+
+        // How strongly onsets pull the beat grid (0-1)
+        this.phaseCorrection = 0.2;
+
+        // Onset strength envelope (circular buffer, one sample per frame)
+        this.envelopeSize = 512; // ~8.5 seconds at 60fps
+        this.envelope = new Float32Array(this.envelopeSize);
+        this.envelopeIndex = 0;
+        this.envelopeFilled = 0;
+
+        // Scratch buffers, allocated once
+        this.linearEnvelope = new Float32Array(this.envelopeSize);
+        this.autocorrelation = new Float32Array(this.envelopeSize);
+
+        // Average frame period, used to convert lags to seconds
+        this.framePeriod = 1 / 60;
+        this.lastTime = -1;
+
+        // Tempo re-estimation interval (seconds)
+        this.tempoInterval = 0.5;
+        this.lastTempoTime = 0;
+        this.candidateBpm = 0;
+
+        // Beat grid
+        this.beatPeriod = 0;
+        this.lastBeatTime = 0;
+        this.nextBeatTime = 0;
+        this.beatCount = 0;
+
+        // Evidence for which beat in the bar is the downbeat
+        this.barAccent = new Float32Array(this.beatsPerBar);
+
+        // Cached result to avoid allocation
+        this.beat = {
+            bpm: 0,
+            confidence: 0,
+            phase: 0,
+            isBeat: false,
+            isDownbeat: false
+        };
+    }
+
+    /**
+     * Feed one analysis frame
+     * @param {number} strength - Onset strength (summed spectral flux)
+     * @param {boolean} isOnset - Whether an onset was detected this frame
+     * @param {number} accent - Low-frequency onset strength, used for downbeats
+     * @param {number} time - Current time in seconds
+     */
+    process(strength, isOnset, accent, time) {
+        this._updateFramePeriod(time);
+
+        // Store envelope sample
+        this.envelope[this.envelopeIndex] = strength;
+        this.envelopeIndex = (this.envelopeIndex + 1) % this.envelopeSize;
+        this.envelopeFilled = Math.min(this.envelopeFilled + 1, this.envelopeSize);
+
+        // Periodically re-estimate tempo
+        if (time - this.lastTempoTime >= this.tempoInterval) {
+            this._estimateTempo();
+            this.lastTempoTime = time;
+        }
+
+        this._advanceBeatGrid(time);
+
+        if (this.beatPeriod > 0) {
+            if (isOnset) {
+                this._correctPhase(time);
+            }
+            this._accumulateAccent(accent);
+        }
+    }
+
+    /**
+     * Get current beat information
+     * @returns {Object} { bpm, confidence, phase, isBeat, isDownbeat }
+     */
+    getBeat() {
+        return this.beat;
+    }
+
+    /**
+     * Forget tempo and phase
+     */
+    reset() {
+        this.envelope.fill(0);
+        this.envelopeIndex = 0;
+        this.envelopeFilled = 0;
+        this.lastTime = -1;
+        this.lastTempoTime = 0;
+        this.candidateBpm = 0;
+        this.beatPeriod = 0;
+        this.lastBeatTime = 0;
+        this.nextBeatTime = 0;
+        this.beatCount = 0;
+        this.barAccent.fill(0);
+
+        this.beat.bpm = 0;
+        this.beat.confidence = 0;
+        this.beat.phase = 0;
+        this.beat.isBeat = false;
+        this.beat.isDownbeat = false;
+    }
+
+    /**
+     * Track the average frame period
+     * @private
+     */
+    _updateFramePeriod(time) {
+        if (this.lastTime >= 0) {
+            const dt = time - this.lastTime;
+
+            // Ignore stalls (tab switches, seeks) so they don't skew the lag scale
+            if (dt > 0 && dt < 0.1) {
+                this.framePeriod += (dt - this.framePeriod) * 0.05;
+            } else if (dt < 0 || dt >= 1) {
+                this.reset();
+            }
+        }
+        this.lastTime = time;
+    }
+
+    /**
+     * Estimate tempo by autocorrelating the onset envelope
+     * @private
+     */
+    _estimateTempo() {
+        const n = this.envelopeFilled;
+        const minLag = Math.max(1, Math.floor(60 / this.maxBpm / this.framePeriod));
+        const maxLag = Math.ceil(60 / this.minBpm / this.framePeriod);
+
+        // Need a few beats of history at the slowest tempo
+        if (n < maxLag * 3) return;
+
+        // Unroll the circular buffer (oldest first) and remove the mean
+        const x = this.linearEnvelope;
+        const start = (this.envelopeIndex - n + this.envelopeSize) % this.envelopeSize;
+        let mean = 0;
+        for (let i = 0; i < n; i++) {
+            x[i] = this.envelope[(start + i) % this.envelopeSize];
+            mean += x[i];
+        }
+        mean /= n;
+        for (let i = 0; i < n; i++) {
+            x[i] -= mean;
+        }
+
+        let energy = 0;
+        for (let i = 0; i < n; i++) {
+            energy += x[i] * x[i];
+        }
+        if (energy <= 0) return;
+
+        // Autocorrelation weighted toward the preferred tempo (log-Gaussian)
+        const acf = this.autocorrelation;
+        let bestLag = -1;
+        let bestScore = 0;
+
+        for (let lag = minLag; lag <= maxLag + 1 && lag < n; lag++) {
+            let sum = 0;
+            for (let i = 0; i + lag < n; i++) {
+                sum += x[i] * x[i + lag];
+            }
+            acf[lag] = sum / energy;
+
+            if (lag > maxLag) continue;
+
+            const bpm = 60 / (lag * this.framePeriod);
+            const octaves = Math.log2(bpm / this.preferredBpm);
+            const score = acf[lag] * Math.exp(-0.5 * octaves * octaves);
+
+            if (score > bestScore) {
+                bestScore = score;
+                bestLag = lag;
+            }
+        }
+
+        if (bestLag < 0) return;
+
+        // Parabolic interpolation for sub-frame lag precision
+        let lag = bestLag;
+        if (bestLag > minLag) {
+            const a = acf[bestLag - 1];
+            const b = acf[bestLag];
+            const c = acf[bestLag + 1];
+            const denom = a - 2 * b + c;
+            if (denom !== 0) {
+                lag += Math.max(-0.5, Math.min(0.5, 0.5 * (a - c) / denom));
+            }
+        }
+
+        const bpm = 60 / (lag * this.framePeriod);
+        const confidence = Math.max(0, Math.min(1, acf[bestLag]));
+        this._updateTempo(bpm, confidence);
+    }
+
+    /**
+     * Smooth tempo changes, requiring a jump to repeat before it is accepted
+     * @private
+     */
+    _updateTempo(bpm, confidence) {
+        this.beat.confidence += (confidence - this.beat.confidence) * 0.3;
+
+        if (this.beat.confidence < this.minConfidence) {
+            this.beat.bpm = 0;
+            this.beatPeriod = 0;
+            return;
+        }
+
+        const current = this.beat.bpm;
+        if (current > 0 && Math.abs(bpm - current) / current < 0.05) {
+            this.beat.bpm += (bpm - current) * 0.2;
+        } else if (current === 0 || Math.abs(bpm - this.candidateBpm) / bpm < 0.05) {
+            this.beat.bpm = bpm;
+        } else {
+            this.candidateBpm = bpm;
+            return;
+        }
+
+        this.candidateBpm = this.beat.bpm;
+        this.beatPeriod = 60 / this.beat.bpm;
+    }
+
+    /**
+     * Move the beat grid forward and flag beats
+     * @private
+     */
+    _advanceBeatGrid(time) {
+        this.beat.isBeat = false;
+        this.beat.isDownbeat = false;
+
+        if (this.beatPeriod <= 0) {
+            this.beat.phase = 0;
+            return;
+        }
+
+        // (Re)start the grid if it is unset or far behind
+        if (this.nextBeatTime <= 0 || time - this.nextBeatTime > this.beatPeriod) {
+            this.lastBeatTime = time;
+            this.nextBeatTime = time + this.beatPeriod;
+        }
+
+        if (time >= this.nextBeatTime) {
+            this.lastBeatTime = this.nextBeatTime;
+            this.nextBeatTime += this.beatPeriod;
+            this.beatCount++;
+
+            this.beat.isBeat = true;
+            this.beat.isDownbeat = this.beatCount % this.beatsPerBar === this._getDownbeatSlot();
+        }
+
+        const phase = (time - this.lastBeatTime) / this.beatPeriod;
+        this.beat.phase = Math.max(0, Math.min(0.999, phase));
+    }
+
+    /**
+     * Pull the beat grid toward an onset that lands near a predicted beat
+     * @private
+     */
+    _correctPhase(time) {
+        const toLast = time - this.lastBeatTime;
+        const toNext = time - this.nextBeatTime;
+        const error = Math.abs(toLast) < Math.abs(toNext) ? toLast : toNext;
+
+        if (Math.abs(error) < this.beatPeriod * 0.25) {
+            const shift = error * this.phaseCorrection;
+            this.lastBeatTime += shift;
+            this.nextBeatTime += shift;
+        }
+    }
+
+    /**
+     * Collect low-frequency onset evidence per beat slot in the bar
+     * @private
+     */
+    _accumulateAccent(accent) {
+        for (let i = 0; i < this.beatsPerBar; i++) {
+            this.barAccent[i] *= 0.999;
+        }
+
+        // Only count onsets close to a beat
+        const phase = this.beat.phase;
+        if (phase > 0.2 && phase < 0.8) return;
+
+        const beatIndex = phase >= 0.8 ? this.beatCount + 1 : this.beatCount;
+        this.barAccent[beatIndex % this.beatsPerBar] += accent;
+    }
+
+    /**
+     * Beat slot with the strongest accumulated accent
+     * @private
+     */
+    _getDownbeatSlot() {
+        let best = 0;
+        for (let i = 1; i < this.beatsPerBar; i++) {
+            if (this.barAccent[i] > this.barAccent[best]) {
+                best = i;
+            }
+        }
+        return best;
+    }
+}
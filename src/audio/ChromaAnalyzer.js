@@ -0,0 +1,298 @@
+/**
+ * ChromaAnalyzer - Pitch-class energy, key and chord estimation
+ * Folds the spectrum into a 12-bin chroma vector, matches a long-term
+ * average against Krumhansl-Kessler key profiles and a short-term average
+ * against major/minor triads. Both estimates only change after the new
+ * candidate has won for a while, so keys drift instead of flickering.
+ */
+
+// Krumhansl-Kessler key profiles, tonic first
+const KEY_PROFILES = {
+    major: [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88],
+    minor: [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17]
+};
+
+// Triad templates, root first
+const CHORD_TEMPLATES = {
+    major: [0, 4, 7],
+    minor: [0, 3, 7]
+};
+
+class ChromaAnalyzer {
+    /**
+     * @param {Object} options - { minFrequency, maxFrequency }
+     */
+    constructor(options = {}) {
+        // Range folded into the chroma; lower bins are too coarse for semitones
+        this.minFrequency = options.minFrequency || 110;
+        this.maxFrequency = options.maxFrequency || 3520;
+
+        // Time constants in seconds
+        this.chordSmoothing = 0.15;
+        this.keySmoothing = 15;
+
+        // How long a new estimate has to win before it is taken
+        this.chordHoldTime = 0.25;
+        this.keyHoldTime = 2;
+
+        // Weakest chord match that still names a chord
+        this.minChordScore = 0.6;
+
+        // Per-bin pitch class and weight, built for a spectrum length
+        this.binPitchClass = null;
+        this.binWeight = null;
+
+        this.frameChroma = new Float32Array(12);
+        this.keyChroma = new Float32Array(12);
+        this.lastTime = null;
+        this.keyCandidate = { index: -1, since: 0 };
+        this.chordCandidate = { index: -1, since: 0 };
+
+        // Result, reused every frame; root -1 means none yet
+        this.harmony = {
+            chroma: new Float32Array(12),
+            key: { root: -1, mode: 'major', name: '', confidence: 0 },
+            chord: { root: -1, quality: 'major', name: '', confidence: 0 }
+        };
+    }
+
+    /**
+     * Name of a key, e.g. 'A minor'
+     * @param {number} root - Pitch class (0 = C)
+     * @param {string} mode - 'major' or 'minor'
+     * @returns {string}
+     */
+    static keyName(root, mode) {
+        return root < 0 ? '' : `${NOTE_NAMES[root]} ${mode}`;
+    }
+
+    /**
+     * Name of a chord, e.g. 'Am'
+     * @param {number} root - Pitch class (0 = C)
+     * @param {string} quality - 'major' or 'minor'
+     * @returns {string}
+     */
+    static chordName(root, quality) {
+        return root < 0 ? '' : NOTE_NAMES[root] + (quality === 'minor' ? 'm' : '');
+    }
+
+    /**
+     * Map spectrum bins to pitch classes
+     * @param {number} binCount - Spectrum length
+     * @param {Function} binFrequency - Bin index to Hz
+     */
+    configure(binCount, binFrequency) {
+        this.binPitchClass = new Int8Array(binCount).fill(-1);
+        this.binWeight = new Float32Array(binCount);
+        const binWidth = binFrequency(1) - binFrequency(0);
+
+        for (let i = 1; i < binCount; i++) {
+            const frequency = binFrequency(i);
+            if (frequency < this.minFrequency || frequency > this.maxFrequency) continue;
+
+            // Bins between two semitones count less, and so do low bins
+            // that are wider than a semitone
+            const midi = 69 + 12 * Math.log2(frequency / 440);
+            const note = Math.round(midi);
+            const cos = Math.cos(Math.PI * (midi - note));
+            const resolution = Math.min(1, frequency * (Math.pow(2, 1 / 12) - 1) / binWidth);
+            this.binPitchClass[i] = ((note % 12) + 12) % 12;
+            this.binWeight[i] = cos * cos * resolution * resolution;
+        }
+    }
+
+    /**
+     * Forget all harmonic history
+     */
+    reset() {
+        this.frameChroma.fill(0);
+        this.keyChroma.fill(0);
+        this.lastTime = null;
+        this.keyCandidate.index = -1;
+        this.chordCandidate.index = -1;
+
+        const harmony = this.harmony;
+        harmony.chroma.fill(0);
+        harmony.key.root = -1;
+        harmony.key.name = '';
+        harmony.key.confidence = 0;
+        harmony.chord.root = -1;
+        harmony.chord.name = '';
+        harmony.chord.confidence = 0;
+    }
+
+    /**
+     * Analyze one spectrum frame
+     * @param {Uint8Array|Float32Array} spectrum - Magnitude spectrum (0-255)
+     * @param {number} time - Current time in seconds
+     * @returns {Object} { chroma, key, chord }
+     */
+    process(spectrum, time) {
+        const harmony = this.harmony;
+        if (!this.binPitchClass) return harmony;
+
+        const delta = this.lastTime === null ? 0 : Math.max(0, Math.min(0.25, time - this.lastTime));
+        this.lastTime = time;
+
+        // Fold energy into pitch classes
+        const frame = this.frameChroma;
+        frame.fill(0);
+        const end = Math.min(spectrum.length, this.binPitchClass.length);
+        for (let i = 0; i < end; i++) {
+            const pitchClass = this.binPitchClass[i];
+            if (pitchClass < 0) continue;
+            const magnitude = spectrum[i] / 255;
+            frame[pitchClass] += magnitude * magnitude * this.binWeight[i];
+        }
+
+        let total = 0;
+        let max = 0;
+        for (let i = 0; i < 12; i++) {
+            total += frame[i];
+            if (frame[i] > max) max = frame[i];
+        }
+        if (max > 0) {
+            for (let i = 0; i < 12; i++) frame[i] /= max;
+        }
+
+        // Short-term chroma for chords; silence leaves it decaying
+        const chordRate = delta > 0 ? 1 - Math.exp(-delta / this.chordSmoothing) : 1;
+        for (let i = 0; i < 12; i++) {
+            harmony.chroma[i] += (frame[i] - harmony.chroma[i]) * chordRate;
+        }
+
+        // Long-term chroma for the key, weighted so quiet frames count less
+        const loudness = Math.min(1, total / 4);
+        const keyRate = delta > 0 ? (1 - Math.exp(-delta / this.keySmoothing)) * loudness : 0;
+        for (let i = 0; i < 12; i++) {
+            this.keyChroma[i] += (frame[i] - this.keyChroma[i]) * keyRate;
+        }
+
+        this._estimateKey(time);
+        this._estimateChord(time, max > 0);
+        return harmony;
+    }
+
+    /**
+     * Best-correlating key profile, taken once it has held for keyHoldTime
+     * @private
+     */
+    _estimateKey(time) {
+        let bestIndex = -1;
+        let bestScore = 0;
+        let modeIndex = 0;
+        for (const profile of [KEY_PROFILES.major, KEY_PROFILES.minor]) {
+            for (let root = 0; root < 12; root++) {
+                const score = ChromaAnalyzer.correlate(this.keyChroma, profile, root);
+                if (score > bestScore) {
+                    bestScore = score;
+                    bestIndex = modeIndex * 12 + root;
+                }
+            }
+            modeIndex++;
+        }
+
+        const key = this.harmony.key;
+        const current = key.root < 0 ? -1 : key.root + (key.mode === 'minor' ? 12 : 0);
+        this._hold(this.keyCandidate, bestIndex, current, time, this.keyHoldTime, (index) => {
+            key.root = index % 12;
+            key.mode = index < 12 ? 'major' : 'minor';
+            key.name = ChromaAnalyzer.keyName(key.root, key.mode);
+        });
+        if (key.root >= 0) {
+            const profile = KEY_PROFILES[key.mode];
+            key.confidence = Math.max(0, ChromaAnalyzer.correlate(this.keyChroma, profile, key.root));
+        }
+    }
+
+    /**
+     * Best-matching triad, taken once it has held for chordHoldTime
+     * @private
+     */
+    _estimateChord(time, hasSignal) {
+        const chroma = this.harmony.chroma;
+        let norm = 0;
+        for (let i = 0; i < 12; i++) norm += chroma[i] * chroma[i];
+        norm = Math.sqrt(norm);
+
+        let bestIndex = -1;
+        let bestScore = 0;
+        if (hasSignal && norm > 0) {
+            let qualityIndex = 0;
+            for (const template of [CHORD_TEMPLATES.major, CHORD_TEMPLATES.minor]) {
+                for (let root = 0; root < 12; root++) {
+                    // Cosine similarity with a binary triad template
+                    let dot = 0;
+                    for (const interval of template) dot += chroma[(root + interval) % 12];
+                    const score = dot / (norm * Math.sqrt(template.length));
+                    if (score > bestScore) {
+                        bestScore = score;
+                        bestIndex = qualityIndex * 12 + root;
+                    }
+                }
+                qualityIndex++;
+            }
+        }
+        if (bestScore < this.minChordScore) bestIndex = -1;
+
+        const chord = this.harmony.chord;
+        const current = chord.root < 0 ? -1 : chord.root + (chord.quality === 'minor' ? 12 : 0);
+        this._hold(this.chordCandidate, bestIndex, current, time, this.chordHoldTime, (index) => {
+            chord.root = index < 0 ? -1 : index % 12;
+            chord.quality = index >= 12 ? 'minor' : 'major';
+            chord.name = ChromaAnalyzer.chordName(chord.root, chord.quality);
+        });
+        chord.confidence = chord.root < 0 ? 0 : bestScore;
+    }
+
+    /**
+     * Switch to a new estimate only after it has won for holdTime seconds
+     * @private
+     */
+    _hold(candidate, best, current, time, holdTime, apply) {
+        if (best === current) {
+            candidate.index = -1;
+            return;
+        }
+        if (best !== candidate.index) {
+            candidate.index = best;
+            candidate.since = time;
+        }
+        if (time - candidate.since >= holdTime) {
+            apply(best);
+            candidate.index = -1;
+        }
+    }
+
+    /**
+     * Pearson correlation of a chroma vector with a profile rotated to a root
+     * @param {Float32Array} chroma - 12 pitch-class values
+     * @param {number[]} profile - 12 values, tonic first
+     * @param {number} root - Pitch class of the tonic
+     * @returns {number} -1 to 1
+     */
+    static correlate(chroma, profile, root) {
+        let meanA = 0;
+        let meanB = 0;
+        for (let i = 0; i < 12; i++) {
+            meanA += chroma[i];
+            meanB += profile[i];
+        }
+        meanA /= 12;
+        meanB /= 12;
+
+        let covariance = 0;
+        let varianceA = 0;
+        let varianceB = 0;
+        for (let i = 0; i < 12; i++) {
+            const a = chroma[(root + i) % 12] - meanA;
+            const b = profile[i] - meanB;
+            covariance += a * b;
+            varianceA += a * a;
+            varianceB += b * b;
+        }
+
+        const denominator = Math.sqrt(varianceA * varianceB);
+        return denominator > 0 ? covariance / denominator : 0;
+    }
+}
@@ -0,0 +1,139 @@
+/**
+ * DrumDetector - Kick, snare and hi-hat onsets
+ * Measures spectral flux separately in the three drum bands of the drum
+ * spectrum (percussive when separating) and detects onsets in each against
+ * its own adaptive median threshold, so a busy hat pattern doesn't mask the
+ * kick and a loud kick doesn't swallow the snare
+ */
+
+// Drum voices: band they are heard in, key of the band in the analyzer's
+// drum energies, and the shortest gap between two hits in seconds
+const DrumVoices = {
+    kick: { band: 'DRUMS_LOW', energyKey: 'low', minInterval: 0.1 },
+    snare: { band: 'DRUMS_MID', energyKey: 'mid', minInterval: 0.1 },
+    hat: { band: 'DRUMS_HIGH', energyKey: 'high', minInterval: 0.05 }
+};
+
+class DrumDetector {
+    /**
+     * @param {number} historySize - Flux history length in frames
+     */
+    constructor(historySize = 43) {
+        // Threshold: median flux x sensitivity + delta (set from the analyzer)
+        this.sensitivity = 1.5;
+        this.delta = 0.004;
+
+        this.binRanges = null;
+        this.previous = null;
+
+        // Flux history per voice (circular buffer)
+        this.historySize = historySize;
+        this.historyIndex = 0;
+        this.history = {};
+        this.lastOnsetTime = {};
+        this.medianScratch = new Float32Array(historySize);
+
+        // Cached result to avoid allocation: energy (0-1), flux, onset flag
+        this.hits = {};
+
+        for (const voice of Object.keys(DrumVoices)) {
+            this.history[voice] = new Float32Array(historySize);
+            this.lastOnsetTime[voice] = 0;
+            this.hits[voice] = { energy: 0, flux: 0, isOnset: false };
+        }
+    }
+
+    /**
+     * Use the analyzer's band bin ranges
+     * @param {Map} binRanges - Band name to { start, end }
+     * @param {number} binCount - Spectrum length
+     */
+    configure(binRanges, binCount) {
+        this.binRanges = binRanges;
+        if (!this.previous || this.previous.length !== binCount) {
+            this.previous = new Float32Array(binCount);
+        }
+    }
+
+    /**
+     * Forget onset history
+     */
+    reset() {
+        this.historyIndex = 0;
+        if (this.previous) this.previous.fill(0);
+
+        for (const voice of Object.keys(DrumVoices)) {
+            this.history[voice].fill(0);
+            this.lastOnsetTime[voice] = 0;
+            this.hits[voice].energy = 0;
+            this.hits[voice].flux = 0;
+            this.hits[voice].isOnset = false;
+        }
+    }
+
+    /**
+     * Analyze one frame
+     * @param {Uint8Array|Float32Array} spectrum - Drum spectrum (0-255)
+     * @param {Object} energies - The analyzer's drum band energies { low, mid, high }
+     * @param {number} time - Current time in seconds
+     * @returns {Object} { kick, snare, hat }, each { energy, flux, isOnset }
+     */
+    process(spectrum, energies, time) {
+        if (!this.binRanges) return this.hits;
+
+        const previousIndex = (this.historyIndex - 1 + this.historySize) % this.historySize;
+
+        for (const [voice, config] of Object.entries(DrumVoices)) {
+            const hit = this.hits[voice];
+            const history = this.history[voice];
+            const flux = this._flux(spectrum, this.binRanges.get(config.band));
+            const threshold = this._median(history) * this.sensitivity + this.delta;
+
+            // Onset on the rising edge, with a refractory period
+            const isRising = flux > threshold && history[previousIndex] <= threshold;
+            const isRested = time - this.lastOnsetTime[voice] >= config.minInterval;
+
+            hit.energy = energies[config.energyKey] || 0;
+            hit.flux = flux;
+            hit.isOnset = isRising && isRested;
+            if (hit.isOnset) {
+                this.lastOnsetTime[voice] = time;
+            }
+
+            history[this.historyIndex] = flux;
+        }
+
+        this.historyIndex = (this.historyIndex + 1) % this.historySize;
+        this.previous.set(spectrum.subarray(0, this.previous.length));
+        return this.hits;
+    }
+
+    /**
+     * Half-wave rectified spectral flux over one band (0-1)
+     * @private
+     */
+    _flux(spectrum, range) {
+        if (!range) return 0;
+
+        const end = Math.min(range.end, spectrum.length);
+        let sum = 0;
+        for (let i = range.start; i < end; i++) {
+            const diff = spectrum[i] - this.previous[i];
+            if (diff > 0) sum += diff;
+        }
+
+        const count = end - range.start;
+        return count > 0 ? sum / count / 255 : 0;
+    }
+
+    /**
+     * Median of a history buffer
+     * @private
+     */
+    _median(history) {
+        const scratch = this.medianScratch;
+        scratch.set(history);
+        scratch.sort();
+        return scratch[scratch.length >> 1];
+    }
+}
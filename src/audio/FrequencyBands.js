@@ -167,3 +167,145 @@ function calculateAllBinRanges(sampleRate = 44100, fftSize = 1024) {
 
     return ranges;
 }
+
+/**
+ * Snapshot band edges and group weights/colors as plain data
+ * @returns {Object} Band profile { bands, groups }
+ */
+function getBandProfile() {
+    const profile = { bands: {}, groups: {} };
+
+    for (const [name, band] of Object.entries(FrequencyBands)) {
+        profile.bands[name] = { min: band.min, max: band.max };
+    }
+
+    for (const [name, group] of Object.entries(VisualizerGroups)) {
+        profile.groups[name] = {
+            weights: group.weights.slice(),
+            primaryColor: { ...group.primaryColor },
+            accentColor: { ...group.accentColor }
+        };
+    }
+
+    return profile;
+}
+
+/**
+ * Apply a band profile, ignoring unknown or malformed entries
+ * Values are updated in place because visualizers hold references
+ * to the group color objects
+ * @param {Object} profile - Band profile { bands, groups }
+ */
+function applyBandProfile(profile) {
+    const isNumber = (value) => typeof value === 'number' && isFinite(value);
+
+    for (const [name, values] of Object.entries(profile.bands || {})) {
+        const band = FrequencyBands[name];
+        if (!band || !values) continue;
+
+        const min = Math.max(1, Math.min(values.min, 22000));
+        const max = Math.max(min + 1, Math.min(values.max, 22050));
+        if (isNumber(min) && isNumber(max)) {
+            band.min = min;
+            band.max = max;
+        }
+    }
+
+    for (const [name, values] of Object.entries(profile.groups || {})) {
+        const group = VisualizerGroups[name];
+        if (!group || !values) continue;
+
+        if (Array.isArray(values.weights) && values.weights.length === group.weights.length &&
+            values.weights.every(isNumber)) {
+            for (let i = 0; i < group.weights.length; i++) {
+                group.weights[i] = values.weights[i];
+            }
+        }
+
+        for (const key of ['primaryColor', 'accentColor']) {
+            const color = values[key];
+            if (color && isNumber(color.r) && isNumber(color.g) && isNumber(color.b)) {
+                group[key].r = color.r;
+                group[key].g = color.g;
+                group[key].b = color.b;
+            }
+        }
+    }
+}
+
+// Built-in profile, captured before any user edits
+const DEFAULT_BAND_PROFILE = getBandProfile();
+
+/**
+ * The band profile as a Settings target (schema described in Settings):
+ * every band's range, then every group's weights and colors. The defaults
+ * are the built-in profile, so links and presets carry all edits
+ * @param {Function} onChange - Called after a value is applied
+ * @returns {Object} Settings target
+ */
+function createBandSettings(onChange = () => {}) {
+    const parameters = [];
+    for (const [name, band] of Object.entries(FrequencyBands)) {
+        for (const edge of ['min', 'max']) {
+            parameters.push({
+                key: `${name}.${edge}`, label: `${band.name} ${edge} (Hz)`, type: 'number',
+                min: 1, max: 22050, step: 1, default: DEFAULT_BAND_PROFILE.bands[name][edge], hidden: true
+            });
+        }
+    }
+    for (const [groupName, group] of Object.entries(VisualizerGroups)) {
+        const defaults = DEFAULT_BAND_PROFILE.groups[groupName];
+        group.bands.forEach((bandName, i) => {
+            parameters.push({
+                key: `${groupName}.${bandName}`, label: `${group.name} ${FrequencyBands[bandName].name} weight`,
+                type: 'number', min: 0, max: 2, step: 0.05, default: defaults.weights[i], hidden: true
+            });
+        });
+        for (const key of ['primaryColor', 'accentColor']) {
+            parameters.push({
+                key: `${groupName}.${key}`, label: `${group.name} ${key === 'primaryColor' ? 'primary' : 'accent'}`,
+                type: 'color', default: rgbToHex(defaults[key]), hidden: true
+            });
+        }
+    }
+
+    // 'name.field' -> { name, field }
+    const parse = (key) => {
+        const dot = key.indexOf('.');
+        return { name: key.slice(0, dot), field: key.slice(dot + 1) };
+    };
+
+    return {
+        getParameters: () => parameters,
+
+        getParameter(key) {
+            const { name, field } = parse(key);
+            const band = FrequencyBands[name];
+            if (band && (field === 'min' || field === 'max')) return band[field];
+
+            const group = VisualizerGroups[name];
+            if (!group) return undefined;
+            if (field === 'primaryColor' || field === 'accentColor') return rgbToHex(group[field]);
+            const index = group.bands.indexOf(field);
+            return index >= 0 ? group.weights[index] : undefined;
+        },
+
+        setParameter(key, value) {
+            const { name, field } = parse(key);
+            if (FrequencyBands[name]) {
+                const band = FrequencyBands[name];
+                applyBandProfile({ bands: { [name]: { min: band.min, max: band.max, [field]: value } } });
+            } else if (VisualizerGroups[name]) {
+                const group = VisualizerGroups[name];
+                if (field === 'primaryColor' || field === 'accentColor') {
+                    applyBandProfile({ groups: { [name]: { [field]: hexToRgb(value) } } });
+                } else {
+                    const weights = group.weights.slice();
+                    weights[group.bands.indexOf(field)] = value;
+                    applyBandProfile({ groups: { [name]: { weights } } });
+                }
+            }
+            onChange();
+        }
+    };
+}
@@ -0,0 +1,123 @@
+/**
+ * HarmonicPercussiveSeparator - Median-filtering HPSS (Fitzgerald, 2010)
+ * Harmonic sounds are smooth across time, percussive sounds are smooth
+ * across frequency. Median filtering the spectrogram along each axis
+ * enhances one and suppresses the other; soft masks built from the two
+ * split each new spectrum into harmonic and percussive parts
+ */
+class HarmonicPercussiveSeparator {
+    /**
+     * @param {number} binCount - Spectrum length
+     * @param {number} timeFrames - Frames in the time median (harmonic)
+     * @param {number} freqBins - Bins in the frequency median (percussive), odd
+     */
+    constructor(binCount, timeFrames = 17, freqBins = 17) {
+        this.timeFrames = timeFrames;
+        this.freqBins = freqBins | 1;
+
+        // Mask exponent: higher separates harder
+        this.power = 2;
+
+        this.timeScratch = new Float32Array(timeFrames);
+        this.freqScratch = new Float32Array(this.freqBins);
+        this.resize(binCount);
+    }
+
+    /**
+     * Reallocate for a new spectrum length
+     * @param {number} binCount - Spectrum length
+     */
+    resize(binCount) {
+        this.binCount = binCount;
+
+        // Spectrogram history, one row per frame (circular)
+        this.history = new Float32Array(binCount * this.timeFrames);
+        this.historyIndex = 0;
+        this.historyFilled = 0;
+
+        // Separated spectra (0-255, same scale as the input)
+        this.harmonic = new Float32Array(binCount);
+        this.percussive = new Float32Array(binCount);
+    }
+
+    /**
+     * Forget the spectrogram history
+     */
+    reset() {
+        this.history.fill(0);
+        this.historyIndex = 0;
+        this.historyFilled = 0;
+        this.harmonic.fill(0);
+        this.percussive.fill(0);
+    }
+
+    /**
+     * Separate one spectrum frame
+     * Results are in this.harmonic and this.percussive
+     * @param {Uint8Array|Float32Array} spectrum - Magnitude spectrum
+     */
+    process(spectrum) {
+        if (spectrum.length !== this.binCount) {
+            this.resize(spectrum.length);
+        }
+
+        const bins = this.binCount;
+        const frames = this.timeFrames;
+        const history = this.history;
+
+        history.set(spectrum, this.historyIndex * bins);
+        this.historyIndex = (this.historyIndex + 1) % frames;
+        this.historyFilled = Math.min(this.historyFilled + 1, frames);
+
+        const filled = this.historyFilled;
+        const half = this.freqBins >> 1;
+        const power = this.power;
+
+        for (let i = 0; i < bins; i++) {
+            // Median across time (causal: the last `filled` frames)
+            const timeScratch = this.timeScratch;
+            for (let t = 0; t < filled; t++) {
+                timeScratch[t] = history[t * bins + i];
+            }
+            const h = HarmonicPercussiveSeparator.median(timeScratch, filled);
+
+            // Median across frequency around this bin
+            const freqScratch = this.freqScratch;
+            const start = Math.max(0, i - half);
+            const end = Math.min(bins, i + half + 1);
+            for (let k = start; k < end; k++) {
+                freqScratch[k - start] = spectrum[k];
+            }
+            const p = HarmonicPercussiveSeparator.median(freqScratch, end - start);
+
+            // Soft (Wiener-style) masks
+            const hp = Math.pow(h, power);
+            const pp = Math.pow(p, power);
+            const total = hp + pp;
+            const maskH = total > 0 ? hp / total : 0.5;
+
+            this.harmonic[i] = spectrum[i] * maskH;
+            this.percussive[i] = spectrum[i] * (1 - maskH);
+        }
+    }
+
+    /**
+     * Median of the first `count` values (sorts them in place)
+     * Insertion sort: the windows are small
+     * @param {Float32Array} values - Scratch values
+     * @param {number} count - Number of values to use
+     * @returns {number}
+     */
+    static median(values, count) {
+        for (let i = 1; i < count; i++) {
+            const value = values[i];
+            let j = i - 1;
+            while (j >= 0 && values[j] > value) {
+                values[j + 1] = values[j];
+                j--;
+            }
+            values[j + 1] = value;
+        }
+        return values[count >> 1];
+    }
+}
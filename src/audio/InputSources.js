@@ -0,0 +1,239 @@
+/**
+ * InputSources - Pluggable audio inputs for AudioAnalyzer
+ * Each source wraps a p5.sound object that can be fed to fft.setInput
+ */
+class InputSource {
+    constructor(type, label) {
+        this.type = type;
+        this.label = label;
+        this.isActive = false;
+    }
+
+    /**
+     * Start producing audio
+     * @returns {Promise<boolean>} True if the source started
+     */
+    async start() {
+        return false;
+    }
+
+    /**
+     * Stop producing audio
+     */
+    stop() {
+        this.isActive = false;
+    }
+
+    /**
+     * Get the p5.sound object to analyze
+     * @returns {Object|null} Input for p5.FFT.setInput
+     */
+    getNode() {
+        return null;
+    }
+
+    /**
+     * Whether this source supports play/pause/seek
+     * @returns {boolean}
+     */
+    hasTransport() {
+        return false;
+    }
+
+    /**
+     * Release resources
+     */
+    dispose() {
+        this.stop();
+    }
+}
+
+/**
+ * Live microphone input via p5.AudioIn
+ */
+class MicrophoneSource extends InputSource {
+    constructor() {
+        super('microphone', 'Microphone');
+        this.mic = null;
+    }
+
+    async start() {
+        if (!this.mic) {
+            this.mic = new p5.AudioIn();
+        }
+
+        // p5.AudioIn reports permission errors through callbacks
+        await new Promise((resolve, reject) => this.mic.start(resolve, reject));
+        this.isActive = true;
+        return true;
+    }
+
+    stop() {
+        if (this.mic && this.isActive) {
+            this.mic.stop();
+        }
+        this.isActive = false;
+    }
+
+    getNode() {
+        return this.mic;
+    }
+
+    dispose() {
+        super.dispose();
+        this.mic = null;
+    }
+}
+
+/**
+ * Local audio file playback via p5.SoundFile
+ * Provides transport controls (play/pause/seek/loop)
+ */
+class FileSource extends InputSource {
+    /**
+     * @param {File} file - Audio file selected or dropped by the user
+     */
+    constructor(file) {
+        super('file', file.name);
+        this.file = file;
+        this.sound = null;
+        this.loop = false;
+
+        // Position to resume from when seeking while paused
+        this.pendingSeek = null;
+    }
+
+    /**
+     * Check whether a file looks like a playable audio file
+     * @param {File} file - Candidate file
+     * @returns {boolean}
+     */
+    static isSupported(file) {
+        if (!file) return false;
+        if (file.type && file.type.startsWith('audio/')) return true;
+        return /\.(mp3|wav|ogg|oga|flac)$/i.test(file.name);
+    }
+
+    /**
+     * Decode the file into a p5.SoundFile
+     * @returns {Promise<p5.SoundFile>}
+     */
+    load() {
+        if (this.sound) return Promise.resolve(this.sound);
+
+        return new Promise((resolve, reject) => {
+            loadSound(this.file, (sound) => {
+                this.sound = sound;
+                this.sound.setLoop(this.loop);
+                resolve(sound);
+            }, reject);
+        });
+    }
+
+    async start() {
+        await getAudioContext().resume();
+        await this.load();
+        this.play();
+        this.isActive = true;
+        return true;
+    }
+
+    stop() {
+        if (this.sound) {
+            this.sound.stop();
+        }
+        this.pendingSeek = null;
+        this.isActive = false;
+    }
+
+    getNode() {
+        return this.sound;
+    }
+
+    hasTransport() {
+        return true;
+    }
+
+    /**
+     * Start or resume playback
+     */
+    play() {
+        if (!this.sound || this.sound.isPlaying()) return;
+
+        if (this.pendingSeek !== null) {
+            this.sound.play(0, 1, 1, this.pendingSeek);
+            this.pendingSeek = null;
+        } else {
+            this.sound.play();
+        }
+    }
+
+    /**
+     * Pause playback, keeping the current position
+     */
+    pause() {
+        if (this.sound && this.sound.isPlaying()) {
+            this.sound.pause();
+        }
+    }
+
+    /**
+     * Toggle between playing and paused
+     * @returns {boolean} True if now playing
+     */
+    togglePlay() {
+        if (this.isPlaying()) {
+            this.pause();
+        } else {
+            this.play();
+        }
+        return this.isPlaying();
+    }
+
+    /**
+     * Jump to a position in the file
+     * @param {number} time - Position in seconds
+     */
+    seek(time) {
+        if (!this.sound) return;
+
+        const clamped = Math.max(0, Math.min(time, this.getDuration() - 0.01));
+        if (this.sound.isPlaying()) {
+            this.sound.jump(clamped);
+        } else {
+            this.pendingSeek = clamped;
+        }
+    }
+
+    /**
+     * Enable or disable looping
+     * @param {boolean} loop - Loop state
+     */
+    setLoop(loop) {
+        this.loop = loop;
+        if (this.sound) {
+            this.sound.setLoop(loop);
+        }
+    }
+
+    isPlaying() {
+        return this.sound ? this.sound.isPlaying() : false;
+    }
+
+    getCurrentTime() {
+        if (!this.sound) return 0;
+        return this.pendingSeek !== null ? this.pendingSeek : this.sound.currentTime();
+    }
+
+    getDuration() {
+        return this.sound ? this.sound.duration() : 0;
+    }
+
+    dispose() {
+        super.dispose();
+        if (this.sound) {
+            this.sound.disconnect();
+            this.sound = null;
+        }
+    }
+}
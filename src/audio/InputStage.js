@@ -0,0 +1,233 @@
+/**
+ * InputStage - Calibrated dB spectrum, noise floor and automatic gain control
+ * Converts the analyser's byte spectrum back to dB, subtracts a measured
+ * noise floor, applies a slowly varying gain so quiet and loud inputs land
+ * at the same level, and maps the result onto the usual 0-255 scale
+ */
+class InputStage {
+    /**
+     * @param {number} binCount - Spectrum length
+     */
+    constructor(binCount) {
+        // Analyser dB range: wider than the AnalyserNode default (-100 to -30)
+        // so loud inputs keep headroom for the gain stage instead of clipping
+        this.inputMinDecibels = -100;
+        this.inputMaxDecibels = 0;
+
+        // dB window mapped onto 0-255; the default matches the AnalyserNode
+        // range, so with AGC off the output is the same as before
+        this.outputMaxDecibels = -30;
+        this.outputRange = 70;
+
+        // Automatic gain control
+        this.agcEnabled = true;
+        this.targetLevel = -50; // dB, mean level the gain aims for
+        this.attack = 0.3; // Seconds to follow a louder input
+        this.release = 4; // Seconds to follow a quieter input
+        this.maxGain = 30; // dB either way
+        this.gateLevel = -85; // dB, below this the gain holds
+
+        // Noise floor per bin in dB (null = none)
+        this.noiseFloor = null;
+        this.noiseFloorEnabled = true;
+        this.calibration = null;
+
+        this.gain = 0;
+        this.level = -Infinity;
+        this.lastTime = null;
+
+        this.resize(binCount);
+    }
+
+    /**
+     * Reallocate for a new spectrum length
+     * @param {number} binCount - Spectrum length
+     */
+    resize(binCount) {
+        this.binCount = binCount;
+        this.decibels = new Float32Array(binCount);
+        this.spectrum = new Float32Array(binCount);
+        if (this.noiseFloor && this.noiseFloor.length !== binCount) {
+            this.noiseFloor = null;
+        }
+    }
+
+    /**
+     * Apply settings, ignoring unknown or invalid values
+     * @param {Object} config - { agc, targetLevel, attack, release, maxGain }
+     */
+    configure(config) {
+        const isNumber = (value) => typeof value === 'number' && isFinite(value);
+
+        if (typeof config.agc === 'boolean') this.agcEnabled = config.agc;
+        if (isNumber(config.targetLevel)) this.targetLevel = Math.max(-90, Math.min(-10, config.targetLevel));
+        if (isNumber(config.attack)) this.attack = Math.max(0.01, Math.min(10, config.attack));
+        if (isNumber(config.release)) this.release = Math.max(0.01, Math.min(30, config.release));
+        if (isNumber(config.maxGain)) this.maxGain = Math.max(0, Math.min(60, config.maxGain));
+    }
+
+    /**
+     * Current settings
+     * @returns {Object} { agc, targetLevel, attack, release, maxGain }
+     */
+    getConfig() {
+        return {
+            agc: this.agcEnabled,
+            targetLevel: this.targetLevel,
+            attack: this.attack,
+            release: this.release,
+            maxGain: this.maxGain
+        };
+    }
+
+    /**
+     * Set the dB range of an analyser (p5.FFT or OfflineFFT)
+     * @param {Object} fft - FFT whose byte output this stage will read
+     */
+    configureAnalyser(fft) {
+        const analyser = fft.analyser || fft;
+        analyser.minDecibels = this.inputMinDecibels;
+        analyser.maxDecibels = this.inputMaxDecibels;
+    }
+
+    /**
+     * Forget the gain and level, keeping settings and the noise floor
+     */
+    reset() {
+        this.gain = 0;
+        this.level = -Infinity;
+        this.lastTime = null;
+        this.spectrum.fill(0);
+    }
+
+    /**
+     * Measure the noise floor from the next few seconds of input
+     * Keep the room quiet (no music) while it runs
+     * @param {number} seconds - Measuring time
+     * @returns {Promise<void>} Resolves when the floor is set
+     */
+    calibrate(seconds = 3) {
+        if (this.calibration) {
+            this.calibration.resolve();
+        }
+
+        return new Promise((resolve) => {
+            this.calibration = {
+                remaining: seconds,
+                frames: 0,
+                power: new Float64Array(this.binCount),
+                resolve
+            };
+        });
+    }
+
+    /**
+     * Remove the measured noise floor
+     */
+    clearNoiseFloor() {
+        this.noiseFloor = null;
+    }
+
+    /**
+     * @returns {boolean} True while calibrate() is measuring
+     */
+    isCalibrating() {
+        return this.calibration !== null;
+    }
+
+    /**
+     * Condition one spectrum frame
+     * @param {Uint8Array} bytes - Analyser byte spectrum (input dB range)
+     * @param {number} time - Current time in seconds
+     * @returns {Float32Array} Conditioned spectrum (0-255)
+     */
+    process(bytes, time) {
+        if (bytes.length !== this.binCount) {
+            this.resize(bytes.length);
+        }
+
+        const delta = this.lastTime === null ? 0 : Math.max(0, Math.min(0.25, time - this.lastTime));
+        this.lastTime = time;
+
+        const decibels = this.decibels;
+        const inputRange = this.inputMaxDecibels - this.inputMinDecibels;
+        for (let i = 0; i < bytes.length; i++) {
+            // Byte 0 is "at or below the minimum"
+            decibels[i] = bytes[i] > 0 ? this.inputMinDecibels + (bytes[i] / 255) * inputRange : -Infinity;
+        }
+
+        if (this.calibration) {
+            this._accumulateCalibration(delta);
+        }
+
+        // Subtract the floor in the power domain
+        const floor = this.noiseFloorEnabled ? this.noiseFloor : null;
+        if (floor) {
+            for (let i = 0; i < decibels.length; i++) {
+                const power = Math.pow(10, decibels[i] / 10) - Math.pow(10, floor[i] / 10);
+                decibels[i] = power > 0 ? 10 * Math.log10(power) : -Infinity;
+            }
+        }
+
+        // Mean power over the spectrum
+        let sum = 0;
+        for (let i = 0; i < decibels.length; i++) {
+            sum += Math.pow(10, decibels[i] / 10);
+        }
+        this.level = sum > 0 ? 10 * Math.log10(sum / decibels.length) : -Infinity;
+
+        if (this.agcEnabled) {
+            this._updateGain(delta);
+        } else {
+            this.gain = 0;
+        }
+
+        const outputMin = this.outputMaxDecibels - this.outputRange;
+        const scale = 255 / this.outputRange;
+        const spectrum = this.spectrum;
+        for (let i = 0; i < decibels.length; i++) {
+            const value = (decibels[i] + this.gain - outputMin) * scale;
+            spectrum[i] = value > 0 ? (value < 255 ? value : 255) : 0;
+        }
+
+        return spectrum;
+    }
+
+    /**
+     * Move the gain toward the target with attack/release smoothing
+     * @private
+     */
+    _updateGain(delta) {
+        // Don't pump up silence or a noise floor
+        if (!(this.level > this.gateLevel) || delta === 0) return;
+
+        const target = Math.max(-this.maxGain, Math.min(this.maxGain, this.targetLevel - this.level));
+        const time = target < this.gain ? this.attack : this.release;
+        this.gain += (target - this.gain) * (1 - Math.exp(-delta / time));
+    }
+
+    /**
+     * @private
+     */
+    _accumulateCalibration(delta) {
+        const calibration = this.calibration;
+        const decibels = this.decibels;
+        for (let i = 0; i < decibels.length; i++) {
+            calibration.power[i] += Math.pow(10, decibels[i] / 10);
+        }
+        calibration.frames++;
+        calibration.remaining -= delta;
+
+        if (calibration.remaining <= 0) {
+            // Mean noise power plus a small margin
+            const floor = new Float32Array(decibels.length);
+            for (let i = 0; i < floor.length; i++) {
+                const power = calibration.power[i] / calibration.frames;
+                floor[i] = power > 0 ? 10 * Math.log10(power) + 3 : -Infinity;
+            }
+            this.noiseFloor = floor;
+            this.calibration = null;
+            calibration.resolve();
+        }
+    }
+}
@@ -0,0 +1,188 @@
+/**
+ * OfflineFFT - Frame-accurate FFT over a decoded AudioBuffer
+ * Mirrors p5.FFT / AnalyserNode output (Blackman window, temporal smoothing,
+ * byte dB scaling) so AudioAnalyzer sees the same data it does live
+ */
+class OfflineFFT {
+    /**
+     * @param {AudioBuffer} buffer - Decoded audio
+     * @param {number} smoothing - Smoothing time constant (0-1), like p5.FFT
+     * @param {number} bins - Number of frequency bins, like p5.FFT
+     */
+    constructor(buffer, smoothing = 0.8, bins = 1024) {
+        this.sampleRate = buffer.sampleRate;
+        this.smoothing = smoothing;
+        this.bins = bins;
+        this.size = bins * 2; // AnalyserNode fftSize
+        this.duration = buffer.duration;
+
+        // AnalyserNode defaults used by p5.FFT
+        this.minDecibels = -100;
+        this.maxDecibels = -30;
+
+        this.samples = OfflineFFT.mixToMono(buffer);
+
+        // Pre-allocated working buffers
+        this.window = OfflineFFT.blackmanWindow(this.size);
+        this.reversed = OfflineFFT.bitReversal(this.size);
+        this.real = new Float32Array(this.size);
+        this.imag = new Float32Array(this.size);
+        this.smoothed = new Float32Array(bins);
+        this.spectrum = new Uint8Array(bins);
+        this.timeDomain = new Float32Array(bins);
+
+        this.position = 0;
+        this.isDirty = true;
+    }
+
+    /**
+     * Average all channels into one
+     * @param {AudioBuffer} buffer - Decoded audio
+     * @returns {Float32Array} Mono samples
+     */
+    static mixToMono(buffer) {
+        const mono = new Float32Array(buffer.length);
+        for (let c = 0; c < buffer.numberOfChannels; c++) {
+            const data = buffer.getChannelData(c);
+            for (let i = 0; i < buffer.length; i++) {
+                mono[i] += data[i] / buffer.numberOfChannels;
+            }
+        }
+        return mono;
+    }
+
+    /**
+     * Blackman window (alpha = 0.16), as specified for AnalyserNode
+     * @param {number} size - Window length
+     * @returns {Float32Array}
+     */
+    static blackmanWindow(size) {
+        const window = new Float32Array(size);
+        for (let i = 0; i < size; i++) {
+            const x = (2 * Math.PI * i) / size;
+            window[i] = 0.42 - 0.5 * Math.cos(x) + 0.08 * Math.cos(2 * x);
+        }
+        return window;
+    }
+
+    /**
+     * Bit reversal table for the radix-2 FFT
+     * @param {number} size - Transform length (a power of two)
+     * @returns {Uint32Array} Index at which to store each input sample
+     */
+    static bitReversal(size) {
+        const reversed = new Uint32Array(size);
+        const bits = Math.log2(size);
+        for (let i = 0; i < size; i++) {
+            let r = 0;
+            for (let b = 0; b < bits; b++) {
+                r = (r << 1) | ((i >> b) & 1);
+            }
+            reversed[i] = r;
+        }
+        return reversed;
+    }
+
+    /**
+     * In-place iterative radix-2 FFT on bit-reversed input
+     * @param {Float32Array} real - Real parts
+     * @param {Float32Array} imag - Imaginary parts
+     */
+    static transform(real, imag) {
+        const n = real.length;
+
+        for (let len = 2; len <= n; len <<= 1) {
+            const half = len >> 1;
+            const angle = (-2 * Math.PI) / len;
+            const stepRe = Math.cos(angle);
+            const stepIm = Math.sin(angle);
+
+            for (let i = 0; i < n; i += len) {
+                let wRe = 1;
+                let wIm = 0;
+
+                for (let j = 0; j < half; j++) {
+                    const a = i + j;
+                    const b = a + half;
+                    const tRe = real[b] * wRe - imag[b] * wIm;
+                    const tIm = real[b] * wIm + imag[b] * wRe;
+
+                    real[b] = real[a] - tRe;
+                    imag[b] = imag[a] - tIm;
+                    real[a] += tRe;
+                    imag[a] += tIm;
+
+                    const nextRe = wRe * stepRe - wIm * stepIm;
+                    wIm = wRe * stepIm + wIm * stepRe;
+                    wRe = nextRe;
+                }
+            }
+        }
+    }
+
+    /**
+     * Move the analysis window so it ends at the given time
+     * Frames must be visited in order for smoothing to match real time
+     * @param {number} time - Time in seconds
+     */
+    setTime(time) {
+        this.position = Math.round(time * this.sampleRate);
+        this.isDirty = true;
+    }
+
+    /**
+     * Present for interface compatibility with p5.FFT
+     */
+    setInput() {}
+
+    /**
+     * Frequency spectrum at the current position
+     * @returns {Uint8Array} Byte magnitudes (0-255), one per bin
+     */
+    analyze() {
+        if (this.isDirty) {
+            this._compute();
+            this.isDirty = false;
+        }
+        return this.spectrum;
+    }
+
+    /**
+     * Most recent samples at the current position
+     * @returns {Float32Array} Samples (-1 to 1)
+     */
+    waveform() {
+        const start = this.position - this.bins;
+        for (let i = 0; i < this.bins; i++) {
+            const index = start + i;
+            this.timeDomain[i] = index >= 0 && index < this.samples.length ? this.samples[index] : 0;
+        }
+        return this.timeDomain;
+    }
+
+    /**
+     * Window, transform and scale one frame
+     * @private
+     */
+    _compute() {
+        const start = this.position - this.size;
+        for (let i = 0; i < this.size; i++) {
+            const index = start + i;
+            const sample = index >= 0 && index < this.samples.length ? this.samples[index] : 0;
+            this.real[this.reversed[i]] = sample * this.window[i];
+            this.imag[this.reversed[i]] = 0;
+        }
+
+        OfflineFFT.transform(this.real, this.imag);
+
+        const range = this.maxDecibels - this.minDecibels;
+        for (let k = 0; k < this.bins; k++) {
+            const magnitude = Math.hypot(this.real[k], this.imag[k]) / this.size;
+            this.smoothed[k] = this.smoothing * this.smoothed[k] + (1 - this.smoothing) * magnitude;
+
+            const db = this.smoothed[k] > 0 ? 20 * Math.log10(this.smoothed[k]) : -Infinity;
+            const scaled = Math.floor((255 / range) * (db - this.minDecibels));
+            this.spectrum[k] = Math.max(0, Math.min(255, scaled));
+        }
+    }
+}
@@ -0,0 +1,155 @@
+/**
+ * PitchDetector - Monophonic pitch tracking with YIN (de Cheveigné & Kawahara, 2002)
+ * Finds the fundamental frequency of the waveform from the cumulative mean
+ * normalized difference function; the depth of its dip is the voicing confidence
+ */
+
+// Note names by pitch class
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+class PitchDetector {
+    /**
+     * @param {Object} options - { minFrequency, maxFrequency, threshold, minRms }
+     */
+    constructor(options = {}) {
+        // Vocal range, roughly F#2 to C6; periods longer than half the
+        // waveform (86 Hz for 1024 samples at 44.1 kHz) can't be measured
+        this.minFrequency = options.minFrequency || 90;
+        this.maxFrequency = options.maxFrequency || 1050;
+
+        // Dip depth that counts as periodic (lower is stricter)
+        this.threshold = options.threshold || 0.15;
+
+        // Quieter frames are unvoiced
+        this.minRms = options.minRms || 0.01;
+
+        this.difference = null;
+
+        // Result, reused every frame
+        this.pitch = {
+            frequency: 0,
+            midi: 0,
+            note: '',
+            cents: 0,
+            confidence: 0,
+            voiced: false
+        };
+    }
+
+    /**
+     * Fractional MIDI note number of a frequency (A4 = 440 Hz = 69)
+     * @param {number} frequency - Frequency in Hz
+     * @returns {number}
+     */
+    static frequencyToMidi(frequency) {
+        return 69 + 12 * Math.log2(frequency / 440);
+    }
+
+    /**
+     * Name of a MIDI note, e.g. 69 -> 'A4'
+     * @param {number} midi - Integer MIDI note number
+     * @returns {string}
+     */
+    static noteName(midi) {
+        return NOTE_NAMES[((midi % 12) + 12) % 12] + (Math.floor(midi / 12) - 1);
+    }
+
+    /**
+     * Forget the last result
+     */
+    reset() {
+        const pitch = this.pitch;
+        pitch.frequency = 0;
+        pitch.midi = 0;
+        pitch.note = '';
+        pitch.cents = 0;
+        pitch.confidence = 0;
+        pitch.voiced = false;
+    }
+
+    /**
+     * Estimate the pitch of one waveform frame
+     * @param {Float32Array} samples - Time-domain samples (-1 to 1)
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Object} { frequency, midi, note, cents, confidence, voiced }
+     */
+    process(samples, sampleRate) {
+        const pitch = this.pitch;
+        const window = samples.length >> 1;
+        const minTau = Math.max(2, Math.floor(sampleRate / this.maxFrequency));
+        const maxTau = Math.min(window, Math.ceil(sampleRate / this.minFrequency));
+
+        let energy = 0;
+        for (let i = 0; i < samples.length; i++) {
+            energy += samples[i] * samples[i];
+        }
+
+        if (maxTau <= minTau || Math.sqrt(energy / samples.length) < this.minRms) {
+            pitch.confidence = 0;
+            pitch.voiced = false;
+            return pitch;
+        }
+
+        if (!this.difference || this.difference.length !== maxTau + 1) {
+            this.difference = new Float32Array(maxTau + 1);
+        }
+        const d = this.difference;
+
+        // Difference function, then cumulative mean normalization in place
+        d[0] = 1;
+        let runningSum = 0;
+        for (let tau = 1; tau <= maxTau; tau++) {
+            let sum = 0;
+            for (let j = 0; j < window; j++) {
+                const delta = samples[j] - samples[j + tau];
+                sum += delta * delta;
+            }
+            runningSum += sum;
+            d[tau] = runningSum > 0 ? sum * tau / runningSum : 1;
+        }
+
+        // First dip below the threshold, followed down to its minimum;
+        // otherwise the deepest dip (reported as unvoiced)
+        let best = -1;
+        for (let tau = minTau; tau <= maxTau; tau++) {
+            if (d[tau] < this.threshold) {
+                while (tau + 1 <= maxTau && d[tau + 1] < d[tau]) tau++;
+                best = tau;
+                break;
+            }
+        }
+        if (best === -1) {
+            best = minTau;
+            for (let tau = minTau + 1; tau <= maxTau; tau++) {
+                if (d[tau] < d[best]) best = tau;
+            }
+        }
+
+        // Parabolic interpolation around the dip
+        let period = best;
+        if (best > minTau && best < maxTau) {
+            const a = d[best - 1];
+            const b = d[best];
+            const c = d[best + 1];
+            const denominator = a - 2 * b + c;
+            if (denominator > 0) {
+                period = best + 0.5 * (a - c) / denominator;
+            }
+        }
+
+        pitch.confidence = Math.max(0, Math.min(1, 1 - d[best]));
+        pitch.voiced = d[best] < this.threshold;
+
+        // Keep the last voiced note so displays can hold it through gaps
+        if (pitch.voiced) {
+            const midi = PitchDetector.frequencyToMidi(sampleRate / period);
+            const note = Math.round(midi);
+            pitch.frequency = sampleRate / period;
+            pitch.midi = midi;
+            pitch.note = PitchDetector.noteName(note);
+            pitch.cents = Math.round((midi - note) * 100);
+        }
+
+        return pitch;
+    }
+}
@@ -0,0 +1,279 @@
+/**
+ * StereoAnalyzer - Left/right balance and stereo width per group
+ * Splits the input into its two channels, analyzes each with its own
+ * AnalyserNode and compares their spectra over each group's frequency range:
+ * pan from the level difference, width from the side (L-R) part of the mix.
+ * Mono inputs are upmixed to both channels and read as centered and narrow
+ */
+
+class StereoAnalyzer {
+    /**
+     * @param {number} bins - Number of frequency bins, like p5.FFT
+     * @param {number} scopeSize - Samples per channel kept for the goniometer
+     */
+    constructor(bins = 1024, scopeSize = 256) {
+        this.bins = bins;
+        this.size = bins * 2; // AnalyserNode fftSize
+        this.enabled = false;
+
+        // Temporal smoothing of pan and width (0-1), like an AnalyserNode
+        this.smoothing = 0.8;
+
+        // Web Audio graph, built on the first connect()
+        this.input = null;
+        this.splitter = null;
+        this.analysers = null;
+        this.sourceNode = null;
+
+        // Decoded channels while analyzing offline, positioned by the OfflineFFT
+        this.offline = null;
+
+        this.groupBinRanges = null;
+
+        // Pre-allocated working buffers
+        this.window = OfflineFFT.blackmanWindow(this.size);
+        this.reversed = OfflineFFT.bitReversal(this.size);
+        this.samples = [new Float32Array(this.size), new Float32Array(this.size)];
+        this.real = [new Float32Array(this.size), new Float32Array(this.size)];
+        this.imag = [new Float32Array(this.size), new Float32Array(this.size)];
+
+        // Cached result to avoid allocation
+        this.stereo = StereoAnalyzer.createStereo(scopeSize);
+    }
+
+    /**
+     * A centered, silent stereo field; also used by analyzers without stereo
+     * Pan: -1 (left) to 1 (right); width: 0 (mono), 0.5 (uncorrelated),
+     * 1 (out of phase); correlation: 1 (mono) to -1 (out of phase);
+     * left/right: the most recent samples, decimated to scopeSize
+     * @param {number} scopeSize - Samples per channel
+     * @returns {Object} { enabled, correlation, left, right, bands: { drums: { pan, width }, ... } }
+     */
+    static createStereo(scopeSize = 256) {
+        return {
+            enabled: false,
+            correlation: 1,
+            left: new Float32Array(scopeSize),
+            right: new Float32Array(scopeSize),
+            bands: {
+                drums: { pan: 0, width: 0 },
+                vocals: { pan: 0, width: 0 },
+                bass: { pan: 0, width: 0 },
+                highs: { pan: 0, width: 0 }
+            }
+        };
+    }
+
+    /**
+     * Use the analyzer's group bin ranges
+     * @param {Object} groupBinRanges - Group key to { start, end }
+     */
+    configure(groupBinRanges) {
+        this.groupBinRanges = groupBinRanges;
+    }
+
+    /**
+     * Analyze a p5.sound source (p5.SoundFile, p5.AudioIn)
+     * @param {Object} node - p5.sound object or AudioNode
+     */
+    connect(node) {
+        if (!this.input) {
+            this._createGraph(getAudioContext());
+        }
+
+        this.disconnect();
+        const output = node && (node.output || node);
+        if (output && output.connect) {
+            output.connect(this.input);
+            this.sourceNode = output;
+        }
+    }
+
+    /**
+     * Stop analyzing the connected source
+     */
+    disconnect() {
+        if (!this.sourceNode) return;
+
+        try {
+            this.sourceNode.disconnect(this.input);
+        } catch (error) {
+            // Already disconnected, e.g. by the source's own dispose()
+        }
+        this.sourceNode = null;
+    }
+
+    /**
+     * Read the channels of a decoded buffer instead of the live input
+     * @param {AudioBuffer} buffer - Decoded audio
+     * @param {OfflineFFT} fft - FFT whose position this follows
+     */
+    beginOffline(buffer, fft) {
+        const left = buffer.getChannelData(0);
+        const right = buffer.numberOfChannels > 1 ? buffer.getChannelData(1) : left;
+        this.offline = { left, right, fft };
+        this.reset();
+    }
+
+    /**
+     * Return to the live input after beginOffline()
+     */
+    endOffline() {
+        this.offline = null;
+        this.reset();
+    }
+
+    /**
+     * Center all groups and clear the scope
+     */
+    reset() {
+        this.stereo.correlation = 1;
+        this.stereo.left.fill(0);
+        this.stereo.right.fill(0);
+        for (const band of Object.values(this.stereo.bands)) {
+            band.pan = 0;
+            band.width = 0;
+        }
+    }
+
+    /**
+     * Analyze one frame
+     * @returns {Object} { enabled, correlation, left, right, bands: { drums: { pan, width }, ... } }
+     */
+    process() {
+        this.stereo.enabled = this.enabled;
+        if (!this.enabled || !this.groupBinRanges || !this._readSamples()) {
+            return this.stereo;
+        }
+
+        this._updateScope();
+
+        for (let c = 0; c < 2; c++) {
+            const samples = this.samples[c];
+            const real = this.real[c];
+            const imag = this.imag[c];
+            for (let i = 0; i < this.size; i++) {
+                real[this.reversed[i]] = samples[i] * this.window[i];
+                imag[this.reversed[i]] = 0;
+            }
+            OfflineFFT.transform(real, imag);
+        }
+
+        for (const [group, range] of Object.entries(this.groupBinRanges)) {
+            const band = this.stereo.bands[group];
+            if (band) this._updateBand(band, range);
+        }
+
+        return this.stereo;
+    }
+
+    /**
+     * @private
+     */
+    _createGraph(context) {
+        // Two explicit channels: mono sources are copied to both sides
+        this.input = context.createGain();
+        this.input.channelCount = 2;
+        this.input.channelCountMode = 'explicit';
+        this.input.channelInterpretation = 'speakers';
+
+        this.splitter = context.createChannelSplitter(2);
+        this.input.connect(this.splitter);
+
+        this.analysers = [0, 1].map((channel) => {
+            const analyser = context.createAnalyser();
+            analyser.fftSize = this.size;
+            this.splitter.connect(analyser, channel);
+            return analyser;
+        });
+    }
+
+    /**
+     * Fill the sample buffers from the analysers or the offline buffer
+     * @private
+     * @returns {boolean} False if there is nothing to read
+     */
+    _readSamples() {
+        if (this.offline) {
+            const channels = [this.offline.left, this.offline.right];
+            const start = this.offline.fft.position - this.size;
+            for (let c = 0; c < 2; c++) {
+                const data = channels[c];
+                const samples = this.samples[c];
+                for (let i = 0; i < this.size; i++) {
+                    const index = start + i;
+                    samples[i] = index >= 0 && index < data.length ? data[index] : 0;
+                }
+            }
+            return true;
+        }
+
+        if (!this.sourceNode) return false;
+        this.analysers[0].getFloatTimeDomainData(this.samples[0]);
+        this.analysers[1].getFloatTimeDomainData(this.samples[1]);
+        return true;
+    }
+
+    /**
+     * Decimate the latest samples for the goniometer and correlate the channels
+     * @private
+     */
+    _updateScope() {
+        const [left, right] = this.samples;
+        const scopeSize = this.stereo.left.length;
+        const step = Math.max(1, Math.floor(this.size / scopeSize));
+        const start = this.size - step * scopeSize;
+
+        for (let i = 0; i < scopeSize; i++) {
+            this.stereo.left[i] = left[start + i * step];
+            this.stereo.right[i] = right[start + i * step];
+        }
+
+        let lr = 0;
+        let ll = 0;
+        let rr = 0;
+        for (let i = 0; i < this.size; i++) {
+            lr += left[i] * right[i];
+            ll += left[i] * left[i];
+            rr += right[i] * right[i];
+        }
+
+        const target = ll > 0 && rr > 0 ? lr / Math.sqrt(ll * rr) : 1;
+        this.stereo.correlation = this.smoothing * this.stereo.correlation + (1 - this.smoothing) * target;
+    }
+
+    /**
+     * Pan and width over one group's bins, smoothed
+     * @private
+     */
+    _updateBand(band, range) {
+        const [leftRe, rightRe] = this.real;
+        const [leftIm, rightIm] = this.imag;
+        const end = Math.min(range.end, this.bins);
+
+        let leftPower = 0;
+        let rightPower = 0;
+        let midPower = 0;
+        let sidePower = 0;
+
+        for (let k = range.start; k < end; k++) {
+            leftPower += leftRe[k] * leftRe[k] + leftIm[k] * leftIm[k];
+            rightPower += rightRe[k] * rightRe[k] + rightIm[k] * rightIm[k];
+
+            const midRe = leftRe[k] + rightRe[k];
+            const midIm = leftIm[k] + rightIm[k];
+            const sideRe = leftRe[k] - rightRe[k];
+            const sideIm = leftIm[k] - rightIm[k];
+            midPower += midRe * midRe + midIm * midIm;
+            sidePower += sideRe * sideRe + sideIm * sideIm;
+        }
+
+        // Silence drifts back to the center rather than holding the last pan
+        const total = leftPower + rightPower;
+        const pan = total > 1e-9 ? (rightPower - leftPower) / total : 0;
+        const width = midPower + sidePower > 1e-9 ? sidePower / (midPower + sidePower) : 0;
+
+        band.pan = this.smoothing * band.pan + (1 - this.smoothing) * pan;
+        band.width = this.smoothing * band.width + (1 - this.smoothing) * width;
+    }
+}
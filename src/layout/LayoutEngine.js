@@ -0,0 +1,483 @@
+/**
+ * LayoutEngine - Arranges visualizers on the canvas
+ * Presets compute a slot (bounds, opacity, z-order, blend mode) per
+ * visualizer; changes between layouts are animated. Only visible
+ * visualizers are arranged, so hiding one gives its space to the others.
+ * The grid size and the per-visualizer overrides are settings (scope
+ * 'layout'), so presets, links and cues keep them with the layout.
+ */
+
+/**
+ * Layout presets
+ * arrange(ids, area, options) returns { [id]: slot } where a slot is
+ * { x, y, width, height, opacity, zIndex, blendMode, labelOffset }
+ */
+const LayoutPresets = {
+    grid: {
+        name: 'Grid',
+        // options.cols / options.rows fix an N×M grid; extra visualizers are hidden
+        arrange(ids, area, options) {
+            const cols = options.cols || Math.ceil(Math.sqrt(ids.length));
+            const rows = options.rows || Math.ceil(ids.length / cols);
+            const cellWidth = (area.width - area.padding * (cols + 1)) / cols;
+            const cellHeight = (area.height - area.padding * (rows + 1)) / rows;
+
+            const slots = {};
+            ids.forEach((id, i) => {
+                const col = i % cols;
+                const row = Math.min(Math.floor(i / cols), rows - 1);
+                slots[id] = createSlot(
+                    area.padding + col * (cellWidth + area.padding),
+                    area.padding + row * (cellHeight + area.padding),
+                    cellWidth,
+                    cellHeight,
+                    i < cols * rows ? 1 : 0
+                );
+            });
+            return slots;
+        }
+    },
+
+    featured: {
+        name: 'Featured',
+        // options.featured picks the large visualizer (default: first)
+        arrange(ids, area, options) {
+            const featured = ids.includes(options.featured) ? options.featured : ids[0];
+            const others = ids.filter(id => id !== featured);
+            const { padding } = area;
+
+            const slots = {};
+            if (others.length === 0) {
+                slots[featured] = createSlot(padding, padding, area.width - padding * 2, area.height - padding * 2);
+                return slots;
+            }
+
+            const stripWidth = Math.max(160, (area.width - padding * 3) * 0.25);
+            const mainWidth = area.width - padding * 3 - stripWidth;
+            slots[featured] = createSlot(padding, padding, mainWidth, area.height - padding * 2);
+
+            const cellHeight = (area.height - padding * (others.length + 1)) / others.length;
+            others.forEach((id, i) => {
+                slots[id] = createSlot(
+                    padding * 2 + mainWidth,
+                    padding + i * (cellHeight + padding),
+                    stripWidth,
+                    cellHeight
+                );
+            });
+            return slots;
+        }
+    },
+
+    focus: {
+        name: 'Focus',
+        // options.focus picks the visualizer that fills the canvas (default: first)
+        arrange(ids, area, options) {
+            const focus = ids.includes(options.focus) ? options.focus : ids[0];
+            const slots = {};
+            for (const id of ids) {
+                slots[id] = createSlot(0, 0, area.width, area.height, id === focus ? 1 : 0);
+            }
+            return slots;
+        }
+    },
+
+    overlay: {
+        name: 'Overlay',
+        // All visualizers share the canvas; options.blendMode is any canvas
+        // globalCompositeOperation (default: screen)
+        arrange(ids, area, options) {
+            const slots = {};
+            ids.forEach((id, i) => {
+                const slot = createSlot(0, 0, area.width, area.height, 0.85);
+                slot.zIndex = i;
+                slot.blendMode = options.blendMode || 'screen';
+                slot.labelOffset = i * 35;
+                slots[id] = slot;
+            });
+            return slots;
+        }
+    }
+};
+
+/**
+ * @returns {Object} Slot with default z-order and blending
+ */
+function createSlot(x, y, width, height, opacity = 1) {
+    return { x, y, width, height, opacity, zIndex: 0, blendMode: 'source-over', labelOffset: 0 };
+}
+
+/**
+ * Per-visualizer overrides, one pair per preset and visualizer; null keeps
+ * the preset's value
+ */
+const LayoutOverrideFields = [
+    { key: 'zIndex', label: 'layer', type: 'integer', min: -10, max: 10, step: 1 },
+    { key: 'opacity', label: 'opacity', type: 'number', min: 0, max: 1, step: 0.05 }
+];
+
+class LayoutEngine {
+    /**
+     * @param {Object} options - { padding, transitionTime (ms) }
+     */
+    constructor(options = {}) {
+        this.padding = options.padding !== undefined ? options.padding : 20;
+        this.transitionTime = options.transitionTime !== undefined ? options.transitionTime : 400;
+
+        this.presetName = 'grid';
+        this.presetOptions = {};
+
+        // Fixed grid size (0 = fit the visible visualizers)
+        this.gridCols = 0;
+        this.gridRows = 0;
+
+        // Per-preset, per-visualizer { zIndex, opacity } overrides
+        this.overrides = {};
+
+        // Layout to go back to when un-maximizing
+        this.restoreLayout = null;
+
+        this.visualizers = {};
+        this.area = { width: 0, height: 0, padding: this.padding };
+
+        // Current (possibly mid-transition) slots and the transition in progress
+        this.slots = {};
+        this.transition = null;
+
+        // Whether each visualizer was visible when last arranged
+        this.arranged = {};
+
+        // Visualizers by slot z-order, re-sorted when the slots are retargeted
+        this.drawOrder = [];
+        this.compareZIndex = (a, b) => this.slots[a.id].zIndex - this.slots[b.id].zIndex;
+
+        // Parameter schema, rebuilt when the visualizers change
+        this.parameters = null;
+    }
+
+    /**
+     * Set the visualizers and canvas size to lay out
+     * @param {Object} visualizers - { id: BaseVisualizer }
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     * @param {boolean} animate - Animate into place instead of jumping
+     */
+    layout(visualizers, width, height, animate = false) {
+        this.visualizers = visualizers;
+        this.area = { width, height, padding: this.padding };
+        this._retarget(animate);
+    }
+
+    /**
+     * Switch to a preset
+     * @param {string} name - Key of LayoutPresets
+     * @param {Object} options - Preset options (cols, rows, featured, focus, blendMode)
+     * @param {boolean} animate - Animate the change
+     */
+    setLayout(name, options = {}, animate = true) {
+        if (!LayoutPresets[name]) {
+            console.warn(`Unknown layout "${name}"`);
+            return;
+        }
+
+        this.presetName = name;
+        this.presetOptions = options;
+        this.restoreLayout = null;
+        this._retarget(animate);
+    }
+
+    /**
+     * Advance to the next preset
+     * @returns {string} New preset name
+     */
+    cycleLayout() {
+        const names = Object.keys(LayoutPresets);
+        const next = names[(names.indexOf(this.presetName) + 1) % names.length];
+        this.setLayout(next);
+        return next;
+    }
+
+    /**
+     * Fill the canvas with one visualizer, or go back to the previous layout
+     * if it is already maximized
+     * @param {string} id - Visualizer id
+     */
+    toggleMaximize(id) {
+        if (!id) return;
+
+        if (this.restoreLayout && this.presetOptions.focus === id) {
+            const { name, options } = this.restoreLayout;
+            this.setLayout(name, options);
+            return;
+        }
+
+        const restore = this.restoreLayout || { name: this.presetName, options: this.presetOptions };
+        this.setLayout('focus', { focus: id });
+        this.restoreLayout = restore;
+    }
+
+    /**
+     * Override a visualizer's z-order in the current preset
+     * @param {string} id - Visualizer id
+     * @param {number} zIndex - Higher draws on top
+     */
+    setZIndex(id, zIndex) {
+        this.setParameter(`${this.presetName}.${id}.zIndex`, zIndex);
+    }
+
+    /**
+     * Override a visualizer's opacity in the current preset
+     * @param {string} id - Visualizer id
+     * @param {number} opacity - 0-1
+     */
+    setOpacity(id, opacity) {
+        this.setParameter(`${this.presetName}.${id}.opacity`, opacity === null ? null : Math.max(0, Math.min(1, opacity)));
+    }
+
+    /**
+     * Parameter schema for Settings: the grid size, then an override of
+     * each visualizer's layer and opacity in every preset (edited in the
+     * LayoutPanel, hidden from the settings panel)
+     * @returns {Array}
+     */
+    getParameters() {
+        const ids = Object.keys(this.visualizers);
+        if (this.parameters && this.parameters.ids === ids.join(',')) return this.parameters.list;
+
+        const parameters = [
+            { key: 'gridCols', label: 'Grid columns (0 = auto)', type: 'integer', min: 0, max: 8, step: 1, default: 0 },
+            { key: 'gridRows', label: 'Grid rows (0 = auto)', type: 'integer', min: 0, max: 8, step: 1, default: 0 }
+        ];
+        for (const [name, preset] of Object.entries(LayoutPresets)) {
+            for (const id of ids) {
+                for (const field of LayoutOverrideFields) {
+                    parameters.push({
+                        ...field,
+                        key: `${name}.${id}.${field.key}`,
+                        label: `${preset.name} ${id} ${field.label}`,
+                        default: null,
+                        optional: true,
+                        hidden: true
+                    });
+                }
+            }
+        }
+
+        this.parameters = { ids: ids.join(','), list: parameters };
+        return parameters;
+    }
+
+    /**
+     * @param {string} key - Parameter key
+     * @returns {*} Current value (null for an unset override)
+     */
+    getParameter(key) {
+        const field = this._parseOverrideKey(key);
+        if (!field) return this[key];
+
+        const override = this.overrides[field.name] && this.overrides[field.name][field.id];
+        return override && field.key in override ? override[field.key] : null;
+    }
+
+    /**
+     * @param {string} key - Parameter key
+     * @param {*} value - Valid value for the parameter (null clears an override)
+     */
+    setParameter(key, value) {
+        const field = this._parseOverrideKey(key);
+        if (!field) {
+            this[key] = value;
+            if (this.presetName === 'grid') this._retarget(true);
+            return;
+        }
+
+        const presetOverrides = this.overrides[field.name] || (this.overrides[field.name] = {});
+        const override = presetOverrides[field.id] || (presetOverrides[field.id] = {});
+        if (value === null) {
+            delete override[field.key];
+        } else {
+            override[field.key] = value;
+        }
+        if (field.name === this.presetName) this._retarget(false);
+    }
+
+    /**
+     * Step the transition and apply slots to the visualizers
+     * Call this once per frame
+     * @param {number} deltaTime - Time since last frame in ms
+     */
+    update(deltaTime) {
+        // Re-flow when a visualizer is shown or hidden
+        if (this._visibilityChanged()) {
+            this._retarget(true);
+        }
+
+        const transition = this.transition;
+        if (!transition) return;
+
+        transition.elapsed += deltaTime;
+        const t = Math.min(1, transition.elapsed / this.transitionTime);
+        // Ease in-out cubic
+        const eased = t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+
+        for (const [id, to] of Object.entries(transition.to)) {
+            const from = transition.from[id];
+            const slot = this.slots[id];
+            slot.x = from.x + (to.x - from.x) * eased;
+            slot.y = from.y + (to.y - from.y) * eased;
+            slot.width = from.width + (to.width - from.width) * eased;
+            slot.height = from.height + (to.height - from.height) * eased;
+            slot.opacity = from.opacity + (to.opacity - from.opacity) * eased;
+        }
+
+        if (t >= 1) {
+            this.transition = null;
+        }
+        this._applySlots();
+    }
+
+    /**
+     * Visualizers in draw order (lowest z first)
+     * The array is reused; don't modify it
+     * @returns {BaseVisualizer[]}
+     */
+    getDrawOrder() {
+        return this.drawOrder;
+    }
+
+    /**
+     * Topmost visible visualizer at a canvas position
+     * @param {number} x - Canvas X
+     * @param {number} y - Canvas Y
+     * @returns {string|null} Visualizer id
+     */
+    visualizerAt(x, y) {
+        const order = this.getDrawOrder();
+        for (let i = order.length - 1; i >= 0; i--) {
+            const viz = order[i];
+            if (!viz.enabled || viz.opacity <= 0) continue;
+            if (x >= viz.x && x <= viz.x + viz.width && y >= viz.y && y <= viz.y + viz.height) {
+                return viz.id;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Display name of the current layout
+     * @returns {string}
+     */
+    getLayoutName() {
+        return LayoutPresets[this.presetName].name;
+    }
+
+    /**
+     * @private
+     * @returns {Object|null} { name, id, key } for an override key such as 'overlay.bass.opacity'
+     */
+    _parseOverrideKey(key) {
+        const match = /^(\w+)\.(\w+)\.(zIndex|opacity)$/.exec(key);
+        return match && LayoutPresets[match[1]] ? { name: match[1], id: match[2], key: match[3] } : null;
+    }
+
+    /**
+     * Compute target slots for the current preset, then jump or animate to them
+     * @private
+     */
+    _retarget(animate) {
+        const ids = Object.keys(this.visualizers);
+        this.arranged = {};
+        if (ids.length === 0) {
+            this.drawOrder.length = 0;
+            return;
+        }
+
+        const visible = this._getVisibleIds();
+        for (const id of ids) {
+            this.arranged[id] = this.visualizers[id].enabled;
+        }
+
+        // The grid size setting applies unless setLayout() was given one
+        const options = this.presetName === 'grid'
+            ? { cols: this.gridCols, rows: this.gridRows, ...this.presetOptions }
+            : this.presetOptions;
+        const target = visible.length > 0
+            ? LayoutPresets[this.presetName].arrange(visible, this.area, options)
+            : {};
+        const overrides = this.overrides[this.presetName] || {};
+        for (const [id, override] of Object.entries(overrides)) {
+            if (target[id]) Object.assign(target[id], override);
+        }
+
+        // Hidden visualizers fade out where they are
+        for (const id of ids) {
+            if (!target[id]) {
+                target[id] = this.slots[id]
+                    ? { ...this.slots[id], opacity: 0 }
+                    : createSlot(0, 0, this.area.width, this.area.height, 0);
+            }
+        }
+
+        if (!animate || this.transitionTime <= 0) {
+            this.slots = target;
+            this.transition = null;
+            this._sortDrawOrder();
+            this._applySlots();
+            return;
+        }
+
+        // Start from wherever each visualizer is now; new ones fade in
+        const from = {};
+        for (const id of ids) {
+            from[id] = this.slots[id] ? { ...this.slots[id] } : { ...target[id], opacity: 0 };
+            this.slots[id] = { ...from[id], zIndex: target[id].zIndex, blendMode: target[id].blendMode, labelOffset: target[id].labelOffset };
+        }
+
+        this.transition = { from, to: target, elapsed: 0 };
+        this._sortDrawOrder();
+        this._applySlots();
+    }
+
+    /**
+     * @private
+     * @returns {string[]} Ids of the enabled visualizers
+     */
+    _getVisibleIds() {
+        return Object.keys(this.visualizers).filter(id => this.visualizers[id].enabled);
+    }
+
+    /**
+     * @private
+     * @returns {boolean} True if a visualizer was shown or hidden since the last arrangement
+     */
+    _visibilityChanged() {
+        for (const id in this.visualizers) {
+            if (this.visualizers[id].enabled !== this.arranged[id]) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Refill the draw order from the current slots (every visualizer has one)
+     * @private
+     */
+    _sortDrawOrder() {
+        const order = this.drawOrder;
+        order.length = 0;
+        for (const id in this.visualizers) {
+            order.push(this.visualizers[id]);
+        }
+        order.sort(this.compareZIndex);
+    }
+
+    _applySlots() {
+        for (const viz of this.drawOrder) {
+            const slot = this.slots[viz.id];
+
+            viz.setBounds(slot.x, slot.y, slot.width, slot.height);
+            viz.opacity = slot.opacity;
+            viz.blendMode = slot.blendMode;
+            viz.labelOffset = slot.labelOffset;
+        }
+    }
+}
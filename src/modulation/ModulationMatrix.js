@@ -0,0 +1,350 @@
+/**
+ * ModulationMatrix - Routes analysis signals to visualizer parameters
+ * Each routing reads a source (band energy, sub-band, peak, beat, LFO or the
+ * envelope follower), shapes it with a curve and smoothing, maps it onto a
+ * range of a modulatable parameter and mixes it into the parameter's value by
+ * its amount. Routings live in a fixed number of slots so they are plain
+ * settings, saved in presets and links like everything else.
+ */
+
+/**
+ * Sources that can be routed; read() returns 0-1
+ * Triggers are true on the frame they fire and become a decaying pulse
+ */
+const ModulationSources = {
+    'drums.energy': { label: 'Drums energy', read: f => f.energies.drums },
+    'vocals.energy': { label: 'Vocals energy', read: f => f.energies.vocals },
+    'bass.energy': { label: 'Bass energy', read: f => f.energies.bass },
+    'highs.energy': { label: 'Highs energy', read: f => f.energies.highs },
+    'drums.low': { label: 'Drums low', read: f => f.bands.drums.low },
+    'drums.mid': { label: 'Drums mid', read: f => f.bands.drums.mid },
+    'drums.high': { label: 'Drums high', read: f => f.bands.drums.high },
+    'vocals.low': { label: 'Vocals low', read: f => f.bands.vocals.low },
+    'vocals.mid': { label: 'Vocals mid', read: f => f.bands.vocals.mid },
+    'vocals.high': { label: 'Vocals high', read: f => f.bands.vocals.high },
+    'bass.sub': { label: 'Bass sub', read: f => f.bands.bass.sub },
+    'bass.main': { label: 'Bass main', read: f => f.bands.bass.main },
+    'highs.instruments': { label: 'Highs instruments', read: f => f.bands.highs.instruments },
+    'highs.air': { label: 'Highs air', read: f => f.bands.highs.air },
+    'drums.peak': { label: 'Drums peak', kind: 'trigger', read: f => f.peaks.drums.isPeak },
+    'vocals.peak': { label: 'Vocals peak', kind: 'trigger', read: f => f.peaks.vocals.isPeak },
+    'bass.peak': { label: 'Bass peak', kind: 'trigger', read: f => f.peaks.bass.isPeak },
+    'highs.peak': { label: 'Highs peak', kind: 'trigger', read: f => f.peaks.highs.isPeak },
+    'beat': { label: 'Beat', kind: 'trigger', read: f => f.beat.isBeat },
+    'downbeat': { label: 'Downbeat', kind: 'trigger', read: f => f.beat.isDownbeat },
+    'beat.phase': { label: 'Beat phase', read: f => f.beat.phase },
+    'lfo1': { label: 'LFO 1', read: f => f.lfo1 },
+    'lfo2': { label: 'LFO 2', read: f => f.lfo2 },
+    'envelope': { label: 'Envelope follower', read: f => f.envelope }
+};
+
+/**
+ * Response curves applied to 0-1 source values
+ */
+const ModulationCurves = {
+    linear: v => v,
+    exponential: v => v * v,
+    logarithmic: v => Math.sqrt(v),
+    scurve: v => v * v * (3 - 2 * v),
+    inverted: v => 1 - v
+};
+
+/**
+ * LFO shapes over one cycle (phase 0-1), all starting at 0
+ */
+const ModulationLfoShapes = {
+    sine: phase => 0.5 - 0.5 * Math.cos(phase * Math.PI * 2),
+    triangle: phase => 1 - Math.abs(phase * 2 - 1),
+    saw: phase => phase,
+    square: phase => (phase < 0.5 ? 1 : 0)
+};
+
+// Routing slots
+const MODULATION_ROUTES = 8;
+
+/**
+ * Fields of every routing slot; min and max are fractions of the target
+ * parameter's range (max below min inverts the routing)
+ */
+const ModulationRouteFields = [
+    { key: 'source', label: 'Source', type: 'select' },
+    { key: 'target', label: 'Target', type: 'select' },
+    { key: 'amount', label: 'Amount', type: 'number', min: 0, max: 1, step: 0.01 },
+    { key: 'curve', label: 'Curve', type: 'select', options: Object.keys(ModulationCurves) },
+    { key: 'smoothing', label: 'Smoothing', type: 'number', min: 0, max: 0.99, step: 0.01 },
+    { key: 'min', label: 'Range from', type: 'number', min: 0, max: 1, step: 0.01 },
+    { key: 'max', label: 'Range to', type: 'number', min: 0, max: 1, step: 0.01 }
+];
+
+/**
+ * Generators shared by all routings (schema described in Settings)
+ */
+const ModulationParameters = [
+    { key: 'lfo1Rate', label: 'LFO 1 rate (Hz)', type: 'number', min: 0.01, max: 10, step: 0.01 },
+    { key: 'lfo1Shape', label: 'LFO 1 shape', type: 'select', options: Object.keys(ModulationLfoShapes) },
+    { key: 'lfo2Rate', label: 'LFO 2 rate (Hz)', type: 'number', min: 0.01, max: 10, step: 0.01 },
+    { key: 'lfo2Shape', label: 'LFO 2 shape', type: 'select', options: Object.keys(ModulationLfoShapes) },
+    { key: 'envelopeAttack', label: 'Envelope attack (ms)', type: 'number', min: 1, max: 1000, step: 1 },
+    { key: 'envelopeRelease', label: 'Envelope release (ms)', type: 'number', min: 10, max: 5000, step: 10 },
+    { key: 'triggerDecay', label: 'Trigger decay (ms)', type: 'number', min: 20, max: 2000, step: 10 }
+];
+
+class ModulationMatrix {
+    /**
+     * @param {Function} getVisualizers - Returns the current { id: visualizer } map
+     *   (visualizers are recreated for renders, so they are looked up every frame)
+     */
+    constructor(getVisualizers) {
+        this.getVisualizers = getVisualizers;
+
+        this.lfo1Rate = 0.25;
+        this.lfo1Shape = 'sine';
+        this.lfo2Rate = 1;
+        this.lfo2Shape = 'triangle';
+        this.envelopeAttack = 10;
+        this.envelopeRelease = 300;
+        this.triggerDecay = 250;
+
+        this.routes = [];
+        for (let i = 0; i < MODULATION_ROUTES; i++) {
+            this.routes.push({
+                source: 'none',
+                target: 'none',
+                amount: 1,
+                curve: 'linear',
+                smoothing: 0,
+                min: 0,
+                max: 1,
+                // Shaped source value, after smoothing (0-1)
+                value: 0
+            });
+        }
+
+        // Generator state
+        this.lfoPhases = [0, 0];
+        this.envelope = 0;
+        this.pulses = new Map();
+
+        // Source values of the current frame, each read once
+        this.sourceValues = new Map();
+        this.frame = { energies: null, peaks: null, beat: null, bands: {}, lfo1: 0, lfo2: 0, envelope: 0 };
+
+        // 'visualizer.key' -> { id, key, label, param }, built on first use
+        this.targets = null;
+        this.parameters = null;
+    }
+
+    /**
+     * Routable parameters of the visualizers
+     * @returns {Map} 'visualizer.key' -> { id, key, label, param }
+     */
+    getTargets() {
+        if (this.targets) return this.targets;
+
+        const targets = new Map();
+        for (const [id, viz] of Object.entries(this.getVisualizers())) {
+            for (const param of viz.getModulatableParameters()) {
+                targets.set(`${id}.${param.key}`, { id, key: param.key, label: `${viz.name}: ${param.label}`, param });
+            }
+        }
+
+        // Parameter lists don't change, but there may be no visualizers yet
+        if (targets.size > 0) {
+            this.targets = targets;
+        }
+        return targets;
+    }
+
+    /**
+     * Advance the generators and write this frame's modulated values into
+     * the visualizers, replacing last frame's; routings to the same parameter
+     * apply in slot order
+     * @param {Object} analyzer - AudioAnalyzer or a compatible analyzer
+     * @param {number} deltaTime - Frame time in ms
+     */
+    update(analyzer, deltaTime) {
+        const visualizers = this.getVisualizers();
+        for (const viz of Object.values(visualizers)) {
+            viz.modulations.clear();
+        }
+
+        const frame = this._readFrame(analyzer, deltaTime);
+        this.sourceValues.clear();
+
+        const targets = this.getTargets();
+        for (const route of this.routes) {
+            if (route.source === 'none' || route.target === 'none') continue;
+
+            const target = targets.get(route.target);
+            const viz = target ? visualizers[target.id] : null;
+            if (!viz) continue;
+
+            const shaped = ModulationCurves[route.curve](this._readSource(route.source, frame, deltaTime));
+            route.value += (shaped - route.value) * (1 - route.smoothing);
+
+            // Source 0-1 onto the routed part of the parameter's range, then
+            // mixed into the value so far (routings to one parameter chain)
+            const { min, max } = target.param;
+            const from = min + route.min * (max - min);
+            const to = min + route.max * (max - min);
+            const base = viz.getModulated(target.key);
+            let value = base + ((from + route.value * (to - from)) - base) * route.amount;
+            if (target.param.type === 'integer') {
+                value = Math.round(value);
+            }
+            viz.modulations.set(target.key, Math.max(min, Math.min(max, value)));
+        }
+    }
+
+    /**
+     * Restart the generators and smoothing, so renders start the same way
+     */
+    reset() {
+        this.lfoPhases[0] = 0;
+        this.lfoPhases[1] = 0;
+        this.envelope = 0;
+        this.pulses.clear();
+        for (const route of this.routes) {
+            route.value = 0;
+        }
+    }
+
+    /**
+     * Routing slots in use
+     * @returns {number}
+     */
+    getActiveCount() {
+        return this.routes.filter(route => route.source !== 'none' && route.target !== 'none').length;
+    }
+
+    /**
+     * Parameter schema for Settings: the generators, then every field of
+     * every slot (edited in the ModulationPanel, hidden from the settings panel)
+     * @returns {Array}
+     */
+    getParameters() {
+        if (this.parameters && this.targets) return this.parameters;
+
+        const sources = ['none'].concat(Object.keys(ModulationSources).map(value => ({ value, label: ModulationSources[value].label })));
+        const targets = ['none'].concat(Array.from(this.getTargets(), ([value, target]) => ({ value, label: target.label })));
+
+        const parameters = ModulationParameters.slice();
+        for (let i = 1; i <= MODULATION_ROUTES; i++) {
+            for (const field of ModulationRouteFields) {
+                const param = { ...field, key: `route${i}.${field.key}`, label: `Route ${i} ${field.label.toLowerCase()}`, hidden: true };
+                if (field.key === 'source') param.options = sources;
+                if (field.key === 'target') param.options = targets;
+                parameters.push(param);
+            }
+        }
+
+        this.parameters = parameters;
+        return parameters;
+    }
+
+    /**
+     * @param {string} key - Parameter key
+     * @returns {*} Current value
+     */
+    getParameter(key) {
+        const field = this._parseRouteKey(key);
+        return field ? field.route[field.key] : this[key];
+    }
+
+    /**
+     * @param {string} key - Parameter key
+     * @param {*} value - Valid value for the parameter
+     */
+    setParameter(key, value) {
+        const field = this._parseRouteKey(key);
+        if (!field) {
+            this[key] = value;
+            return;
+        }
+
+        field.route[field.key] = value;
+        if (field.key === 'source' || field.key === 'target') {
+            field.route.value = 0;
+        }
+    }
+
+    /**
+     * @private
+     * @returns {Object|null} { route, key } for a routing slot key such as 'route2.amount'
+     */
+    _parseRouteKey(key) {
+        const match = /^route(\d+)\.(\w+)$/.exec(key);
+        if (!match) return null;
+        const route = this.routes[Number(match[1]) - 1];
+        return route ? { route, key: match[2] } : null;
+    }
+
+    /**
+     * Gather the analysis and advance the LFOs and the envelope follower
+     * @private
+     */
+    _readFrame(analyzer, deltaTime) {
+        const frame = this.frame;
+        frame.energies = analyzer.getEnergies();
+        frame.peaks = analyzer.getPeaks();
+        frame.beat = analyzer.getBeat();
+        for (const group of ['drums', 'vocals', 'bass', 'highs']) {
+            const analysis = analyzer.getGroupAnalysis(group);
+            frame.bands[group] = (analysis && analysis.bands) || {};
+        }
+
+        const seconds = deltaTime / 1000;
+        this.lfoPhases[0] = (this.lfoPhases[0] + this.lfo1Rate * seconds) % 1;
+        this.lfoPhases[1] = (this.lfoPhases[1] + this.lfo2Rate * seconds) % 1;
+        frame.lfo1 = ModulationLfoShapes[this.lfo1Shape](this.lfoPhases[0]);
+        frame.lfo2 = ModulationLfoShapes[this.lfo2Shape](this.lfoPhases[1]);
+
+        // Follows the waveform's peak level; analyzers without a waveform
+        // (replays) fall back to the loudest group
+        const level = this._getLevel(analyzer, frame.energies);
+        const time = level > this.envelope ? this.envelopeAttack : this.envelopeRelease;
+        this.envelope += (level - this.envelope) * (1 - Math.exp(-deltaTime / time));
+        frame.envelope = this.envelope;
+
+        return frame;
+    }
+
+    /**
+     * @private
+     */
+    _getLevel(analyzer, energies) {
+        const signal = analyzer.getSignal();
+        const waveform = signal ? signal.waveform : null;
+        if (waveform && waveform.length > 0) {
+            let peak = 0;
+            for (let i = 0; i < waveform.length; i++) {
+                const value = Math.abs(waveform[i]);
+                if (value > peak) peak = value;
+            }
+            return Math.min(1, peak);
+        }
+        return Math.max(energies.drums || 0, energies.vocals || 0, energies.bass || 0, energies.highs || 0);
+    }
+
+    /**
+     * A source's value this frame (0-1); triggers jump to 1 and decay
+     * @private
+     */
+    _readSource(key, frame, deltaTime) {
+        if (this.sourceValues.has(key)) return this.sourceValues.get(key);
+
+        const source = ModulationSources[key];
+        let value;
+        if (source.kind === 'trigger') {
+            value = source.read(frame)
+                ? 1
+                : (this.pulses.get(key) || 0) * Math.exp(-deltaTime / this.triggerDecay);
+            this.pulses.set(key, value);
+        } else {
+            value = Math.max(0, Math.min(1, source.read(frame) || 0));
+        }
+
+        this.sourceValues.set(key, value);
+        return value;
+    }
+}
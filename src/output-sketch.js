@@ -0,0 +1,242 @@
+/**
+ * Output window p5.js sketch - canvas only, for a projector
+ * Draws the visualizers from analysis frames and settings sent by the main
+ * window (see OutputWindow); no audio is analyzed here
+ */
+
+// Global state
+let remoteAnalyzer;
+let visualizers = {};
+let layoutEngine;
+let qualityController;
+let harmonyPalette;
+let settings;
+let cueList;
+let channel;
+let postProcessor;
+let modulationMatrix;
+let deltaTime = 0;
+
+// p5.js setup
+function setup() {
+    const canvas = createCanvas(windowWidth, windowHeight);
+    canvas.parent(document.getElementById('app-container'));
+
+    pixelDensity(1);
+    frameRate(60);
+
+    remoteAnalyzer = new RemoteAnalyzer();
+    themeManager.init();
+    harmonyPalette = new HarmonyPalette();
+
+    qualityController = new QualityController(memoryManager);
+    qualityController.onChange((tier) => {
+        for (const viz of Object.values(visualizers)) {
+            viz.applyQuality(tier);
+        }
+    });
+
+    // Same scopes as the main window, so its settings hash applies as is
+    settings = new Settings();
+    cueList = new CueList(settings);
+    layoutEngine = new LayoutEngine();
+
+    for (const entry of visualizerRegistry.getAll()) {
+        const viz = visualizerRegistry.create(entry.id);
+        viz.applyQuality(qualityController.getTier());
+        viz.labelsVisible = false;
+        settings.attach(entry.id, viz, entry.name);
+        visualizers[entry.id] = viz;
+    }
+    settings.attach('scene', createSceneSettings(), 'Scene');
+    settings.attach('theme', themeManager, 'Theme');
+    settings.attach('bands', createBandSettings(), 'Bands');
+    postProcessor = new PostProcessor(canvas.elt);
+    settings.attach('effects', postProcessor, 'Effects');
+    modulationMatrix = new ModulationMatrix(() => visualizers);
+    settings.attach('modulation', modulationMatrix, 'Modulation');
+    applyAllColors();
+    layoutEngine.layout(visualizers, width, height);
+    settings.attach('layout', layoutEngine, 'Layout');
+
+    themeManager.onChange(applyAllColors);
+
+    channel = new BroadcastChannel('music-viz1.output');
+    channel.onmessage = (event) => onMessage(event.data);
+    sendHello();
+
+    memoryManager.startMonitoring(10000);
+}
+
+/**
+ * Handle a message from the main window
+ * @param {Object} message - See OutputWindow
+ */
+function onMessage(message) {
+    switch (message.type) {
+        case 'frame':
+            remoteAnalyzer.receive(message.frame, performance.now());
+            break;
+        case 'settings':
+            // Pick up custom themes added in the main window since this one opened
+            themeManager.init();
+            settings.setState(Settings.parseHash(message.hash));
+            applyAllColors();
+            break;
+        case 'crossfade':
+            cueList.startFade(drawingContext.canvas);
+            break;
+        case 'ping':
+            sendHello();
+            break;
+        case 'close':
+            window.close();
+            break;
+    }
+}
+
+/**
+ * Tell the main window this output exists and how large it is
+ */
+function sendHello() {
+    channel.postMessage({ type: 'hello', width, height });
+}
+
+/**
+ * The main window's scene settings, applied to this window
+ * @returns {Object} Settings target (see Settings)
+ */
+function createSceneSettings() {
+    return {
+        getParameters: () => [
+            { key: 'layout', type: 'select', default: 'grid', options: Object.keys(LayoutPresets) },
+            { key: 'theme', type: 'select', default: 'dark', options: themeManager.getAll().map(theme => theme.id) },
+            { key: 'palette', type: 'boolean', default: false },
+            { key: 'cueFade', type: 'number', min: 0, max: 5, default: 1 }
+        ],
+
+        getParameter(key) {
+            switch (key) {
+                case 'layout':
+                    return layoutEngine.presetName;
+                case 'theme':
+                    return themeManager.currentId;
+                case 'palette':
+                    return harmonyPalette.enabled;
+                case 'cueFade':
+                    return cueList.fadeTime;
+            }
+            return undefined;
+        },
+
+        setParameter(key, value) {
+            switch (key) {
+                case 'layout':
+                    layoutEngine.setLayout(value);
+                    break;
+                case 'theme':
+                    themeManager.setTheme(value);
+                    break;
+                case 'palette':
+                    harmonyPalette.enabled = value;
+                    applyAllColors();
+                    break;
+                case 'cueFade':
+                    cueList.fadeTime = value;
+                    break;
+            }
+        }
+    };
+}
+
+/**
+ * Color every visualizer from the harmony palette, the theme or its own colors
+ */
+function applyAllColors() {
+    for (const viz of Object.values(visualizers)) {
+        if (harmonyPalette.enabled) {
+            viz.setPalette(harmonyPalette.getColors(viz.group));
+        } else {
+            viz.setPalette(themeManager.getGroupColors(viz.group));
+        }
+    }
+}
+
+/**
+ * p5.js draw loop
+ */
+function draw() {
+    clock.tick(millis());
+    deltaTime = clock.deltaTime;
+
+    const backdrop = themeManager.current.background;
+    background(backdrop.r, backdrop.g, backdrop.b);
+
+    remoteAnalyzer.update();
+
+    if (harmonyPalette.enabled) {
+        harmonyPalette.update(remoteAnalyzer.getHarmony(), deltaTime);
+    }
+
+    const energies = remoteAnalyzer.getEnergies();
+    const peaks = remoteAnalyzer.getPeaks();
+
+    qualityController.update(deltaTime);
+    layoutEngine.update(deltaTime);
+    modulationMatrix.update(remoteAnalyzer, deltaTime);
+
+    for (const viz of Object.values(visualizers)) {
+        viz.update(energies[viz.group] || 0, peaks[viz.group], deltaTime, remoteAnalyzer.getGroupAnalysis(viz.group));
+    }
+
+    const drawOrder = layoutEngine.getDrawOrder();
+    postProcessor.assignParticles(drawOrder);
+    for (const viz of drawOrder) {
+        viz.draw(window);
+    }
+
+    const fade = cueList.drawFade(drawingContext, deltaTime);
+    postProcessor.render(drawOrder, energies, deltaTime, 1 - fade);
+
+    memoryManager.update(clock.now());
+}
+
+/**
+ * Handle window resize
+ */
+function windowResized() {
+    resizeCanvas(windowWidth, windowHeight);
+    layoutEngine.layout(visualizers, width, height);
+    sendHello();
+}
+
+// Double-click for fullscreen on the projector (needs a user gesture)
+document.addEventListener('dblclick', () => {
+    if (document.fullscreenElement) {
+        document.exitFullscreen().catch(() => {});
+    } else if (document.documentElement.requestFullscreen) {
+        document.documentElement.requestFullscreen().catch((error) => {
+            console.warn('Fullscreen unavailable:', error.message);
+        });
+    }
+});
+
+/**
+ * Cleanup on page unload
+ */
+window.addEventListener('beforeunload', () => {
+    if (channel) {
+        channel.postMessage({ type: 'bye' });
+        channel.close();
+    }
+
+    if (postProcessor) {
+        postProcessor.dispose();
+    }
+
+    for (const viz of Object.values(visualizers)) {
+        viz.dispose();
+    }
+
+    memoryManager.dispose();
+});
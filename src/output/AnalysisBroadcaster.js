@@ -0,0 +1,215 @@
+/**
+ * AnalysisBroadcaster - Streams analysis frames to a WebSocket endpoint
+ * Sends JSON text messages or OSC bundles (binary messages) at a fixed rate
+ */
+class AnalysisBroadcaster {
+    /**
+     * @param {Object} options
+     * @param {Function} [options.WebSocketClass] - WebSocket constructor (e.g. a mock)
+     */
+    constructor(options = {}) {
+        this.WebSocketClass = options.WebSocketClass ||
+            (typeof WebSocket !== 'undefined' ? WebSocket : null);
+
+        // Configuration (see configure())
+        this.url = 'ws://localhost:8080';
+        this.format = 'json';
+        this.rate = 30;
+        this.fields = AnalysisFields.slice();
+        this.prefix = '/viz';
+
+        this.socket = null;
+        this.status = 'disconnected';
+        this.shouldReconnect = false;
+        this.reconnectDelay = 1000;
+        this.reconnectTimer = null;
+
+        // Skip frames while the socket can't keep up
+        this.maxBufferedAmount = 1024 * 1024;
+
+        // Onsets and beats between sends are latched so none are dropped
+        this.lastSendTime = -Infinity;
+        this.latchedPeaks = { drums: false, vocals: false, bass: false, highs: false };
+        this.latchedBeat = false;
+        this.latchedDownbeat = false;
+        this.latchedHits = { kick: false, snare: false, hat: false };
+        this.framesSent = 0;
+
+        this.statusCallbacks = [];
+    }
+
+    /**
+     * Update settings
+     * @param {Object} config - { url, format: 'json'|'osc', rate (Hz), fields, prefix }
+     */
+    configure(config) {
+        if (config.url !== undefined) this.url = config.url;
+        if (config.format !== undefined) this.format = config.format === 'osc' ? 'osc' : 'json';
+        if (config.rate !== undefined) this.rate = Math.max(1, Math.min(120, config.rate));
+        if (config.fields !== undefined) this.fields = config.fields.filter(f => AnalysisFields.includes(f));
+        if (config.prefix !== undefined) this.prefix = config.prefix;
+    }
+
+    /**
+     * Current settings
+     * @returns {Object} { url, format, rate, fields, prefix }
+     */
+    getConfig() {
+        return {
+            url: this.url,
+            format: this.format,
+            rate: this.rate,
+            fields: this.fields.slice(),
+            prefix: this.prefix
+        };
+    }
+
+    /**
+     * Register a callback for connection status changes
+     * @param {Function} callback - Called with status ('disconnected', 'connecting', 'connected')
+     */
+    onStatusChange(callback) {
+        this.statusCallbacks.push(callback);
+    }
+
+    /**
+     * Connect to the configured URL, reconnecting if the connection drops
+     */
+    connect() {
+        if (!this.WebSocketClass) {
+            console.warn('WebSocket is not available, analysis broadcast disabled');
+            return;
+        }
+
+        this.disconnect();
+        this.shouldReconnect = true;
+        this._open();
+    }
+
+    /**
+     * Close the connection and stop reconnecting
+     */
+    disconnect() {
+        this.shouldReconnect = false;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.onopen = socket.onclose = socket.onerror = null;
+            socket.close();
+        }
+        this._setStatus('disconnected');
+    }
+
+    /**
+     * Send the analyzer's latest frame if one is due
+     * Peaks, beats and drum hits are latched between sends, so an onset that
+     * falls between two frames at a low rate still reaches the receiver; a
+     * frame is skipped while the socket is still draining the previous ones
+     * @param {AudioAnalyzer} analyzer - Analysis source
+     * @param {number} time - Current time in ms
+     */
+    process(analyzer, time) {
+        if (this.status !== 'connected') return;
+
+        const peaks = analyzer.getPeaks();
+        for (const group in this.latchedPeaks) {
+            this.latchedPeaks[group] = this.latchedPeaks[group] || peaks[group].isPeak;
+        }
+        const beat = analyzer.getBeat();
+        this.latchedBeat = this.latchedBeat || beat.isBeat;
+        this.latchedDownbeat = this.latchedDownbeat || beat.isDownbeat;
+        const hits = analyzer.getDrumHits();
+        for (const voice in this.latchedHits) {
+            this.latchedHits[voice] = this.latchedHits[voice] || hits[voice].isOnset;
+        }
+
+        if (time - this.lastSendTime < 1000 / this.rate) return;
+        if (this.socket.bufferedAmount > this.maxBufferedAmount) return;
+        this.lastSendTime = time;
+
+        const frame = AnalysisFrame.capture(analyzer, time, this.fields);
+        if (frame.peaks) {
+            Object.assign(frame.peaks, this.latchedPeaks);
+        }
+        if (frame.beat) {
+            frame.beat.isBeat = this.latchedBeat;
+            frame.beat.isDownbeat = this.latchedDownbeat;
+        }
+        if (frame.hits) {
+            Object.assign(frame.hits, this.latchedHits);
+        }
+
+        this.socket.send(this.format === 'osc'
+            ? AnalysisFrame.toOscBundle(frame, this.prefix)
+            : JSON.stringify(frame));
+        this.framesSent++;
+
+        for (const group in this.latchedPeaks) {
+            this.latchedPeaks[group] = false;
+        }
+        this.latchedBeat = false;
+        this.latchedDownbeat = false;
+        for (const voice in this.latchedHits) {
+            this.latchedHits[voice] = false;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _open() {
+        this._setStatus('connecting');
+
+        let socket;
+        try {
+            socket = new this.WebSocketClass(this.url);
+        } catch (error) {
+            console.warn(`Invalid broadcast URL "${this.url}":`, error);
+            this.shouldReconnect = false;
+            this._setStatus('disconnected');
+            return;
+        }
+
+        socket.binaryType = 'arraybuffer';
+        this.socket = socket;
+
+        socket.onopen = () => {
+            this.reconnectDelay = 1000;
+            this.lastSendTime = -Infinity;
+            this._setStatus('connected');
+        };
+
+        socket.onclose = () => {
+            this.socket = null;
+            this._setStatus('disconnected');
+            if (this.shouldReconnect) {
+                // Back off up to 10s while the endpoint is down
+                this.reconnectTimer = setTimeout(() => this._open(), this.reconnectDelay);
+                this.reconnectDelay = Math.min(this.reconnectDelay * 2, 10000);
+            }
+        };
+
+        socket.onerror = () => {
+            // onclose follows and handles reconnecting
+        };
+    }
+
+    _setStatus(status) {
+        if (this.status === status) return;
+        this.status = status;
+        for (const callback of this.statusCallbacks) {
+            callback(status);
+        }
+    }
+
+    /**
+     * Close the connection
+     */
+    dispose() {
+        this.disconnect();
+        this.statusCallbacks.length = 0;
+    }
+}
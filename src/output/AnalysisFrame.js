@@ -0,0 +1,178 @@
+/**
+ * AnalysisFrame - Plain snapshot of one analyzer frame
+ * Shared format for everything that sends analysis out of the sketch
+ * Also loads under Node for tools/osc-relay.js
+ */
+
+// Fields a frame can include
+const AnalysisFields = ['energies', 'bands', 'peaks', 'beat', 'hits'];
+
+// Everything the visualizers read, for the output window (not broadcast)
+const VisualizerFields = AnalysisFields.concat(['spectra', 'pitch', 'harmony', 'stereo', 'signal']);
+
+class AnalysisFrame {
+    /**
+     * Snapshot the analyzer's latest results
+     * @param {AudioAnalyzer} analyzer - Analysis source
+     * @param {number} time - Timestamp in ms
+     * @param {string[]} fields - Subset of AnalysisFields or VisualizerFields
+     * @returns {Object} { time, energies?, bands?, peaks?, beat?, hits?, spectra?, pitch?, harmony?, stereo?, signal? }
+     */
+    static capture(analyzer, time, fields = AnalysisFields) {
+        const frame = { time };
+
+        if (fields.includes('energies')) {
+            const energies = analyzer.getEnergies();
+            frame.energies = {
+                drums: energies.drums,
+                vocals: energies.vocals,
+                bass: energies.bass,
+                highs: energies.highs
+            };
+        }
+
+        if (fields.includes('bands')) {
+            // Raw sub-band values, e.g. bands.drums.low
+            const raw = analyzer.getEnergies().raw;
+            frame.bands = {};
+            for (const [group, values] of Object.entries(raw)) {
+                frame.bands[group] = { ...values };
+            }
+        }
+
+        if (fields.includes('peaks')) {
+            const peaks = analyzer.getPeaks();
+            frame.peaks = {};
+            for (const [group, peak] of Object.entries(peaks)) {
+                frame.peaks[group] = peak.isPeak;
+            }
+        }
+
+        if (fields.includes('beat')) {
+            const beat = analyzer.getBeat();
+            frame.beat = {
+                bpm: beat.bpm,
+                phase: beat.phase,
+                isBeat: beat.isBeat,
+                isDownbeat: beat.isDownbeat
+            };
+        }
+
+        if (fields.includes('hits')) {
+            // Kick, snare and hat onset flags
+            const hits = analyzer.getDrumHits();
+            frame.hits = {};
+            for (const [voice, hit] of Object.entries(hits)) {
+                frame.hits[voice] = hit.isOnset;
+            }
+        }
+
+        if (fields.includes('spectra')) {
+            // Copies, the analyzer reuses its arrays
+            frame.spectra = {};
+            for (const group of Object.keys(analyzer.getPeaks())) {
+                frame.spectra[group] = Float32Array.from(analyzer.getGroupAnalysis(group).spectrum);
+            }
+        }
+
+        if (fields.includes('pitch')) {
+            frame.pitch = { ...analyzer.getPitch() };
+        }
+
+        if (fields.includes('harmony')) {
+            const harmony = analyzer.getHarmony();
+            frame.harmony = {
+                chroma: Float32Array.from(harmony.chroma),
+                key: { ...harmony.key },
+                chord: { ...harmony.chord }
+            };
+        }
+
+        if (fields.includes('stereo')) {
+            const stereo = analyzer.getStereo();
+            frame.stereo = {
+                enabled: stereo.enabled,
+                correlation: stereo.correlation,
+                left: Float32Array.from(stereo.left),
+                right: Float32Array.from(stereo.right),
+                bands: {}
+            };
+            for (const [group, band] of Object.entries(stereo.bands)) {
+                frame.stereo.bands[group] = { pan: band.pan, width: band.width };
+            }
+        }
+
+        if (fields.includes('signal')) {
+            const signal = analyzer.getSignal();
+            frame.signal = {
+                spectrum: signal.spectrum ? Float32Array.from(signal.spectrum) : null,
+                waveform: signal.waveform ? Float32Array.from(signal.waveform) : null,
+                binFrequency: signal.binFrequency
+            };
+        }
+
+        return frame;
+    }
+
+    /**
+     * Flatten a frame into OSC messages
+     * e.g. /viz/energy/drums 0.42, /viz/band/drums/low 0.5, /viz/peak/drums 1, /viz/hit/kick 1
+     * @param {Object} frame - Frame from capture()
+     * @param {string} prefix - Address prefix
+     * @returns {Object[]} [{ address, args }]
+     */
+    static toOscMessages(frame, prefix = '/viz') {
+        const messages = [{ address: `${prefix}/time`, args: [frame.time / 1000] }];
+
+        if (frame.energies) {
+            for (const [group, value] of Object.entries(frame.energies)) {
+                messages.push({ address: `${prefix}/energy/${group}`, args: [value] });
+            }
+        }
+
+        if (frame.bands) {
+            for (const [group, values] of Object.entries(frame.bands)) {
+                for (const [band, value] of Object.entries(values)) {
+                    messages.push({ address: `${prefix}/band/${group}/${band}`, args: [value] });
+                }
+            }
+        }
+
+        if (frame.peaks) {
+            for (const [group, isPeak] of Object.entries(frame.peaks)) {
+                messages.push({ address: `${prefix}/peak/${group}`, args: [{ type: 'i', value: isPeak ? 1 : 0 }] });
+            }
+        }
+
+        if (frame.beat) {
+            messages.push({ address: `${prefix}/beat/bpm`, args: [frame.beat.bpm] });
+            messages.push({ address: `${prefix}/beat/phase`, args: [frame.beat.phase] });
+            messages.push({ address: `${prefix}/beat/isBeat`, args: [{ type: 'i', value: frame.beat.isBeat ? 1 : 0 }] });
+            messages.push({ address: `${prefix}/beat/isDownbeat`, args: [{ type: 'i', value: frame.beat.isDownbeat ? 1 : 0 }] });
+        }
+
+        if (frame.hits) {
+            for (const [voice, isOnset] of Object.entries(frame.hits)) {
+                messages.push({ address: `${prefix}/hit/${voice}`, args: [{ type: 'i', value: isOnset ? 1 : 0 }] });
+            }
+        }
+
+        return messages;
+    }
+
+    /**
+     * Encode a frame as one OSC bundle
+     * @param {Object} frame - Frame from capture()
+     * @param {string} prefix - Address prefix
+     * @returns {Uint8Array}
+     */
+    static toOscBundle(frame, prefix = '/viz') {
+        const messages = AnalysisFrame.toOscMessages(frame, prefix)
+            .map(m => OscCodec.encodeMessage(m.address, m.args));
+        return OscCodec.encodeBundle(messages);
+    }
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = { AnalysisFrame, AnalysisFields, VisualizerFields };
+}
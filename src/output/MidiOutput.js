@@ -0,0 +1,264 @@
+/**
+ * MidiOutput - Sends analysis results to MIDI devices via Web MIDI
+ * Onsets and beats become notes, smoothed energies become CC messages,
+ * each through a configurable mapping (channel, note/CC, curve, range)
+ */
+
+/**
+ * Analysis signals that can be mapped
+ * Triggers fire a note when read() returns a value, continuous signals
+ * send a CC whenever their scaled value changes. read() returns 0-1 or null
+ */
+const MidiSignals = {
+    'drums.onset': { label: 'Drums onset', kind: 'trigger', read: f => f.peaks.drums.isPeak ? f.energies.drums : null },
+    'bass.onset': { label: 'Bass onset', kind: 'trigger', read: f => f.peaks.bass.isPeak ? f.energies.bass : null },
+    'vocals.onset': { label: 'Vocals onset', kind: 'trigger', read: f => f.peaks.vocals.isPeak ? f.energies.vocals : null },
+    'highs.onset': { label: 'Highs onset', kind: 'trigger', read: f => f.peaks.highs.isPeak ? f.energies.highs : null },
+    'beat': { label: 'Beat', kind: 'trigger', read: f => f.beat.isBeat ? 1 : null },
+    'downbeat': { label: 'Downbeat', kind: 'trigger', read: f => f.beat.isDownbeat ? 1 : null },
+    'drums.energy': { label: 'Drums energy', kind: 'continuous', read: f => f.energies.drums },
+    'bass.energy': { label: 'Bass energy', kind: 'continuous', read: f => f.energies.bass },
+    'vocals.energy': { label: 'Vocals energy', kind: 'continuous', read: f => f.energies.vocals },
+    'highs.energy': { label: 'Highs energy', kind: 'continuous', read: f => f.energies.highs },
+    'beat.phase': { label: 'Beat phase', kind: 'continuous', read: f => f.beat.phase }
+};
+
+/**
+ * Response curves applied to 0-1 values before scaling to the output range
+ */
+const MidiCurves = {
+    linear: v => v,
+    exponential: v => v * v,
+    logarithmic: v => Math.sqrt(v),
+    scurve: v => v * v * (3 - 2 * v)
+};
+
+/**
+ * Default mappings: onsets on channel 10 (GM drum notes), energies as CC 20-23
+ * Channels are 1-16; note/CC numbers and min/max are 0-127
+ */
+const DEFAULT_MIDI_MAPPINGS = [
+    { signal: 'drums.onset', enabled: true, channel: 10, number: 38, curve: 'linear', min: 40, max: 127 },
+    { signal: 'bass.onset', enabled: true, channel: 10, number: 36, curve: 'linear', min: 40, max: 127 },
+    { signal: 'vocals.onset', enabled: true, channel: 10, number: 60, curve: 'linear', min: 40, max: 127 },
+    { signal: 'highs.onset', enabled: true, channel: 10, number: 42, curve: 'linear', min: 40, max: 127 },
+    { signal: 'beat', enabled: false, channel: 10, number: 37, curve: 'linear', min: 100, max: 100 },
+    { signal: 'downbeat', enabled: false, channel: 10, number: 49, curve: 'linear', min: 127, max: 127 },
+    { signal: 'drums.energy', enabled: true, channel: 1, number: 20, curve: 'linear', min: 0, max: 127 },
+    { signal: 'bass.energy', enabled: true, channel: 1, number: 21, curve: 'linear', min: 0, max: 127 },
+    { signal: 'vocals.energy', enabled: true, channel: 1, number: 22, curve: 'linear', min: 0, max: 127 },
+    { signal: 'highs.energy', enabled: true, channel: 1, number: 23, curve: 'linear', min: 0, max: 127 },
+    { signal: 'beat.phase', enabled: false, channel: 1, number: 24, curve: 'linear', min: 0, max: 127 }
+];
+
+class MidiOutput {
+    /**
+     * @param {Object} options
+     * @param {Object} [options.output] - Output to send to, anything with
+     *   send(data, timestamp) (a MIDIOutput, or a mock)
+     * @param {Function} [options.now] - Timestamp source in ms (default performance.now)
+     */
+    constructor(options = {}) {
+        this.access = null;
+        this.output = options.output || null;
+        this.now = options.now || (() => performance.now());
+        this.mappings = DEFAULT_MIDI_MAPPINGS.map(m => ({ ...m }));
+
+        // Note length for triggers
+        this.noteLength = 100;
+
+        // Note off still owed per trigger mapping: { data, time }. Held here
+        // rather than scheduled on the output, so a retrigger can end the
+        // ringing note itself instead of having it cut the new one short
+        this.pendingNoteOffs = new Map();
+
+        // Last CC value sent per mapping, to only send changes
+        this.lastValues = new Map();
+
+        this.outputChangeCallbacks = [];
+    }
+
+    /**
+     * Check for Web MIDI support
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof navigator !== 'undefined' && typeof navigator.requestMIDIAccess === 'function';
+    }
+
+    /**
+     * Request MIDI access
+     * Must be called after user interaction
+     * @returns {Promise<boolean>} True if access was granted
+     */
+    async init() {
+        if (this.access) return true;
+
+        if (!MidiOutput.isSupported()) {
+            console.warn('Web MIDI is not available, MIDI output disabled');
+            return false;
+        }
+
+        try {
+            this.access = await navigator.requestMIDIAccess();
+            this.access.onstatechange = () => {
+                // Drop an output that was unplugged
+                if (this.output && this.output.state === 'disconnected') {
+                    this.setOutput(null);
+                }
+                this._notifyOutputChange();
+            };
+            return true;
+        } catch (error) {
+            console.warn('MIDI access denied:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Available MIDI outputs
+     * @returns {Object[]} [{ id, name }]
+     */
+    getOutputs() {
+        if (!this.access) return [];
+        return Array.from(this.access.outputs.values()).map(o => ({ id: o.id, name: o.name }));
+    }
+
+    /**
+     * Select a device output by id
+     * @param {string|null} id - Output id, or null to stop sending
+     */
+    selectOutput(id) {
+        const output = id && this.access ? this.access.outputs.get(id) : null;
+        this.setOutput(output || null);
+    }
+
+    /**
+     * Send to an output directly (e.g. a mock output)
+     * @param {Object|null} output - Anything with send(data, timestamp)
+     */
+    setOutput(output) {
+        if (this.output && this.output !== output) {
+            this.allNotesOff();
+        }
+        this.output = output;
+        this.lastValues.clear();
+    }
+
+    /**
+     * Register a callback for output list / selection changes
+     * @param {Function} callback
+     */
+    onOutputChange(callback) {
+        this.outputChangeCallbacks.push(callback);
+    }
+
+    /**
+     * Replace all mappings
+     * @param {Object[]} mappings - Mapping list (see DEFAULT_MIDI_MAPPINGS)
+     */
+    setMappings(mappings) {
+        this.allNotesOff();
+        this.mappings = mappings
+            .filter(m => MidiSignals[m.signal])
+            .map(m => ({ ...m }));
+        this.lastValues.clear();
+    }
+
+    /**
+     * Send MIDI for the analyzer's latest frame
+     * A trigger that fired sends its note on, and its note off once noteLength
+     * has passed (or right before the next note on, if it fires again sooner);
+     * a CC goes out only when its scaled value differs from the last one sent
+     * for that mapping
+     * @param {AudioAnalyzer} analyzer - Analysis source
+     */
+    process(analyzer) {
+        if (!this.output) return;
+
+        const frame = {
+            energies: analyzer.getEnergies(),
+            peaks: analyzer.getPeaks(),
+            beat: analyzer.getBeat()
+        };
+        const now = this.now();
+
+        // Note offs that are due
+        for (const [index, noteOff] of this.pendingNoteOffs) {
+            if (noteOff.time <= now) {
+                this.output.send(noteOff.data, now);
+                this.pendingNoteOffs.delete(index);
+            }
+        }
+
+        this.mappings.forEach((mapping, index) => {
+            if (!mapping.enabled) return;
+
+            const signal = MidiSignals[mapping.signal];
+            const value = signal.read(frame);
+            if (value === null) return;
+
+            const scaled = MidiOutput.scale(value, mapping);
+            const status = (mapping.channel - 1) & 0x0F;
+
+            if (signal.kind === 'trigger') {
+                // Retriggered: end the note still ringing before starting the new one
+                const pending = this.pendingNoteOffs.get(index);
+                if (pending) {
+                    this.output.send(pending.data, now);
+                }
+                this.output.send([0x90 | status, mapping.number, Math.max(1, scaled)], now);
+                this.pendingNoteOffs.set(index, {
+                    data: [0x80 | status, mapping.number, 0],
+                    time: now + this.noteLength
+                });
+            } else if (this.lastValues.get(index) !== scaled) {
+                this.output.send([0xB0 | status, mapping.number, scaled], now);
+                this.lastValues.set(index, scaled);
+            }
+        });
+    }
+
+    /**
+     * Silence all channels used by the mappings
+     */
+    allNotesOff() {
+        this.pendingNoteOffs.clear();
+        if (!this.output) return;
+
+        const channels = new Set(this.mappings.map(m => m.channel));
+        for (const channel of channels) {
+            this.output.send([0xB0 | ((channel - 1) & 0x0F), 123, 0]);
+        }
+    }
+
+    /**
+     * Map a 0-1 value through a mapping's curve and range
+     * @param {number} value - Signal value (0-1)
+     * @param {Object} mapping - { curve, min, max }
+     * @returns {number} Integer 0-127
+     */
+    static scale(value, mapping) {
+        const clamped = Math.max(0, Math.min(1, value));
+        const curve = MidiCurves[mapping.curve] || MidiCurves.linear;
+        const scaled = mapping.min + curve(clamped) * (mapping.max - mapping.min);
+        return Math.max(0, Math.min(127, Math.round(scaled)));
+    }
+
+    _notifyOutputChange() {
+        for (const callback of this.outputChangeCallbacks) {
+            callback();
+        }
+    }
+
+    /**
+     * Release the output
+     */
+    dispose() {
+        this.allNotesOff();
+        this.output = null;
+        if (this.access) {
+            this.access.onstatechange = null;
+        }
+    }
+}
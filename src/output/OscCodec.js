@@ -0,0 +1,95 @@
+/**
+ * OscCodec - Minimal OSC 1.0 encoder
+ * Supports int32 (i), float32 (f), string (s) and true/false (T/F) arguments
+ * Shared with tools/osc-relay.js, so it also loads under Node
+ */
+class OscCodec {
+    /**
+     * Encode one OSC message
+     * @param {string} address - OSC address, e.g. /viz/energy/drums
+     * @param {Array} args - Numbers (sent as float unless wrapped as { type: 'i', value }),
+     *   strings or booleans
+     * @returns {Uint8Array}
+     */
+    static encodeMessage(address, args = []) {
+        let tags = ',';
+        const parts = [OscCodec.encodeString(address)];
+
+        for (const arg of args) {
+            if (typeof arg === 'boolean') {
+                tags += arg ? 'T' : 'F';
+            } else if (typeof arg === 'string') {
+                tags += 's';
+                parts.push(OscCodec.encodeString(arg));
+            } else {
+                const type = typeof arg === 'object' ? arg.type : 'f';
+                const value = typeof arg === 'object' ? arg.value : arg;
+                const bytes = new Uint8Array(4);
+                const view = new DataView(bytes.buffer);
+                if (type === 'i') {
+                    view.setInt32(0, value);
+                } else {
+                    view.setFloat32(0, value);
+                }
+                tags += type;
+                parts.push(bytes);
+            }
+        }
+
+        parts.splice(1, 0, OscCodec.encodeString(tags));
+        return OscCodec.concat(parts);
+    }
+
+    /**
+     * Encode messages as one bundle with an "immediately" time tag
+     * @param {Uint8Array[]} messages - Encoded messages
+     * @returns {Uint8Array}
+     */
+    static encodeBundle(messages) {
+        const parts = [OscCodec.encodeString('#bundle')];
+
+        const timeTag = new Uint8Array(8);
+        timeTag[7] = 1; // Immediately
+        parts.push(timeTag);
+
+        for (const message of messages) {
+            const size = new Uint8Array(4);
+            new DataView(size.buffer).setInt32(0, message.length);
+            parts.push(size, message);
+        }
+
+        return OscCodec.concat(parts);
+    }
+
+    /**
+     * Null-terminated string padded to a multiple of 4 bytes
+     * @param {string} text - ASCII text
+     * @returns {Uint8Array}
+     */
+    static encodeString(text) {
+        const bytes = new Uint8Array((Math.floor(text.length / 4) + 1) * 4);
+        for (let i = 0; i < text.length; i++) {
+            bytes[i] = text.charCodeAt(i) & 0x7F;
+        }
+        return bytes;
+    }
+
+    /**
+     * @param {Uint8Array[]} parts
+     * @returns {Uint8Array}
+     */
+    static concat(parts) {
+        const length = parts.reduce((sum, part) => sum + part.length, 0);
+        const out = new Uint8Array(length);
+        let offset = 0;
+        for (const part of parts) {
+            out.set(part, offset);
+            offset += part.length;
+        }
+        return out;
+    }
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = { OscCodec };
+}
@@ -0,0 +1,181 @@
+/**
+ * OutputWindow - Second window that shows only the canvas, e.g. on a projector
+ * The main window analyzes and pushes a frame per draw over a BroadcastChannel;
+ * output.html renders the visualizers from them (see output-sketch.js).
+ *
+ * Messages, main to output:
+ *   { type: 'frame', frame }       AnalysisFrame with VisualizerFields
+ *   { type: 'settings', hash }     Settings state (Settings.toHash())
+ *   { type: 'crossfade' }          A cue was recalled; fade from the current frame
+ *   { type: 'ping' }               The main window (re)loaded; outputs say hello
+ *   { type: 'close' }              Close the output window
+ * Output to main:
+ *   { type: 'hello', width, height }  Opened, resized or answering a ping
+ *   { type: 'bye' }                   Closed
+ */
+class OutputWindow {
+    /**
+     * @param {Settings} settings - Settings to mirror in the output window
+     * @param {string} channelName - BroadcastChannel name
+     */
+    constructor(settings, channelName = 'music-viz1.output') {
+        this.settings = settings;
+        this.channelName = channelName;
+        this.channel = null;
+        this.window = null;
+
+        this.connected = false;
+        this.width = 0;
+        this.height = 0;
+
+        // Settings are compared a few times a second and sent when they change
+        this.hash = null;
+        this.lastSync = 0;
+        this.syncInterval = 200;
+
+        this.changeCallbacks = [];
+
+        if (typeof BroadcastChannel === 'undefined') return;
+
+        this.channel = new BroadcastChannel(channelName);
+        this.channel.onmessage = (event) => this._onMessage(event.data);
+
+        // Settings changes (cues, presets) go out immediately
+        this.settings.onChange(() => {
+            this.lastSync = 0;
+        });
+
+        // An output left open across a reload of this window reconnects
+        this._post({ type: 'ping' });
+    }
+
+    /**
+     * @returns {boolean} False if this browser has no BroadcastChannel
+     */
+    isSupported() {
+        return this.channel !== null;
+    }
+
+    /**
+     * Register a callback for the output connecting, resizing and closing
+     * @param {Function} callback - Called with (connected)
+     */
+    onChange(callback) {
+        this.changeCallbacks.push(callback);
+    }
+
+    /**
+     * Open the output window (or focus it if already open)
+     */
+    open() {
+        if (!this.isSupported()) return;
+
+        if (this.window && !this.window.closed) {
+            this.window.focus();
+            return;
+        }
+        this.window = window.open('output.html', 'music-viz1-output', 'popup,width=1280,height=720');
+    }
+
+    close() {
+        if (this.window && !this.window.closed) {
+            this.window.close();
+        }
+        this._post({ type: 'close' });
+        this._setConnected(false);
+    }
+
+    /**
+     * Send this frame's analysis, and the settings when they changed
+     * @param {Object} analyzer - Current analyzer
+     * @param {number} time - Current time in ms
+     */
+    process(analyzer, time) {
+        if (!this.connected) return;
+
+        const now = performance.now();
+        if (now - this.lastSync >= this.syncInterval) {
+            this.lastSync = now;
+            this._syncSettings(false);
+        }
+
+        this._post({ type: 'frame', frame: AnalysisFrame.capture(analyzer, time, VisualizerFields) });
+    }
+
+    /**
+     * Start a crossfade in the output window
+     */
+    crossfade() {
+        if (!this.connected) return;
+
+        // Freeze the output's frame before the cue's settings change it
+        this._post({ type: 'crossfade' });
+        this._syncSettings(false);
+    }
+
+    /**
+     * Stop sending; the output window stays open and reconnects when this
+     * window is loaded again
+     */
+    dispose() {
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _onMessage(message) {
+        if (!message) return;
+
+        if (message.type === 'hello') {
+            // Also sent on resize, so the preview can follow the output's aspect
+            this.width = message.width;
+            this.height = message.height;
+            this.connected = true;
+            this._syncSettings(true);
+            this._notify();
+        } else if (message.type === 'bye') {
+            this._setConnected(false);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _syncSettings(force) {
+        const hash = this.settings.toHash();
+        if (!force && hash === this.hash) return;
+        this.hash = hash;
+        this._post({ type: 'settings', hash });
+    }
+
+    /**
+     * @private
+     */
+    _setConnected(connected) {
+        if (connected === this.connected) return;
+        this.connected = connected;
+        this._notify();
+    }
+
+    /**
+     * @private
+     */
+    _post(message) {
+        if (this.channel) {
+            this.channel.postMessage(message);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _notify() {
+        for (const callback of this.changeCallbacks) {
+            callback(this.connected);
+        }
+    }
+}
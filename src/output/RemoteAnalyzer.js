@@ -0,0 +1,238 @@
+/**
+ * RemoteAnalyzer - Analysis received from the main window
+ * Implements the AudioAnalyzer interface the visualizers need (update,
+ * getEnergies, getPeaks, getBeat, getPitch, getHarmony, getDrumHits,
+ * getStereo, getSignal, getGroupAnalysis)
+ * from frames captured with AnalysisFrame, so the output window renders
+ * without analyzing audio itself
+ */
+class RemoteAnalyzer {
+    /**
+     * @param {number} subSpectrumSize - Length of the group sub-spectra
+     */
+    constructor(subSpectrumSize = 32) {
+        this.type = 'remote';
+
+        // Silence the visualizers if frames stop arriving for this long (ms)
+        this.timeout = 500;
+        this.lastReceived = -Infinity;
+
+        // Latest frame, and onsets received since the last update()
+        this.pending = null;
+        this.pendingPeaks = { drums: false, vocals: false, bass: false, highs: false };
+        this.pendingBeat = false;
+        this.pendingDownbeat = false;
+        this.pendingHits = { kick: false, snare: false, hat: false };
+
+        // Decoded state, reused (same shapes as AudioAnalyzer)
+        this.energies = { drums: 0, vocals: 0, bass: 0, highs: 0, raw: {} };
+        this.peaks = {
+            drums: { value: 0, isPeak: false },
+            vocals: { value: 0, isPeak: false },
+            bass: { value: 0, isPeak: false },
+            highs: { value: 0, isPeak: false }
+        };
+        this.beat = { bpm: 0, confidence: 0, phase: 0, isBeat: false, isDownbeat: false };
+        this.pitch = { frequency: 0, midi: 0, note: '', cents: 0, confidence: 0, voiced: false };
+        this.harmony = {
+            chroma: new Float32Array(12),
+            key: { root: -1, mode: 'major', name: '', confidence: 0 },
+            chord: { root: -1, quality: 'major', name: '', confidence: 0 }
+        };
+        this.hits = {};
+        for (const voice of Object.keys(this.pendingHits)) {
+            this.hits[voice] = { energy: 0, flux: 0, isOnset: false };
+        }
+        this.stereo = StereoAnalyzer.createStereo();
+        this.signal = { spectrum: null, waveform: null, binFrequency: 0 };
+        this.groupAnalysis = {};
+        for (const group of Object.keys(this.peaks)) {
+            this.groupAnalysis[group] = {
+                beat: this.beat,
+                stereo: this.stereo,
+                signal: this.signal,
+                spectrum: new Float32Array(subSpectrumSize),
+                bands: {}
+            };
+        }
+        this.groupAnalysis.drums.hits = this.hits;
+        this.groupAnalysis.vocals.pitch = this.pitch;
+    }
+
+    /**
+     * Take a frame from the main window
+     * Onsets are kept until the next update() so none are lost when frames
+     * arrive faster than this window draws
+     * @param {Object} frame - Frame from AnalysisFrame.capture()
+     * @param {number} now - Receive time in ms (performance.now())
+     */
+    receive(frame, now) {
+        this.pending = frame;
+        this.lastReceived = now;
+
+        if (frame.peaks) {
+            for (const [group, isPeak] of Object.entries(frame.peaks)) {
+                if (isPeak && group in this.pendingPeaks) this.pendingPeaks[group] = true;
+            }
+        }
+        if (frame.beat) {
+            this.pendingBeat = this.pendingBeat || frame.beat.isBeat;
+            this.pendingDownbeat = this.pendingDownbeat || frame.beat.isDownbeat;
+        }
+        if (frame.hits) {
+            for (const [voice, isOnset] of Object.entries(frame.hits)) {
+                if (isOnset && voice in this.pendingHits) this.pendingHits[voice] = true;
+            }
+        }
+    }
+
+    /**
+     * @param {number} now - Current time in ms (performance.now())
+     * @returns {boolean} True while frames are arriving
+     */
+    isReceiving(now) {
+        return now - this.lastReceived < this.timeout;
+    }
+
+    /**
+     * Apply the latest frame (called once per drawn frame, like AudioAnalyzer)
+     */
+    update() {
+        if (!this.isReceiving(performance.now())) {
+            this._silence();
+            return;
+        }
+
+        const frame = this.pending;
+        if (!frame) return;
+
+        if (frame.energies) {
+            Object.assign(this.energies, frame.energies);
+        }
+        if (frame.bands) {
+            this.energies.raw = frame.bands;
+            for (const [group, bands] of Object.entries(frame.bands)) {
+                if (this.groupAnalysis[group]) this.groupAnalysis[group].bands = bands;
+            }
+        }
+
+        for (const [group, peak] of Object.entries(this.peaks)) {
+            peak.isPeak = this.pendingPeaks[group];
+            peak.value = this.energies[group];
+            this.pendingPeaks[group] = false;
+        }
+
+        if (frame.beat) {
+            this.beat.bpm = frame.beat.bpm;
+            this.beat.phase = frame.beat.phase;
+        }
+        this.beat.isBeat = this.pendingBeat;
+        this.beat.isDownbeat = this.pendingDownbeat;
+        this.pendingBeat = false;
+        this.pendingDownbeat = false;
+
+        const drumBands = this.groupAnalysis.drums.bands;
+        for (const [voice, hit] of Object.entries(this.hits)) {
+            hit.energy = drumBands[DrumVoices[voice].energyKey] || 0;
+            hit.isOnset = this.pendingHits[voice];
+            this.pendingHits[voice] = false;
+        }
+
+        if (frame.spectra) {
+            for (const [group, spectrum] of Object.entries(frame.spectra)) {
+                const target = this.groupAnalysis[group] && this.groupAnalysis[group].spectrum;
+                if (target && target.length === spectrum.length) {
+                    target.set(spectrum);
+                } else if (target) {
+                    this.groupAnalysis[group].spectrum = Float32Array.from(spectrum);
+                }
+            }
+        }
+
+        if (frame.pitch) {
+            Object.assign(this.pitch, frame.pitch);
+        }
+
+        if (frame.harmony) {
+            this.harmony.chroma.set(frame.harmony.chroma);
+            Object.assign(this.harmony.key, frame.harmony.key);
+            Object.assign(this.harmony.chord, frame.harmony.chord);
+        }
+
+        if (frame.signal) {
+            // Arrays arrive as fresh copies, so they can be kept as they are
+            Object.assign(this.signal, frame.signal);
+        }
+
+        if (frame.stereo) {
+            this.stereo.enabled = frame.stereo.enabled;
+            this.stereo.correlation = frame.stereo.correlation;
+            if (frame.stereo.left.length === this.stereo.left.length) {
+                this.stereo.left.set(frame.stereo.left);
+                this.stereo.right.set(frame.stereo.right);
+            }
+            for (const [group, band] of Object.entries(frame.stereo.bands)) {
+                if (this.stereo.bands[group]) Object.assign(this.stereo.bands[group], band);
+            }
+        }
+    }
+
+    getEnergies() {
+        return this.energies;
+    }
+
+    getPeaks() {
+        return this.peaks;
+    }
+
+    getBeat() {
+        return this.beat;
+    }
+
+    getPitch() {
+        return this.pitch;
+    }
+
+    getHarmony() {
+        return this.harmony;
+    }
+
+    getDrumHits() {
+        return this.hits;
+    }
+
+    getStereo() {
+        return this.stereo;
+    }
+
+    getSignal() {
+        return this.signal;
+    }
+
+    getGroupAnalysis(group) {
+        return this.groupAnalysis[group];
+    }
+
+    /**
+     * Let the visualizers settle while the main window is gone
+     * @private
+     */
+    _silence() {
+        for (const [group, peak] of Object.entries(this.peaks)) {
+            this.energies[group] = 0;
+            peak.isPeak = false;
+            this.groupAnalysis[group].spectrum.fill(0);
+        }
+        for (const hit of Object.values(this.hits)) {
+            hit.energy = 0;
+            hit.isOnset = false;
+        }
+        this.beat.isBeat = false;
+        this.beat.isDownbeat = false;
+        this.pitch.voiced = false;
+        this.stereo.left.fill(0);
+        this.stereo.right.fill(0);
+        this.signal.spectrum = null;
+        this.signal.waveform = null;
+    }
+}
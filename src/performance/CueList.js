@@ -0,0 +1,156 @@
+/**
+ * CueList - Scenes stored on number keys, recalled with a crossfade
+ * A cue holds the scene (layout with its grid size and overrides, theme,
+ * harmony palette) and which visualizers are enabled in which mode. Recalling one freezes the last
+ * frame and fades it out over the new scene.
+ */
+
+// Settings recorded in a cue, per scope (visualizer scopes share one list;
+// null records every parameter of the scope)
+const CueKeys = {
+    scene: ['layout', 'theme', 'palette'],
+    layout: null,
+    analyzer: [],
+    theme: [],
+    bands: [],
+    input: [],
+    visualizer: ['enabled', 'mode']
+};
+
+class CueList {
+    /**
+     * @param {Settings} settings - Settings to capture and apply
+     * @param {string} storageKey - localStorage key for the cues
+     */
+    constructor(settings, storageKey = 'music-viz1.cues') {
+        this.settings = settings;
+        this.storageKey = storageKey;
+        this.cues = this._load();
+
+        // Crossfade length in seconds (0 = cut)
+        this.fadeTime = 1;
+
+        // Frozen frame being faded out (1 = fully visible)
+        this.snapshot = null;
+        this.fade = 0;
+    }
+
+    /**
+     * @param {string} slot - Cue slot ('1'-'9')
+     * @returns {boolean} True if the slot holds a cue
+     */
+    has(slot) {
+        return Boolean(this.cues[slot]);
+    }
+
+    /**
+     * Store the current scene in a slot
+     * @param {string} slot - Cue slot ('1'-'9')
+     */
+    save(slot) {
+        const cue = {};
+        for (const { scope, parameters } of this.settings.getScopes()) {
+            const listed = scope in CueKeys ? CueKeys[scope] : CueKeys.visualizer;
+            const keys = listed || parameters.map(param => param.key);
+            for (const key of keys) {
+                const value = this.settings.get(scope, key);
+                if (value !== undefined) {
+                    (cue[scope] || (cue[scope] = {}))[key] = value;
+                }
+            }
+        }
+
+        this.cues[slot] = cue;
+        this._save();
+    }
+
+    /**
+     * Switch to a stored scene, crossfading from the current frame
+     * @param {string} slot - Cue slot ('1'-'9')
+     * @param {HTMLCanvasElement} canvas - Canvas showing the current frame
+     * @returns {boolean} False if the slot is empty
+     */
+    recall(slot, canvas) {
+        const cue = this.cues[slot];
+        if (!cue) return false;
+
+        this.startFade(canvas);
+        this.settings.apply(cue);
+        return true;
+    }
+
+    /**
+     * Freeze the current frame to fade it out over whatever comes next
+     * @param {HTMLCanvasElement} canvas - Canvas showing the current frame
+     */
+    startFade(canvas) {
+        if (this.fadeTime <= 0) return;
+        this._takeSnapshot(canvas);
+        this.fade = 1;
+    }
+
+    /**
+     * Draw the fading frame over the new scene; call after the visualizers
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} deltaTime - Time since last frame in ms
+     * @returns {number} Opacity the old frame was drawn with (0 when not fading),
+     *   for anything drawn over the canvas later that should sit under it
+     */
+    drawFade(ctx, deltaTime) {
+        if (this.fade <= 0) return 0;
+
+        const fade = this.fade;
+        ctx.save();
+        ctx.globalAlpha = fade;
+        ctx.globalCompositeOperation = 'source-over';
+        ctx.drawImage(this.snapshot, 0, 0);
+        ctx.restore();
+
+        this.fade -= deltaTime / 1000 / this.fadeTime;
+        return fade;
+    }
+
+    /**
+     * Copy the canvas into the (reused) snapshot canvas
+     * @private
+     */
+    _takeSnapshot(canvas) {
+        if (!this.snapshot) {
+            this.snapshot = document.createElement('canvas');
+        }
+        if (this.snapshot.width !== canvas.width || this.snapshot.height !== canvas.height) {
+            this.snapshot.width = canvas.width;
+            this.snapshot.height = canvas.height;
+        }
+
+        const ctx = this.snapshot.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(canvas, 0, 0);
+    }
+
+    /**
+     * @private
+     */
+    _load() {
+        try {
+            const cues = JSON.parse(localStorage.getItem(this.storageKey));
+            if (cues && typeof cues === 'object') {
+                return cues;
+            }
+        } catch (e) {
+            console.warn('Ignoring unreadable cues:', e);
+        }
+        return {};
+    }
+
+    /**
+     * @private
+     */
+    _save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.cues));
+        } catch (e) {
+            console.warn('Failed to save cues:', e);
+        }
+    }
+}
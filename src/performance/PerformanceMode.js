@@ -0,0 +1,95 @@
+/**
+ * PerformanceMode - Fullscreen show mode with the page chrome hidden
+ * Hides the control bar, panels, debug info and visualizer labels, hides
+ * the cursor when the mouse rests, and tells the sketch to ignore keys that
+ * would change the show by accident
+ */
+class PerformanceMode {
+    constructor() {
+        this.active = false;
+
+        // Milliseconds without mouse movement before the cursor hides
+        this.cursorTimeout = 2000;
+        this.cursorTimer = null;
+
+        this.changeCallbacks = [];
+
+        this._onMouseMove = () => this._showCursor();
+        document.addEventListener('fullscreenchange', () => {
+            // Leaving fullscreen (Esc, browser UI) ends the show mode
+            if (this.active && !document.fullscreenElement) {
+                this.exit();
+            }
+        });
+    }
+
+    /**
+     * Register a callback for entering and leaving the mode
+     * @param {Function} callback - Called with (active)
+     */
+    onChange(callback) {
+        this.changeCallbacks.push(callback);
+    }
+
+    toggle() {
+        if (this.active) {
+            this.exit();
+        } else {
+            this.enter();
+        }
+    }
+
+    enter() {
+        if (this.active) return;
+        this.active = true;
+
+        document.body.classList.add('performance');
+        document.addEventListener('mousemove', this._onMouseMove);
+        this._showCursor();
+
+        // Fullscreen can be refused (no user gesture, iframe); the mode works without it
+        if (document.documentElement.requestFullscreen && !document.fullscreenElement) {
+            document.documentElement.requestFullscreen().catch((error) => {
+                console.warn('Fullscreen unavailable:', error.message);
+            });
+        }
+
+        this._notify();
+    }
+
+    exit() {
+        if (!this.active) return;
+        this.active = false;
+
+        document.body.classList.remove('performance', 'cursor-hidden');
+        document.removeEventListener('mousemove', this._onMouseMove);
+        clearTimeout(this.cursorTimer);
+
+        if (document.fullscreenElement) {
+            document.exitFullscreen().catch(() => {});
+        }
+
+        this._notify();
+    }
+
+    /**
+     * Show the cursor and hide it again after a rest
+     * @private
+     */
+    _showCursor() {
+        document.body.classList.remove('cursor-hidden');
+        clearTimeout(this.cursorTimer);
+        this.cursorTimer = setTimeout(() => {
+            document.body.classList.add('cursor-hidden');
+        }, this.cursorTimeout);
+    }
+
+    /**
+     * @private
+     */
+    _notify() {
+        for (const callback of this.changeCallbacks) {
+            callback(this.active);
+        }
+    }
+}
@@ -0,0 +1,528 @@
+/**
+ * GLCompositor - WebGL post-processing of the 2D canvas
+ * Takes each finished 2D frame as a texture, draws the particles on top of it
+ * with instancing (in batches clipped to their visualizer's panel), then runs the post passes: feedback trails, bloom, and a
+ * final kaleidoscope and chromatic aberration pass to the drawing buffer.
+ *
+ * Uses WebGL 1 (plus ANGLE_instanced_arrays for particles) and no DOM, so it
+ * also runs on a headless software context, e.g. the `gl` package under Node.
+ * Textures are uploaded flipped, so y is up in GL and pixel rows read back
+ * with readPixels() start at the bottom
+ */
+
+// Fullscreen triangle strip; uv follows position
+const GLVertexShader = `
+attribute vec2 position;
+varying vec2 uv;
+void main() {
+    uv = position * 0.5 + 0.5;
+    gl_Position = vec4(position, 0.0, 1.0);
+}`;
+
+const GLFragmentShaders = {
+    copy: `
+precision mediump float;
+uniform sampler2D image;
+varying vec2 uv;
+void main() {
+    gl_FragColor = texture2D(image, uv);
+}`,
+
+    // Keep the brighter of the new frame and the fading previous output
+    feedback: `
+precision mediump float;
+uniform sampler2D image;
+uniform sampler2D history;
+uniform float decay;
+varying vec2 uv;
+void main() {
+    gl_FragColor = max(texture2D(image, uv), texture2D(history, uv) * decay);
+}`,
+
+    brightPass: `
+precision mediump float;
+uniform sampler2D image;
+uniform float threshold;
+varying vec2 uv;
+void main() {
+    vec4 color = texture2D(image, uv);
+    float luma = dot(color.rgb, vec3(0.299, 0.587, 0.114));
+    gl_FragColor = vec4(color.rgb * smoothstep(threshold, threshold + 0.1, luma), 1.0);
+}`,
+
+    // 9-tap Gaussian along direction (in texels)
+    blur: `
+precision mediump float;
+uniform sampler2D image;
+uniform vec2 direction;
+varying vec2 uv;
+void main() {
+    vec4 sum = texture2D(image, uv) * 0.227027;
+    sum += texture2D(image, uv + direction * 1.384615) * 0.316216;
+    sum += texture2D(image, uv - direction * 1.384615) * 0.316216;
+    sum += texture2D(image, uv + direction * 3.230769) * 0.070270;
+    sum += texture2D(image, uv - direction * 3.230769) * 0.070270;
+    gl_FragColor = sum;
+}`,
+
+    combine: `
+precision mediump float;
+uniform sampler2D image;
+uniform sampler2D glow;
+uniform float amount;
+varying vec2 uv;
+void main() {
+    gl_FragColor = vec4(texture2D(image, uv).rgb + texture2D(glow, uv).rgb * amount, 1.0);
+}`,
+
+    // Mirror the image into segments around the center, then split the
+    // channels away from the center
+    final: `
+precision mediump float;
+uniform sampler2D image;
+uniform vec2 resolution;
+uniform float segments;
+uniform float kaleidoscope;
+uniform float rotation;
+uniform float aberration;
+varying vec2 uv;
+
+vec3 split(vec2 st) {
+    vec2 offset = (st - 0.5) * 2.0 * aberration / resolution;
+    return vec3(
+        texture2D(image, st + offset).r,
+        texture2D(image, st).g,
+        texture2D(image, st - offset).b
+    );
+}
+
+void main() {
+    vec3 color = split(uv);
+    if (kaleidoscope > 0.0) {
+        float aspect = resolution.x / resolution.y;
+        vec2 p = uv - 0.5;
+        p.x *= aspect;
+        float segment = 6.2831853 / segments;
+        float angle = mod(atan(p.y, p.x) + rotation, segment);
+        angle = min(angle, segment - angle);
+        vec2 st = vec2(cos(angle), sin(angle)) * length(p);
+        st.x /= aspect;
+        color = mix(color, split(st + 0.5), kaleidoscope);
+    }
+    gl_FragColor = vec4(color, 1.0);
+}`
+};
+
+// Instanced particle quads: per instance x, y (canvas pixels, y down),
+// diameter, alpha, then r, g, b (0-1)
+const GLParticleVertexShader = `
+attribute vec2 corner;
+attribute vec4 instance;
+attribute vec3 color;
+uniform vec2 resolution;
+varying vec2 local;
+varying vec4 tint;
+void main() {
+    local = corner;
+    tint = vec4(color, instance.w);
+    vec2 position = (instance.xy + corner * instance.z * 0.5) / resolution * 2.0 - 1.0;
+    gl_Position = vec4(position.x, -position.y, 0.0, 1.0);
+}`;
+
+const GLParticleFragmentShader = `
+precision mediump float;
+varying vec2 local;
+varying vec4 tint;
+void main() {
+    float d = length(local);
+    if (d > 1.0) discard;
+    float alpha = tint.a * smoothstep(1.0, 0.8, d);
+    gl_FragColor = vec4(tint.rgb * alpha, alpha);
+}`;
+
+// Floats per particle in the instance data
+const GL_PARTICLE_STRIDE = 7;
+
+class GLCompositor {
+    /**
+     * @param {WebGLRenderingContext} gl - WebGL 1 context
+     */
+    constructor(gl) {
+        this.gl = gl;
+        this.width = 0;
+        this.height = 0;
+
+        // Without instancing, particles stay on the 2D canvas
+        this.instancing = gl.getExtension('ANGLE_instanced_arrays');
+
+        this.programs = {};
+        for (const [name, source] of Object.entries(GLFragmentShaders)) {
+            this.programs[name] = this._createProgram(GLVertexShader, source);
+        }
+        if (this.instancing) {
+            this.programs.particles = this._createProgram(GLParticleVertexShader, GLParticleFragmentShader);
+        }
+
+        this.quad = this._createBuffer(new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]));
+        this.instanceBuffer = gl.createBuffer();
+
+        this.source = this._createTexture();
+        this.targets = null;
+
+        // Trails read the previous output; invalid until one was written
+        this.historyIndex = 0;
+        this.historyValid = false;
+    }
+
+    /**
+     * @returns {boolean} True if particles can be drawn here
+     */
+    canDrawParticles() {
+        return this.instancing !== null;
+    }
+
+    /**
+     * Size the drawing buffer's render targets
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     */
+    resize(width, height) {
+        if (width === this.width && height === this.height && this.targets) return;
+
+        this.width = width;
+        this.height = height;
+        if (this.targets) {
+            for (const target of Object.values(this.targets)) {
+                this._deleteTarget(target);
+            }
+        }
+
+        const halfWidth = Math.max(1, width >> 1);
+        const halfHeight = Math.max(1, height >> 1);
+        this.targets = {
+            scene: this._createTarget(width, height),
+            glow: this._createTarget(width, height),
+            history0: this._createTarget(width, height),
+            history1: this._createTarget(width, height),
+            blurA: this._createTarget(halfWidth, halfHeight),
+            blurB: this._createTarget(halfWidth, halfHeight)
+        };
+        this.historyValid = false;
+    }
+
+    /**
+     * Upload the 2D frame
+     * @param {TexImageSource|Object} image - Canvas, or { width, height, data }
+     *   with RGBA bytes, top row first
+     */
+    upload(image) {
+        const gl = this.gl;
+        gl.bindTexture(gl.TEXTURE_2D, this.source);
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+        if (image.data) {
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, image.width, image.height, 0, gl.RGBA, gl.UNSIGNED_BYTE, image.data);
+        } else {
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
+        }
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+    }
+
+    /**
+     * Composite the uploaded frame into the drawing buffer
+     * @param {Object} options
+     * @param {Float32Array} [options.particles] - Instance data, GL_PARTICLE_STRIDE floats each
+     * @param {number} [options.particleCount] - Particles in the data
+     * @param {Array} [options.particleBatches] - Runs of the data drawn one after
+     *   another, each clipped to its panel: { start, count, clip: { x, y, width,
+     *   height } } in canvas pixels, y down (without them all particles are drawn
+     *   unclipped)
+     * @param {number} [options.trails] - Feedback decay (0 = off, <1)
+     * @param {number} [options.bloom] - Glow amount (0 = off)
+     * @param {number} [options.bloomThreshold] - Luma where glow starts (0-1)
+     * @param {number} [options.kaleidoscope] - Mix of the mirrored image (0-1)
+     * @param {number} [options.segments] - Kaleidoscope segments
+     * @param {number} [options.rotation] - Kaleidoscope rotation in radians
+     * @param {number} [options.aberration] - Channel offset in pixels at the edges
+     */
+    render(options) {
+        const gl = this.gl;
+        const targets = this.targets;
+        gl.disable(gl.DEPTH_TEST);
+        gl.disable(gl.BLEND);
+
+        // Frame plus particles
+        this._pass('copy', targets.scene, { image: this.source });
+        if (options.particleCount > 0 && this.instancing) {
+            const batches = options.particleBatches || [{ start: 0, count: options.particleCount, clip: null }];
+            this._drawParticles(targets.scene, options.particles, options.particleCount, batches);
+        }
+        let current = targets.scene;
+
+        // Trails: blend with the previous output, which becomes the next history
+        const trails = options.trails || 0;
+        if (trails > 0) {
+            const previous = targets[`history${this.historyIndex}`];
+            this.historyIndex = 1 - this.historyIndex;
+            const next = targets[`history${this.historyIndex}`];
+            this._pass('feedback', next, {
+                image: current.texture,
+                history: previous.texture,
+                decay: this.historyValid ? trails : 0
+            });
+            this.historyValid = true;
+            current = next;
+        } else {
+            this.historyValid = false;
+        }
+
+        // Bloom: bright parts, blurred at half size, added back
+        const bloom = options.bloom || 0;
+        if (bloom > 0) {
+            const { blurA, blurB } = targets;
+            this._pass('brightPass', blurA, { image: current.texture, threshold: options.bloomThreshold || 0 });
+            this._pass('blur', blurB, { image: blurA.texture, direction: [1 / blurA.width, 0] });
+            this._pass('blur', blurA, { image: blurB.texture, direction: [0, 1 / blurA.height] });
+            this._pass('combine', targets.glow, { image: current.texture, glow: blurA.texture, amount: bloom });
+            current = targets.glow;
+        }
+
+        this._pass('final', null, {
+            image: current.texture,
+            resolution: [this.width, this.height],
+            segments: Math.max(2, options.segments || 6),
+            kaleidoscope: options.kaleidoscope || 0,
+            rotation: options.rotation || 0,
+            aberration: options.aberration || 0
+        });
+    }
+
+    /**
+     * Read the drawing buffer (bottom row first)
+     * @param {Uint8Array} out - width * height * 4 bytes
+     * @returns {Uint8Array} out
+     */
+    readPixels(out) {
+        const gl = this.gl;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.readPixels(0, 0, this.width, this.height, gl.RGBA, gl.UNSIGNED_BYTE, out);
+        return out;
+    }
+
+    /**
+     * Release GL resources
+     */
+    dispose() {
+        const gl = this.gl;
+        if (this.targets) {
+            for (const target of Object.values(this.targets)) {
+                this._deleteTarget(target);
+            }
+            this.targets = null;
+        }
+        for (const program of Object.values(this.programs)) {
+            gl.deleteProgram(program.program);
+        }
+        gl.deleteTexture(this.source);
+        gl.deleteBuffer(this.quad);
+        gl.deleteBuffer(this.instanceBuffer);
+    }
+
+    /**
+     * Run one fullscreen pass
+     * @private
+     * @param {string} name - Program name
+     * @param {Object|null} target - Render target, or null for the drawing buffer
+     * @param {Object} uniforms - Textures (sampler uniforms) and numbers or vec2 arrays
+     */
+    _pass(name, target, uniforms) {
+        const gl = this.gl;
+        const program = this.programs[name];
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target ? target.framebuffer : null);
+        gl.viewport(0, 0, target ? target.width : this.width, target ? target.height : this.height);
+        gl.useProgram(program.program);
+
+        let unit = 0;
+        for (const [key, value] of Object.entries(uniforms)) {
+            const location = program.uniforms[key];
+            if (!location) continue;
+
+            if (Array.isArray(value)) {
+                gl.uniform2f(location, value[0], value[1]);
+            } else if (typeof value === 'number') {
+                gl.uniform1f(location, value);
+            } else {
+                gl.activeTexture(gl.TEXTURE0 + unit);
+                gl.bindTexture(gl.TEXTURE_2D, value);
+                gl.uniform1i(location, unit);
+                unit++;
+            }
+        }
+
+        const position = program.attributes.position;
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quad);
+        gl.enableVertexAttribArray(position);
+        gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 0, 0);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+        gl.disableVertexAttribArray(position);
+    }
+
+    /**
+     * Draw particles over a target with premultiplied alpha blending, one
+     * scissored batch at a time
+     * @private
+     */
+    _drawParticles(target, data, count, batches) {
+        const gl = this.gl;
+        const ext = this.instancing;
+        const program = this.programs.particles;
+        const { corner, instance, color } = program.attributes;
+        const stride = GL_PARTICLE_STRIDE * 4;
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+        gl.viewport(0, 0, target.width, target.height);
+        gl.useProgram(program.program);
+        gl.uniform2f(program.uniforms.resolution, target.width, target.height);
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quad);
+        gl.enableVertexAttribArray(corner);
+        gl.vertexAttribPointer(corner, 2, gl.FLOAT, false, 0, 0);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.instanceBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, data.subarray(0, count * GL_PARTICLE_STRIDE), gl.DYNAMIC_DRAW);
+        gl.enableVertexAttribArray(instance);
+        ext.vertexAttribDivisorANGLE(instance, 1);
+        gl.enableVertexAttribArray(color);
+        ext.vertexAttribDivisorANGLE(color, 1);
+
+        for (const batch of batches) {
+            if (batch.count <= 0) continue;
+
+            // Instances start where the batch does; the scissor box has y up
+            const offset = batch.start * stride;
+            gl.vertexAttribPointer(instance, 4, gl.FLOAT, false, stride, offset);
+            gl.vertexAttribPointer(color, 3, gl.FLOAT, false, stride, offset + 16);
+            if (batch.clip) {
+                const { x, y, width, height } = batch.clip;
+                const left = Math.max(0, Math.floor(x));
+                const bottom = Math.max(0, Math.floor(target.height - y - height));
+                gl.enable(gl.SCISSOR_TEST);
+                gl.scissor(left, bottom,
+                    Math.max(0, Math.ceil(x + width) - left),
+                    Math.max(0, Math.ceil(target.height - y) - bottom));
+            } else {
+                gl.disable(gl.SCISSOR_TEST);
+            }
+            ext.drawArraysInstancedANGLE(gl.TRIANGLE_STRIP, 0, 4, batch.count);
+        }
+        gl.disable(gl.SCISSOR_TEST);
+
+        // Attribute state is shared with the fullscreen passes
+        ext.vertexAttribDivisorANGLE(instance, 0);
+        ext.vertexAttribDivisorANGLE(color, 0);
+        gl.disableVertexAttribArray(corner);
+        gl.disableVertexAttribArray(instance);
+        gl.disableVertexAttribArray(color);
+        gl.disable(gl.BLEND);
+    }
+
+    /**
+     * @private
+     */
+    _createProgram(vertexSource, fragmentSource) {
+        const gl = this.gl;
+        const program = gl.createProgram();
+        gl.attachShader(program, this._compile(gl.VERTEX_SHADER, vertexSource));
+        gl.attachShader(program, this._compile(gl.FRAGMENT_SHADER, fragmentSource));
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            throw new Error(`Shader link failed: ${gl.getProgramInfoLog(program)}`);
+        }
+
+        // Look up every active attribute and uniform once
+        const attributes = {};
+        const attributeCount = gl.getProgramParameter(program, gl.ACTIVE_ATTRIBUTES);
+        for (let i = 0; i < attributeCount; i++) {
+            const name = gl.getActiveAttrib(program, i).name;
+            attributes[name] = gl.getAttribLocation(program, name);
+        }
+        const uniforms = {};
+        const uniformCount = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
+        for (let i = 0; i < uniformCount; i++) {
+            const name = gl.getActiveUniform(program, i).name;
+            uniforms[name] = gl.getUniformLocation(program, name);
+        }
+
+        return { program, attributes, uniforms };
+    }
+
+    /**
+     * @private
+     */
+    _compile(type, source) {
+        const gl = this.gl;
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+            throw new Error(`Shader compile failed: ${gl.getShaderInfoLog(shader)}`);
+        }
+        return shader;
+    }
+
+    /**
+     * @private
+     */
+    _createBuffer(data) {
+        const gl = this.gl;
+        const buffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        gl.bufferData(gl.ARRAY_BUFFER, data, gl.STATIC_DRAW);
+        return buffer;
+    }
+
+    /**
+     * Linear, clamped texture (non-power-of-two sizes need both in WebGL 1)
+     * @private
+     */
+    _createTexture() {
+        const gl = this.gl;
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        return texture;
+    }
+
+    /**
+     * @private
+     */
+    _createTarget(width, height) {
+        const gl = this.gl;
+        const texture = this._createTexture();
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+
+        const framebuffer = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+        return { texture, framebuffer, width, height };
+    }
+
+    /**
+     * @private
+     */
+    _deleteTarget(target) {
+        this.gl.deleteFramebuffer(target.framebuffer);
+        this.gl.deleteTexture(target.texture);
+    }
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = { GLCompositor, GL_PARTICLE_STRIDE };
+}
@@ -0,0 +1,404 @@
+/**
+ * OfflineRenderer - Deterministic render-to-video export
+ * Steps the draw pipeline at a fixed frame rate, analyzes the decoded
+ * audio buffer per frame and captures each frame from the canvas
+ */
+class OfflineRenderer {
+    /**
+     * @param {AudioAnalyzer} analyzer - Analyzer to drive from the audio buffer
+     * @param {Object} hooks - Sketch callbacks
+     * @param {Function} hooks.getCanvas - Canvas to capture, once the render size is set
+     * @param {Function} hooks.begin - Prepare the sketch ({ width, height })
+     * @param {Function} hooks.resetScene - Recreate visualizer state
+     * @param {Function} hooks.drawFrame - Run one frame of the draw pipeline
+     * @param {Function} hooks.end - Restore live rendering
+     */
+    constructor(analyzer, hooks) {
+        this.analyzer = analyzer;
+        this.hooks = hooks;
+        this.isRendering = false;
+        this.isCancelled = false;
+    }
+
+    /**
+     * Check which output formats this browser can produce
+     * @returns {Object} { webm, png }
+     */
+    static getSupportedFormats() {
+        return {
+            webm: typeof VideoEncoder !== 'undefined',
+            png: true
+        };
+    }
+
+    /**
+     * Render an audio file to video
+     * @param {File} file - Audio file
+     * @param {Object} options - { fps, format: 'webm'|'png', seed, width, height }
+     * @param {Function} onProgress - Called with progress (0-1)
+     * @returns {Promise<Blob|null>} Output file, or null if cancelled
+     */
+    async render(file, options = {}, onProgress = null) {
+        if (this.isRendering) {
+            throw new Error('A render is already in progress');
+        }
+
+        const fps = options.fps || 30;
+        const format = options.format || 'webm';
+        const seed = options.seed !== undefined ? options.seed : 1;
+
+        const buffer = await OfflineRenderer.decode(file);
+        const frameCount = Math.ceil(buffer.duration * fps);
+
+        this.isRendering = true;
+        this.isCancelled = false;
+
+        try {
+            this.hooks.begin({ width: options.width, height: options.height });
+
+            // Same seed + same audio => same frames
+            const fft = await this.analyzer.beginOffline(buffer);
+            // drawFrame() ticks the clock before analyzing, so start one step
+            // early: frame i then runs at i / fps, the time the FFT is set to
+            clock.reset(-1000 / fps);
+            clock.setFixedStep(1000 / fps);
+            rng.seed(seed);
+            this.hooks.resetScene();
+
+            const canvas = this.hooks.getCanvas();
+            const sink = format === 'png'
+                ? new PngSequenceSink(fps, seed)
+                : new WebMFrameSink(fps);
+            await sink.begin(buffer, canvas.width, canvas.height);
+
+            for (let i = 0; i < frameCount && !this.isCancelled; i++) {
+                fft.setTime(i / fps);
+                this.hooks.drawFrame();
+                await sink.addFrame(canvas, i);
+
+                if (onProgress) onProgress((i + 1) / frameCount);
+            }
+
+            if (this.isCancelled) {
+                sink.dispose();
+                return null;
+            }
+            return await sink.finish();
+        } finally {
+            this.analyzer.endOffline();
+            clock.useRealTime();
+            this.hooks.end();
+            this.isRendering = false;
+        }
+    }
+
+    /**
+     * Stop the current render after the frame in progress
+     */
+    cancel() {
+        this.isCancelled = true;
+    }
+
+    /**
+     * Decode an audio file at the audio context's sample rate
+     * @param {File} file - Audio file
+     * @returns {Promise<AudioBuffer>}
+     */
+    static async decode(file) {
+        const data = await file.arrayBuffer();
+        return getAudioContext().decodeAudioData(data);
+    }
+
+    /**
+     * Save a blob through a temporary download link
+     * @param {Blob} blob - File contents
+     * @param {string} filename - Suggested file name
+     */
+    static download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 10000);
+    }
+}
+
+/**
+ * Encodes frames with WebCodecs (VP9, falling back to VP8) and
+ * the audio as Opus, muxed into a WebM file
+ */
+class WebMFrameSink {
+    constructor(fps) {
+        this.fps = fps;
+        this.encoder = null;
+        this.writer = null;
+        this.error = null;
+        this.keyFrameInterval = fps * 2;
+    }
+
+    async begin(buffer, width, height) {
+        const config = {
+            codec: 'vp09.00.10.08',
+            width,
+            height,
+            bitrate: 8000000,
+            framerate: this.fps
+        };
+
+        let videoCodec = 'V_VP9';
+        const support = await VideoEncoder.isConfigSupported(config);
+        if (!support.supported) {
+            config.codec = 'vp8';
+            videoCodec = 'V_VP8';
+        }
+
+        const audio = await this._encodeAudio(buffer);
+        this.writer = new WebMWriter({ videoCodec, width, height, audio: audio && audio.track });
+        if (audio) {
+            for (const chunk of audio.chunks) {
+                this.writer.addAudioChunk(chunk);
+            }
+        }
+
+        this.encoder = new VideoEncoder({
+            output: (chunk) => this.writer.addVideoChunk(chunk),
+            error: (e) => { this.error = e; }
+        });
+        this.encoder.configure(config);
+    }
+
+    async addFrame(canvas, index) {
+        if (this.error) throw this.error;
+
+        const frame = new VideoFrame(canvas, {
+            timestamp: Math.round((index * 1000000) / this.fps),
+            duration: Math.round(1000000 / this.fps)
+        });
+        this.encoder.encode(frame, { keyFrame: index % this.keyFrameInterval === 0 });
+        frame.close();
+
+        // Let the encoder drain and the UI breathe
+        while (this.encoder.encodeQueueSize > 4) {
+            await new Promise(resolve => setTimeout(resolve, 1));
+        }
+        if (index % 10 === 0) {
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+    }
+
+    async finish() {
+        await this.encoder.flush();
+        this.encoder.close();
+        if (this.error) throw this.error;
+        return this.writer.finalize();
+    }
+
+    dispose() {
+        if (this.encoder && this.encoder.state !== 'closed') {
+            this.encoder.close();
+        }
+        this.writer = null;
+    }
+
+    /**
+     * Encode the whole buffer as 48kHz Opus
+     * @private
+     * @returns {Promise<Object|null>} { track, chunks } or null if unsupported
+     */
+    async _encodeAudio(buffer) {
+        if (typeof AudioEncoder === 'undefined') {
+            console.warn('AudioEncoder unavailable, rendering video without audio');
+            return null;
+        }
+
+        const sampleRate = 48000;
+        const channels = Math.min(buffer.numberOfChannels, 2);
+        const config = { codec: 'opus', sampleRate, numberOfChannels: channels, bitrate: 192000 };
+
+        const support = await AudioEncoder.isConfigSupported(config);
+        if (!support.supported) {
+            console.warn('Opus encoding unsupported, rendering video without audio');
+            return null;
+        }
+
+        const resampled = await WebMFrameSink.resample(buffer, sampleRate, channels);
+        const chunks = [];
+        let codecPrivate = null;
+        let error = null;
+
+        const encoder = new AudioEncoder({
+            output: (chunk, metadata) => {
+                if (metadata && metadata.decoderConfig && metadata.decoderConfig.description) {
+                    codecPrivate = new Uint8Array(metadata.decoderConfig.description);
+                }
+                chunks.push(chunk);
+            },
+            error: (e) => { error = e; }
+        });
+        encoder.configure(config);
+
+        // Feed 100ms planar blocks
+        const blockSize = sampleRate / 10;
+        for (let start = 0; start < resampled.length; start += blockSize) {
+            const frames = Math.min(blockSize, resampled.length - start);
+            const data = new Float32Array(frames * channels);
+            for (let c = 0; c < channels; c++) {
+                data.set(resampled.getChannelData(c).subarray(start, start + frames), c * frames);
+            }
+
+            const audioData = new AudioData({
+                format: 'f32-planar',
+                sampleRate,
+                numberOfFrames: frames,
+                numberOfChannels: channels,
+                timestamp: Math.round((start * 1000000) / sampleRate),
+                data
+            });
+            encoder.encode(audioData);
+            audioData.close();
+        }
+
+        await encoder.flush();
+        encoder.close();
+        if (error) throw error;
+
+        return {
+            track: {
+                sampleRate,
+                channels,
+                codecPrivate: codecPrivate || WebMFrameSink.opusHead(channels, buffer.sampleRate)
+            },
+            chunks
+        };
+    }
+
+    /**
+     * Resample an AudioBuffer with an OfflineAudioContext
+     * @param {AudioBuffer} buffer - Source audio
+     * @param {number} sampleRate - Target rate
+     * @param {number} channels - Target channel count
+     * @returns {Promise<AudioBuffer>}
+     */
+    static resample(buffer, sampleRate, channels) {
+        const context = new OfflineAudioContext(channels, Math.ceil(buffer.duration * sampleRate), sampleRate);
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+        source.connect(context.destination);
+        source.start();
+        return context.startRendering();
+    }
+
+    /**
+     * Build an OpusHead identification header (RFC 7845)
+     * @param {number} channels - Channel count
+     * @param {number} inputSampleRate - Original sample rate
+     * @returns {Uint8Array}
+     */
+    static opusHead(channels, inputSampleRate) {
+        const head = new Uint8Array(19);
+        const view = new DataView(head.buffer);
+        head.set(new TextEncoder().encode('OpusHead'), 0);
+        head[8] = 1; // Version
+        head[9] = channels;
+        view.setUint16(10, 312, true); // Pre-skip (libopus default lookahead)
+        view.setUint32(12, inputSampleRate, true);
+        view.setInt16(16, 0, true); // Output gain
+        head[18] = 0; // Channel mapping family
+        return head;
+    }
+}
+
+/**
+ * Writes each frame as a PNG into a zip, alongside the audio as WAV
+ */
+class PngSequenceSink {
+    constructor(fps, seed) {
+        this.fps = fps;
+        this.seed = seed;
+        this.zip = null;
+        this.frameCount = 0;
+        this.width = 0;
+        this.height = 0;
+    }
+
+    async begin(buffer, width, height) {
+        this.zip = new ZipWriter();
+        this.width = width;
+        this.height = height;
+        this.zip.addFile('audio.wav', PngSequenceSink.encodeWav(buffer));
+    }
+
+    async addFrame(canvas, index) {
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        const data = new Uint8Array(await blob.arrayBuffer());
+        const name = `frames/frame_${String(index).padStart(6, '0')}.png`;
+
+        this.zip.addFile(name, data);
+        this.frameCount++;
+    }
+
+    async finish() {
+        // Enough to reassemble, e.g. ffmpeg -framerate <fps> -i frames/frame_%06d.png -i audio.wav
+        const info = {
+            fps: this.fps,
+            frames: this.frameCount,
+            width: this.width,
+            height: this.height,
+            seed: this.seed
+        };
+        this.zip.addFile('render.json', new TextEncoder().encode(JSON.stringify(info, null, 2)));
+        return this.zip.finalize();
+    }
+
+    dispose() {
+        this.zip = null;
+    }
+
+    /**
+     * Encode an AudioBuffer as 16-bit PCM WAV
+     * @param {AudioBuffer} buffer - Audio to encode
+     * @returns {Uint8Array} WAV file bytes
+     */
+    static encodeWav(buffer) {
+        const channels = buffer.numberOfChannels;
+        const frames = buffer.length;
+        const dataSize = frames * channels * 2;
+        const out = new Uint8Array(44 + dataSize);
+        const view = new DataView(out.buffer);
+
+        const writeString = (offset, text) => {
+            for (let i = 0; i < text.length; i++) out[offset + i] = text.charCodeAt(i);
+        };
+
+        writeString(0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true);
+        view.setUint16(20, 1, true); // PCM
+        view.setUint16(22, channels, true);
+        view.setUint32(24, buffer.sampleRate, true);
+        view.setUint32(28, buffer.sampleRate * channels * 2, true);
+        view.setUint16(32, channels * 2, true);
+        view.setUint16(34, 16, true);
+        writeString(36, 'data');
+        view.setUint32(40, dataSize, true);
+
+        const channelData = [];
+        for (let c = 0; c < channels; c++) channelData.push(buffer.getChannelData(c));
+
+        let offset = 44;
+        for (let i = 0; i < frames; i++) {
+            for (let c = 0; c < channels; c++) {
+                const sample = Math.max(-1, Math.min(1, channelData[c][i]));
+                view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+                offset += 2;
+            }
+        }
+
+        return out;
+    }
+}
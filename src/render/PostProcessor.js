@@ -0,0 +1,369 @@
+/**
+ * PostProcessor - Optional WebGL render path for the sketch
+ * Shows a WebGL canvas in place of the p5 canvas and runs each finished frame
+ * through GLCompositor: particles drawn with instancing (per visualizer, in
+ * z-order and clipped to its panel), then bloom, feedback
+ * trails, chromatic aberration and a kaleidoscope. Each effect's amount can
+ * follow a group's energy. Off by default; without WebGL (or after the context
+ * is lost) the p5 canvas is shown as before.
+ */
+
+// Post effects: amount range, plus how far a band can push the amount
+const PostEffects = {
+    bloom: { label: 'Bloom', max: 2, step: 0.05 },
+    trails: { label: 'Feedback trails', max: 0.98, step: 0.01 },
+    aberration: { label: 'Chromatic aberration (px)', max: 20, step: 0.5 },
+    kaleidoscope: { label: 'Kaleidoscope', max: 1, step: 0.05 }
+};
+
+// Groups an effect can follow
+const PostModulationSources = ['none', 'drums', 'vocals', 'bass', 'highs'];
+
+/**
+ * Settings schema: switches, then amount, band and depth for every effect
+ */
+const PostParameters = [
+    { key: 'enabled', label: 'WebGL effects', type: 'boolean' },
+    { key: 'gpuParticles', label: 'GPU particles', type: 'boolean' },
+    { key: 'bloomThreshold', label: 'Bloom threshold', type: 'number', min: 0, max: 1, step: 0.01 },
+    { key: 'segments', label: 'Kaleidoscope segments', type: 'integer', min: 2, max: 16, step: 1 },
+    { key: 'spin', label: 'Kaleidoscope spin', type: 'number', min: -1, max: 1, step: 0.05 }
+].concat(...Object.entries(PostEffects).map(([id, effect]) => [
+    { key: id, label: effect.label, type: 'number', min: 0, max: effect.max, step: effect.step },
+    { key: `${id}Band`, label: `${effect.label}: follows`, type: 'select', options: PostModulationSources },
+    { key: `${id}Depth`, label: `${effect.label}: depth`, type: 'number', min: -1, max: 1, step: 0.05 }
+]));
+
+class PostProcessor {
+    /**
+     * @param {HTMLCanvasElement} source - The p5 canvas
+     */
+    constructor(source) {
+        this.source = source;
+
+        this.enabled = false;
+        this.gpuParticles = true;
+        this.bloomThreshold = 0.6;
+        this.segments = 6;
+        this.spin = 0.1;
+
+        // Effect amounts; a band adds depth * energy * the effect's range
+        for (const id of Object.keys(PostEffects)) {
+            this[id] = 0;
+            this[`${id}Band`] = 'none';
+            this[`${id}Depth`] = 0;
+        }
+
+        this.rotation = 0;
+
+        // Particle instance data, grown as needed, and one reused
+        // { start, count, clip } run of it per visualizer
+        this.particleData = new Float32Array(256 * GL_PARTICLE_STRIDE);
+        this.particleBatches = [];
+
+        // Created on first use, so nothing changes until effects are turned on
+        this.canvas = null;
+        this.compositor = null;
+        this.failed = false;
+    }
+
+    /**
+     * @returns {boolean} True if WebGL works here (creates the canvas)
+     */
+    isSupported() {
+        return this._init();
+    }
+
+    /**
+     * @returns {boolean} True while frames go through the WebGL path
+     */
+    isActive() {
+        return this.enabled && this._init();
+    }
+
+    /**
+     * @returns {boolean} True if particles are drawn here instead of on the 2D canvas
+     */
+    drawsParticles() {
+        return this.gpuParticles && this.isActive() && this.compositor.canDrawParticles();
+    }
+
+    /**
+     * Decide where each visualizer's particles are drawn; call before drawing
+     * the visualizers. They come here unless a visualizer drawn later overlaps
+     * the panel: that one has to cover them, so they stay on the 2D canvas
+     * @param {Array} drawOrder - Visualizers in draw order
+     */
+    assignParticles(drawOrder) {
+        const gpu = this.drawsParticles();
+        for (let i = 0; i < drawOrder.length; i++) {
+            const viz = drawOrder[i];
+            let covered = false;
+            for (let j = i + 1; j < drawOrder.length && !covered; j++) {
+                covered = PostProcessor.overlaps(drawOrder[j], viz);
+            }
+            viz.gpuParticles = gpu && !covered;
+        }
+    }
+
+    /**
+     * Canvas showing the finished frame (for capturing renders)
+     * @returns {HTMLCanvasElement}
+     */
+    getCanvas() {
+        if (!this.isActive()) return this.source;
+        this._syncSize();
+        return this.canvas;
+    }
+
+    /**
+     * Composite the frame just drawn on the p5 canvas
+     * @param {Array} drawOrder - Visualizers in draw order
+     * @param {Object} energies - Energy per group (0-1)
+     * @param {number} deltaTime - Frame time in ms
+     * @param {number} [particleOpacity] - Scales the GPU particles; they are drawn
+     *   after the 2D frame, so this keeps them under a cue crossfade drawn on it
+     */
+    render(drawOrder, energies, deltaTime, particleOpacity = 1) {
+        if (!this.isActive()) {
+            this._show(false);
+            return;
+        }
+
+        this._show(true);
+        this._syncSize();
+
+        const particleCount = this.drawsParticles() ? this._collectParticles(drawOrder, particleOpacity) : 0;
+        this.rotation += this.spin * deltaTime * 0.001;
+
+        this.compositor.upload(this.source);
+        this.compositor.render({
+            particles: this.particleData,
+            particleCount,
+            particleBatches: this.particleBatches,
+            bloom: this._getAmount('bloom', energies),
+            bloomThreshold: this.bloomThreshold,
+            trails: this._getAmount('trails', energies),
+            aberration: this._getAmount('aberration', energies),
+            kaleidoscope: this._getAmount('kaleidoscope', energies),
+            segments: this.segments,
+            rotation: this.rotation
+        });
+    }
+
+    /**
+     * Clear trails and the kaleidoscope angle, so renders start the same way
+     */
+    reset() {
+        this.rotation = 0;
+        if (this.compositor) {
+            this.compositor.historyValid = false;
+        }
+    }
+
+    /**
+     * Parameter schema for Settings
+     * @returns {Array}
+     */
+    getParameters() {
+        return PostParameters;
+    }
+
+    /**
+     * @param {string} key - Parameter key
+     * @returns {*} Current value
+     */
+    getParameter(key) {
+        return this[key];
+    }
+
+    /**
+     * @param {string} key - Parameter key
+     * @param {*} value - Valid value for the parameter
+     */
+    setParameter(key, value) {
+        this[key] = value;
+        if (key === 'enabled' && value && !this.isSupported()) {
+            console.warn('WebGL is unavailable, effects stay off');
+        }
+    }
+
+    /**
+     * Release the WebGL canvas and show the p5 canvas again
+     */
+    dispose() {
+        this._show(false);
+        if (this.compositor) {
+            this.compositor.dispose();
+            this.compositor = null;
+        }
+        if (this.canvas) {
+            this.canvas.remove();
+            this.canvas = null;
+        }
+    }
+
+    /**
+     * Effect amount with its band's modulation, within the effect's range
+     * @private
+     */
+    _getAmount(id, energies) {
+        const band = this[`${id}Band`];
+        let amount = this[id];
+        if (band !== 'none') {
+            amount += this[`${id}Depth`] * (energies[band] || 0) * PostEffects[id].max;
+        }
+        return Math.max(0, Math.min(PostEffects[id].max, amount));
+    }
+
+    /**
+     * Fill the instance data from the particles assigned here, one batch per
+     * visualizer in draw order, clipped to its panel
+     * @private
+     * @param {Array} drawOrder - Visualizers in draw order
+     * @param {number} opacity - Applied to every particle
+     * @returns {number} Particle count
+     */
+    _collectParticles(drawOrder, opacity) {
+        let count = 0;
+        for (const viz of drawOrder) {
+            if (!viz.gpuParticles || viz.opacity <= 0) continue;
+            count += viz.activeParticles.length;
+        }
+        if (count * GL_PARTICLE_STRIDE > this.particleData.length) {
+            this.particleData = new Float32Array(count * 2 * GL_PARTICLE_STRIDE);
+        }
+
+        // Same size and fade as Particle.draw()
+        const data = this.particleData;
+        const batches = this.particleBatches;
+        let offset = 0;
+        let batchCount = 0;
+        count = 0;
+        for (const viz of drawOrder) {
+            if (!viz.gpuParticles || viz.opacity <= 0) continue;
+
+            const alpha = viz.opacity * opacity;
+            const start = count;
+            for (const particle of viz.activeParticles) {
+                if (!particle.active) continue;
+                const fade = particle.life / particle.maxLife;
+                const color = particle.color;
+                data[offset] = particle.x;
+                data[offset + 1] = particle.y;
+                data[offset + 2] = particle.size * fade;
+                data[offset + 3] = (fade * color.a / 255) * alpha;
+                data[offset + 4] = color.r / 255;
+                data[offset + 5] = color.g / 255;
+                data[offset + 6] = color.b / 255;
+                offset += GL_PARTICLE_STRIDE;
+                count++;
+            }
+            if (count === start) continue;
+
+            if (batchCount === batches.length) {
+                batches.push({ start: 0, count: 0, clip: { x: 0, y: 0, width: 0, height: 0 } });
+            }
+            const batch = batches[batchCount++];
+            batch.start = start;
+            batch.count = count - start;
+            batch.clip.x = viz.x;
+            batch.clip.y = viz.y;
+            batch.clip.width = viz.width;
+            batch.clip.height = viz.height;
+        }
+        batches.length = batchCount;
+        return count;
+    }
+
+    /**
+     * Create the WebGL canvas and compositor once
+     * @private
+     * @returns {boolean} True if they exist
+     */
+    _init() {
+        if (this.compositor) return true;
+        if (this.failed) return false;
+
+        const canvas = document.createElement('canvas');
+        canvas.className = 'post-canvas';
+        // Drawn over the p5 canvas, which stays in place for layout and the mouse
+        canvas.style.position = 'absolute';
+        canvas.style.pointerEvents = 'none';
+        canvas.style.display = 'none';
+
+        // preserveDrawingBuffer keeps frames readable for renders and cue fades
+        const gl = canvas.getContext('webgl', { alpha: false, antialias: false, preserveDrawingBuffer: true });
+        if (!gl) {
+            this.failed = true;
+            return false;
+        }
+
+        try {
+            this.compositor = new GLCompositor(gl);
+        } catch (error) {
+            console.warn('WebGL effects unavailable:', error.message);
+            this.failed = true;
+            return false;
+        }
+
+        // Back to the 2D path if the GPU resets; rebuild once it is back
+        canvas.addEventListener('webglcontextlost', (e) => {
+            e.preventDefault();
+            console.warn('WebGL context lost, showing the 2D canvas');
+            this.compositor = null;
+            this.failed = true;
+            this._show(false);
+        });
+        canvas.addEventListener('webglcontextrestored', () => {
+            try {
+                this.compositor = new GLCompositor(gl);
+                this.failed = false;
+            } catch (error) {
+                console.warn('WebGL effects unavailable:', error.message);
+            }
+        });
+
+        this.source.after(canvas);
+        this.canvas = canvas;
+        return true;
+    }
+
+    /**
+     * @private
+     */
+    _show(visible) {
+        if (!this.canvas) return;
+        this.canvas.style.display = visible ? '' : 'none';
+        this.source.style.visibility = visible ? 'hidden' : '';
+    }
+
+    /**
+     * Match the p5 canvas's size and position
+     * @private
+     */
+    _syncSize() {
+        const source = this.source;
+        const canvas = this.canvas;
+        if (canvas.width !== source.width || canvas.height !== source.height) {
+            canvas.width = source.width;
+            canvas.height = source.height;
+        }
+        canvas.style.width = source.style.width;
+        canvas.style.height = source.style.height;
+        canvas.style.left = `${source.offsetLeft}px`;
+        canvas.style.top = `${source.offsetTop}px`;
+        this.compositor.resize(source.width, source.height);
+    }
+
+    /**
+     * True if two drawn visualizers' panels overlap
+     * @param {BaseVisualizer} a - Visualizer
+     * @param {BaseVisualizer} b - Visualizer
+     * @returns {boolean}
+     */
+    static overlaps(a, b) {
+        if (a.opacity <= 0 || b.opacity <= 0) return false;
+        return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+    }
+}
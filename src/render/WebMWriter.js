@@ -0,0 +1,256 @@
+/**
+ * WebMWriter - Minimal WebM muxer for WebCodecs output
+ * Writes one VP8/VP9 video track and an optional Opus audio track.
+ * Everything is buffered in memory and written when finalized.
+ */
+class WebMWriter {
+    /**
+     * @param {Object} options
+     * @param {string} options.videoCodec - 'V_VP8' or 'V_VP9'
+     * @param {number} options.width - Frame width
+     * @param {number} options.height - Frame height
+     * @param {Object} [options.audio] - { sampleRate, channels, codecPrivate }
+     */
+    constructor(options) {
+        this.options = options;
+        this.videoChunks = [];
+        this.audioChunks = [];
+        this.duration = 0;
+    }
+
+    /**
+     * Add an encoded video chunk
+     * @param {EncodedVideoChunk} chunk - Output from VideoEncoder
+     */
+    addVideoChunk(chunk) {
+        this._addChunk(this.videoChunks, chunk, 1);
+    }
+
+    /**
+     * Add an encoded audio chunk
+     * @param {EncodedAudioChunk} chunk - Output from AudioEncoder
+     */
+    addAudioChunk(chunk) {
+        this._addChunk(this.audioChunks, chunk, 2);
+    }
+
+    /**
+     * @private
+     */
+    _addChunk(list, chunk, trackNumber) {
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+
+        const timeMs = chunk.timestamp / 1000;
+        list.push({
+            trackNumber,
+            timeMs,
+            isKey: chunk.type === 'key',
+            data
+        });
+
+        this.duration = Math.max(this.duration, timeMs + (chunk.duration || 0) / 1000);
+    }
+
+    /**
+     * Build the WebM file
+     * @returns {Blob} video/webm blob
+     */
+    finalize() {
+        const E = WebMWriter;
+        const { width, height, videoCodec, audio } = this.options;
+
+        const header = E.element(0x1A45DFA3, [
+            E.uintElement(0x4286, 1), // EBMLVersion
+            E.uintElement(0x42F7, 1), // EBMLReadVersion
+            E.uintElement(0x42F2, 4), // EBMLMaxIDLength
+            E.uintElement(0x42F3, 8), // EBMLMaxSizeLength
+            E.stringElement(0x4282, 'webm'), // DocType
+            E.uintElement(0x4287, 2), // DocTypeVersion
+            E.uintElement(0x4285, 2) // DocTypeReadVersion
+        ]);
+
+        const info = E.element(0x1549A966, [
+            E.uintElement(0x2AD7B1, 1000000), // TimecodeScale: 1ms
+            E.stringElement(0x4D80, 'music-viz1'), // MuxingApp
+            E.stringElement(0x5741, 'music-viz1'), // WritingApp
+            E.floatElement(0x4489, this.duration) // Duration (ms)
+        ]);
+
+        const trackEntries = [
+            E.element(0xAE, [
+                E.uintElement(0xD7, 1), // TrackNumber
+                E.uintElement(0x73C5, 1), // TrackUID
+                E.uintElement(0x83, 1), // TrackType: video
+                E.stringElement(0x86, videoCodec),
+                E.element(0xE0, [
+                    E.uintElement(0xB0, width), // PixelWidth
+                    E.uintElement(0xBA, height) // PixelHeight
+                ])
+            ])
+        ];
+
+        if (audio) {
+            trackEntries.push(E.element(0xAE, [
+                E.uintElement(0xD7, 2),
+                E.uintElement(0x73C5, 2),
+                E.uintElement(0x83, 2), // TrackType: audio
+                E.stringElement(0x86, 'A_OPUS'),
+                E.bytesElement(0x63A2, audio.codecPrivate), // CodecPrivate (OpusHead)
+                E.element(0xE1, [
+                    E.floatElement(0xB5, audio.sampleRate), // SamplingFrequency
+                    E.uintElement(0x9F, audio.channels) // Channels
+                ])
+            ]));
+        }
+
+        const tracks = E.element(0x1654AE6B, trackEntries);
+        const clusters = this._buildClusters();
+
+        // Segment children are handed to the Blob as-is to avoid another full copy
+        const children = [info, tracks, ...clusters];
+        let segmentSize = 0;
+        for (const child of children) segmentSize += child.length;
+
+        const segmentHeader = E.elementHeader(0x18538067, segmentSize);
+        return new Blob([header, segmentHeader, ...children], { type: 'video/webm' });
+    }
+
+    /**
+     * Interleave chunks by time into clusters starting at video keyframes
+     * @private
+     */
+    _buildClusters() {
+        const E = WebMWriter;
+        const blocks = this.videoChunks.concat(this.audioChunks);
+        blocks.sort((a, b) => a.timeMs - b.timeMs || a.trackNumber - b.trackNumber);
+
+        const clusters = [];
+        let current = null;
+        let clusterTime = 0;
+
+        const flush = () => {
+            if (current) {
+                clusters.push(E.element(0x1F43B675, current));
+            }
+        };
+
+        for (const block of blocks) {
+            const relative = Math.round(block.timeMs - clusterTime);
+            const needsCluster = !current ||
+                (block.trackNumber === 1 && block.isKey) ||
+                relative > 32767;
+
+            if (needsCluster) {
+                flush();
+                clusterTime = Math.round(block.timeMs);
+                current = [E.uintElement(0xE7, clusterTime)]; // Cluster Timecode
+            }
+
+            current.push(E.simpleBlock(block, Math.round(block.timeMs) - clusterTime));
+        }
+        flush();
+
+        return clusters;
+    }
+
+    /**
+     * SimpleBlock element
+     * @private
+     */
+    static simpleBlock(block, relativeTime) {
+        const header = new Uint8Array(4);
+        header[0] = 0x80 | block.trackNumber; // Track number as 1-byte vint
+        header[1] = (relativeTime >> 8) & 0xFF;
+        header[2] = relativeTime & 0xFF;
+        header[3] = block.isKey ? 0x80 : 0x00;
+        return WebMWriter.element(0xA3, [header, block.data]);
+    }
+
+    /**
+     * Master or binary element from a list of byte arrays
+     * @private
+     */
+    static element(id, children) {
+        let size = 0;
+        for (const child of children) size += child.length;
+
+        const header = WebMWriter.elementHeader(id, size);
+        const out = new Uint8Array(header.length + size);
+        out.set(header, 0);
+
+        let offset = header.length;
+        for (const child of children) {
+            out.set(child, offset);
+            offset += child.length;
+        }
+        return out;
+    }
+
+    /**
+     * Element ID followed by its data size
+     * @private
+     */
+    static elementHeader(id, size) {
+        const idBytes = WebMWriter.idBytes(id);
+        const out = new Uint8Array(idBytes.length + 8);
+        out.set(idBytes, 0);
+
+        // Always use an 8-byte size field; valid EBML and simpler to write
+        const offset = idBytes.length;
+        out[offset] = 0x01;
+        let remaining = size;
+        for (let i = 7; i >= 1; i--) {
+            out[offset + i] = remaining % 256;
+            remaining = Math.floor(remaining / 256);
+        }
+        return out;
+    }
+
+    /**
+     * @private
+     */
+    static idBytes(id) {
+        const bytes = [];
+        while (id > 0) {
+            bytes.unshift(id & 0xFF);
+            id = Math.floor(id / 256);
+        }
+        return new Uint8Array(bytes);
+    }
+
+    /**
+     * @private
+     */
+    static uintElement(id, value) {
+        const bytes = [];
+        do {
+            bytes.unshift(value % 256);
+            value = Math.floor(value / 256);
+        } while (value > 0);
+        return WebMWriter.element(id, [new Uint8Array(bytes)]);
+    }
+
+    /**
+     * @private
+     */
+    static floatElement(id, value) {
+        const bytes = new Uint8Array(8);
+        new DataView(bytes.buffer).setFloat64(0, value);
+        return WebMWriter.element(id, [bytes]);
+    }
+
+    /**
+     * @private
+     */
+    static stringElement(id, value) {
+        return WebMWriter.element(id, [new TextEncoder().encode(value)]);
+    }
+
+    /**
+     * @private
+     */
+    static bytesElement(id, bytes) {
+        return WebMWriter.element(id, [bytes]);
+    }
+}
@@ -0,0 +1,105 @@
+/**
+ * ZipWriter - Minimal store-only (uncompressed) ZIP archive builder
+ * PNG frames are already compressed, so deflate would gain little
+ */
+class ZipWriter {
+    constructor() {
+        this.parts = [];
+        this.entries = [];
+        this.offset = 0;
+    }
+
+    /**
+     * Add a file to the archive
+     * @param {string} name - Path inside the archive
+     * @param {Uint8Array} data - File contents
+     */
+    addFile(name, data) {
+        const nameBytes = new TextEncoder().encode(name);
+        const crc = ZipWriter.crc32(data);
+
+        const header = new Uint8Array(30 + nameBytes.length);
+        const view = new DataView(header.buffer);
+        view.setUint32(0, 0x04034B50, true); // Local file header signature
+        view.setUint16(4, 20, true); // Version needed
+        view.setUint16(6, 0x0800, true); // Flags: UTF-8 names
+        view.setUint16(8, 0, true); // Method: store
+        view.setUint16(10, 0, true); // Mod time
+        view.setUint16(12, 0x21, true); // Mod date (1980-01-01)
+        view.setUint32(14, crc, true);
+        view.setUint32(18, data.length, true);
+        view.setUint32(22, data.length, true);
+        view.setUint16(26, nameBytes.length, true);
+        view.setUint16(28, 0, true);
+        header.set(nameBytes, 30);
+
+        this.entries.push({ nameBytes, crc, size: data.length, offset: this.offset });
+        this.parts.push(header, data);
+        this.offset += header.length + data.length;
+    }
+
+    /**
+     * Write the central directory and build the archive
+     * @returns {Blob} application/zip blob
+     */
+    finalize() {
+        const directoryStart = this.offset;
+        let directorySize = 0;
+
+        for (const entry of this.entries) {
+            const record = new Uint8Array(46 + entry.nameBytes.length);
+            const view = new DataView(record.buffer);
+            view.setUint32(0, 0x02014B50, true); // Central directory signature
+            view.setUint16(4, 20, true); // Version made by
+            view.setUint16(6, 20, true); // Version needed
+            view.setUint16(8, 0x0800, true);
+            view.setUint16(10, 0, true);
+            view.setUint16(12, 0, true);
+            view.setUint16(14, 0x21, true);
+            view.setUint32(16, entry.crc, true);
+            view.setUint32(20, entry.size, true);
+            view.setUint32(24, entry.size, true);
+            view.setUint16(28, entry.nameBytes.length, true);
+            view.setUint32(42, entry.offset, true);
+            record.set(entry.nameBytes, 46);
+
+            this.parts.push(record);
+            directorySize += record.length;
+        }
+
+        const end = new Uint8Array(22);
+        const view = new DataView(end.buffer);
+        view.setUint32(0, 0x06054B50, true); // End of central directory signature
+        view.setUint16(8, this.entries.length, true);
+        view.setUint16(10, this.entries.length, true);
+        view.setUint32(12, directorySize, true);
+        view.setUint32(16, directoryStart, true);
+        this.parts.push(end);
+
+        return new Blob(this.parts, { type: 'application/zip' });
+    }
+
+    /**
+     * CRC-32 (IEEE) checksum
+     * @param {Uint8Array} data - Input bytes
+     * @returns {number} Unsigned checksum
+     */
+    static crc32(data) {
+        if (!ZipWriter.crcTable) {
+            ZipWriter.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                ZipWriter.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < data.length; i++) {
+            crc = ZipWriter.crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+}
@@ -0,0 +1,431 @@
+/**
+ * ReplayAnalyzer - Plays a recorded session back through the visualizers
+ * Implements the AudioAnalyzer interface the sketch uses (update, getEnergies,
+ * getPeaks, getBeat, getPitch, getHarmony, getDrumHits, getStereo, getSignal, getGroupAnalysis, getSpectrum) and the transport
+ * interface TransportBar binds to (play, pause, seek, loop)
+ */
+class ReplayAnalyzer {
+    /**
+     * @param {Object} meta - Session metadata
+     * @param {Uint8Array} frames - Frame records
+     * @param {string} label - Display name
+     */
+    constructor(meta, frames, label) {
+        this.type = 'replay';
+        this.label = label;
+        this.meta = meta;
+        this.sampleRate = meta.sampleRate;
+        this.fftSize = meta.fftSize;
+        this.subSpectrumSize = meta.subSpectrumSize;
+
+        this.frames = frames;
+        this.view = new DataView(frames.buffer, frames.byteOffset, frames.byteLength);
+        this.frameSize = SessionFormat.frameSize(meta);
+        this.frameCount = Math.floor(frames.length / this.frameSize);
+
+        // Frame times for seeking
+        this.times = new Uint32Array(this.frameCount);
+        for (let i = 0; i < this.frameCount; i++) {
+            this.times[i] = this.view.getUint32(i * this.frameSize);
+        }
+
+        // Transport
+        this.position = 0;
+        this.playing = true;
+        this.loop = false;
+        this.canScrub = true;
+        this.lastTime = null;
+        this.frameIndex = -1;
+        this.hasJumped = true;
+
+        // Decoded frame, reused (same shapes as AudioAnalyzer)
+        this.energyCache = {};
+        for (const [group, key] of meta.bandKeys) {
+            (this.energyCache[group] || (this.energyCache[group] = {}))[key] = 0;
+        }
+        this.smoothedEnergy = { drums: 0, vocals: 0, bass: 0, highs: 0 };
+        this.peaks = {
+            drums: { value: 0, isPeak: false },
+            vocals: { value: 0, isPeak: false },
+            bass: { value: 0, isPeak: false },
+            highs: { value: 0, isPeak: false }
+        };
+        this.beat = { bpm: 0, confidence: 0, phase: 0, isBeat: false, isDownbeat: false };
+        this.pitch = { frequency: 0, midi: 0, note: '', cents: 0, confidence: 0, voiced: false };
+        this.harmony = {
+            chroma: new Float32Array(12),
+            key: { root: -1, mode: 'major', name: '', confidence: 0 },
+            chord: { root: -1, quality: 'major', name: '', confidence: 0 }
+        };
+        this.hits = {};
+        for (const voice of Object.keys(DrumVoices)) {
+            this.hits[voice] = { energy: 0, flux: 0, isOnset: false };
+        }
+        // Sessions don't record the stereo field; replays are centered
+        this.stereo = StereoAnalyzer.createStereo();
+        this.spectrum = meta.includeSpectrum ? new Uint8Array(meta.spectrumLength) : null;
+
+        // The waveform isn't recorded either; the spectrum only when included
+        this.signal = { spectrum: this.spectrum, waveform: null, binFrequency: meta.sampleRate / meta.fftSize };
+        this.subSpectra = {};
+        this.groupAnalysis = {};
+        for (const group of SessionFormat.GROUPS) {
+            this.subSpectra[group] = new Float32Array(meta.subSpectrumSize);
+            this.groupAnalysis[group] = {
+                beat: this.beat,
+                stereo: this.stereo,
+                signal: this.signal,
+                spectrum: this.subSpectra[group],
+                bands: this.energyCache[group] || {}
+            };
+        }
+        this.groupAnalysis.drums.hits = this.hits;
+        this.groupAnalysis.vocals.pitch = this.pitch;
+
+        // Drum hits sit after the pitch and harmony, in sessions that have them
+        this.hitsOffset = 4 + 8 + meta.bandKeys.length * 2 + 1 + 5 +
+            SessionFormat.GROUPS.length * meta.subSpectrumSize +
+            (meta.includePitch ? 3 : 0) +
+            (meta.includeHarmony ? 16 : 0);
+    }
+
+    /**
+     * Check whether a file looks like a recorded session
+     * @param {File} file
+     * @returns {boolean}
+     */
+    static isRecording(file) {
+        return file.name.toLowerCase().endsWith(SessionFormat.EXTENSION);
+    }
+
+    /**
+     * Read a session file
+     * @param {File|Blob} file - Session file (gzip-compressed or not)
+     * @param {string} label - Display name
+     * @returns {Promise<ReplayAnalyzer>}
+     */
+    static async load(file, label = file.name) {
+        let bytes = new Uint8Array(await file.arrayBuffer());
+
+        // Gzip magic
+        if (bytes[0] === 0x1F && bytes[1] === 0x8B) {
+            if (typeof DecompressionStream === 'undefined') {
+                throw new Error('this browser cannot read compressed sessions');
+            }
+            const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+            bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+        }
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const magic = new TextDecoder().decode(bytes.subarray(0, 4));
+        if (bytes.length < 12 || magic !== SessionFormat.MAGIC) {
+            throw new Error('not a session recording');
+        }
+
+        const version = view.getUint16(4);
+        if (version !== SessionFormat.VERSION) {
+            throw new Error(`unsupported session version ${version}`);
+        }
+
+        const metaLength = view.getUint32(8);
+        const meta = JSON.parse(new TextDecoder().decode(bytes.subarray(12, 12 + metaLength)));
+        return new ReplayAnalyzer(meta, bytes.subarray(12 + metaLength), label);
+    }
+
+    /**
+     * Advance playback and decode the frame at the current position
+     * @param {number} time - Current time in ms
+     */
+    update(time = clock.now()) {
+        // The clock restarts after offline renders; never run backwards
+        const delta = this.lastTime === null ? 0 : Math.max(0, time - this.lastTime) / 1000;
+        this.lastTime = time;
+
+        if (this.frameCount === 0) return;
+
+        if (this.playing) {
+            this.position += delta;
+            const duration = this.getDuration();
+            if (this.position >= duration) {
+                if (this.loop && duration > 0) {
+                    this.position %= duration;
+                    this.hasJumped = true;
+                } else {
+                    this.position = duration;
+                    this.playing = false;
+                }
+            }
+        }
+
+        const index = this._frameAt(this.position);
+
+        // Onsets in frames skipped since the last update still count;
+        // a frame that is shown twice doesn't fire them again
+        let flags = 0;
+        let hits = 0;
+        if (this.hasJumped) {
+            flags = this._flagsAt(index);
+            hits = this._hitsAt(index);
+        } else if (index > this.frameIndex) {
+            for (let i = this.frameIndex + 1; i <= index; i++) {
+                flags |= this._flagsAt(i);
+                hits |= this._hitsAt(i);
+            }
+        }
+        this.hasJumped = false;
+
+        this._decode(index, flags, hits);
+        this.frameIndex = index;
+    }
+
+    getEnergies() {
+        return {
+            drums: this.smoothedEnergy.drums,
+            vocals: this.smoothedEnergy.vocals,
+            bass: this.smoothedEnergy.bass,
+            highs: this.smoothedEnergy.highs,
+            raw: this.energyCache
+        };
+    }
+
+    getPeaks() {
+        return this.peaks;
+    }
+
+    getBeat() {
+        return this.beat;
+    }
+
+    /**
+     * Recorded pitch; stays unvoiced for sessions recorded without it
+     * @returns {Object}
+     */
+    getPitch() {
+        return this.pitch;
+    }
+
+    /**
+     * Recorded harmony; no key or chord for sessions recorded without it
+     * @returns {Object}
+     */
+    getHarmony() {
+        return this.harmony;
+    }
+
+    /**
+     * Recorded drum hits; none for sessions recorded without them
+     * @returns {Object}
+     */
+    getDrumHits() {
+        return this.hits;
+    }
+
+    /**
+     * Centered stereo field (not recorded)
+     * @returns {Object}
+     */
+    getStereo() {
+        return this.stereo;
+    }
+
+    /**
+     * Recorded spectrum, if the session includes it; no waveform
+     * @returns {Object}
+     */
+    getSignal() {
+        return this.signal;
+    }
+
+    getGroupAnalysis(group) {
+        return this.groupAnalysis[group];
+    }
+
+    /**
+     * Recorded spectrum, if the session includes it
+     * @returns {Uint8Array|null}
+     */
+    getSpectrum() {
+        return this.spectrum;
+    }
+
+    getBinFrequency(bin) {
+        return bin * (this.sampleRate / this.fftSize);
+    }
+
+    /**
+     * Band edits don't apply to recorded data
+     */
+    updateBands() {}
+
+    // Transport interface
+
+    hasTransport() {
+        return true;
+    }
+
+    play() {
+        if (this.position >= this.getDuration()) {
+            this.seek(0);
+        }
+        this.playing = true;
+    }
+
+    pause() {
+        this.playing = false;
+    }
+
+    togglePlay() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * @param {number} seconds - Position in the recording
+     */
+    seek(seconds) {
+        this.position = Math.max(0, Math.min(this.getDuration(), seconds));
+        this.hasJumped = true;
+    }
+
+    setLoop(loop) {
+        this.loop = loop;
+    }
+
+    isPlaying() {
+        return this.playing;
+    }
+
+    getCurrentTime() {
+        return this.position;
+    }
+
+    getDuration() {
+        return this.frameCount > 0 ? this.times[this.frameCount - 1] / 1000 : 0;
+    }
+
+    dispose() {
+        this.playing = false;
+        this.frames = null;
+        this.view = null;
+        this.frameCount = 0;
+    }
+
+    /**
+     * Last frame at or before a position
+     * @private
+     */
+    _frameAt(seconds) {
+        const ms = seconds * 1000;
+        let low = 0;
+        let high = this.frameCount - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (this.times[mid] <= ms) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return low;
+    }
+
+    _flagsAt(index) {
+        const offset = index * this.frameSize + 4 + 8 + this.meta.bandKeys.length * 2;
+        return this.view.getUint8(offset);
+    }
+
+    _hitsAt(index) {
+        if (!this.meta.includeDrumHits) return 0;
+        return this.view.getUint8(index * this.frameSize + this.hitsOffset);
+    }
+
+    /**
+     * Unpack one frame into the reused analysis objects
+     * @private
+     */
+    _decode(index, flags, hits) {
+        const view = this.view;
+        const energyScale = SessionFormat.ENERGY_RANGE / 65535;
+        let offset = index * this.frameSize + 4;
+
+        for (const group of SessionFormat.GROUPS) {
+            this.smoothedEnergy[group] = view.getUint16(offset) * energyScale;
+            offset += 2;
+        }
+
+        for (const [group, key] of this.meta.bandKeys) {
+            this.energyCache[group][key] = view.getUint16(offset) * energyScale;
+            offset += 2;
+        }
+
+        // Flags come from the caller so skipped onsets are included
+        offset += 1;
+        SessionFormat.GROUPS.forEach((group, i) => {
+            this.peaks[group].isPeak = (flags & (1 << i)) !== 0;
+        });
+        this.beat.isBeat = (flags & (1 << 4)) !== 0;
+        this.beat.isDownbeat = (flags & (1 << 5)) !== 0;
+
+        this.beat.bpm = view.getUint16(offset) / 10;
+        this.beat.confidence = view.getUint8(offset + 2) / 255;
+        this.beat.phase = view.getUint16(offset + 3) / 65535;
+        offset += 5;
+
+        for (const group of SessionFormat.GROUPS) {
+            const spectrum = this.subSpectra[group];
+            for (let i = 0; i < spectrum.length; i++) {
+                spectrum[i] = view.getUint8(offset++) / 255;
+            }
+        }
+
+        if (this.meta.includePitch) {
+            const midi = view.getUint16(offset) / 100;
+            this.pitch.confidence = view.getUint8(offset + 2) / 255;
+            // Voicing is a state, not an event: use this frame's own flag
+            this.pitch.voiced = (this._flagsAt(index) & (1 << 6)) !== 0;
+            if (midi > 0) {
+                const note = Math.round(midi);
+                this.pitch.midi = midi;
+                this.pitch.frequency = 440 * Math.pow(2, (midi - 69) / 12);
+                this.pitch.note = PitchDetector.noteName(note);
+                this.pitch.cents = Math.round((midi - note) * 100);
+            }
+            offset += 3;
+        }
+
+        if (this.meta.includeHarmony) {
+            const { chroma, key, chord } = this.harmony;
+            for (let i = 0; i < 12; i++) {
+                chroma[i] = view.getUint8(offset++) / 255;
+            }
+            const keyIndex = view.getUint8(offset);
+            const chordIndex = view.getUint8(offset + 1);
+            key.root = keyIndex === 255 ? -1 : keyIndex % 12;
+            key.mode = keyIndex >= 12 && keyIndex !== 255 ? 'minor' : 'major';
+            key.name = ChromaAnalyzer.keyName(key.root, key.mode);
+            key.confidence = view.getUint8(offset + 2) / 255;
+            chord.root = chordIndex === 255 ? -1 : chordIndex % 12;
+            chord.quality = chordIndex >= 12 && chordIndex !== 255 ? 'minor' : 'major';
+            chord.name = ChromaAnalyzer.chordName(chord.root, chord.quality);
+            chord.confidence = view.getUint8(offset + 3) / 255;
+            offset += 4;
+        }
+
+        // Hits, like the flags, come from the caller
+        Object.entries(DrumVoices).forEach(([voice, config], i) => {
+            const hit = this.hits[voice];
+            hit.energy = this.energyCache.drums ? this.energyCache.drums[config.energyKey] || 0 : 0;
+            hit.isOnset = (hits & (1 << i)) !== 0;
+        });
+        if (this.meta.includeDrumHits) {
+            offset += 1;
+        }
+
+        if (this.spectrum) {
+            this.spectrum.set(this.frames.subarray(offset, offset + this.spectrum.length));
+        }
+    }
+}
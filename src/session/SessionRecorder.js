@@ -0,0 +1,258 @@
+/**
+ * SessionRecorder - Records the analysis stream (no audio) to a compact file
+ * Each analyzer frame is quantized into a fixed-size binary record so a
+ * performance can be replayed later through ReplayAnalyzer
+ */
+
+/**
+ * Session file layout (big-endian), gzip-compressed when the browser
+ * supports CompressionStream:
+ *
+ *   magic 'VZRC' | u16 version | u16 flags | u32 meta length | meta JSON
+ *   frames, each frameSize bytes:
+ *     u32 time (ms since start)
+ *     u16 x 4   smoothed energies (drums, vocals, bass, highs), 0-ENERGY_RANGE as 0-65535
+ *     u16 x N   raw energyCache values, in meta.bandKeys order, same scale
+ *     u8        flags: bits 0-3 peaks (group order), bit 4 beat, bit 5 downbeat,
+ *               bit 6 voiced
+ *     u16       bpm x 10
+ *     u8        beat confidence x 255
+ *     u16       beat phase x 65535
+ *     u8 x 4*S  group sub-spectra (S = meta.subSpectrumSize), 0-1 as 0-255
+ *     u16, u8   pitch as MIDI note x 100 and confidence x 255, only with meta.includePitch
+ *     u8 x 16   chroma (12, 0-1 as 0-255), key and chord (root + 12 for minor,
+ *               255 for none), key and chord confidence x 255, only with meta.includeHarmony
+ *     u8        drum hits: bits 0-2 kick, snare, hat onsets, only with meta.includeDrumHits
+ *     u8 x L    full spectrum, only with the spectrum flag (L = meta.spectrumLength)
+ */
+const SessionFormat = {
+    MAGIC: 'VZRC',
+    VERSION: 1,
+    FLAG_SPECTRUM: 1,
+    EXTENSION: '.vizrec',
+    GROUPS: ['drums', 'vocals', 'bass', 'highs'],
+
+    // Energies are nominally 0-1, but group weights can push combined values higher
+    ENERGY_RANGE: 4,
+
+    /**
+     * Size of one frame record
+     * @param {Object} meta - Session metadata
+     * @returns {number} Bytes
+     */
+    frameSize(meta) {
+        return 4 + 8 + meta.bandKeys.length * 2 + 1 + 2 + 1 + 2 +
+            SessionFormat.GROUPS.length * meta.subSpectrumSize +
+            (meta.includePitch ? 3 : 0) +
+            (meta.includeHarmony ? 16 : 0) +
+            (meta.includeDrumHits ? 1 : 0) +
+            (meta.includeSpectrum ? meta.spectrumLength : 0);
+    }
+};
+
+class SessionRecorder {
+    /**
+     * @param {AudioAnalyzer} analyzer - Live analyzer to record
+     */
+    constructor(analyzer) {
+        this.analyzer = analyzer;
+        this.isRecording = false;
+
+        // Frames are written into fixed-size chunks to avoid regrowing one buffer
+        this.chunkFrames = 1024;
+        this.chunks = [];
+        this.chunk = null;
+        this.view = null;
+        this.chunkIndex = 0;
+        this.frameCount = 0;
+
+        this.meta = null;
+        this.frameSize = 0;
+        this.startTime = 0;
+        this.lastTime = 0;
+    }
+
+    /**
+     * Start a new recording
+     * @param {number} time - Current time in ms
+     * @param {Object} options - { includeSpectrum }
+     */
+    start(time, options = {}) {
+        const raw = this.analyzer.getEnergies().raw;
+        const bandKeys = [];
+        for (const group of SessionFormat.GROUPS) {
+            for (const key of Object.keys(raw[group])) {
+                bandKeys.push([group, key]);
+            }
+        }
+
+        const spectrum = this.analyzer.getSpectrum();
+        this.meta = {
+            created: new Date().toISOString(),
+            sampleRate: this.analyzer.sampleRate,
+            fftSize: this.analyzer.fftSize,
+            subSpectrumSize: this.analyzer.subSpectrumSize,
+            includePitch: typeof this.analyzer.getPitch === 'function',
+            includeHarmony: typeof this.analyzer.getHarmony === 'function',
+            includeDrumHits: typeof this.analyzer.getDrumHits === 'function',
+            includeSpectrum: !!options.includeSpectrum && !!spectrum,
+            spectrumLength: spectrum ? spectrum.length : 0,
+            bandKeys
+        };
+        this.frameSize = SessionFormat.frameSize(this.meta);
+
+        this.chunks = [];
+        this.frameCount = 0;
+        this._newChunk();
+
+        this.startTime = time;
+        this.lastTime = time;
+        this.isRecording = true;
+    }
+
+    /**
+     * Append the analyzer's latest frame as one quantized record
+     * Only live analysis is recorded; the time is stored relative to start().
+     * If the clock jumps back (an offline render resets it), the recording
+     * carries on from its last frame so stored times never run backwards
+     * @param {number} time - Current time in ms
+     */
+    record(time) {
+        if (!this.isRecording) return;
+
+        if (time < this.lastTime) {
+            this.startTime -= this.lastTime - time;
+        }
+
+        if (this.chunkIndex === this.chunkFrames) {
+            this.chunks.push(this.chunk);
+            this._newChunk();
+        }
+
+        const view = this.view;
+        const analyzer = this.analyzer;
+        const energies = analyzer.getEnergies();
+        const peaks = analyzer.getPeaks();
+        const beat = analyzer.getBeat();
+        const unit = (v) => Math.round(Math.max(0, Math.min(1, v)) * 65535);
+        const energy = (v) => unit(v / SessionFormat.ENERGY_RANGE);
+
+        let offset = this.chunkIndex * this.frameSize;
+        view.setUint32(offset, Math.max(0, Math.round(time - this.startTime)));
+        offset += 4;
+
+        for (const group of SessionFormat.GROUPS) {
+            view.setUint16(offset, energy(energies[group]));
+            offset += 2;
+        }
+
+        for (const [group, key] of this.meta.bandKeys) {
+            view.setUint16(offset, energy(energies.raw[group][key]));
+            offset += 2;
+        }
+
+        let flags = 0;
+        SessionFormat.GROUPS.forEach((group, i) => {
+            if (peaks[group].isPeak) flags |= 1 << i;
+        });
+        if (beat.isBeat) flags |= 1 << 4;
+        if (beat.isDownbeat) flags |= 1 << 5;
+        const pitch = this.meta.includePitch ? analyzer.getPitch() : null;
+        if (pitch && pitch.voiced) flags |= 1 << 6;
+        view.setUint8(offset, flags);
+        offset += 1;
+
+        view.setUint16(offset, Math.round(Math.min(6553.5, beat.bpm) * 10));
+        view.setUint8(offset + 2, Math.round(Math.max(0, Math.min(1, beat.confidence)) * 255));
+        view.setUint16(offset + 3, unit(beat.phase));
+        offset += 5;
+
+        for (const group of SessionFormat.GROUPS) {
+            const spectrum = analyzer.getGroupAnalysis(group).spectrum;
+            for (let i = 0; i < this.meta.subSpectrumSize; i++) {
+                view.setUint8(offset++, Math.round(Math.max(0, Math.min(1, spectrum[i] || 0)) * 255));
+            }
+        }
+
+        if (pitch) {
+            view.setUint16(offset, Math.round(Math.max(0, Math.min(655.35, pitch.midi)) * 100));
+            view.setUint8(offset + 2, Math.round(Math.max(0, Math.min(1, pitch.confidence)) * 255));
+            offset += 3;
+        }
+
+        if (this.meta.includeHarmony) {
+            const harmony = analyzer.getHarmony();
+            for (let i = 0; i < 12; i++) {
+                view.setUint8(offset++, Math.round(Math.max(0, Math.min(1, harmony.chroma[i])) * 255));
+            }
+            const { key, chord } = harmony;
+            view.setUint8(offset, key.root < 0 ? 255 : key.root + (key.mode === 'minor' ? 12 : 0));
+            view.setUint8(offset + 1, chord.root < 0 ? 255 : chord.root + (chord.quality === 'minor' ? 12 : 0));
+            view.setUint8(offset + 2, Math.round(Math.max(0, Math.min(1, key.confidence)) * 255));
+            view.setUint8(offset + 3, Math.round(Math.max(0, Math.min(1, chord.confidence)) * 255));
+            offset += 4;
+        }
+
+        if (this.meta.includeDrumHits) {
+            const hits = analyzer.getDrumHits();
+            let hitFlags = 0;
+            Object.keys(DrumVoices).forEach((voice, i) => {
+                if (hits[voice].isOnset) hitFlags |= 1 << i;
+            });
+            view.setUint8(offset, hitFlags);
+            offset += 1;
+        }
+
+        if (this.meta.includeSpectrum) {
+            const spectrum = analyzer.getSpectrum();
+            if (spectrum) {
+                this.chunk.set(spectrum.subarray(0, this.meta.spectrumLength), offset);
+            }
+        }
+
+        this.chunkIndex++;
+        this.frameCount++;
+        this.lastTime = time;
+    }
+
+    /**
+     * Recorded length
+     * @returns {number} Seconds
+     */
+    getDuration() {
+        return this.isRecording ? (this.lastTime - this.startTime) / 1000 : 0;
+    }
+
+    /**
+     * Stop recording and build the session file
+     * @returns {Promise<Blob>} Session file contents
+     */
+    async stop() {
+        this.isRecording = false;
+
+        const metaBytes = new TextEncoder().encode(JSON.stringify(this.meta));
+        const header = new Uint8Array(12);
+        const view = new DataView(header.buffer);
+        header.set(new TextEncoder().encode(SessionFormat.MAGIC), 0);
+        view.setUint16(4, SessionFormat.VERSION);
+        view.setUint16(6, this.meta.includeSpectrum ? SessionFormat.FLAG_SPECTRUM : 0);
+        view.setUint32(8, metaBytes.length);
+
+        const parts = [header, metaBytes, ...this.chunks, this.chunk.subarray(0, this.chunkIndex * this.frameSize)];
+        this.chunks = [];
+        this.chunk = null;
+        this.view = null;
+
+        const blob = new Blob(parts, { type: 'application/octet-stream' });
+        if (typeof CompressionStream === 'undefined') {
+            return blob;
+        }
+        return new Response(blob.stream().pipeThrough(new CompressionStream('gzip'))).blob();
+    }
+
+    _newChunk() {
+        this.chunk = new Uint8Array(this.frameSize * this.chunkFrames);
+        this.view = new DataView(this.chunk.buffer);
+        this.chunkIndex = 0;
+    }
+}
@@ -0,0 +1,409 @@
+/**
+ * Settings - Live parameters, presets and shareable links
+ * The analyzer, each visualizer and the sketch's scene declare their tunables
+ * as a parameter schema. Settings attaches them under a scope name, applies
+ * overrides of the defaults, keeps named presets in localStorage and turns the
+ * whole state into a URL hash such as `#analyzer.smoothing=0.6&drums.barCount=12`.
+ *
+ * A target implements getParameters(), getParameter(key) and
+ * setParameter(key, value). Parameter entries:
+ *   key         Name passed to getParameter/setParameter
+ *   label       Display name
+ *   type        'number', 'integer', 'boolean', 'select', 'color' ('#rrggbb')
+ *               or 'text'
+ *   min, max, step  Range of numbers
+ *   options     Values of a select: [value] or [{ value, label }]
+ *   default     Fixed default; without one, the target's value when first attached
+ *   reload      Only read at startup, so changes apply after a reload
+ *   hidden      Edited in a panel of its own, so left out of the settings panel
+ *   optional    May also be null (unset); an empty string in a link means null
+ */
+class Settings {
+    /**
+     * @param {string} storageKey - localStorage key for presets
+     */
+    constructor(storageKey = 'music-viz1.presets') {
+        this.storageKey = storageKey;
+
+        // scope -> { target, label, defaults }
+        this.scopes = new Map();
+
+        // scope -> { key: value }, only values that differ from the default
+        this.values = {};
+
+        this.presets = this._loadPresets();
+        this.changeCallbacks = [];
+    }
+
+    /**
+     * Register a callback for changes made through settings
+     * @param {Function} callback - Called with no arguments
+     */
+    onChange(callback) {
+        this.changeCallbacks.push(callback);
+    }
+
+    /**
+     * Attach a target, or replace the target of a scope, and apply its overrides
+     * @param {string} scope - Scope name (analyzer, scene, visualizer id)
+     * @param {Object} target - Object implementing the parameter interface
+     * @param {string} label - Display name
+     */
+    attach(scope, target, label = scope) {
+        const existing = this.scopes.get(scope);
+        const defaults = existing ? existing.defaults : {};
+        this.scopes.set(scope, { target, label, defaults });
+
+        const values = this.values[scope] || (this.values[scope] = {});
+        for (const param of target.getParameters()) {
+            if (!(param.key in defaults)) {
+                defaults[param.key] = 'default' in param ? param.default : target.getParameter(param.key);
+            }
+
+            if (!(param.key in values)) continue;
+            const value = Settings.coerce(param, values[param.key]);
+            if (value === undefined) {
+                delete values[param.key];
+            } else {
+                values[param.key] = value;
+                if (!param.reload) target.setParameter(param.key, value);
+            }
+        }
+    }
+
+    /**
+     * Attached scopes in attach order
+     * @returns {Array} [{ scope, label, parameters }]
+     */
+    getScopes() {
+        return Array.from(this.scopes, ([scope, entry]) => ({
+            scope,
+            label: entry.label,
+            parameters: entry.target.getParameters()
+        }));
+    }
+
+    /**
+     * Current value of a parameter
+     * @param {string} scope - Scope name
+     * @param {string} key - Parameter key
+     * @returns {*} Value (a pending value for reload parameters)
+     */
+    get(scope, key) {
+        const entry = this.scopes.get(scope);
+        if (!entry) return undefined;
+
+        const param = Settings.find(entry.target.getParameters(), key);
+        if (param && param.reload && this.values[scope] && key in this.values[scope]) {
+            return this.values[scope][key];
+        }
+        return entry.target.getParameter(key);
+    }
+
+    /**
+     * Set a parameter live
+     * @param {string} scope - Scope name
+     * @param {string} key - Parameter key
+     * @param {*} value - New value, coerced to the parameter's type and range
+     */
+    set(scope, key, value) {
+        const entry = this.scopes.get(scope);
+        if (!entry) return;
+
+        const param = Settings.find(entry.target.getParameters(), key);
+        const coerced = param ? Settings.coerce(param, value) : undefined;
+        if (coerced === undefined) return;
+
+        if (!param.reload) entry.target.setParameter(key, coerced);
+        this._remember(scope, key, coerced);
+        this._notify();
+    }
+
+    /**
+     * Value a parameter will start with, before its target exists
+     * @param {string} scope - Scope name
+     * @param {string} key - Parameter key
+     * @param {Array} parameters - The target's parameter schema
+     * @returns {*} Override or the schema default
+     */
+    peek(scope, key, parameters) {
+        const param = Settings.find(parameters, key);
+        if (!param) return undefined;
+
+        const values = this.values[scope];
+        const value = values && key in values ? Settings.coerce(param, values[key]) : undefined;
+        return value === undefined ? param.default : value;
+    }
+
+    /**
+     * Everything that differs from the defaults
+     * Also picks up changes made outside settings (hotkeys, buttons)
+     * @returns {Object} { scope: { key: value } }
+     */
+    getState() {
+        const state = {};
+        for (const [scope, entry] of this.scopes) {
+            for (const param of entry.target.getParameters()) {
+                this._remember(scope, param.key, this.get(scope, param.key));
+            }
+        }
+        for (const [scope, values] of Object.entries(this.values)) {
+            if (Object.keys(values).length > 0) {
+                state[scope] = { ...values };
+            }
+        }
+        return state;
+    }
+
+    /**
+     * Apply a complete state; parameters it leaves out return to their defaults
+     * @param {Object} state - { scope: { key: value } }, values may be strings
+     */
+    setState(state) {
+        this.values = {};
+        for (const [scope, values] of Object.entries(state || {})) {
+            if (values && typeof values === 'object') {
+                this.values[scope] = { ...values };
+            }
+        }
+
+        for (const [scope, entry] of this.scopes) {
+            const values = this.values[scope] || (this.values[scope] = {});
+            for (const param of entry.target.getParameters()) {
+                const value = param.key in values ? Settings.coerce(param, values[param.key]) : undefined;
+                const next = value === undefined ? entry.defaults[param.key] : value;
+                // Unchanged values are skipped so nothing is rebuilt needlessly
+                if (!param.reload && entry.target.getParameter(param.key) !== next) {
+                    entry.target.setParameter(param.key, next);
+                }
+                this._remember(scope, param.key, next);
+            }
+        }
+
+        this._notify();
+    }
+
+    /**
+     * Set the listed parameters, leaving the rest as they are
+     * @param {Object} state - { scope: { key: value } }
+     */
+    apply(state) {
+        for (const [scope, values] of Object.entries(state || {})) {
+            const entry = this.scopes.get(scope);
+            if (!entry || !values) continue;
+
+            for (const [key, value] of Object.entries(values)) {
+                const param = Settings.find(entry.target.getParameters(), key);
+                const coerced = param ? Settings.coerce(param, value) : undefined;
+                if (coerced === undefined) continue;
+                if (!param.reload && entry.target.getParameter(key) !== coerced) {
+                    entry.target.setParameter(key, coerced);
+                }
+                this._remember(scope, key, coerced);
+            }
+        }
+
+        this._notify();
+    }
+
+    /**
+     * Return every parameter to its default
+     */
+    reset() {
+        this.setState({});
+    }
+
+    /**
+     * True if a reload parameter has a value its target isn't using yet
+     * @returns {boolean}
+     */
+    needsReload() {
+        for (const [scope, entry] of this.scopes) {
+            for (const param of entry.target.getParameters()) {
+                if (param.reload && this.get(scope, param.key) !== entry.target.getParameter(param.key)) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Current state as a URL hash (without the '#')
+     * @returns {string}
+     */
+    toHash() {
+        const params = new URLSearchParams();
+        for (const [scope, values] of Object.entries(this.getState())) {
+            for (const [key, value] of Object.entries(values)) {
+                params.set(`${scope}.${key}`, Settings.format(value));
+            }
+        }
+        return params.toString();
+    }
+
+    /**
+     * Parse a URL hash written by toHash()
+     * @param {string} hash - Hash with or without the '#'
+     * @returns {Object} State for setState() (string values)
+     */
+    static parseHash(hash) {
+        const state = {};
+        for (const [name, value] of new URLSearchParams(hash.replace(/^#/, ''))) {
+            const dot = name.indexOf('.');
+            if (dot <= 0) continue;
+            const scope = name.slice(0, dot);
+            (state[scope] || (state[scope] = {}))[name.slice(dot + 1)] = value;
+        }
+        return state;
+    }
+
+    /**
+     * @returns {Array<string>} Saved preset names, sorted
+     */
+    getPresetNames() {
+        return Object.keys(this.presets).sort();
+    }
+
+    /**
+     * Save the current state as a preset
+     * @param {string} name - Preset name (replaces an existing one)
+     */
+    savePreset(name) {
+        this.presets[name] = this.getState();
+        this._savePresets();
+    }
+
+    /**
+     * Apply a saved preset
+     * @param {string} name - Preset name
+     * @returns {boolean} False if there is no such preset
+     */
+    loadPreset(name) {
+        if (!this.presets[name]) return false;
+        this.setState(this.presets[name]);
+        return true;
+    }
+
+    /**
+     * Delete a saved preset
+     * @param {string} name - Preset name
+     */
+    removePreset(name) {
+        delete this.presets[name];
+        this._savePresets();
+    }
+
+    /**
+     * Look up a parameter entry
+     * @param {Array} parameters - Parameter schema
+     * @param {string} key - Parameter key
+     * @returns {Object|null}
+     */
+    static find(parameters, key) {
+        return parameters.find(param => param.key === key) || null;
+    }
+
+    /**
+     * Convert a value (or its string form) to a valid value of a parameter
+     * @param {Object} param - Parameter entry
+     * @param {*} value - Candidate value
+     * @returns {*} Valid value, or undefined if it can't be converted
+     */
+    static coerce(param, value) {
+        if (param.optional && (value === null || value === '')) return null;
+
+        switch (param.type) {
+            case 'boolean':
+                if (typeof value === 'boolean') return value;
+                if (value === '1' || value === 'true') return true;
+                if (value === '0' || value === 'false') return false;
+                return undefined;
+
+            case 'select':
+                for (const option of param.options) {
+                    const optionValue = typeof option === 'object' ? option.value : option;
+                    if (optionValue === value || String(optionValue) === String(value)) {
+                        return optionValue;
+                    }
+                }
+                return undefined;
+
+            case 'color':
+                return typeof value === 'string' && /^#?[0-9a-f]{6}$/i.test(value)
+                    ? `#${value.replace('#', '').toLowerCase()}`
+                    : undefined;
+
+            case 'text':
+                return typeof value === 'string' ? value : undefined;
+
+            default: {
+                const number = typeof value === 'number' ? value : parseFloat(value);
+                if (!isFinite(number)) return undefined;
+                const clamped = Math.max(param.min, Math.min(param.max, number));
+                return param.type === 'integer' ? Math.round(clamped) : clamped;
+            }
+        }
+    }
+
+    /**
+     * Short string form of a value for the URL
+     * @param {*} value - Parameter value
+     * @returns {string}
+     */
+    static format(value) {
+        if (value === null) return '';
+        if (typeof value === 'boolean') return value ? '1' : '0';
+        if (typeof value === 'number') return String(Math.round(value * 10000) / 10000);
+        return String(value);
+    }
+
+    /**
+     * Track a value as an override, or drop it when it equals the default
+     * @private
+     */
+    _remember(scope, key, value) {
+        const entry = this.scopes.get(scope);
+        const values = this.values[scope] || (this.values[scope] = {});
+        if (entry && entry.defaults[key] === value) {
+            delete values[key];
+        } else {
+            values[key] = value;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _notify() {
+        for (const callback of this.changeCallbacks) {
+            callback();
+        }
+    }
+
+    /**
+     * @private
+     */
+    _loadPresets() {
+        try {
+            const presets = JSON.parse(localStorage.getItem(this.storageKey));
+            if (presets && typeof presets === 'object') {
+                return presets;
+            }
+        } catch (e) {
+            console.warn('Ignoring unreadable presets:', e);
+        }
+        return {};
+    }
+
+    /**
+     * @private
+     */
+    _savePresets() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.presets));
+        } catch (e) {
+            console.warn('Failed to save presets:', e);
+        }
+    }
+}
@@ -6,8 +6,32 @@
 // Global state
 let audioAnalyzer;
 let visualizers = {};
+let layoutEngine;
+let qualityController;
+let transportBar;
+let offlineRenderer;
+let renderPanel;
+let bandEditor;
+let inputPanel;
+let midiOutput;
+let midiPanel;
+let broadcaster;
+let broadcastPanel;
+let sessionRecorder;
+let harmonyPalette;
+let themePanel;
+let settings;
+let settingsPanel;
+let modulationMatrix;
+let modulationPanel;
+let layoutPanel;
+let performanceMode;
+let cueList;
+let outputWindow;
+let postProcessor;
+let replayAnalyzer = null;
 let isStarted = false;
-let lastFrameTime = 0;
+let toastTimer = null;
 let deltaTime = 0;
 
 // Debug mode
@@ -24,19 +48,55 @@ function setup() {
     pixelDensity(1); // Reduce pixel density for performance
     frameRate(60);
 
+    // Parameters from a shared link; the FFT size is fixed once the analyzer exists
+    settings = new Settings();
+    settings.setState(Settings.parseHash(window.location.hash));
+
     // Initialize audio analyzer
-    audioAnalyzer = new AudioAnalyzer(1024, 0.8);
-
-    // Initialize visualizers
-    visualizers = {
-        drums: new DrumVisualizer(),
-        vocals: new VocalVisualizer(),
-        bass: new BassVisualizer(),
-        highs: new HighsVisualizer()
-    };
+    audioAnalyzer = new AudioAnalyzer(settings.peek('analyzer', 'fftSize', AnalyzerParameters), 0.8);
+    settings.attach('analyzer', audioAnalyzer, 'Analysis');
 
-    // Layout visualizers
-    layoutVisualizers();
+    // Scale visualizer detail with frame time and heap usage
+    qualityController = new QualityController(memoryManager);
+    qualityController.onChange((tier) => {
+        for (const viz of Object.values(visualizers)) {
+            viz.applyQuality(tier);
+        }
+    });
+
+    // Colors that follow the detected key and chord (off by default)
+    harmonyPalette = new HarmonyPalette();
+
+    // Restore the last theme before anything is colored
+    themeManager.init();
+
+    // Show mode and scene cues on the number keys
+    performanceMode = new PerformanceMode();
+    performanceMode.onChange((active) => {
+        for (const viz of Object.values(visualizers)) {
+            viz.labelsVisible = !active;
+        }
+    });
+    cueList = new CueList(settings);
+
+    // Initialize and layout visualizers
+    layoutEngine = new LayoutEngine();
+    createVisualizers();
+
+    // Analysis signals routed to visualizer parameters
+    modulationMatrix = new ModulationMatrix(() => visualizers);
+
+    // Optional WebGL effects over the finished frame
+    postProcessor = new PostProcessor(canvas.elt);
+
+    // Offline render-to-video export (captures the effects when they are on)
+    offlineRenderer = new OfflineRenderer(audioAnalyzer, {
+        getCanvas: () => postProcessor.getCanvas(),
+        begin: beginOfflineRender,
+        resetScene: createVisualizers,
+        drawFrame: () => redraw(),
+        end: endOfflineRender
+    });
 
     // Setup UI controls
     setupControls();
@@ -58,120 +118,574 @@ function setup() {
 }
 
 /**
- * Layout visualizers in a 2x2 grid
+ * Create (or recreate) one visualizer per registered type with fresh state
+ * Settings (including enabled/disabled and the mode) carry over
+ */
+function createVisualizers() {
+    // Pick up hotkey changes to the old instances first
+    settings.getState();
+
+    for (const viz of Object.values(visualizers)) {
+        viz.dispose();
+    }
+
+    visualizers = {};
+    for (const entry of visualizerRegistry.getAll()) {
+        const viz = visualizerRegistry.create(entry.id);
+        viz.applyQuality(qualityController.getTier());
+        viz.labelsVisible = !performanceMode.active;
+        settings.attach(entry.id, viz, entry.name);
+        applyColors(viz);
+        visualizers[entry.id] = viz;
+    }
+
+    layoutVisualizers();
+}
+
+// Width of the main canvas while an output window shows the full picture
+const PREVIEW_WIDTH = 480;
+
+/**
+ * Size the canvas to the window, or to a preview with the output window's
+ * aspect ratio while one is connected
+ */
+function fitCanvas() {
+    if (outputWindow && outputWindow.connected && outputWindow.width > 0) {
+        const previewWidth = Math.min(PREVIEW_WIDTH, windowWidth);
+        resizeCanvas(previewWidth, Math.round(previewWidth * outputWindow.height / outputWindow.width));
+    } else {
+        resizeCanvas(windowWidth, windowHeight);
+    }
+    layoutVisualizers();
+}
+
+/**
+ * Place visualizers for the current layout and canvas size
  */
 function layoutVisualizers() {
-    const padding = 20;
-    const halfWidth = (width - padding * 3) / 2;
-    const halfHeight = (height - padding * 3) / 2;
-
-    // Top left - Drums
-    visualizers.drums.setBounds(
-        padding,
-        padding,
-        halfWidth,
-        halfHeight
-    );
-
-    // Top right - Vocals
-    visualizers.vocals.setBounds(
-        padding * 2 + halfWidth,
-        padding,
-        halfWidth,
-        halfHeight
-    );
-
-    // Bottom left - Bass
-    visualizers.bass.setBounds(
-        padding,
-        padding * 2 + halfHeight,
-        halfWidth,
-        halfHeight
-    );
-
-    // Bottom right - Highs
-    visualizers.highs.setBounds(
-        padding * 2 + halfWidth,
-        padding * 2 + halfHeight,
-        halfWidth,
-        halfHeight
-    );
+    layoutEngine.layout(visualizers, width, height);
 }
 
 /**
  * Setup UI controls
  */
 function setupControls() {
-    // Start button
-    const startBtn = document.getElementById('start-btn');
+    // Start overlay: microphone or local file
     const overlay = document.getElementById('start-overlay');
     const controls = document.getElementById('controls');
+    const fileInput = document.getElementById('file-input');
 
-    startBtn.addEventListener('click', async () => {
-        const success = await audioAnalyzer.startListening();
+    transportBar = new TransportBar();
+
+    const onSourceStarted = (success, message) => {
         if (success) {
             isStarted = true;
             overlay.classList.add('hidden');
             controls.classList.remove('hidden');
+            transportBar.bind(getTransport());
         } else {
-            alert('Failed to access microphone. Please allow microphone access and try again.');
+            alert(message);
         }
+    };
+
+    document.getElementById('start-mic-btn').addEventListener('click', async () => {
+        stopReplay();
+        const success = await audioAnalyzer.startListening();
+        onSourceStarted(success, 'Failed to access microphone. Please allow microphone access and try again.');
     });
 
-    // Toggle buttons
-    document.getElementById('toggle-drums').addEventListener('click', () => {
-        const enabled = visualizers.drums.toggle();
-        document.getElementById('toggle-drums').style.opacity = enabled ? 1 : 0.5;
+    document.getElementById('start-file-btn').addEventListener('click', () => fileInput.click());
+    document.getElementById('open-file').addEventListener('click', () => fileInput.click());
+
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (file) {
+            onSourceStarted(await loadAudioFile(file), `Could not play "${file.name}".`);
+        }
     });
 
-    document.getElementById('toggle-vocals').addEventListener('click', () => {
-        const enabled = visualizers.vocals.toggle();
-        document.getElementById('toggle-vocals').style.opacity = enabled ? 1 : 0.5;
+    setupFileDrop(onSourceStarted);
+
+    // Render panel
+    renderPanel = new RenderPanel(offlineRenderer, () => {
+        const source = audioAnalyzer.source;
+        return source && source.type === 'file' ? source.file : null;
+    });
+    document.getElementById('toggle-render').addEventListener('click', () => renderPanel.toggle());
+
+    // Band editor
+    bandEditor = new BandEditor(audioAnalyzer, new BandProfileStore());
+    document.getElementById('toggle-bands').addEventListener('click', () => bandEditor.toggle());
+
+    // Gain control, band normalization and noise floor
+    inputPanel = new InputPanel(audioAnalyzer);
+    document.getElementById('toggle-input').addEventListener('click', () => inputPanel.toggle());
+
+    // Session recording of the live analysis
+    sessionRecorder = new SessionRecorder(audioAnalyzer);
+    document.getElementById('toggle-record').addEventListener('click', toggleRecording);
+
+    // MIDI output (device access is requested from the panel)
+    midiOutput = new MidiOutput();
+    midiPanel = new MidiPanel(midiOutput);
+    document.getElementById('toggle-midi').addEventListener('click', () => midiPanel.toggle());
+
+    // Analysis frames over WebSocket (JSON or OSC)
+    broadcaster = new AnalysisBroadcaster();
+    broadcastPanel = new BroadcastPanel(broadcaster);
+    document.getElementById('toggle-broadcast').addEventListener('click', () => broadcastPanel.toggle());
+
+    // Harmony palette
+    document.getElementById('toggle-palette').addEventListener('click', togglePalette);
+
+    // Settings, presets and the shareable link
+    settings.attach('scene', createSceneSettings(), 'Scene');
+    settings.attach('layout', layoutEngine, 'Layout');
+    settings.attach('theme', themeManager, 'Theme');
+    settings.attach('bands', createBandSettings(() => bandEditor.refresh()), 'Bands');
+    settings.attach('input', inputPanel, 'Input');
+    settings.attach('effects', postProcessor, 'Effects');
+    settings.attach('modulation', modulationMatrix, 'Modulation');
+    if (window.location.hash.length > 1) {
+        // A shared link describes the whole look; whatever it leaves out is a default
+        settings.setState(Settings.parseHash(window.location.hash));
+    }
+    settingsPanel = new SettingsPanel(settings);
+    document.getElementById('toggle-settings').addEventListener('click', () => settingsPanel.toggle());
+    modulationPanel = new ModulationPanel(settings, modulationMatrix);
+    document.getElementById('toggle-modulation').addEventListener('click', () => modulationPanel.toggle());
+    layoutPanel = new LayoutPanel(settings, layoutEngine);
+    document.getElementById('toggle-layout').addEventListener('click', () => layoutPanel.toggle());
+    settings.onChange(() => {
+        for (const id of Object.keys(visualizers)) {
+            syncToggleButton(id);
+        }
     });
 
-    document.getElementById('toggle-bass').addEventListener('click', () => {
-        const enabled = visualizers.bass.toggle();
-        document.getElementById('toggle-bass').style.opacity = enabled ? 1 : 0.5;
+    // Canvas-only output window; this one keeps a small preview
+    outputWindow = new OutputWindow(settings);
+    const outputButton = document.getElementById('toggle-output');
+    outputButton.disabled = !outputWindow.isSupported();
+    outputButton.addEventListener('click', () => {
+        if (outputWindow.connected) {
+            outputWindow.close();
+        } else {
+            outputWindow.open();
+        }
+    });
+    outputWindow.onChange((connected) => {
+        outputButton.classList.toggle('active', connected);
+        document.body.classList.toggle('has-output', connected);
+        if (!offlineRenderer.isRendering) fitCanvas();
     });
 
-    document.getElementById('toggle-highs').addEventListener('click', () => {
-        const enabled = visualizers.highs.toggle();
-        document.getElementById('toggle-highs').style.opacity = enabled ? 1 : 0.5;
+    // Themes
+    themePanel = new ThemePanel(themeManager);
+    document.getElementById('toggle-theme').addEventListener('click', () => themePanel.toggle());
+    themeManager.onChange(() => {
+        for (const viz of Object.values(visualizers)) {
+            applyColors(viz);
+        }
     });
 
+    // One toggle button per registered visualizer
+    setupVisualizerToggles(controls);
+
+    // Layout presets
+    const cycleLayout = () => {
+        layoutEngine.cycleLayout();
+        syncLayoutButton();
+    };
+    document.getElementById('cycle-layout').addEventListener('click', cycleLayout);
+
+    // Performance mode
+    document.getElementById('toggle-performance').addEventListener('click', () => performanceMode.enter());
+
     // Keyboard shortcuts
     document.addEventListener('keydown', (e) => {
-        switch (e.key.toLowerCase()) {
-            case '1':
-                visualizers.drums.toggle();
-                break;
-            case '2':
-                visualizers.vocals.toggle();
-                break;
-            case '3':
-                visualizers.bass.toggle();
-                break;
-            case '4':
-                visualizers.highs.toggle();
-                break;
+        // Don't steal keys from text fields in the panels
+        if (e.target.closest('input, select, textarea')) return;
+
+        // Number recalls a cue while performing; Shift+number stores one otherwise
+        const digit = /^Digit([1-9])$/.exec(e.code);
+        if (digit && performanceMode.active) {
+            if (cueList.recall(digit[1], drawingContext.canvas)) {
+                outputWindow.crossfade();
+            }
+            return;
+        }
+
+        const key = e.key.toLowerCase();
+        if (key === 'p' || (key === 'escape' && performanceMode.active)) {
+            performanceMode.toggle();
+            return;
+        }
+
+        // Everything else could change the show by accident
+        if (performanceMode.active) return;
+
+        if (digit && e.shiftKey) {
+            cueList.save(digit[1]);
+            showToast(`Cue ${digit[1]} saved`);
+            return;
+        }
+
+        switch (key) {
+            case 'b':
+                bandEditor.toggle();
+                return;
             case 'd':
                 window.DEBUG_MODE = !window.DEBUG_MODE;
-                break;
+                return;
+            case 'h':
+                audioAnalyzer.setSeparation(!audioAnalyzer.separationEnabled);
+                return;
+            case 'k':
+                togglePalette();
+                return;
+            case 'l':
+                cycleLayout();
+                return;
+            case 'm':
+                layoutEngine.toggleMaximize(layoutEngine.visualizerAt(mouseX, mouseY));
+                syncLayoutButton();
+                return;
+            case 't':
+                themeManager.cycleTheme();
+                return;
+            case 'v': {
+                const id = layoutEngine.visualizerAt(mouseX, mouseY);
+                if (id) visualizers[id].cycleMode();
+                return;
+            }
+        }
+
+        const entry = visualizerRegistry.findByHotkey(key);
+        if (entry && visualizers[entry.id]) {
+            visualizers[entry.id].toggle();
+            syncToggleButton(entry.id);
         }
     });
 }
 
+// Keys handled by the sketch itself; visualizer hotkeys can't use them
+const RESERVED_KEYS = ['b', 'd', 'h', 'k', 'l', 'm', 'p', 't', 'v'];
+
+/**
+ * Build toggle buttons for all registered visualizers
+ * @param {HTMLElement} controls - Control bar to add the buttons to
+ */
+function setupVisualizerToggles(controls) {
+    const before = document.getElementById('cycle-layout');
+
+    for (const entry of visualizerRegistry.getAll()) {
+        if (entry.hotkey && RESERVED_KEYS.includes(entry.hotkey)) {
+            console.warn(`Hotkey "${entry.hotkey}" of "${entry.id}" is reserved, use the button instead`);
+        }
+
+        const button = document.createElement('button');
+        button.className = 'control-btn';
+        button.id = `toggle-${entry.id}`;
+        button.textContent = entry.name;
+        if (entry.hotkey) {
+            button.title = `Toggle ${entry.name} (${entry.hotkey.toUpperCase()})`;
+        }
+        button.addEventListener('click', () => {
+            visualizers[entry.id].toggle();
+            syncToggleButton(entry.id);
+        });
+        controls.insertBefore(button, before);
+        syncToggleButton(entry.id);
+    }
+}
+
+/**
+ * Flash a short message at the bottom of the screen (not while performing,
+ * where it would show on the projector)
+ * @param {string} message - Text to show
+ */
+function showToast(message) {
+    if (performanceMode.active) return;
+
+    const toast = document.getElementById('toast');
+    toast.textContent = message;
+    toast.classList.add('visible');
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => toast.classList.remove('visible'), 1500);
+}
+
+/**
+ * Show the current layout on the layout button
+ */
+function syncLayoutButton() {
+    document.getElementById('cycle-layout').textContent = `Layout: ${layoutEngine.getLayoutName()}`;
+}
+
+/**
+ * Scene-wide settings: layout, theme and the harmony palette
+ * @returns {Object} Settings target (see Settings)
+ */
+function createSceneSettings() {
+    return {
+        getParameters: () => [
+            {
+                key: 'layout', label: 'Layout', type: 'select', default: 'grid',
+                options: Object.keys(LayoutPresets).map(value => ({ value, label: LayoutPresets[value].name }))
+            },
+            {
+                key: 'theme', label: 'Theme', type: 'select', default: 'dark',
+                options: themeManager.getAll().map(theme => ({ value: theme.id, label: theme.name }))
+            },
+            { key: 'palette', label: 'Harmony palette', type: 'boolean', default: false },
+            { key: 'cueFade', label: 'Cue crossfade (s)', type: 'number', min: 0, max: 5, step: 0.1, default: 1 }
+        ],
+
+        getParameter(key) {
+            switch (key) {
+                case 'layout':
+                    // A maximized visualizer is temporary; report the layout it returns to
+                    return layoutEngine.restoreLayout ? layoutEngine.restoreLayout.name : layoutEngine.presetName;
+                case 'theme':
+                    return themeManager.currentId;
+                case 'palette':
+                    return harmonyPalette.enabled;
+                case 'cueFade':
+                    return cueList.fadeTime;
+            }
+            return undefined;
+        },
+
+        setParameter(key, value) {
+            if (value === this.getParameter(key)) return;
+            switch (key) {
+                case 'layout':
+                    layoutEngine.setLayout(value);
+                    syncLayoutButton();
+                    break;
+                case 'theme':
+                    themeManager.setTheme(value);
+                    break;
+                case 'palette':
+                    togglePalette();
+                    break;
+                case 'cueFade':
+                    cueList.fadeTime = value;
+                    break;
+            }
+        }
+    };
+}
+
+/**
+ * Dim a visualizer's toggle button while it is disabled
+ * @param {string} id - Visualizer id
+ */
+function syncToggleButton(id) {
+    const button = document.getElementById(`toggle-${id}`);
+    if (button && visualizers[id]) {
+        button.style.opacity = visualizers[id].enabled ? 1 : 0.5;
+    }
+}
+
+/**
+ * Load an audio file as the analyzer input, or replay a recorded session
+ * @param {File} file - Audio file or session recording
+ * @returns {Promise<boolean>} True if playback started
+ */
+async function loadAudioFile(file) {
+    if (ReplayAnalyzer.isRecording(file)) {
+        return startReplay(file);
+    }
+
+    if (!FileSource.isSupported(file)) {
+        console.warn(`Unsupported file type: ${file.name}`);
+        return false;
+    }
+
+    stopReplay();
+    return audioAnalyzer.loadFile(file);
+}
+
+/**
+ * Analyzer driving the visualizers: the replay if one is loaded,
+ * otherwise live input (always live input while rendering offline)
+ * @returns {AudioAnalyzer|ReplayAnalyzer}
+ */
+function getAnalyzer() {
+    return replayAnalyzer && !offlineRenderer.isRendering ? replayAnalyzer : audioAnalyzer;
+}
+
+/**
+ * Transport for the transport bar, if the current input has one
+ * @returns {Object|null}
+ */
+function getTransport() {
+    if (replayAnalyzer) return replayAnalyzer;
+    const source = audioAnalyzer.source;
+    return source && source.hasTransport() ? source : null;
+}
+
+/**
+ * Replay a recorded session instead of live input
+ * @param {File} file - Session recording
+ * @returns {Promise<boolean>} True if the replay started
+ */
+async function startReplay(file) {
+    let replay;
+    try {
+        replay = await ReplayAnalyzer.load(file);
+    } catch (error) {
+        console.warn(`Could not read session "${file.name}":`, error);
+        return false;
+    }
+
+    if (sessionRecorder.isRecording) {
+        await toggleRecording();
+    }
+
+    stopReplay();
+    audioAnalyzer.stopListening();
+    replayAnalyzer = replay;
+    return true;
+}
+
+/**
+ * Go back to live input
+ */
+function stopReplay() {
+    if (!replayAnalyzer) return;
+    replayAnalyzer.dispose();
+    replayAnalyzer = null;
+}
+
+/**
+ * Start recording the live analysis, or stop and download the session
+ */
+async function toggleRecording() {
+    const button = document.getElementById('toggle-record');
+
+    if (!sessionRecorder.isRecording) {
+        if (replayAnalyzer) {
+            alert('Recording captures live input. Switch to the microphone or an audio file first.');
+            return;
+        }
+        const includeSpectrum = document.getElementById('record-spectrum').checked;
+        sessionRecorder.start(clock.now(), { includeSpectrum });
+        button.classList.add('active');
+        button.textContent = 'Stop recording';
+        return;
+    }
+
+    const blob = await sessionRecorder.stop();
+    button.classList.remove('active');
+    button.textContent = 'Record';
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    OfflineRenderer.download(blob, `session-${stamp}${SessionFormat.EXTENSION}`);
+}
+
+/**
+ * Switch visualizer colors between their own and the harmony palette
+ */
+function togglePalette() {
+    harmonyPalette.enabled = !harmonyPalette.enabled;
+    for (const viz of Object.values(visualizers)) {
+        applyColors(viz);
+    }
+    document.getElementById('toggle-palette').classList.toggle('active', harmonyPalette.enabled);
+}
+
+/**
+ * Color a visualizer from the harmony palette when it is on, else from the
+ * theme, else with its own colors
+ * @param {BaseVisualizer} viz - Visualizer to color
+ */
+function applyColors(viz) {
+    if (harmonyPalette.enabled) {
+        viz.setPalette(harmonyPalette.getColors(viz.group));
+    } else {
+        viz.setPalette(themeManager.getGroupColors(viz.group));
+    }
+}
+
+/**
+ * Accept audio files dropped onto the canvas
+ * @param {Function} onSourceStarted - Called with (success, message)
+ */
+function setupFileDrop(onSourceStarted) {
+    const container = document.getElementById('app-container');
+
+    container.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        container.classList.add('drag-over');
+    });
+
+    container.addEventListener('dragleave', () => {
+        container.classList.remove('drag-over');
+    });
+
+    container.addEventListener('drop', async (e) => {
+        e.preventDefault();
+        container.classList.remove('drag-over');
+
+        const file = e.dataTransfer.files[0];
+        if (file) {
+            onSourceStarted(await loadAudioFile(file), `Could not play "${file.name}".`);
+        }
+    });
+}
+
+/**
+ * Prepare the sketch for an offline render
+ * @param {Object} size - Optional { width, height } output size
+ */
+function beginOfflineRender(size) {
+    noLoop();
+
+    // Frame times mean nothing offline; render every frame at full quality
+    qualityController.suspend();
+
+    // Start the palette, modulation and effects from the same state every time
+    harmonyPalette.reset();
+    modulationMatrix.reset();
+    postProcessor.reset();
+
+    if (audioAnalyzer.source && audioAnalyzer.source.hasTransport()) {
+        audioAnalyzer.source.pause();
+    }
+
+    // Devices aren't driven while rendering; don't leave notes ringing
+    midiOutput.allNotesOff();
+
+    // Video encoders need even dimensions
+    const w = (size.width || width) & ~1;
+    const h = (size.height || height) & ~1;
+    resizeCanvas(w, h);
+    layoutVisualizers();
+}
+
+/**
+ * Restore live rendering after an offline render
+ */
+function endOfflineRender() {
+    fitCanvas();
+    qualityController.resume();
+    loop();
+}
+
 /**
  * p5.js draw loop
  */
 function draw() {
-    // Calculate delta time
-    const currentTime = millis();
-    deltaTime = currentTime - lastFrameTime;
-    lastFrameTime = currentTime;
+    // Advance the simulation clock (fixed step while rendering offline)
+    clock.tick(millis());
+    deltaTime = clock.deltaTime;
+    const currentTime = clock.now();
 
     // Clear background
-    background(10, 10, 15);
+    const backdrop = themeManager.current.background;
+    background(backdrop.r, backdrop.g, backdrop.b);
 
     if (!isStarted) {
         drawStartScreen();
@@ -179,23 +693,57 @@ function draw() {
     }
 
     // Update audio analysis
-    audioAnalyzer.update();
+    const analyzer = getAnalyzer();
+    analyzer.update(currentTime);
+
+    // Rendered frames come from the file being rendered, not the live input
+    if (analyzer === audioAnalyzer && !offlineRenderer.isRendering) {
+        sessionRecorder.record(currentTime);
+    }
+    transportBar.update();
+    bandEditor.update();
+    inputPanel.update();
+    settingsPanel.update();
+    modulationPanel.update();
+    layoutPanel.update();
+
+    // Offline renders run faster than real time, so don't drive devices
+    if (!offlineRenderer.isRendering) {
+        midiOutput.process(analyzer);
+        broadcaster.process(analyzer, currentTime);
+        outputWindow.process(analyzer, currentTime);
+    }
+
+    if (harmonyPalette.enabled) {
+        harmonyPalette.update(analyzer.getHarmony(), deltaTime);
+    }
 
     // Get energy values
-    const energies = audioAnalyzer.getEnergies();
-    const peaks = audioAnalyzer.getPeaks();
+    const energies = analyzer.getEnergies();
+    const peaks = analyzer.getPeaks();
+
+    // Adapt quality to frame time, then animate layout changes
+    qualityController.update(deltaTime);
+    layoutEngine.update(deltaTime);
+
+    // Routed parameters for this frame, then update visualizers with their group's analysis
+    modulationMatrix.update(analyzer, deltaTime);
+    for (const viz of Object.values(visualizers)) {
+        viz.update(energies[viz.group] || 0, peaks[viz.group], deltaTime, analyzer.getGroupAnalysis(viz.group));
+    }
+
+    // Draw visualizers, lowest z-order first
+    const drawOrder = layoutEngine.getDrawOrder();
+    postProcessor.assignParticles(drawOrder);
+    for (const viz of drawOrder) {
+        viz.draw(window);
+    }
 
-    // Update visualizers
-    visualizers.drums.update(energies.drums, peaks.drums, deltaTime);
-    visualizers.vocals.update(energies.vocals, peaks.vocals, deltaTime);
-    visualizers.bass.update(energies.bass, peaks.bass, deltaTime);
-    visualizers.highs.update(energies.highs, peaks.highs, deltaTime);
+    // Previous scene fading out after a cue
+    const fade = cueList.drawFade(drawingContext, deltaTime);
 
-    // Draw visualizers
-    visualizers.drums.draw(window);
-    visualizers.vocals.draw(window);
-    visualizers.bass.draw(window);
-    visualizers.highs.draw(window);
+    // WebGL effects, if on; GPU particles fade in under the old scene
+    postProcessor.render(drawOrder, energies, deltaTime, 1 - fade);
 
     // Update memory manager
     memoryManager.update(currentTime);
@@ -212,13 +760,14 @@ function draw() {
 function drawStartScreen() {
     // Animated background
     const t = millis() * 0.001;
+    const accent = themeManager.current.chrome.accent;
 
     noStroke();
     for (let i = 0; i < 5; i++) {
         const alpha = 20 - i * 3;
         const size = 100 + i * 50 + Math.sin(t + i) * 20;
 
-        fill(100, 100, 255, alpha);
+        fill(accent.r, accent.g, accent.b, alpha);
         ellipse(width / 2, height / 2, size, size);
     }
 }
@@ -238,6 +787,17 @@ function drawDebugInfo(energies) {
     html += `Bass: ${(energies.bass * 100).toFixed(1)}%<br>`;
     html += `Highs: ${(energies.highs * 100).toFixed(1)}%<br>`;
 
+    const beat = getAnalyzer().getBeat();
+    html += `BPM: ${beat.bpm > 0 ? beat.bpm.toFixed(1) : '--'} (${(beat.confidence * 100).toFixed(0)}%)<br>`;
+
+    const pitch = getAnalyzer().getPitch();
+    html += `Pitch: ${pitch.voiced ? `${pitch.note} ${pitch.cents >= 0 ? '+' : ''}${pitch.cents}¢ (${pitch.frequency.toFixed(1)} Hz)` : '--'}<br>`;
+
+    const harmony = getAnalyzer().getHarmony();
+    html += `Key: ${harmony.key.name || '--'} (${(harmony.key.confidence * 100).toFixed(0)}%), chord: ${harmony.chord.name || '--'}<br>`;
+    html += `Quality: ${qualityController.getTier().name} (${qualityController.reason})<br>`;
+    html += `Separation: ${audioAnalyzer.separationEnabled ? 'harmonic/percussive' : 'bands only'}<br>`;
+
     if (stats.heapUsagePercent) {
         html += `Heap: ${stats.heapUsagePercent.toFixed(1)}%<br>`;
     }
@@ -251,17 +811,31 @@ function drawDebugInfo(energies) {
  * Handle window resize
  */
 function windowResized() {
-    resizeCanvas(windowWidth, windowHeight);
-    layoutVisualizers();
+    // Render size is fixed until the render finishes
+    if (offlineRenderer.isRendering) return;
+
+    fitCanvas();
 }
 
 /**
  * Cleanup on page unload
  */
 window.addEventListener('beforeunload', () => {
+    if (midiOutput) {
+        midiOutput.dispose();
+    }
+    if (broadcaster) {
+        broadcaster.dispose();
+    }
+    if (outputWindow) {
+        outputWindow.dispose();
+    }
     if (audioAnalyzer) {
         audioAnalyzer.dispose();
     }
+    if (postProcessor) {
+        postProcessor.dispose();
+    }
 
     for (const viz of Object.values(visualizers)) {
         viz.dispose();
@@ -0,0 +1,360 @@
+/**
+ * ThemeManager - Colors, backgrounds and typography for the canvas and the page
+ * Visualizers read the current theme when drawing; the HTML chrome reads it
+ * through CSS custom properties. Custom themes are plain JSON, merged over
+ * the dark theme, and kept in localStorage. As a Settings target (scope
+ * 'theme') the current custom theme travels with links and presets, so it
+ * can be shown where it was never loaded.
+ *
+ * Theme shape (colors are { r, g, b } or { r, g, b, a }, 0-255):
+ *   name        Display name
+ *   background  Canvas background
+ *   panel       Visualizer panels: { fill, stroke (or null), radius }
+ *   label       Visualizer labels: { visible, font, size, color }
+ *   groups      Per-group { primary, accent } colors, or null to keep the
+ *               colors from the band editor
+ *   chrome      Page: { background, text, accent, accentEnd, panel (a 0-1), font }
+ */
+const Themes = {
+    dark: {
+        name: 'Dark',
+        background: { r: 10, g: 10, b: 15 },
+        panel: { fill: { r: 20, g: 20, b: 25, a: 150 }, stroke: null, radius: 8 },
+        label: { visible: true, font: 'sans-serif', size: 12, color: { r: 255, g: 255, b: 255, a: 150 } },
+        groups: null,
+        chrome: {
+            background: { r: 10, g: 10, b: 10 },
+            text: { r: 255, g: 255, b: 255 },
+            accent: { r: 102, g: 126, b: 234 },
+            accentEnd: { r: 118, g: 75, b: 162 },
+            panel: { r: 20, g: 20, b: 25, a: 0.95 },
+            font: "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif"
+        }
+    },
+
+    // Light background and larger labels for projectors in lit rooms
+    projector: {
+        name: 'Projector',
+        background: { r: 238, g: 236, b: 230 },
+        panel: { fill: { r: 255, g: 255, b: 255, a: 170 }, stroke: { r: 0, g: 0, b: 0, a: 40 }, radius: 8 },
+        label: { visible: true, font: 'sans-serif', size: 16, color: { r: 30, g: 30, b: 35, a: 210 } },
+        groups: {
+            drums: { primary: { r: 215, g: 55, b: 25 }, accent: { r: 240, g: 120, b: 50 } },
+            vocals: { primary: { r: 30, g: 90, b: 215 }, accent: { r: 80, g: 140, b: 240 } },
+            bass: { primary: { r: 140, g: 0, b: 140 }, accent: { r: 195, g: 60, b: 195 } },
+            highs: { primary: { r: 0, g: 145, b: 115 }, accent: { r: 30, g: 185, b: 165 } }
+        },
+        chrome: {
+            background: { r: 238, g: 236, b: 230 },
+            text: { r: 20, g: 20, b: 25 },
+            accent: { r: 60, g: 80, b: 200 },
+            accentEnd: { r: 110, g: 50, b: 160 },
+            panel: { r: 250, g: 250, b: 247, a: 0.95 },
+            font: "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif"
+        }
+    },
+
+    highContrast: {
+        name: 'High contrast',
+        background: { r: 0, g: 0, b: 0 },
+        panel: { fill: { r: 0, g: 0, b: 0, a: 255 }, stroke: { r: 255, g: 255, b: 255, a: 255 }, radius: 0 },
+        label: { visible: true, font: 'monospace', size: 14, color: { r: 255, g: 255, b: 0, a: 255 } },
+        groups: {
+            drums: { primary: { r: 255, g: 0, b: 0 }, accent: { r: 255, g: 255, b: 0 } },
+            vocals: { primary: { r: 0, g: 160, b: 255 }, accent: { r: 255, g: 255, b: 255 } },
+            bass: { primary: { r: 255, g: 0, b: 255 }, accent: { r: 255, g: 255, b: 255 } },
+            highs: { primary: { r: 0, g: 255, b: 0 }, accent: { r: 255, g: 255, b: 255 } }
+        },
+        chrome: {
+            background: { r: 0, g: 0, b: 0 },
+            text: { r: 255, g: 255, b: 255 },
+            accent: { r: 0, g: 90, b: 255 },
+            accentEnd: { r: 0, g: 50, b: 190 },
+            panel: { r: 0, g: 0, b: 0, a: 1 },
+            font: 'monospace'
+        }
+    },
+
+    monochrome: {
+        name: 'Monochrome',
+        background: { r: 12, g: 12, b: 12 },
+        panel: { fill: { r: 28, g: 28, b: 28, a: 150 }, stroke: null, radius: 8 },
+        label: { visible: true, font: 'sans-serif', size: 12, color: { r: 220, g: 220, b: 220, a: 150 } },
+        groups: {
+            drums: { primary: { r: 235, g: 235, b: 235 }, accent: { r: 180, g: 180, b: 180 } },
+            vocals: { primary: { r: 200, g: 200, b: 200 }, accent: { r: 255, g: 255, b: 255 } },
+            bass: { primary: { r: 150, g: 150, b: 150 }, accent: { r: 210, g: 210, b: 210 } },
+            highs: { primary: { r: 255, g: 255, b: 255 }, accent: { r: 170, g: 170, b: 170 } }
+        },
+        chrome: {
+            background: { r: 12, g: 12, b: 12 },
+            text: { r: 230, g: 230, b: 230 },
+            accent: { r: 150, g: 150, b: 150 },
+            accentEnd: { r: 90, g: 90, b: 90 },
+            panel: { r: 22, g: 22, b: 22, a: 0.95 },
+            font: "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif"
+        }
+    }
+};
+
+class ThemeManager {
+    /**
+     * @param {string} storageKey - localStorage key prefix
+     */
+    constructor(storageKey = 'music-viz1.theme') {
+        this.storageKey = storageKey;
+        this.customThemes = {};
+        this.currentId = 'dark';
+        this.current = Themes.dark;
+        this.changeCallbacks = [];
+    }
+
+    /**
+     * Restore custom themes and the last selection, and style the page
+     */
+    init() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (saved && typeof saved === 'object') {
+                for (const [id, theme] of Object.entries(saved.custom || {})) {
+                    this.customThemes[id] = ThemeManager.normalize(theme);
+                }
+                if (this.getTheme(saved.current)) {
+                    this.currentId = saved.current;
+                    this.current = this.getTheme(saved.current);
+                }
+            }
+        } catch (e) {
+            console.warn('Ignoring unreadable theme settings:', e);
+        }
+
+        this.applyChrome();
+    }
+
+    /**
+     * Register a callback for theme switches
+     * @param {Function} callback - Called with (theme, id)
+     */
+    onChange(callback) {
+        this.changeCallbacks.push(callback);
+    }
+
+    /**
+     * Built-in and custom themes
+     * @returns {Array} [{ id, name, custom }]
+     */
+    getAll() {
+        const builtIn = Object.entries(Themes).map(([id, theme]) => ({ id, name: theme.name, custom: false }));
+        const custom = Object.entries(this.customThemes).map(([id, theme]) => ({ id, name: theme.name, custom: true }));
+        return builtIn.concat(custom);
+    }
+
+    /**
+     * @param {string} id - Theme id
+     * @returns {Object|null}
+     */
+    getTheme(id) {
+        return Themes[id] || this.customThemes[id] || null;
+    }
+
+    /**
+     * Switch themes
+     * @param {string} id - Theme id
+     */
+    setTheme(id) {
+        const theme = this.getTheme(id);
+        if (!theme) return;
+
+        this.currentId = id;
+        this.current = theme;
+        this.applyChrome();
+        this._save();
+
+        for (const callback of this.changeCallbacks) {
+            callback(theme, id);
+        }
+    }
+
+    /**
+     * Switch to the next theme
+     */
+    cycleTheme() {
+        const ids = this.getAll().map(entry => entry.id);
+        this.setTheme(ids[(ids.indexOf(this.currentId) + 1) % ids.length]);
+    }
+
+    /**
+     * Group colors of the current theme
+     * @param {string} group - Group key (drums, vocals, bass, highs)
+     * @returns {Object|null} { primary, accent }, or null to keep the visualizer's own
+     */
+    getGroupColors(group) {
+        return this.current.groups ? this.current.groups[group] || null : null;
+    }
+
+    /**
+     * Add or replace a custom theme from JSON
+     * @param {string|Object} json - Theme JSON (text or parsed)
+     * @returns {string} Id of the added theme
+     */
+    addCustomTheme(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        if (!data || typeof data.name !== 'string' || !data.name.trim()) {
+            throw new Error('a theme needs a name');
+        }
+
+        const theme = ThemeManager.normalize(data);
+        const id = 'custom:' + theme.name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+        this.customThemes[id] = theme;
+        this._save();
+        return id;
+    }
+
+    /**
+     * Remove a custom theme, switching to dark if it was in use
+     * @param {string} id - Custom theme id
+     */
+    removeCustomTheme(id) {
+        if (!this.customThemes[id]) return;
+        delete this.customThemes[id];
+        if (this.currentId === id) {
+            this.setTheme('dark');
+        } else {
+            this._save();
+        }
+    }
+
+    /**
+     * Current theme as JSON, a starting point for custom themes
+     * @returns {string}
+     */
+    exportTheme() {
+        return JSON.stringify(this.current, null, 2);
+    }
+
+    /**
+     * Parameter schema for Settings: the contents of the current theme if
+     * it is a custom one (its selection is a scene setting)
+     * @returns {Array}
+     */
+    getParameters() {
+        return [{ key: 'custom', label: 'Custom theme', type: 'text', default: null, optional: true, hidden: true }];
+    }
+
+    /**
+     * @param {string} key - Parameter key
+     * @returns {*} Current value (null while a built-in theme is shown)
+     */
+    getParameter(key) {
+        if (key !== 'custom') return undefined;
+        return this.customThemes[this.currentId] ? JSON.stringify(this.current) : null;
+    }
+
+    /**
+     * Add a custom theme and switch to it (null leaves the themes alone)
+     * @param {string} key - Parameter key
+     * @param {*} value - Valid value for the parameter
+     */
+    setParameter(key, value) {
+        if (key !== 'custom' || value === null) return;
+
+        try {
+            this.setTheme(this.addCustomTheme(value));
+        } catch (e) {
+            console.warn('Ignoring unreadable custom theme:', e);
+        }
+    }
+
+    /**
+     * Set the page's CSS custom properties from the theme chrome
+     */
+    applyChrome() {
+        if (typeof document === 'undefined') return;
+
+        const chrome = this.current.chrome;
+        const triplet = (c) => `${Math.round(c.r)}, ${Math.round(c.g)}, ${Math.round(c.b)}`;
+        const style = document.documentElement.style;
+        style.setProperty('--page-bg', triplet(chrome.background));
+        style.setProperty('--text', triplet(chrome.text));
+        style.setProperty('--accent', triplet(chrome.accent));
+        style.setProperty('--accent-gradient',
+            `linear-gradient(135deg, rgb(${triplet(chrome.accent)}) 0%, rgb(${triplet(chrome.accentEnd)}) 100%)`);
+        style.setProperty('--panel-bg', `rgba(${triplet(chrome.panel)}, ${chrome.panel.a})`);
+        style.setProperty('--font', chrome.font);
+    }
+
+    /**
+     * Merge theme data over the dark theme, dropping malformed values
+     * @param {Object} data - Theme data
+     * @returns {Object} Complete theme
+     */
+    static normalize(data) {
+        const base = Themes.dark;
+        const isNumber = (value) => typeof value === 'number' && isFinite(value);
+        const color = (value, fallback) => {
+            if (!value || !isNumber(value.r) || !isNumber(value.g) || !isNumber(value.b)) return fallback;
+            const result = { r: value.r, g: value.g, b: value.b };
+            if (isNumber(value.a)) result.a = value.a;
+            else if (fallback && 'a' in fallback) result.a = fallback.a;
+            return result;
+        };
+        const string = (value, fallback) => (typeof value === 'string' && value ? value : fallback);
+
+        const panel = data.panel || {};
+        const label = data.label || {};
+        const chrome = data.chrome || {};
+
+        let groups = null;
+        if (data.groups && typeof data.groups === 'object') {
+            groups = {};
+            for (const [group, colors] of Object.entries(data.groups)) {
+                const primary = color(colors && colors.primary, null);
+                if (primary) {
+                    groups[group] = { primary, accent: color(colors.accent, primary) };
+                }
+            }
+        }
+
+        return {
+            name: string(data.name, 'Custom'),
+            background: color(data.background, base.background),
+            panel: {
+                fill: color(panel.fill, base.panel.fill),
+                stroke: panel.stroke === null ? null : color(panel.stroke, base.panel.stroke),
+                radius: isNumber(panel.radius) ? panel.radius : base.panel.radius
+            },
+            label: {
+                visible: typeof label.visible === 'boolean' ? label.visible : base.label.visible,
+                font: string(label.font, base.label.font),
+                size: isNumber(label.size) ? Math.max(6, Math.min(48, label.size)) : base.label.size,
+                color: color(label.color, base.label.color)
+            },
+            groups,
+            chrome: {
+                background: color(chrome.background, base.chrome.background),
+                text: color(chrome.text, base.chrome.text),
+                accent: color(chrome.accent, base.chrome.accent),
+                accentEnd: color(chrome.accentEnd, base.chrome.accentEnd),
+                panel: color(chrome.panel, base.chrome.panel),
+                font: string(chrome.font, base.chrome.font)
+            }
+        };
+    }
+
+    /**
+     * @private
+     */
+    _save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                current: this.currentId,
+                custom: this.customThemes
+            }));
+        } catch (e) {
+            console.warn('Failed to save theme settings:', e);
+        }
+    }
+}
+
+// Global theme manager instance
+const themeManager = new ThemeManager();
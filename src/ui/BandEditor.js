@@ -0,0 +1,369 @@
+/**
+ * BandEditor - Live frequency band editor
+ * Drag band edges over a live spectrum plot, tune group weights and colors,
+ * and keep named band profiles in localStorage
+ */
+class BandEditor {
+    /**
+     * @param {AudioAnalyzer} analyzer - Analyzer whose bands are edited
+     * @param {BandProfileStore} store - Profile persistence
+     */
+    constructor(analyzer, store) {
+        this.analyzer = analyzer;
+        this.store = store;
+
+        this.element = document.getElementById('band-editor');
+        this.canvas = this.element.querySelector('.band-plot');
+        this.ctx = this.canvas.getContext('2d');
+        this.groupsContainer = this.element.querySelector('.band-groups');
+        this.profileSelect = document.getElementById('band-profile-select');
+        this.profileName = document.getElementById('band-profile-name');
+        this.importInput = document.getElementById('band-profile-import');
+
+        // Plot geometry
+        this.minFreq = 20;
+        this.maxFreq = 20000;
+        this.spectrumHeight = 100;
+        this.rowHeight = 9;
+        this.bandNames = Object.keys(FrequencyBands);
+        this.canvas.height = this.spectrumHeight + this.bandNames.length * this.rowHeight + 4;
+
+        // Current drag: { bandName, edge: 'min'|'max'|'both', startX, startMin, startMax }
+        this.drag = null;
+
+        // Restore last session's edits
+        const working = this.store.getWorking();
+        if (working) {
+            applyBandProfile(working);
+            this.analyzer.updateBands();
+        }
+
+        this._buildGroupControls();
+        this._bindEvents();
+        this._refreshProfileList();
+    }
+
+    get isVisible() {
+        return !this.element.classList.contains('hidden');
+    }
+
+    toggle() {
+        this.element.classList.toggle('hidden');
+    }
+
+    /**
+     * Redraw the plot with the latest spectrum
+     * Call this once per frame
+     */
+    update() {
+        if (!this.isVisible) return;
+        this._drawPlot();
+    }
+
+    /**
+     * Apply edits: recompute bin ranges and remember the working profile
+     */
+    _commit() {
+        this.analyzer.updateBands();
+        this.store.saveWorking(getBandProfile());
+    }
+
+    /**
+     * Pick up bands and groups changed elsewhere (settings, links)
+     */
+    refresh() {
+        this._commit();
+        this._syncGroupControls();
+    }
+
+    /**
+     * Replace all bands and groups with a profile
+     * @param {Object} profile - Band profile
+     */
+    applyProfile(profile) {
+        applyBandProfile(profile);
+        this._commit();
+        this._syncGroupControls();
+    }
+
+    _freqToX(freq) {
+        const t = Math.log(freq / this.minFreq) / Math.log(this.maxFreq / this.minFreq);
+        return t * this.canvas.width;
+    }
+
+    _xToFreq(x) {
+        const t = Math.max(0, Math.min(1, x / this.canvas.width));
+        return this.minFreq * Math.pow(this.maxFreq / this.minFreq, t);
+    }
+
+    _drawPlot() {
+        const ctx = this.ctx;
+        const w = this.canvas.width;
+        const h = this.canvas.height;
+
+        ctx.clearRect(0, 0, w, h);
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+        ctx.fillRect(0, 0, w, this.spectrumHeight);
+
+        // Octave grid
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+        ctx.lineWidth = 1;
+        for (let f = 31.25; f < this.maxFreq; f *= 2) {
+            const x = Math.round(this._freqToX(f)) + 0.5;
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, this.spectrumHeight);
+            ctx.stroke();
+        }
+
+        // Live spectrum
+        const spectrum = this.analyzer.getSpectrum();
+        if (spectrum) {
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+            ctx.beginPath();
+            let started = false;
+            for (let i = 1; i < spectrum.length; i++) {
+                const freq = this.analyzer.getBinFrequency(i);
+                if (freq < this.minFreq) continue;
+                if (freq > this.maxFreq) break;
+
+                const x = this._freqToX(freq);
+                const y = this.spectrumHeight - (spectrum[i] / 255) * this.spectrumHeight;
+                if (started) {
+                    ctx.lineTo(x, y);
+                } else {
+                    ctx.moveTo(x, y);
+                    started = true;
+                }
+            }
+            ctx.stroke();
+        }
+
+        // One row per band, edges are draggable
+        this.bandNames.forEach((name, index) => {
+            const band = FrequencyBands[name];
+            const x1 = this._freqToX(band.min);
+            const x2 = this._freqToX(band.max);
+            const y = this.spectrumHeight + 4 + index * this.rowHeight;
+            const { r, g, b } = band.color;
+
+            // Shade the band's range over the spectrum while it is dragged
+            if (this.drag && this.drag.bandName === name) {
+                ctx.fillStyle = `rgba(${r}, ${g}, ${b}, 0.15)`;
+                ctx.fillRect(x1, 0, x2 - x1, this.spectrumHeight);
+            }
+
+            ctx.fillStyle = `rgba(${r}, ${g}, ${b}, 0.8)`;
+            ctx.fillRect(x1, y, Math.max(2, x2 - x1), this.rowHeight - 2);
+        });
+    }
+
+    _hitTest(x, y) {
+        const row = Math.floor((y - this.spectrumHeight - 4) / this.rowHeight);
+        if (row < 0 || row >= this.bandNames.length) return null;
+
+        const bandName = this.bandNames[row];
+        const band = FrequencyBands[bandName];
+        const x1 = this._freqToX(band.min);
+        const x2 = this._freqToX(band.max);
+        const grab = 5;
+
+        if (Math.abs(x - x1) <= grab) return { bandName, edge: 'min' };
+        if (Math.abs(x - x2) <= grab) return { bandName, edge: 'max' };
+        if (x > x1 && x < x2) return { bandName, edge: 'both' };
+        return null;
+    }
+
+    _bindEvents() {
+        this.canvas.addEventListener('pointerdown', (e) => {
+            const hit = this._hitTest(e.offsetX, e.offsetY);
+            if (!hit) return;
+
+            const band = FrequencyBands[hit.bandName];
+            this.drag = { ...hit, startX: e.offsetX, startMin: band.min, startMax: band.max };
+            this.canvas.setPointerCapture(e.pointerId);
+        });
+
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (!this.drag) {
+                const hit = this._hitTest(e.offsetX, e.offsetY);
+                this.canvas.style.cursor = !hit ? 'default' : hit.edge === 'both' ? 'grab' : 'ew-resize';
+                return;
+            }
+
+            const band = FrequencyBands[this.drag.bandName];
+            const freq = Math.round(this._xToFreq(e.offsetX));
+
+            if (this.drag.edge === 'min') {
+                band.min = Math.min(freq, band.max - 1);
+            } else if (this.drag.edge === 'max') {
+                band.max = Math.max(freq, band.min + 1);
+            } else {
+                // Move the whole band, keeping its width in octaves
+                const ratio = this._xToFreq(e.offsetX) / this._xToFreq(this.drag.startX);
+                const min = Math.round(this.drag.startMin * ratio);
+                const max = Math.round(this.drag.startMax * ratio);
+                if (min >= this.minFreq && max <= this.maxFreq) {
+                    band.min = min;
+                    band.max = max;
+                }
+            }
+
+            // Bin ranges follow the drag live
+            this.analyzer.updateBands();
+            this.canvas.title = `${band.name}: ${band.min}-${band.max} Hz`;
+        });
+
+        const endDrag = () => {
+            if (!this.drag) return;
+            this.drag = null;
+            this._commit();
+        };
+        this.canvas.addEventListener('pointerup', endDrag);
+        this.canvas.addEventListener('pointercancel', endDrag);
+
+        // Profiles
+        this.profileSelect.addEventListener('change', () => {
+            const profile = this.store.get(this.profileSelect.value);
+            if (profile) {
+                this.profileName.value = this.profileSelect.value;
+                this.applyProfile(profile);
+            }
+        });
+
+        document.getElementById('band-profile-save').addEventListener('click', () => {
+            const name = this.profileName.value.trim();
+            if (!name) return;
+            this.store.save(name, getBandProfile());
+            this._refreshProfileList(name);
+        });
+
+        document.getElementById('band-profile-delete').addEventListener('click', () => {
+            const name = this.profileSelect.value;
+            if (!name) return;
+            this.store.remove(name);
+            this._refreshProfileList();
+        });
+
+        document.getElementById('band-profile-reset').addEventListener('click', () => {
+            this.applyProfile(DEFAULT_BAND_PROFILE);
+        });
+
+        document.getElementById('band-profile-export').addEventListener('click', () => {
+            const name = this.profileName.value.trim() || 'bands';
+            const json = JSON.stringify({ name, ...getBandProfile() }, null, 2);
+            OfflineRenderer.download(new Blob([json], { type: 'application/json' }), `${name}.json`);
+        });
+
+        document.getElementById('band-profile-import-btn').addEventListener('click', () => {
+            this.importInput.click();
+        });
+
+        this.importInput.addEventListener('change', async () => {
+            const file = this.importInput.files[0];
+            this.importInput.value = '';
+            if (!file) return;
+
+            try {
+                const profile = JSON.parse(await file.text());
+                if (!profile || typeof profile.bands !== 'object') {
+                    throw new Error('missing "bands"');
+                }
+                this.applyProfile(profile);
+                if (profile.name) {
+                    this.profileName.value = profile.name;
+                }
+            } catch (error) {
+                alert(`Could not import band profile: ${error.message}`);
+            }
+        });
+    }
+
+    _buildGroupControls() {
+        this.groupInputs = {};
+
+        for (const [groupName, group] of Object.entries(VisualizerGroups)) {
+            const section = document.createElement('div');
+            section.className = 'band-group';
+
+            const title = document.createElement('div');
+            title.className = 'band-group-title';
+            title.textContent = group.name;
+            section.appendChild(title);
+
+            const inputs = { weights: [], primaryColor: null, accentColor: null };
+
+            group.bands.forEach((bandName, i) => {
+                const label = document.createElement('label');
+                label.textContent = FrequencyBands[bandName].name;
+
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.min = '0';
+                input.max = '2';
+                input.step = '0.05';
+                input.addEventListener('change', () => {
+                    const value = parseFloat(input.value);
+                    if (isFinite(value)) {
+                        group.weights[i] = value;
+                        this._commit();
+                    }
+                });
+
+                label.appendChild(input);
+                section.appendChild(label);
+                inputs.weights.push(input);
+            });
+
+            for (const key of ['primaryColor', 'accentColor']) {
+                const label = document.createElement('label');
+                label.textContent = key === 'primaryColor' ? 'Primary' : 'Accent';
+
+                const input = document.createElement('input');
+                input.type = 'color';
+                input.addEventListener('input', () => {
+                    Object.assign(group[key], hexToRgb(input.value));
+                });
+                input.addEventListener('change', () => this._commit());
+
+                label.appendChild(input);
+                section.appendChild(label);
+                inputs[key] = input;
+            }
+
+            this.groupInputs[groupName] = inputs;
+            this.groupsContainer.appendChild(section);
+        }
+
+        this._syncGroupControls();
+    }
+
+    _syncGroupControls() {
+        for (const [groupName, inputs] of Object.entries(this.groupInputs)) {
+            const group = VisualizerGroups[groupName];
+            inputs.weights.forEach((input, i) => {
+                input.value = group.weights[i];
+            });
+            inputs.primaryColor.value = rgbToHex(group.primaryColor);
+            inputs.accentColor.value = rgbToHex(group.accentColor);
+        }
+    }
+
+    _refreshProfileList(selected = '') {
+        this.profileSelect.innerHTML = '';
+
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = 'Saved profiles...';
+        this.profileSelect.appendChild(placeholder);
+
+        for (const name of this.store.list()) {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            this.profileSelect.appendChild(option);
+        }
+
+        this.profileSelect.value = selected;
+    }
+}
@@ -0,0 +1,132 @@
+/**
+ * BroadcastPanel - Settings for streaming analysis over WebSocket
+ * Settings are remembered in localStorage
+ */
+class BroadcastPanel {
+    /**
+     * @param {AnalysisBroadcaster} broadcaster - Broadcaster to configure
+     * @param {string} storageKey - localStorage key for the settings
+     */
+    constructor(broadcaster, storageKey = 'music-viz1.broadcast') {
+        this.broadcaster = broadcaster;
+        this.storageKey = storageKey;
+
+        this.element = document.getElementById('broadcast-panel');
+        this.urlInput = document.getElementById('broadcast-url');
+        this.formatSelect = document.getElementById('broadcast-format');
+        this.rateInput = document.getElementById('broadcast-rate');
+        this.prefixInput = document.getElementById('broadcast-prefix');
+        this.fieldsContainer = this.element.querySelector('.broadcast-fields');
+        this.connectBtn = document.getElementById('broadcast-connect');
+        this.status = this.element.querySelector('.broadcast-status');
+
+        const saved = this._load();
+        if (saved) {
+            this.broadcaster.configure(saved);
+        }
+
+        this._buildFields();
+        this._syncInputs();
+        this._bindEvents();
+        this._showStatus(this.broadcaster.status);
+    }
+
+    toggle() {
+        this.element.classList.toggle('hidden');
+    }
+
+    _buildFields() {
+        this.fieldInputs = {};
+        for (const field of AnalysisFields) {
+            const label = document.createElement('label');
+            label.textContent = field;
+
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.addEventListener('change', () => this._apply());
+
+            label.appendChild(input);
+            this.fieldsContainer.appendChild(label);
+            this.fieldInputs[field] = input;
+        }
+    }
+
+    _syncInputs() {
+        const config = this.broadcaster.getConfig();
+        this.urlInput.value = config.url;
+        this.formatSelect.value = config.format;
+        this.rateInput.value = config.rate;
+        this.prefixInput.value = config.prefix;
+        for (const [field, input] of Object.entries(this.fieldInputs)) {
+            input.checked = config.fields.includes(field);
+        }
+    }
+
+    _bindEvents() {
+        for (const input of [this.formatSelect, this.rateInput, this.prefixInput]) {
+            input.addEventListener('change', () => this._apply());
+        }
+
+        // A new URL takes effect on the next connect
+        this.urlInput.addEventListener('change', () => this._apply());
+
+        this.connectBtn.addEventListener('click', () => {
+            if (this.broadcaster.status === 'disconnected') {
+                this._apply();
+                this.broadcaster.connect();
+            } else {
+                this.broadcaster.disconnect();
+            }
+        });
+
+        this.broadcaster.onStatusChange((status) => this._showStatus(status));
+    }
+
+    _apply() {
+        const rate = parseInt(this.rateInput.value, 10);
+        this.broadcaster.configure({
+            url: this.urlInput.value.trim(),
+            format: this.formatSelect.value,
+            rate: isFinite(rate) ? rate : this.broadcaster.rate,
+            prefix: this.prefixInput.value.trim() || '/viz',
+            fields: AnalysisFields.filter(field => this.fieldInputs[field].checked)
+        });
+        this._syncInputs();
+        this._save();
+    }
+
+    _showStatus(status) {
+        this.connectBtn.textContent = status === 'disconnected' ? 'Connect' : 'Disconnect';
+        this.status.textContent = status === 'connected'
+            ? `Streaming to ${this.broadcaster.url}.`
+            : status === 'connecting'
+                ? `Connecting to ${this.broadcaster.url}...`
+                : 'Not connected.';
+    }
+
+    /**
+     * @private
+     */
+    _load() {
+        try {
+            const config = JSON.parse(localStorage.getItem(this.storageKey));
+            if (config && typeof config === 'object') {
+                return config;
+            }
+        } catch (e) {
+            console.warn('Ignoring unreadable broadcast settings:', e);
+        }
+        return null;
+    }
+
+    /**
+     * @private
+     */
+    _save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.broadcaster.getConfig()));
+        } catch (e) {
+            console.warn('Failed to save broadcast settings:', e);
+        }
+    }
+}
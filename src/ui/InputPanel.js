@@ -0,0 +1,169 @@
+/**
+ * InputPanel - Gain control, band normalization and noise floor calibration
+ * Settings are remembered in localStorage and are a Settings target (scope
+ * 'input'), so links and presets carry them; the noise floor is measured
+ * per session
+ */
+
+/**
+ * Input settings (schema described in Settings); keys are those of
+ * AudioAnalyzer.configureInput(), defaults are the analyzer's own
+ */
+const InputParameters = [
+    { key: 'agc', label: 'Automatic gain', type: 'boolean' },
+    { key: 'targetLevel', label: 'Target level (dB)', type: 'number', min: -90, max: -10, step: 1 },
+    { key: 'attack', label: 'Attack (s)', type: 'number', min: 0.01, max: 10, step: 0.01 },
+    { key: 'release', label: 'Release (s)', type: 'number', min: 0.01, max: 30, step: 0.1 },
+    { key: 'maxGain', label: 'Maximum gain (dB)', type: 'number', min: 0, max: 60, step: 1 },
+    { key: 'normalize', label: 'Normalize bands', type: 'boolean' },
+    { key: 'normalizeWindow', label: 'Normalization window (s)', type: 'number', min: 1, max: 60, step: 1 }
+];
+
+class InputPanel {
+    /**
+     * @param {AudioAnalyzer} analyzer - Analyzer whose input stage to configure
+     * @param {string} storageKey - localStorage key for the settings
+     */
+    constructor(analyzer, storageKey = 'music-viz1.input') {
+        this.analyzer = analyzer;
+        this.storageKey = storageKey;
+
+        this.element = document.getElementById('input-panel');
+        this.agcInput = document.getElementById('input-agc');
+        this.targetInput = document.getElementById('input-target');
+        this.attackInput = document.getElementById('input-attack');
+        this.releaseInput = document.getElementById('input-release');
+        this.normalizeInput = document.getElementById('input-normalize');
+        this.windowInput = document.getElementById('input-window');
+        this.calibrateBtn = document.getElementById('input-calibrate');
+        this.clearBtn = document.getElementById('input-clear-floor');
+        this.status = this.element.querySelector('.input-status');
+
+        // Defaults for settings, before the saved values replace them
+        const defaults = this.analyzer.getInputConfig();
+        this.parameters = InputParameters.map(param => ({ ...param, default: defaults[param.key], hidden: true }));
+
+        const saved = this._load();
+        if (saved) {
+            this.analyzer.configureInput(saved);
+        }
+
+        this._syncInputs();
+        this._bindEvents();
+    }
+
+    toggle() {
+        this.element.classList.toggle('hidden');
+    }
+
+    /**
+     * Refresh the level readout while the panel is open
+     */
+    update() {
+        if (this.element.classList.contains('hidden')) return;
+
+        const stage = this.analyzer.inputStage;
+        if (stage.isCalibrating()) {
+            this.status.textContent = 'Measuring noise floor, keep quiet...';
+            return;
+        }
+
+        const level = isFinite(stage.level) ? `${stage.level.toFixed(1)} dB` : 'silent';
+        const gain = stage.agcEnabled ? `, gain ${stage.gain >= 0 ? '+' : ''}${stage.gain.toFixed(1)} dB` : '';
+        const floor = stage.noiseFloor ? 'noise floor set' : 'no noise floor';
+        this.status.textContent = `Level ${level}${gain}, ${floor}.`;
+    }
+
+    /**
+     * @returns {Array} Parameter schema (see Settings)
+     */
+    getParameters() {
+        return this.parameters;
+    }
+
+    /**
+     * @param {string} key - Parameter key
+     * @returns {*} Current value
+     */
+    getParameter(key) {
+        return this.analyzer.getInputConfig()[key];
+    }
+
+    /**
+     * @param {string} key - Parameter key
+     * @param {*} value - Valid value for the parameter
+     */
+    setParameter(key, value) {
+        this.analyzer.configureInput({ [key]: value });
+        this._syncInputs();
+        this._save();
+    }
+
+    _syncInputs() {
+        const config = this.analyzer.getInputConfig();
+        this.agcInput.checked = config.agc;
+        this.targetInput.value = config.targetLevel;
+        this.attackInput.value = Math.round(config.attack * 1000);
+        this.releaseInput.value = Math.round(config.release * 1000);
+        this.normalizeInput.checked = config.normalize;
+        this.windowInput.value = config.normalizeWindow;
+    }
+
+    _bindEvents() {
+        const inputs = [
+            this.agcInput, this.targetInput, this.attackInput,
+            this.releaseInput, this.normalizeInput, this.windowInput
+        ];
+        for (const input of inputs) {
+            input.addEventListener('change', () => this._apply());
+        }
+
+        this.calibrateBtn.addEventListener('click', async () => {
+            this.calibrateBtn.disabled = true;
+            await this.analyzer.calibrateNoiseFloor(3);
+            this.calibrateBtn.disabled = false;
+        });
+
+        this.clearBtn.addEventListener('click', () => this.analyzer.clearNoiseFloor());
+    }
+
+    _apply() {
+        const number = (input) => parseFloat(input.value);
+        this.analyzer.configureInput({
+            agc: this.agcInput.checked,
+            targetLevel: number(this.targetInput),
+            attack: number(this.attackInput) / 1000,
+            release: number(this.releaseInput) / 1000,
+            normalize: this.normalizeInput.checked,
+            normalizeWindow: number(this.windowInput)
+        });
+        this._syncInputs();
+        this._save();
+    }
+
+    /**
+     * @private
+     */
+    _load() {
+        try {
+            const config = JSON.parse(localStorage.getItem(this.storageKey));
+            if (config && typeof config === 'object') {
+                return config;
+            }
+        } catch (e) {
+            console.warn('Ignoring unreadable input settings:', e);
+        }
+        return null;
+    }
+
+    /**
+     * @private
+     */
+    _save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.analyzer.getInputConfig()));
+        } catch (e) {
+            console.warn('Failed to save input settings:', e);
+        }
+    }
+}
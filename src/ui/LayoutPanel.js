@@ -0,0 +1,168 @@
+/**
+ * LayoutPanel - Layout preset, grid size and per-visualizer overrides
+ * Overrides belong to the layout shown; an empty field keeps the layout's
+ * own value. Edits go through Settings, so they are part of presets, cues
+ * and the link
+ */
+class LayoutPanel {
+    /**
+     * @param {Settings} settings - Settings the layout engine is attached to
+     * @param {LayoutEngine} engine - Layout engine to edit
+     * @param {string} scope - Scope the engine is attached under
+     */
+    constructor(settings, engine, scope = 'layout') {
+        this.settings = settings;
+        this.engine = engine;
+        this.scope = scope;
+
+        this.element = document.getElementById('layout-panel');
+        this.presetSelect = document.getElementById('layout-select');
+        this.colsInput = document.getElementById('layout-cols');
+        this.rowsInput = document.getElementById('layout-rows');
+        this.table = this.element.querySelector('.layout-overrides tbody');
+        this.status = this.element.querySelector('.layout-status');
+
+        // Preset the override table was built for
+        this.tableLayout = null;
+
+        // Per row: { id, inputs: { field: element } }
+        this.rows = [];
+
+        this._bindEvents();
+        this.settings.onChange(() => this._refresh());
+    }
+
+    toggle() {
+        this.element.classList.toggle('hidden');
+        if (!this.element.classList.contains('hidden')) {
+            this._buildPresetList();
+            this._refresh();
+        }
+    }
+
+    /**
+     * Follow layout changes made elsewhere (L, the layout button)
+     */
+    update() {
+        if (this.element.classList.contains('hidden')) return;
+        if (this._getLayout() !== this.tableLayout) this._refresh();
+    }
+
+    _bindEvents() {
+        this.presetSelect.addEventListener('change', () => {
+            this.settings.set('scene', 'layout', this.presetSelect.value);
+        });
+
+        for (const [input, key] of [[this.colsInput, 'gridCols'], [this.rowsInput, 'gridRows']]) {
+            input.addEventListener('change', () => {
+                this.settings.set(this.scope, key, input.value);
+                input.value = this.settings.get(this.scope, key);
+            });
+        }
+
+        document.getElementById('layout-clear').addEventListener('click', () => {
+            const layout = this._getLayout();
+            const values = {};
+            for (const { id } of this.rows) {
+                for (const field of LayoutOverrideFields) {
+                    values[`${layout}.${id}.${field.key}`] = null;
+                }
+            }
+            this.settings.apply({ [this.scope]: values });
+        });
+    }
+
+    _buildPresetList() {
+        this.presetSelect.innerHTML = '';
+        for (const [value, preset] of Object.entries(LayoutPresets)) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = preset.name;
+            this.presetSelect.appendChild(option);
+        }
+    }
+
+    /**
+     * One row per visualizer with its overrides in the current layout
+     * @private
+     */
+    _buildTable() {
+        this.table.innerHTML = '';
+        this.rows = [];
+        this.tableLayout = this._getLayout();
+
+        const parameters = this.engine.getParameters();
+        for (const id of Object.keys(this.engine.visualizers)) {
+            const row = document.createElement('tr');
+            const name = document.createElement('td');
+            const entry = visualizerRegistry.get(id);
+            name.textContent = entry ? entry.name : id;
+            row.appendChild(name);
+
+            const inputs = {};
+            for (const field of LayoutOverrideFields) {
+                const key = `${this.tableLayout}.${id}.${field.key}`;
+                inputs[field.key] = this._createCell(row, Settings.find(parameters, key), key);
+            }
+
+            this.table.appendChild(row);
+            this.rows.push({ id, inputs });
+        }
+    }
+
+    _createCell(row, param, key) {
+        const cell = document.createElement('td');
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = String(param.min);
+        input.max = String(param.max);
+        input.step = String(param.step);
+        input.placeholder = 'auto';
+
+        input.addEventListener('change', () => {
+            // Empty clears the override
+            this.settings.set(this.scope, key, input.value);
+            input.value = this._format(this.settings.get(this.scope, key));
+        });
+
+        cell.appendChild(input);
+        row.appendChild(cell);
+        return input;
+    }
+
+    _refresh() {
+        if (this.element.classList.contains('hidden')) return;
+
+        const layout = this._getLayout();
+        if (layout !== this.tableLayout || this.rows.length !== Object.keys(this.engine.visualizers).length) {
+            this._buildTable();
+        }
+
+        this.presetSelect.value = layout;
+        for (const [input, key] of [[this.colsInput, 'gridCols'], [this.rowsInput, 'gridRows']]) {
+            if (document.activeElement !== input) input.value = this.settings.get(this.scope, key);
+            input.disabled = layout !== 'grid';
+        }
+
+        for (const { id, inputs } of this.rows) {
+            for (const [field, input] of Object.entries(inputs)) {
+                if (document.activeElement === input) continue;
+                input.value = this._format(this.settings.get(this.scope, `${layout}.${id}.${field}`));
+            }
+        }
+
+        this.status.textContent = `Overrides apply to the ${LayoutPresets[layout].name} layout; leave a field empty to use the layout's own value.`;
+    }
+
+    /**
+     * @private
+     * @returns {string} Layout being edited (the one a maximized visualizer returns to)
+     */
+    _getLayout() {
+        return this.settings.get('scene', 'layout');
+    }
+
+    _format(value) {
+        return value === null || value === undefined ? '' : String(value);
+    }
+}
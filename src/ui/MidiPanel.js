@@ -0,0 +1,189 @@
+/**
+ * MidiPanel - MIDI output device selection and mapping table
+ * Mappings are remembered in localStorage
+ */
+class MidiPanel {
+    /**
+     * @param {MidiOutput} midi - MIDI output to configure
+     * @param {string} storageKey - localStorage key for the mappings
+     */
+    constructor(midi, storageKey = 'music-viz1.midiMappings') {
+        this.midi = midi;
+        this.storageKey = storageKey;
+
+        this.element = document.getElementById('midi-panel');
+        this.enableBtn = document.getElementById('midi-enable');
+        this.outputSelect = document.getElementById('midi-output');
+        this.table = this.element.querySelector('.midi-mappings tbody');
+        this.status = this.element.querySelector('.midi-status');
+
+        const saved = this._load();
+        if (saved) {
+            this.midi.setMappings(saved);
+        }
+
+        if (!MidiOutput.isSupported()) {
+            this.enableBtn.disabled = true;
+            this.outputSelect.disabled = true;
+            this.status.textContent = 'Web MIDI is not available in this browser.';
+        }
+
+        this._buildTable();
+        this._bindEvents();
+    }
+
+    toggle() {
+        this.element.classList.toggle('hidden');
+    }
+
+    _bindEvents() {
+        this.enableBtn.addEventListener('click', async () => {
+            const granted = await this.midi.init();
+            if (!granted) {
+                this.status.textContent = 'MIDI access was not granted.';
+                return;
+            }
+            this.enableBtn.disabled = true;
+            this._refreshOutputs();
+        });
+
+        this.outputSelect.addEventListener('change', () => {
+            this.midi.selectOutput(this.outputSelect.value || null);
+            this._refreshStatus();
+        });
+
+        this.midi.onOutputChange(() => this._refreshOutputs());
+
+        document.getElementById('midi-reset').addEventListener('click', () => {
+            this.midi.setMappings(DEFAULT_MIDI_MAPPINGS);
+            this._save();
+            this._buildTable();
+        });
+    }
+
+    _refreshOutputs() {
+        const selected = this.midi.output ? this.midi.output.id : '';
+        this.outputSelect.innerHTML = '';
+
+        const none = document.createElement('option');
+        none.value = '';
+        none.textContent = 'No output';
+        this.outputSelect.appendChild(none);
+
+        for (const output of this.midi.getOutputs()) {
+            const option = document.createElement('option');
+            option.value = output.id;
+            option.textContent = output.name;
+            this.outputSelect.appendChild(option);
+        }
+
+        this.outputSelect.value = selected;
+        this._refreshStatus();
+    }
+
+    _refreshStatus() {
+        const outputs = this.midi.getOutputs();
+        if (outputs.length === 0) {
+            this.status.textContent = 'No MIDI outputs found.';
+        } else if (this.midi.output) {
+            this.status.textContent = `Sending to ${this.midi.output.name}.`;
+        } else {
+            this.status.textContent = 'Choose an output to start sending.';
+        }
+    }
+
+    /**
+     * One row per mapping: on, signal, channel, note/CC, curve, min, max
+     */
+    _buildTable() {
+        this.table.innerHTML = '';
+
+        for (const mapping of this.midi.mappings) {
+            const signal = MidiSignals[mapping.signal];
+            const row = document.createElement('tr');
+
+            const enabled = this._cell(row, 'input');
+            enabled.type = 'checkbox';
+            enabled.checked = mapping.enabled;
+            enabled.addEventListener('change', () => {
+                mapping.enabled = enabled.checked;
+                this._save();
+            });
+
+            const label = document.createElement('td');
+            label.textContent = `${signal.label} (${signal.kind === 'trigger' ? 'note' : 'CC'})`;
+            row.appendChild(label);
+
+            this._numberCell(row, mapping, 'channel', 1, 16);
+            this._numberCell(row, mapping, 'number', 0, 127);
+
+            const curve = this._cell(row, 'select');
+            for (const name of Object.keys(MidiCurves)) {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name;
+                curve.appendChild(option);
+            }
+            curve.value = mapping.curve;
+            curve.addEventListener('change', () => {
+                mapping.curve = curve.value;
+                this._save();
+            });
+
+            this._numberCell(row, mapping, 'min', 0, 127);
+            this._numberCell(row, mapping, 'max', 0, 127);
+
+            this.table.appendChild(row);
+        }
+    }
+
+    _cell(row, tag) {
+        const cell = document.createElement('td');
+        const input = document.createElement(tag);
+        cell.appendChild(input);
+        row.appendChild(cell);
+        return input;
+    }
+
+    _numberCell(row, mapping, key, min, max) {
+        const input = this._cell(row, 'input');
+        input.type = 'number';
+        input.min = String(min);
+        input.max = String(max);
+        input.value = mapping[key];
+        input.addEventListener('change', () => {
+            const value = parseInt(input.value, 10);
+            if (isFinite(value)) {
+                mapping[key] = Math.max(min, Math.min(max, value));
+                this._save();
+            }
+            input.value = mapping[key];
+        });
+    }
+
+    /**
+     * @private
+     */
+    _load() {
+        try {
+            const mappings = JSON.parse(localStorage.getItem(this.storageKey));
+            if (Array.isArray(mappings)) {
+                return mappings;
+            }
+        } catch (e) {
+            console.warn('Ignoring unreadable MIDI mappings:', e);
+        }
+        return null;
+    }
+
+    /**
+     * @private
+     */
+    _save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.midi.mappings));
+        } catch (e) {
+            console.warn('Failed to save MIDI mappings:', e);
+        }
+    }
+}
@@ -0,0 +1,134 @@
+/**
+ * ModulationPanel - Routing table of the modulation matrix
+ * One row per slot: source, target, amount, curve, smoothing and range.
+ * Edits go through Settings, so routings are part of presets and the link
+ */
+class ModulationPanel {
+    /**
+     * @param {Settings} settings - Settings the matrix is attached to
+     * @param {ModulationMatrix} matrix - Matrix to edit
+     * @param {string} scope - Scope the matrix is attached under
+     */
+    constructor(settings, matrix, scope = 'modulation') {
+        this.settings = settings;
+        this.matrix = matrix;
+        this.scope = scope;
+
+        this.element = document.getElementById('modulation-panel');
+        this.table = this.element.querySelector('.modulation-routes tbody');
+        this.status = this.element.querySelector('.modulation-status');
+
+        // Per row: { inputs: { field: element }, meter }
+        this.rows = [];
+
+        this._bindEvents();
+        this.settings.onChange(() => this._refreshValues());
+    }
+
+    toggle() {
+        this.element.classList.toggle('hidden');
+        if (!this.element.classList.contains('hidden')) {
+            // Targets are only known once the visualizers exist
+            this._buildTable();
+        }
+    }
+
+    /**
+     * Show each routing's current source value while the panel is open
+     */
+    update() {
+        if (this.element.classList.contains('hidden')) return;
+
+        this.matrix.routes.forEach((route, i) => {
+            const active = route.source !== 'none' && route.target !== 'none';
+            this.rows[i].meter.style.width = `${active ? Math.round(route.value * 100) : 0}%`;
+        });
+
+        const count = this.matrix.getActiveCount();
+        this.status.textContent = count > 0
+            ? `${count} routing${count === 1 ? '' : 's'} active.`
+            : 'Pick a source and a target to route.';
+    }
+
+    _bindEvents() {
+        document.getElementById('modulation-clear').addEventListener('click', () => {
+            const values = {};
+            this.matrix.routes.forEach((route, i) => {
+                values[`route${i + 1}.source`] = 'none';
+                values[`route${i + 1}.target`] = 'none';
+            });
+            this.settings.apply({ [this.scope]: values });
+        });
+    }
+
+    _buildTable() {
+        this.table.innerHTML = '';
+        this.rows = [];
+
+        const parameters = this.matrix.getParameters();
+        this.matrix.routes.forEach((route, i) => {
+            const row = document.createElement('tr');
+            const number = document.createElement('td');
+            number.textContent = String(i + 1);
+            row.appendChild(number);
+
+            const inputs = {};
+            for (const field of ModulationRouteFields) {
+                const key = `route${i + 1}.${field.key}`;
+                inputs[field.key] = this._createCell(row, Settings.find(parameters, key), key);
+            }
+
+            // Live source value
+            const cell = document.createElement('td');
+            const track = document.createElement('div');
+            track.className = 'modulation-meter';
+            const meter = document.createElement('div');
+            track.appendChild(meter);
+            cell.appendChild(track);
+            row.appendChild(cell);
+
+            this.table.appendChild(row);
+            this.rows.push({ inputs, meter });
+        });
+
+        this._refreshValues();
+    }
+
+    _createCell(row, param, key) {
+        const cell = document.createElement('td');
+        let input;
+        if (param.type === 'select') {
+            input = document.createElement('select');
+            for (const option of param.options) {
+                const element = document.createElement('option');
+                element.value = typeof option === 'object' ? option.value : option;
+                element.textContent = typeof option === 'object' ? option.label : option;
+                input.appendChild(element);
+            }
+        } else {
+            input = document.createElement('input');
+            input.type = 'number';
+            input.min = String(param.min);
+            input.max = String(param.max);
+            input.step = String(param.step);
+        }
+
+        input.addEventListener('change', () => {
+            this.settings.set(this.scope, key, input.value);
+            input.value = this.settings.get(this.scope, key);
+        });
+
+        cell.appendChild(input);
+        row.appendChild(cell);
+        return input;
+    }
+
+    _refreshValues() {
+        this.rows.forEach(({ inputs }, i) => {
+            for (const [field, input] of Object.entries(inputs)) {
+                if (document.activeElement === input) continue;
+                input.value = this.settings.get(this.scope, `route${i + 1}.${field}`);
+            }
+        });
+    }
+}
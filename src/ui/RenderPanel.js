@@ -0,0 +1,89 @@
+/**
+ * RenderPanel - UI for offline render-to-video export
+ */
+class RenderPanel {
+    /**
+     * @param {OfflineRenderer} renderer - Renderer to drive
+     * @param {Function} getCurrentFile - Returns the open audio file, if any
+     */
+    constructor(renderer, getCurrentFile) {
+        this.renderer = renderer;
+        this.getCurrentFile = getCurrentFile;
+
+        this.element = document.getElementById('render-panel');
+        this.fileInput = document.getElementById('render-file');
+        this.fpsSelect = document.getElementById('render-fps');
+        this.sizeSelect = document.getElementById('render-size');
+        this.formatSelect = document.getElementById('render-format');
+        this.seedInput = document.getElementById('render-seed');
+        this.startBtn = document.getElementById('render-start');
+        this.cancelBtn = document.getElementById('render-cancel');
+        this.progressBar = this.element.querySelector('.render-progress-bar');
+        this.status = this.element.querySelector('.render-status');
+
+        // WebM needs WebCodecs; fall back to the PNG sequence
+        if (!OfflineRenderer.getSupportedFormats().webm) {
+            this.formatSelect.querySelector('option[value="webm"]').disabled = true;
+            this.formatSelect.value = 'png';
+        }
+
+        this.startBtn.addEventListener('click', () => this.start());
+        this.cancelBtn.addEventListener('click', () => this.renderer.cancel());
+    }
+
+    toggle() {
+        if (this.renderer.isRendering) return;
+        this.element.classList.toggle('hidden');
+    }
+
+    async start() {
+        const file = this.fileInput.files[0] || this.getCurrentFile();
+        if (!file) {
+            this.status.textContent = 'Choose an audio file to render.';
+            return;
+        }
+
+        const [width, height] = this.sizeSelect.value === 'window'
+            ? [undefined, undefined]
+            : this.sizeSelect.value.split('x').map(Number);
+
+        const options = {
+            fps: Number(this.fpsSelect.value),
+            format: this.formatSelect.value,
+            seed: Number(this.seedInput.value) || 0,
+            width,
+            height
+        };
+
+        this._setBusy(true);
+        this.status.textContent = `Rendering ${file.name}...`;
+
+        try {
+            const blob = await this.renderer.render(file, options, (progress) => {
+                this.progressBar.style.width = `${(progress * 100).toFixed(1)}%`;
+            });
+
+            if (blob) {
+                const baseName = file.name.replace(/\.[^.]+$/, '');
+                const extension = options.format === 'png' ? 'zip' : 'webm';
+                OfflineRenderer.download(blob, `${baseName}.${extension}`);
+                this.status.textContent = 'Render complete.';
+            } else {
+                this.status.textContent = 'Render cancelled.';
+            }
+        } catch (error) {
+            console.error('Render failed:', error);
+            this.status.textContent = `Render failed: ${error.message}`;
+        } finally {
+            this._setBusy(false);
+        }
+    }
+
+    _setBusy(busy) {
+        this.startBtn.disabled = busy;
+        this.cancelBtn.disabled = !busy;
+        if (busy) {
+            this.progressBar.style.width = '0%';
+        }
+    }
+}
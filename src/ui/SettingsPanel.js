@@ -0,0 +1,220 @@
+/**
+ * SettingsPanel - Controls generated from the parameter schemas, presets
+ * and the shareable link
+ * The URL hash follows the current state, so the address bar always holds
+ * a link that reproduces the current look
+ */
+class SettingsPanel {
+    /**
+     * @param {Settings} settings - Settings to edit
+     */
+    constructor(settings) {
+        this.settings = settings;
+
+        this.element = document.getElementById('settings-panel');
+        this.sectionsContainer = this.element.querySelector('.settings-sections');
+        this.presetSelect = document.getElementById('settings-preset-select');
+        this.presetName = document.getElementById('settings-preset-name');
+        this.status = this.element.querySelector('.settings-status');
+
+        // scope.key -> { input, output, param }
+        this.controls = new Map();
+
+        // Hash last written, and when the state was last checked against it
+        this.hash = window.location.hash.replace(/^#/, '');
+        this.lastSync = 0;
+        this.syncInterval = 500;
+
+        this._refreshPresetList();
+        this._bindEvents();
+
+        this.settings.onChange(() => this._refreshValues());
+    }
+
+    toggle() {
+        this.element.classList.toggle('hidden');
+        if (!this.element.classList.contains('hidden')) {
+            // Scopes and options (modes, themes) may have changed while closed
+            this._buildSections();
+        }
+    }
+
+    /**
+     * Keep the URL hash and the open panel in step with changes made
+     * elsewhere (hotkeys, buttons); checked a couple of times a second
+     */
+    update() {
+        const now = performance.now();
+        if (now - this.lastSync < this.syncInterval) return;
+        this.lastSync = now;
+
+        this._writeHash();
+        if (!this.element.classList.contains('hidden')) {
+            this._refreshValues();
+        }
+    }
+
+    _bindEvents() {
+        this.presetSelect.addEventListener('change', () => {
+            const name = this.presetSelect.value;
+            if (name && this.settings.loadPreset(name)) {
+                this.presetName.value = name;
+            }
+        });
+
+        document.getElementById('settings-preset-save').addEventListener('click', () => {
+            const name = this.presetName.value.trim();
+            if (!name) return;
+            this.settings.savePreset(name);
+            this._refreshPresetList(name);
+        });
+
+        document.getElementById('settings-preset-delete').addEventListener('click', () => {
+            const name = this.presetSelect.value;
+            if (!name) return;
+            this.settings.removePreset(name);
+            this._refreshPresetList();
+        });
+
+        document.getElementById('settings-reset').addEventListener('click', () => this.settings.reset());
+
+        document.getElementById('settings-copy-link').addEventListener('click', async () => {
+            this._writeHash();
+            try {
+                await navigator.clipboard.writeText(window.location.href);
+                this.status.textContent = 'Link copied.';
+            } catch (e) {
+                this.status.textContent = 'Copy the link from the address bar.';
+            }
+        });
+
+        // Links edited or pasted into the address bar
+        window.addEventListener('hashchange', () => {
+            const hash = window.location.hash.replace(/^#/, '');
+            if (hash === this.hash) return;
+            this.hash = hash;
+            this.settings.setState(Settings.parseHash(hash));
+        });
+    }
+
+    _buildSections() {
+        this.sectionsContainer.innerHTML = '';
+        this.controls.clear();
+
+        for (const { scope, label, parameters } of this.settings.getScopes()) {
+            const visible = parameters.filter(param => !param.hidden);
+            if (visible.length === 0) continue;
+
+            const title = document.createElement('div');
+            title.className = 'settings-section-title';
+            title.textContent = label;
+            this.sectionsContainer.appendChild(title);
+
+            for (const param of visible) {
+                this.sectionsContainer.appendChild(this._createControl(scope, param));
+            }
+        }
+
+        this._refreshValues();
+    }
+
+    _createControl(scope, param) {
+        const label = document.createElement('label');
+        label.textContent = param.label;
+
+        let input;
+        let output = null;
+        if (param.type === 'select') {
+            input = document.createElement('select');
+            for (const option of param.options) {
+                const element = document.createElement('option');
+                element.value = typeof option === 'object' ? option.value : option;
+                element.textContent = typeof option === 'object' ? option.label : option;
+                input.appendChild(element);
+            }
+        } else if (param.type === 'boolean') {
+            input = document.createElement('input');
+            input.type = 'checkbox';
+        } else if (param.type === 'color' || param.type === 'text') {
+            input = document.createElement('input');
+            input.type = param.type;
+        } else {
+            input = document.createElement('input');
+            input.type = 'range';
+            input.min = param.min;
+            input.max = param.max;
+            input.step = param.step || (param.type === 'integer' ? 1 : 0.01);
+            output = document.createElement('span');
+            output.className = 'settings-value';
+        }
+
+        const read = () => (param.type === 'boolean' ? input.checked : input.value);
+        input.addEventListener(param.type === 'number' || param.type === 'integer' ? 'input' : 'change', () => {
+            this.settings.set(scope, param.key, read());
+        });
+
+        if (output) {
+            const wrapper = document.createElement('span');
+            wrapper.className = 'settings-range';
+            wrapper.appendChild(input);
+            wrapper.appendChild(output);
+            label.appendChild(wrapper);
+        } else {
+            label.appendChild(input);
+        }
+
+        this.controls.set(`${scope}.${param.key}`, { scope, param, input, output });
+        return label;
+    }
+
+    _refreshValues() {
+        for (const { scope, param, input, output } of this.controls.values()) {
+            const value = this.settings.get(scope, param.key);
+            if (value === undefined) continue;
+
+            // Don't fight the control being dragged
+            if (document.activeElement !== input) {
+                if (param.type === 'boolean') {
+                    input.checked = value;
+                } else {
+                    input.value = value === null ? '' : value;
+                }
+            }
+            if (output) {
+                output.textContent = Settings.format(value);
+            }
+        }
+
+        if (this.settings.needsReload()) {
+            this.status.textContent = 'Reload the page to apply the new FFT bins.';
+        }
+    }
+
+    _refreshPresetList(selected = '') {
+        this.presetSelect.innerHTML = '';
+
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = 'Presets';
+        this.presetSelect.appendChild(placeholder);
+
+        for (const name of this.settings.getPresetNames()) {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            this.presetSelect.appendChild(option);
+        }
+        this.presetSelect.value = selected;
+    }
+
+    /**
+     * Replace the hash without adding history entries
+     * @private
+     */
+    _writeHash() {
+        const hash = this.settings.toHash();
+        if (hash === this.hash) return;
+        this.hash = hash;
+        history.replaceState(null, '', hash ? `#${hash}` : window.location.pathname + window.location.search);
+    }
+}
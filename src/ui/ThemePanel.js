@@ -0,0 +1,77 @@
+/**
+ * ThemePanel - Theme switcher with JSON import and export
+ */
+class ThemePanel {
+    /**
+     * @param {ThemeManager} manager - Theme manager to drive
+     */
+    constructor(manager) {
+        this.manager = manager;
+
+        this.element = document.getElementById('theme-panel');
+        this.select = document.getElementById('theme-select');
+        this.importInput = document.getElementById('theme-import');
+        this.removeBtn = document.getElementById('theme-remove');
+        this.status = this.element.querySelector('.theme-status');
+
+        this._refreshList();
+        this._bindEvents();
+
+        // Keep the list in sync with the T hotkey
+        this.manager.onChange(() => this._refreshList());
+    }
+
+    toggle() {
+        this.element.classList.toggle('hidden');
+    }
+
+    _bindEvents() {
+        this.select.addEventListener('change', () => this.manager.setTheme(this.select.value));
+
+        this.removeBtn.addEventListener('click', () => {
+            this.manager.removeCustomTheme(this.select.value);
+            this._refreshList();
+        });
+
+        document.getElementById('theme-export').addEventListener('click', () => {
+            const name = this.manager.current.name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+            const json = this.manager.exportTheme();
+            OfflineRenderer.download(new Blob([json], { type: 'application/json' }), `theme-${name}.json`);
+        });
+
+        document.getElementById('theme-import-btn').addEventListener('click', () => {
+            this.importInput.click();
+        });
+
+        this.importInput.addEventListener('change', async () => {
+            const file = this.importInput.files[0];
+            this.importInput.value = '';
+            if (!file) return;
+
+            try {
+                this.manager.setTheme(this.manager.addCustomTheme(await file.text()));
+            } catch (error) {
+                alert(`Could not load theme: ${error.message}`);
+            }
+        });
+    }
+
+    _refreshList() {
+        const themes = this.manager.getAll();
+
+        this.select.innerHTML = '';
+        for (const theme of themes) {
+            const option = document.createElement('option');
+            option.value = theme.id;
+            option.textContent = theme.custom ? `${theme.name} (custom)` : theme.name;
+            this.select.appendChild(option);
+        }
+        this.select.value = this.manager.currentId;
+
+        const custom = themes.some(theme => theme.custom && theme.id === this.manager.currentId);
+        this.removeBtn.disabled = !custom;
+        this.status.textContent = custom
+            ? 'Custom theme, stored in this browser.'
+            : 'Load a JSON file to add a theme; Export gives a starting point.';
+    }
+}
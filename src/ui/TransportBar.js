@@ -0,0 +1,100 @@
+/**
+ * TransportBar - Play/pause/seek/loop controls for sources with a transport
+ * Binds to any object exposing play, pause, seek, setLoop and time getters
+ * (FileSource, ReplayAnalyzer)
+ */
+class TransportBar {
+    constructor(elementId = 'transport') {
+        this.element = document.getElementById(elementId);
+        this.playBtn = this.element.querySelector('.transport-play');
+        this.loopBtn = this.element.querySelector('.transport-loop');
+        this.seekInput = this.element.querySelector('.transport-seek');
+        this.timeLabel = this.element.querySelector('.transport-time');
+        this.titleLabel = this.element.querySelector('.transport-title');
+
+        this.transport = null;
+        this.isScrubbing = false;
+
+        this._bindEvents();
+    }
+
+    /**
+     * Attach to a transport, or hide the bar when null
+     * @param {Object|null} transport - Source with transport controls
+     */
+    bind(transport) {
+        this.transport = transport;
+
+        if (!transport) {
+            this.element.classList.add('hidden');
+            return;
+        }
+
+        this.titleLabel.textContent = transport.label || '';
+        this.loopBtn.classList.toggle('active', !!transport.loop);
+        this.element.classList.remove('hidden');
+        this.update();
+    }
+
+    _bindEvents() {
+        this.playBtn.addEventListener('click', () => {
+            if (this.transport) {
+                this.transport.togglePlay();
+                this.update();
+            }
+        });
+
+        this.loopBtn.addEventListener('click', () => {
+            if (!this.transport) return;
+            this.transport.setLoop(!this.transport.loop);
+            this.loopBtn.classList.toggle('active', this.transport.loop);
+        });
+
+        // Don't fight the user while they drag the slider; transports that
+        // seek cheaply (replays) follow the drag
+        this.seekInput.addEventListener('input', () => {
+            this.isScrubbing = true;
+            if (this.transport && this.transport.canScrub) {
+                this.transport.seek((this.seekInput.value / 1000) * this.transport.getDuration());
+            }
+        });
+
+        this.seekInput.addEventListener('change', () => {
+            if (this.transport) {
+                const duration = this.transport.getDuration();
+                this.transport.seek((this.seekInput.value / 1000) * duration);
+            }
+            this.isScrubbing = false;
+        });
+    }
+
+    /**
+     * Sync the UI with the transport position
+     * Call this once per frame
+     */
+    update() {
+        if (!this.transport) return;
+
+        const current = this.transport.getCurrentTime();
+        const duration = this.transport.getDuration();
+
+        this.playBtn.textContent = this.transport.isPlaying() ? 'Pause' : 'Play';
+        this.timeLabel.textContent = `${TransportBar.formatTime(current)} / ${TransportBar.formatTime(duration)}`;
+
+        if (!this.isScrubbing && duration > 0) {
+            this.seekInput.value = Math.round((current / duration) * 1000);
+        }
+    }
+
+    /**
+     * Format seconds as m:ss
+     * @param {number} seconds - Time in seconds
+     * @returns {string}
+     */
+    static formatTime(seconds) {
+        const total = Math.max(0, Math.floor(seconds));
+        const mins = Math.floor(total / 60);
+        const secs = total % 60;
+        return `${mins}:${secs < 10 ? '0' : ''}${secs}`;
+    }
+}
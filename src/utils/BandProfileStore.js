@@ -0,0 +1,92 @@
+/**
+ * BandProfileStore - Named band profiles persisted in localStorage
+ * Also remembers the working (unsaved) profile across reloads
+ */
+class BandProfileStore {
+    constructor(storageKey = 'music-viz1.bandProfiles') {
+        this.storageKey = storageKey;
+    }
+
+    /**
+     * Names of all saved profiles
+     * @returns {string[]}
+     */
+    list() {
+        return Object.keys(this._read().profiles).sort();
+    }
+
+    /**
+     * Get a saved profile
+     * @param {string} name - Profile name
+     * @returns {Object|null}
+     */
+    get(name) {
+        return this._read().profiles[name] || null;
+    }
+
+    /**
+     * Save a profile under a name, replacing any existing one
+     * @param {string} name - Profile name
+     * @param {Object} profile - Band profile
+     */
+    save(name, profile) {
+        const data = this._read();
+        data.profiles[name] = profile;
+        this._write(data);
+    }
+
+    /**
+     * Delete a saved profile
+     * @param {string} name - Profile name
+     */
+    remove(name) {
+        const data = this._read();
+        delete data.profiles[name];
+        this._write(data);
+    }
+
+    /**
+     * Working profile from the last session
+     * @returns {Object|null}
+     */
+    getWorking() {
+        return this._read().working;
+    }
+
+    /**
+     * Remember the current working profile
+     * @param {Object} profile - Band profile
+     */
+    saveWorking(profile) {
+        const data = this._read();
+        data.working = profile;
+        this._write(data);
+    }
+
+    /**
+     * @private
+     */
+    _read() {
+        try {
+            const data = JSON.parse(localStorage.getItem(this.storageKey));
+            const profiles = data && data.profiles;
+            if (profiles && typeof profiles === 'object' && !Array.isArray(profiles)) {
+                return { profiles, working: data.working || null };
+            }
+        } catch (e) {
+            console.warn('Ignoring unreadable band profiles:', e);
+        }
+        return { profiles: {}, working: null };
+    }
+
+    /**
+     * @private
+     */
+    _write(data) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(data));
+        } catch (e) {
+            console.warn('Failed to save band profiles:', e);
+        }
+    }
+}
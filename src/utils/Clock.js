@@ -0,0 +1,70 @@
+/**
+ * Clock - Simulation clock shared by the sketch, analyzer and visualizers
+ * Follows real time during live playback, or advances by a fixed step
+ * when frames are rendered offline
+ */
+class Clock {
+    constructor() {
+        this.time = 0;
+        this.deltaTime = 0;
+        this.frameCount = 0;
+
+        // Fixed step in ms (0 = follow real time)
+        this.fixedStep = 0;
+        this.lastRealTime = null;
+    }
+
+    /**
+     * Advance the clock by one frame
+     * @param {number} realTime - Current wall-clock time in ms (ignored when stepping)
+     */
+    tick(realTime) {
+        if (this.fixedStep > 0) {
+            this.deltaTime = this.fixedStep;
+        } else {
+            this.deltaTime = this.lastRealTime === null ? 0 : realTime - this.lastRealTime;
+            this.lastRealTime = realTime;
+        }
+
+        this.time += this.deltaTime;
+        this.frameCount++;
+    }
+
+    /**
+     * Current simulation time
+     * @returns {number} Time in ms
+     */
+    now() {
+        return this.time;
+    }
+
+    /**
+     * Advance by a fixed step per tick (offline rendering)
+     * @param {number} stepMs - Frame duration in ms
+     */
+    setFixedStep(stepMs) {
+        this.fixedStep = stepMs;
+    }
+
+    /**
+     * Go back to following real time
+     */
+    useRealTime() {
+        this.fixedStep = 0;
+        this.lastRealTime = null;
+    }
+
+    /**
+     * Reset to a given time
+     * @param {number} time - Time in ms
+     */
+    reset(time = 0) {
+        this.time = time;
+        this.deltaTime = 0;
+        this.frameCount = 0;
+        this.lastRealTime = null;
+    }
+}
+
+// Global clock instance
+const clock = new Clock();
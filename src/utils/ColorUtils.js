@@ -0,0 +1,54 @@
+/**
+ * Color helpers shared by visualizers and palettes
+ * Colors are plain { r, g, b } objects (0-255), as in VisualizerGroups
+ */
+
+/**
+ * Convert HSV to RGB
+ * @param {number} hue - Hue in degrees (any value, wrapped to 0-360)
+ * @param {number} saturation - 0-1
+ * @param {number} value - 0-1
+ * @param {Object} out - Object to write { r, g, b } into
+ * @returns {Object} out
+ */
+function hsvToRgb(hue, saturation, value, out = {}) {
+    const h = (((hue % 360) + 360) % 360) / 60;
+    const channel = (n) => {
+        const k = (n + h) % 6;
+        return 255 * value * (1 - saturation * Math.max(0, Math.min(k, 4 - k, 1)));
+    };
+    out.r = channel(5);
+    out.g = channel(3);
+    out.b = channel(1);
+    return out;
+}
+
+/**
+ * Move a hue toward a target along the shorter way around the wheel
+ * @param {number} from - Current hue in degrees
+ * @param {number} to - Target hue in degrees
+ * @param {number} amount - Fraction of the distance to move (0-1)
+ * @returns {number} New hue (0-360)
+ */
+function approachHue(from, to, amount) {
+    const distance = ((((to - from) % 360) + 540) % 360) - 180;
+    return (((from + distance * amount) % 360) + 360) % 360;
+}
+
+/**
+ * @param {Object} color - { r, g, b }
+ * @returns {string} #rrggbb
+ */
+function rgbToHex(color) {
+    const hex = (v) => Math.round(v).toString(16).padStart(2, '0');
+    return `#${hex(color.r)}${hex(color.g)}${hex(color.b)}`;
+}
+
+/**
+ * @param {string} hex - #rrggbb
+ * @returns {Object} { r, g, b }
+ */
+function hexToRgb(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 };
+}
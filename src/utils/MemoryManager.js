@@ -6,6 +6,7 @@ class MemoryManager {
     constructor() {
         this.pools = new Map();
         this.cleanupCallbacks = [];
+        this.pressureCallbacks = [];
         this.lastCleanup = 0;
         this.cleanupInterval = 30000; // 30 seconds
         this.memoryWarningThreshold = 0.8; // 80% of heap limit
@@ -33,11 +34,14 @@ class MemoryManager {
 
     /**
      * Get a pre-allocated Float32Array
-     * @param {number} size - Required size (256, 512, or 1024)
+     * Arrays without a name are shared scratch space; a name reserves one for
+     * its owner, e.g. a row of a visualizer's history
+     * @param {number} size - Required size (256, 512, or 1024 are pre-allocated)
+     * @param {string} name - Optional owner key
      * @returns {Float32Array} Pre-allocated array
      */
-    getTempFloat32Array(size) {
-        const key = `float32_${size}`;
+    getTempFloat32Array(size, name = null) {
+        const key = name ? `float32_${size}_${name}` : `float32_${size}`;
         if (this.tempArrays[key]) {
             return this.tempArrays[key];
         }
@@ -46,6 +50,15 @@ class MemoryManager {
         return this.tempArrays[key];
     }
 
+    /**
+     * Drop a named array from getTempFloat32Array()
+     * @param {number} size - Size it was requested with
+     * @param {string} name - Owner key it was requested with
+     */
+    releaseTempFloat32Array(size, name) {
+        delete this.tempArrays[`float32_${size}_${name}`];
+    }
+
     /**
      * Get a cached color object
      * @param {number} r - Red (0-255)
@@ -75,6 +88,15 @@ class MemoryManager {
         this.cleanupCallbacks.push(callback);
     }
 
+    /**
+     * Register a callback for critical memory usage
+     * Called on each monitoring check while usage stays critical
+     * @param {Function} callback - Called with heap usage (0-1)
+     */
+    onPressure(callback) {
+        this.pressureCallbacks.push(callback);
+    }
+
     /**
      * Force immediate garbage collection hint
      * Note: This is just a hint, actual GC is controlled by the engine
@@ -154,11 +176,19 @@ class MemoryManager {
      * @returns {boolean} True if memory is critically high
      */
     isMemoryCritical() {
+        const usage = this.getHeapUsage();
+        return usage !== null && usage > this.memoryWarningThreshold;
+    }
+
+    /**
+     * Get heap usage as a fraction of the heap limit
+     * @returns {number|null} Usage (0-1), or null if unavailable
+     */
+    getHeapUsage() {
         if (performance.memory) {
-            const usage = performance.memory.usedJSHeapSize / performance.memory.jsHeapSizeLimit;
-            return usage > this.memoryWarningThreshold;
+            return performance.memory.usedJSHeapSize / performance.memory.jsHeapSizeLimit;
         }
-        return false;
+        return null;
     }
 
     /**
@@ -174,6 +204,15 @@ class MemoryManager {
                 console.warn('Memory usage critical, forcing cleanup');
                 this.performCleanup();
                 this.suggestGC();
+
+                const usage = this.getHeapUsage();
+                for (const callback of this.pressureCallbacks) {
+                    try {
+                        callback(usage);
+                    } catch (e) {
+                        console.warn('Pressure callback error:', e);
+                    }
+                }
             }
         }, interval);
     }
@@ -197,6 +236,7 @@ class MemoryManager {
         this.pools.clear();
         this.colorCache.clear();
         this.cleanupCallbacks.length = 0;
+        this.pressureCallbacks.length = 0;
     }
 }
 
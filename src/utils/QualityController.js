@@ -0,0 +1,162 @@
+/**
+ * QualityController - Adaptive quality scaling
+ * Watches frame times and heap usage and steps visualizers down through
+ * quality tiers under pressure, and back up when headroom returns
+ */
+
+/**
+ * Quality tiers, best first
+ * frameSkip: update visualizers every Nth frame (0 = every frame)
+ * particleScale: fraction of each visualizer's particle budget
+ * detail: fraction of wave layers, stars and similar detail
+ * connections: draw O(n²) effects such as star connections
+ */
+const QualityTiers = [
+    { name: 'High', frameSkip: 0, particleScale: 1, detail: 1, connections: true },
+    { name: 'Medium', frameSkip: 0, particleScale: 0.6, detail: 0.75, connections: true },
+    { name: 'Low', frameSkip: 2, particleScale: 0.35, detail: 0.5, connections: false },
+    { name: 'Minimal', frameSkip: 3, particleScale: 0.15, detail: 0.3, connections: false }
+];
+
+class QualityController {
+    /**
+     * @param {MemoryManager} memory - Source of heap usage and pressure events
+     * @param {Object} options - Thresholds (frame times in ms, durations in ms)
+     */
+    constructor(memory, options = {}) {
+        this.memory = memory;
+
+        // Step down when frames are slower than this for downshiftAfter ms
+        this.slowFrameTime = options.slowFrameTime || 1000 / 45;
+        this.downshiftAfter = options.downshiftAfter || 2000;
+
+        // Step up when frames are faster than this for upshiftAfter ms
+        this.fastFrameTime = options.fastFrameTime || 1000 / 57;
+        this.upshiftAfter = options.upshiftAfter || 5000;
+
+        // Minimum time between changes, so one change can settle
+        this.cooldown = options.cooldown || 3000;
+
+        this.tierIndex = 0;
+        this.reason = 'initial';
+        this.isSuspended = false;
+
+        // Smoothed frame time and how long it has been slow / fast
+        this.averageFrameTime = 0;
+        this.slowTime = 0;
+        this.fastTime = 0;
+        this.sinceChange = 0;
+
+        this.changeCallbacks = [];
+
+        // Heap pressure steps down immediately
+        this.memory.onPressure((usage) => {
+            if (!this.isSuspended) {
+                this._step(1, `heap ${(usage * 100).toFixed(0)}% used`);
+            }
+        });
+    }
+
+    /**
+     * Register a callback for tier changes
+     * @param {Function} callback - Called with (tier, reason)
+     */
+    onChange(callback) {
+        this.changeCallbacks.push(callback);
+    }
+
+    /**
+     * Current tier
+     * @returns {Object} Entry of QualityTiers
+     */
+    getTier() {
+        return QualityTiers[this.tierIndex];
+    }
+
+    /**
+     * Feed one frame's duration
+     * Call this once per frame
+     * @param {number} deltaTime - Frame time in ms
+     */
+    update(deltaTime) {
+        // Ignore stalls (tab switches, file loading) and suspended periods
+        if (this.isSuspended || deltaTime <= 0 || deltaTime > 250) return;
+
+        this.averageFrameTime = this.averageFrameTime === 0
+            ? deltaTime
+            : this.averageFrameTime * 0.95 + deltaTime * 0.05;
+        this.sinceChange += deltaTime;
+
+        if (this.averageFrameTime > this.slowFrameTime) {
+            this.slowTime += deltaTime;
+            this.fastTime = 0;
+        } else if (this.averageFrameTime < this.fastFrameTime) {
+            this.fastTime += deltaTime;
+            this.slowTime = 0;
+        } else {
+            this.slowTime = 0;
+            this.fastTime = 0;
+        }
+
+        if (this.sinceChange < this.cooldown) return;
+
+        const frameTime = `${this.averageFrameTime.toFixed(1)}ms`;
+        if (this.slowTime > this.downshiftAfter) {
+            this._step(1, `frame time ${frameTime}`);
+        } else if (this.fastTime > this.upshiftAfter && !this._isHeapHigh()) {
+            this._step(-1, `headroom, frame time ${frameTime}`);
+        }
+    }
+
+    /**
+     * Force a tier and stop adapting (e.g. for deterministic offline renders)
+     * @param {number} tierIndex - Index into QualityTiers
+     */
+    suspend(tierIndex = 0) {
+        this.isSuspended = true;
+        this.setTier(tierIndex, 'suspended');
+    }
+
+    /**
+     * Resume adapting from the current tier
+     */
+    resume() {
+        this.isSuspended = false;
+        this.averageFrameTime = 0;
+        this.slowTime = 0;
+        this.fastTime = 0;
+        this.sinceChange = 0;
+    }
+
+    /**
+     * Switch to a tier
+     * @param {number} tierIndex - Index into QualityTiers
+     * @param {string} reason - Shown in the debug overlay
+     */
+    setTier(tierIndex, reason) {
+        this.tierIndex = Math.max(0, Math.min(QualityTiers.length - 1, tierIndex));
+        this.reason = reason;
+        this.slowTime = 0;
+        this.fastTime = 0;
+        this.sinceChange = 0;
+
+        const tier = this.getTier();
+        for (const callback of this.changeCallbacks) {
+            callback(tier, reason);
+        }
+    }
+
+    _step(direction, reason) {
+        const next = this.tierIndex + direction;
+        if (next < 0 || next >= QualityTiers.length) return;
+
+        // The tier and reason show in the debug overlay
+        this.setTier(next, reason);
+    }
+
+    _isHeapHigh() {
+        const usage = this.memory.getHeapUsage();
+        // Leave a margin below the warning threshold before stepping up
+        return usage !== null && usage > this.memory.memoryWarningThreshold - 0.1;
+    }
+}
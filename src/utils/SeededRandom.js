@@ -0,0 +1,59 @@
+/**
+ * SeededRandom - Deterministic pseudo-random numbers (mulberry32)
+ * Replaces Math.random so a render is reproducible for a given seed
+ */
+class SeededRandom {
+    constructor(seed = 1) {
+        this.seed(seed);
+    }
+
+    /**
+     * Restart the sequence
+     * @param {number} seed - 32-bit integer seed
+     */
+    seed(seed) {
+        this.initialSeed = seed >>> 0;
+        this.state = this.initialSeed;
+    }
+
+    /**
+     * Create an independent generator derived from this seed and a label
+     * The derived sequence does not depend on how many values were drawn here
+     * @param {string} label - Stream name (e.g. a visualizer name)
+     * @returns {SeededRandom}
+     */
+    fork(label) {
+        // FNV-1a hash of the label, mixed with the seed
+        let hash = 0x811C9DC5 ^ this.initialSeed;
+        for (let i = 0; i < label.length; i++) {
+            hash ^= label.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return new SeededRandom(hash >>> 0);
+    }
+
+    /**
+     * Next value in [0, 1)
+     * @returns {number}
+     */
+    random() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Next value in [min, max)
+     * @param {number} min - Lower bound
+     * @param {number} max - Upper bound
+     * @returns {number}
+     */
+    range(min, max) {
+        return min + this.random() * (max - min);
+    }
+}
+
+// Global random instance (named to avoid p5's global random())
+const rng = new SeededRandom(Date.now());
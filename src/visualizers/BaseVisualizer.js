@@ -2,13 +2,59 @@
  * BaseVisualizer - Abstract base class for all visualizers
  * Provides common functionality and interface
  */
+
+/**
+ * Parameters every visualizer has (schema described in Settings);
+ * subclasses list their own in this.parameters. Entries marked
+ * `modulatable: true` can be routed in the ModulationMatrix and are read
+ * through getModulated()
+ */
+const BaseParameters = [
+    { key: 'enabled', label: 'Visible', type: 'boolean' },
+    { key: 'smoothingFactor', label: 'Smoothing', type: 'number', min: 0.01, max: 1, step: 0.01 },
+    { key: 'maxParticles', label: 'Particles', type: 'integer', min: 1, max: 300, step: 1 },
+    { key: 'followPan', label: 'Follow stereo pan', type: 'boolean' }
+];
+
 class BaseVisualizer {
-    constructor(name, color, accentColor) {
+    /**
+     * @param {string} name - Display name
+     * @param {Object} color - Primary color
+     * @param {Object} accentColor - Accent color
+     * @param {Object} services - Optional { clock, rng, themeManager } overrides
+     */
+    constructor(name, color, accentColor, services = {}) {
+        // Assigned by VisualizerRegistry.create()
+        this.id = null;
+        this.group = null;
+
         this.name = name;
         this.color = color;
         this.accentColor = accentColor;
         this.enabled = true;
+
+        // Own colors, restored when a palette is removed
+        this.baseColor = color;
+        this.baseAccentColor = accentColor;
+
+        // Display modes (subclasses list theirs, the first is the default)
+        this.modes = ['default'];
+        this.mode = 'default';
+
+        // Tunables on top of BaseParameters (subclasses list theirs)
+        this.parameters = [];
+
+        // Modulated values of modulatable parameters, rewritten every frame by
+        // the ModulationMatrix; the parameters themselves keep the set values
+        this.modulations = new Map();
+
+        // Compositing (set by layout)
         this.opacity = 1;
+        this.blendMode = 'source-over';
+        this.labelOffset = 0;
+
+        // Labels are hidden during performances
+        this.labelsVisible = true;
 
         // Position and size (set by layout)
         this.x = 0;
@@ -25,9 +71,34 @@ class BaseVisualizer {
         this.activeParticles = [];
         this.maxParticles = 50;
 
-        // Performance optimization
+        // Set while the WebGL path draws the particles (see PostProcessor)
+        this.gpuParticles = false;
+
+        // Frequency bars (using pool) and the group sub-spectrum driving them
+        this.bars = [];
+        this.spectrum = null;
+
+        // The group's sub-band energies, e.g. { low, mid, high, combined } for drums
+        this.bands = null;
+
+        // Stereo position of the group (-1 left to 1 right), smoothed;
+        // stays centered unless followPan is on and the analyzer has stereo
+        this.followPan = false;
+        this.pan = 0;
+
+        // Performance optimization (set by applyQuality)
         this.frameSkip = 0;
         this.frameCounter = 0;
+        this.quality = null;
+        this.baseMaxParticles = null;
+
+        // Time and randomness come from injected services so output is
+        // reproducible; each visualizer gets its own stream keyed by name
+        this.clock = services.clock || clock;
+        this.rng = services.rng || rng.fork(name);
+
+        // Panel and label styling follow the current theme
+        this.themeManager = services.themeManager || themeManager;
     }
 
     /**
@@ -49,8 +120,10 @@ class BaseVisualizer {
      * @param {number} energy - Current energy level (0-1)
      * @param {Object} peaks - Peak detection data
      * @param {number} deltaTime - Time since last frame
+     * @param {Object} analysis - Per-group analysis: beat, stereo, spectrum, bands
+     *   (sub-band energies), plus hits (kick, snare, hat) for drums and pitch for vocals
      */
-    update(energy, peaks, deltaTime) {
+    update(energy, peaks, deltaTime, analysis) {
         if (!this.enabled) return;
 
         // Frame skipping for performance
@@ -61,6 +134,9 @@ class BaseVisualizer {
 
         this.energy = energy;
         this.smoothedEnergy += (energy - this.smoothedEnergy) * this.smoothingFactor;
+        this.spectrum = analysis ? analysis.spectrum : null;
+        this.bands = analysis ? analysis.bands : null;
+        this._updatePan(analysis);
 
         // Update particles
         this._updateParticles(deltaTime);
@@ -71,16 +147,76 @@ class BaseVisualizer {
         }
 
         // Custom update logic
-        this.onUpdate(energy, peaks, deltaTime);
+        this.onUpdate(energy, peaks, deltaTime, analysis);
     }
 
     /**
      * Override in subclasses for custom update logic
      */
-    onUpdate(energy, peaks, deltaTime) {
+    onUpdate(energy, peaks, deltaTime, analysis) {
         // Override in subclasses
     }
 
+    /**
+     * Horizontal offset of the group's elements toward its side of the mix
+     * @param {number} range - Offset at a hard pan, as a fraction of the width
+     * @returns {number} Offset in pixels (0 while followPan is off)
+     */
+    getPanOffset(range = 0.35) {
+        return this.pan * this.width * range;
+    }
+
+    /**
+     * Ease this.pan toward the group's pan in the stereo analysis
+     * @private
+     */
+    _updatePan(analysis) {
+        const band = this.followPan && analysis && analysis.stereo && analysis.stereo.bands[this.group];
+        const target = band ? band.pan : 0;
+        this.pan += (target - this.pan) * this.smoothingFactor;
+    }
+
+    /**
+     * Level of one of `count` bars, averaged from the group sub-spectrum
+     * Falls back to the overall energy when no spectrum is available
+     * @param {number} index - Bar index (low to high frequency)
+     * @param {number} count - Total number of bars
+     * @returns {number} Level (0-1)
+     */
+    getSpectrumLevel(index, count) {
+        const spectrum = this.spectrum;
+        if (!spectrum || spectrum.length === 0) {
+            return this.energy;
+        }
+
+        const start = Math.floor((index / count) * spectrum.length);
+        const end = Math.max(start + 1, Math.floor(((index + 1) / count) * spectrum.length));
+        let sum = 0;
+        for (let i = start; i < end; i++) {
+            sum += spectrum[i];
+        }
+        return sum / (end - start);
+    }
+
+    /**
+     * Acquire pooled bars, replacing any currently held
+     * @param {number} count - Number of bars
+     */
+    _acquireBars(count) {
+        this._releaseBars();
+        for (let i = 0; i < count; i++) {
+            this.bars.push(barPool.acquire());
+        }
+    }
+
+    /**
+     * Return all bars to the pool
+     */
+    _releaseBars() {
+        barPool.releaseAll(this.bars);
+        this.bars.length = 0;
+    }
+
     /**
      * Called when a peak is detected
      * @param {number} energy - Peak energy
@@ -98,16 +234,16 @@ class BaseVisualizer {
      */
     _spawnParticle() {
         const particle = particlePool.acquire();
-        const angle = Math.random() * Math.PI * 2;
-        const speed = 1 + Math.random() * 3;
+        const angle = this.rng.random() * Math.PI * 2;
+        const speed = 1 + this.rng.random() * 3;
 
         particle.init(
-            this.x + this.width / 2,
+            this.x + this.width / 2 + this.getPanOffset(),
             this.y + this.height / 2,
             Math.cos(angle) * speed,
             Math.sin(angle) * speed,
-            1 + Math.random(),
-            3 + Math.random() * 5,
+            1 + this.rng.random(),
+            3 + this.rng.random() * 5,
             { ...this.accentColor, a: 200 }
         );
 
@@ -135,14 +271,18 @@ class BaseVisualizer {
      * @param {p5} p - p5.js instance
      */
     draw(p) {
-        if (!this.enabled) return;
+        // A hidden visualizer is still drawn (frozen) while the layout fades it out
+        if (this.opacity <= 0) return;
 
         p.push();
 
-        // Apply opacity
+        // Apply opacity and blending
         if (this.opacity < 1) {
             p.drawingContext.globalAlpha = this.opacity;
         }
+        if (this.blendMode !== 'source-over') {
+            p.drawingContext.globalCompositeOperation = this.blendMode;
+        }
 
         // Draw background
         this.drawBackground(p);
@@ -164,9 +304,15 @@ class BaseVisualizer {
      * Override in subclasses for custom backgrounds
      */
     drawBackground(p) {
-        p.noStroke();
-        p.fill(20, 20, 25, 150);
-        p.rect(this.x, this.y, this.width, this.height, 8);
+        const panel = this.themeManager.current.panel;
+        if (panel.stroke) {
+            p.stroke(panel.stroke.r, panel.stroke.g, panel.stroke.b, panel.stroke.a);
+            p.strokeWeight(1);
+        } else {
+            p.noStroke();
+        }
+        p.fill(panel.fill.r, panel.fill.g, panel.fill.b, panel.fill.a);
+        p.rect(this.x, this.y, this.width, this.height, panel.radius);
     }
 
     /**
@@ -181,6 +327,8 @@ class BaseVisualizer {
      * Draw particles
      */
     drawParticles(p) {
+        if (this.gpuParticles) return;
+
         for (const particle of this.activeParticles) {
             particle.draw(p);
         }
@@ -190,15 +338,155 @@ class BaseVisualizer {
      * Draw visualizer label
      */
     drawLabel(p) {
-        p.fill(255, 255, 255, 150);
+        const label = this.themeManager.current.label;
+        if (!label.visible || !this.labelsVisible) return;
+
+        p.fill(label.color.r, label.color.g, label.color.b, label.color.a);
         p.noStroke();
-        p.textSize(12);
+        p.textFont(label.font);
+        p.textSize(label.size);
         p.textAlign(p.LEFT, p.TOP);
-        p.text(this.name, this.x + 10, this.y + 10);
+        const labelY = this.y + this.labelOffset;
+        p.text(this.modes.length > 1 ? `${this.name} · ${this.mode}` : this.name, this.x + 10, labelY + 10);
 
         // Energy indicator
         p.fill(this.color.r, this.color.g, this.color.b, 200);
-        p.text(Math.round(this.smoothedEnergy * 100) + '%', this.x + 10, this.y + 25);
+        p.text(Math.round(this.smoothedEnergy * 100) + '%', this.x + 10, labelY + 10 + label.size * 1.25);
+    }
+
+    /**
+     * Apply a quality tier
+     * @param {Object} tier - Entry of QualityTiers
+     */
+    applyQuality(tier) {
+        // Subclasses set their particle budget after super(), so capture it here
+        if (this.baseMaxParticles === null) {
+            this.baseMaxParticles = this.maxParticles;
+        }
+
+        this.quality = tier;
+        this.frameSkip = tier.frameSkip;
+        this.maxParticles = Math.max(1, Math.round(this.baseMaxParticles * tier.particleScale));
+        this.onQualityChange(tier);
+    }
+
+    /**
+     * Override in subclasses to scale custom detail
+     * @param {Object} tier - Entry of QualityTiers
+     */
+    onQualityChange(tier) {
+        // Override in subclasses
+    }
+
+    /**
+     * Draw with palette colors instead of the visualizer's own
+     * @param {Object|null} colors - { primary, accent } (kept by reference), or null to restore
+     */
+    setPalette(colors) {
+        this.color = colors ? colors.primary : this.baseColor;
+        this.accentColor = colors ? colors.accent : this.baseAccentColor;
+    }
+
+    /**
+     * Parameter schema for the settings panel
+     * @returns {Array} BaseParameters, the mode (if any) and this.parameters
+     */
+    getParameters() {
+        const parameters = BaseParameters.concat(this.parameters);
+        if (this.modes.length > 1) {
+            parameters.splice(1, 0, { key: 'mode', label: 'Mode', type: 'select', options: this.modes });
+        }
+        return parameters;
+    }
+
+    /**
+     * Parameters the ModulationMatrix can drive
+     * @returns {Array} Entries of getParameters() marked modulatable
+     */
+    getModulatableParameters() {
+        return this.getParameters().filter(param => param.modulatable);
+    }
+
+    /**
+     * Value of a modulatable parameter for this frame
+     * @param {string} key - Parameter key
+     * @returns {number} The modulated value, or the set value without routings
+     */
+    getModulated(key) {
+        const value = this.modulations.get(key);
+        return value === undefined ? this[key] : value;
+    }
+
+    /**
+     * @param {string} key - Parameter key
+     * @returns {*} Current value
+     */
+    getParameter(key) {
+        // Quality tiers scale maxParticles down from the configured budget
+        if (key === 'maxParticles' && this.baseMaxParticles !== null) {
+            return this.baseMaxParticles;
+        }
+        return this[key];
+    }
+
+    /**
+     * Apply a parameter live
+     * @param {string} key - Parameter key
+     * @param {*} value - Valid value for the parameter
+     */
+    setParameter(key, value) {
+        switch (key) {
+            case 'mode':
+                this.setMode(value);
+                return;
+            case 'maxParticles':
+                this.baseMaxParticles = value;
+                this.maxParticles = value;
+                if (this.quality) {
+                    this.applyQuality(this.quality);
+                }
+                return;
+        }
+
+        this[key] = value;
+        this.onParameterChange(key, value);
+    }
+
+    /**
+     * Override in subclasses to rebuild state that depends on a parameter
+     * @param {string} key - Parameter key
+     * @param {*} value - New value
+     */
+    onParameterChange(key, value) {
+        // Override in subclasses
+    }
+
+    /**
+     * Switch to a display mode
+     * @param {string} mode - One of this.modes
+     */
+    setMode(mode) {
+        if (!this.modes.includes(mode) || mode === this.mode) return;
+        this.mode = mode;
+        this.onModeChange(mode);
+    }
+
+    /**
+     * Switch to the next display mode
+     * @returns {string} The new mode
+     */
+    cycleMode() {
+        const index = this.modes.indexOf(this.mode);
+        this.setMode(this.modes[(index + 1) % this.modes.length]);
+        return this.mode;
+    }
+
+    /**
+     * Override in subclasses to react to mode switches
+     * @param {string} mode - New mode
+     */
+    onModeChange(mode) {
+        // Override in subclasses
     }
 
     /**
@@ -218,5 +506,7 @@ class BaseVisualizer {
             particlePool.release(particle);
         }
         this.activeParticles.length = 0;
+
+        this._releaseBars();
     }
 }
@@ -3,55 +3,111 @@
  * Features deep pulsing shapes and low-frequency rumble effects
  */
 class BassVisualizer extends BaseVisualizer {
-    constructor() {
+    /**
+     * @param {Object} services - Optional { clock, rng } overrides
+     */
+    constructor(services) {
         super(
             'Bass',
             VisualizerGroups.BASS.primaryColor,
-            VisualizerGroups.BASS.accentColor
+            VisualizerGroups.BASS.accentColor,
+            services
         );
 
         // Bass-specific state
         this.pulseScale = 1;
         this.targetScale = 1;
         this.rumbleOffset = 0;
+        this.beatPulse = 0;
+
+        // Extra scale at full energy, and the rings' phase step per frame
+        // (plus energy * 0.05)
+        this.pulseDepth = 0.5;
+        this.ringSpeed = 0.02;
 
         // Concentric rings
         this.ringCount = 5;
+        this._createRings();
+
+        // Vertical bars for spectrum display (pooled)
+        this.barCount = 16;
+        this._createBars();
+
+        this.parameters = [
+            { key: 'ringCount', label: 'Rings', type: 'integer', min: 1, max: 12, step: 1 },
+            { key: 'barCount', label: 'Bars', type: 'integer', min: 4, max: 32, step: 1 },
+            { key: 'pulseDepth', label: 'Pulse depth', type: 'number', min: 0, max: 2, step: 0.05, modulatable: true },
+            { key: 'ringSpeed', label: 'Ring speed', type: 'number', min: 0, max: 0.2, step: 0.005, modulatable: true }
+        ];
+    }
+
+    onParameterChange(key) {
+        if (key === 'ringCount') {
+            this._createRings();
+        } else if (key === 'barCount') {
+            this._createBars();
+            this.setBounds(this.x, this.y, this.width, this.height);
+        }
+    }
+
+    _createRings() {
         this.ringPhases = new Float32Array(this.ringCount);
         for (let i = 0; i < this.ringCount; i++) {
             this.ringPhases[i] = i * 0.5;
         }
+    }
 
-        // Vertical bars for spectrum display
-        this.barCount = 16;
-        this.barHeights = new Float32Array(this.barCount);
-        this.targetBarHeights = new Float32Array(this.barCount);
+    _createBars() {
+        this._acquireBars(this.barCount);
+        for (const bar of this.bars) {
+            bar.init(0, 0, 0, this.color);
+        }
+    }
+
+    setBounds(x, y, width, height) {
+        super.setBounds(x, y, width, height);
+
+        // Lay out bars along the bottom edge, keeping their current heights
+        // so layout transitions don't reset them
+        const barWidth = (width - 40) / this.barCount;
+        const baseY = y + height - 20;
+        this.bars.forEach((bar, i) => {
+            bar.x = x + 20 + i * barWidth;
+            bar.y = baseY;
+            bar.width = barWidth - 4;
+        });
     }
 
-    onUpdate(energy, peaks, deltaTime) {
+    onUpdate(energy, peaks, deltaTime, analysis) {
+        // Kick the pulse on each beat, harder on the downbeat
+        const beat = analysis && analysis.beat;
+        if (beat && beat.isBeat) {
+            this.beatPulse = beat.isDownbeat ? 0.4 : 0.2;
+        }
+        this.beatPulse *= 0.85;
+
         // Update pulse scale
-        this.targetScale = 1 + energy * 0.5;
+        this.targetScale = 1 + energy * this.getModulated('pulseDepth') + this.beatPulse;
         this.pulseScale += (this.targetScale - this.pulseScale) * 0.2;
 
         // Update rumble effect
-        this.rumbleOffset = Math.sin(Date.now() * 0.01) * energy * 3;
+        this.rumbleOffset = Math.sin(this.clock.now() * 0.01) * energy * 3;
 
         // Update ring phases
+        const ringStep = this.getModulated('ringSpeed') + energy * 0.05;
         for (let i = 0; i < this.ringCount; i++) {
-            this.ringPhases[i] += 0.02 + energy * 0.05;
+            this.ringPhases[i] += ringStep;
         }
 
-        // Update bar heights with decay
+        // Update bar heights from the 20-250 Hz sub-spectrum
+        const maxHeight = this.height * 0.4;
         for (let i = 0; i < this.barCount; i++) {
-            // Simulate frequency distribution (more energy in lower bars)
-            const frequencyWeight = 1 - (i / this.barCount) * 0.5;
-            this.targetBarHeights[i] = energy * frequencyWeight * (0.7 + Math.random() * 0.3);
-            this.barHeights[i] += (this.targetBarHeights[i] - this.barHeights[i]) * 0.3;
+            this.bars[i].update(this.getSpectrumLevel(i, this.barCount) * maxHeight);
         }
     }
 
     drawVisualization(p) {
-        const centerX = this.x + this.width / 2 + this.rumbleOffset;
+        const centerX = this.x + this.width / 2 + this.getPanOffset() + this.rumbleOffset;
         const centerY = this.y + this.height / 2;
 
         // Draw concentric rings
@@ -88,15 +144,13 @@ class BassVisualizer extends BaseVisualizer {
     }
 
     _drawBars(p) {
-        const barWidth = (this.width - 40) / this.barCount;
-        const maxHeight = this.height * 0.4;
-        const baseY = this.y + this.height - 20;
-
         p.noStroke();
 
         for (let i = 0; i < this.barCount; i++) {
-            const x = this.x + 20 + i * barWidth;
-            const height = this.barHeights[i] * maxHeight;
+            const bar = this.bars[i];
+            const x = bar.x;
+            const baseY = bar.y;
+            const height = bar.height;
 
             // Gradient based on bar position
             const t = i / this.barCount;
@@ -106,15 +160,15 @@ class BassVisualizer extends BaseVisualizer {
 
             // Bar glow
             p.fill(r, g, b, 50);
-            p.rect(x - 2, baseY - height - 5, barWidth - 2, height + 10, 2);
+            p.rect(x - 2, baseY - height - 5, bar.width + 2, height + 10, 2);
 
             // Main bar
             p.fill(r, g, b, 200);
-            p.rect(x, baseY - height, barWidth - 4, height, 2);
+            p.rect(x, baseY - height, bar.width, height, 2);
 
             // Highlight
             p.fill(255, 255, 255, 50);
-            p.rect(x, baseY - height, (barWidth - 4) * 0.3, height, 2);
+            p.rect(x, baseY - height, bar.width * 0.3, height, 2);
         }
     }
 
@@ -133,7 +187,7 @@ class BassVisualizer extends BaseVisualizer {
         const points = 32;
         for (let i = 0; i < points; i++) {
             const angle = (i / points) * Math.PI * 2;
-            const deform = 1 + Math.sin(angle * 4 + Date.now() * 0.005) * this.smoothedEnergy * 0.2;
+            const deform = 1 + Math.sin(angle * 4 + this.clock.now() * 0.005) * this.smoothedEnergy * 0.2;
             const r = size * deform;
             const x = centerX + Math.cos(angle) * r;
             const y = centerY + Math.sin(angle) * r;
@@ -146,3 +200,10 @@ class BassVisualizer extends BaseVisualizer {
         p.ellipse(centerX, centerY, size * 0.3, size * 0.3);
     }
 }
+
+visualizerRegistry.register(BassVisualizer, {
+    id: 'bass',
+    name: 'Bass',
+    group: 'bass',
+    hotkey: '3'
+});
@@ -1,18 +1,29 @@
 /**
  * DrumVisualizer - Visualizes drum/percussion frequencies
- * Features pulsing circles and impact ripples
+ * Features pulsing circles and impact ripples; the kit mode splits them up:
+ * the kick drives the pulse, the snare the ripples and the hats the bars
  */
 class DrumVisualizer extends BaseVisualizer {
-    constructor() {
+    /**
+     * @param {Object} services - Optional { clock, rng } overrides
+     */
+    constructor(services) {
         super(
             'Drums',
             VisualizerGroups.DRUMS.primaryColor,
-            VisualizerGroups.DRUMS.accentColor
+            VisualizerGroups.DRUMS.accentColor,
+            services
         );
 
+        this.modes = ['pulse', 'kit'];
+        this.mode = 'pulse';
+
         // Drum-specific state
         this.pulseSize = 0;
         this.targetPulseSize = 0;
+
+        // Pulse size at full energy, as a fraction of the panel height
+        this.pulseHeight = 0.4;
         this.ripples = [];
         this.maxRipples = 5;
 
@@ -24,23 +35,47 @@ class DrumVisualizer extends BaseVisualizer {
                 y: 0,
                 size: 0,
                 maxSize: 0,
-                alpha: 0
+                alpha: 0,
+                weight: 2
             });
         }
 
-        // Bar visualization
-        this.bars = [];
+        // Radial bars (pooled), driven by the drum sub-spectrum
         this.barCount = 8;
+        this.maxBarHeight = 40;
+        this._acquireBars(this.barCount);
+
+        // Kit mode: kick and hat envelopes (1 on a hit, decaying), and the
+        // bars' angle, which steps with every hat
+        this.kickLevel = 0;
+        this.hatLevel = 0;
+        this.hatAngle = 0;
+
+        this.parameters = [
+            { key: 'barCount', label: 'Bars', type: 'integer', min: 3, max: 32, step: 1 },
+            { key: 'maxBarHeight', label: 'Bar length', type: 'number', min: 10, max: 120, step: 1, modulatable: true },
+            { key: 'pulseHeight', label: 'Pulse size', type: 'number', min: 0, max: 0.5, step: 0.01, modulatable: true }
+        ];
     }
 
-    onUpdate(energy, peaks, deltaTime) {
-        // Update pulse
-        this.targetPulseSize = energy * (this.height * 0.4);
-        this.pulseSize += (this.targetPulseSize - this.pulseSize) * 0.3;
+    onParameterChange(key) {
+        if (key === 'barCount') {
+            this._acquireBars(this.barCount);
+        }
+    }
 
-        // Trigger ripple on peak
-        if (peaks && peaks.isPeak && energy > 0.5) {
-            this._triggerRipple(energy);
+    onModeChange() {
+        this.kickLevel = 0;
+        this.hatLevel = 0;
+        this.hatAngle = 0;
+    }
+
+    onUpdate(energy, peaks, deltaTime, analysis) {
+        const hits = analysis && analysis.hits;
+        if (this.mode === 'kit' && hits) {
+            this._updateKit(hits);
+        } else {
+            this._updatePulse(energy, peaks, analysis);
         }
 
         // Update ripples
@@ -56,23 +91,91 @@ class DrumVisualizer extends BaseVisualizer {
         }
     }
 
-    _triggerRipple(energy) {
+    /**
+     * Whole drum group: pulse with the energy, ripples on onsets and
+     * accented ripples on the beat
+     * @private
+     */
+    _updatePulse(energy, peaks, analysis) {
+        // Update pulse
+        this.targetPulseSize = energy * (this.height * this.getModulated('pulseHeight'));
+        this.pulseSize += (this.targetPulseSize - this.pulseSize) * 0.3;
+
+        // Ripple on every onset; once tempo is locked, beats ripple too, heavier
+        // (an onset on the beat gives one accented ripple, not two)
+        const beat = analysis && analysis.beat;
+        if (beat && beat.bpm > 0 && beat.isBeat) {
+            this._triggerRipple(Math.max(energy, 0.3) * (beat.isDownbeat ? 1.5 : 1), true);
+        } else if (peaks && peaks.isPeak && energy > 0.5) {
+            this._triggerRipple(energy);
+        }
+
+        // Update bar lengths
+        const barHeight = this.getModulated('maxBarHeight');
+        for (let i = 0; i < this.barCount; i++) {
+            this.bars[i].update(this.getSpectrumLevel(i, this.barCount) * barHeight);
+        }
+    }
+
+    /**
+     * Kit: kick pulse, snare ripples, hat bars
+     * @param {Object} hits - { kick, snare, hat }, each { energy, isOnset }
+     * @private
+     */
+    _updateKit(hits) {
+        const { kick, snare, hat } = hits;
+
+        // Kick: the pulse punches out on each hit and follows the low band between them
+        if (kick.isOnset) {
+            this.kickLevel = 1;
+        }
+        this.kickLevel *= 0.85;
+        this.targetPulseSize = Math.min(1, kick.energy * 0.6 + this.kickLevel * 0.6) * (this.height * this.getModulated('pulseHeight'));
+        this.pulseSize += (this.targetPulseSize - this.pulseSize) * 0.5;
+
+        // Snare: one ripple per hit
+        if (snare.isOnset) {
+            this._triggerRipple(Math.max(snare.energy, 0.3));
+        }
+
+        // Hats: the bars flash and step around the circle on each hit
+        if (hat.isOnset) {
+            this.hatLevel = 1;
+            this.hatAngle = (this.hatAngle + Math.PI / this.barCount) % (Math.PI * 2);
+        }
+        this.hatLevel *= 0.8;
+        const level = Math.max(this.hatLevel, hat.energy * 0.4);
+        const barHeight = this.getModulated('maxBarHeight');
+        for (let i = 0; i < this.barCount; i++) {
+            const variation = 0.6 + 0.4 * this.getSpectrumLevel(i, this.barCount);
+            this.bars[i].update(level * variation * barHeight);
+        }
+    }
+
+    /**
+     * Start a ripple from the pulse
+     * @param {number} energy - Sets how far it spreads
+     * @param {boolean} accent - Brighter and thicker (beats)
+     * @private
+     */
+    _triggerRipple(energy, accent = false) {
         // Find inactive ripple
         for (const ripple of this.ripples) {
             if (!ripple.active) {
                 ripple.active = true;
-                ripple.x = this.x + this.width / 2;
+                ripple.x = this.x + this.width / 2 + this.getPanOffset();
                 ripple.y = this.y + this.height / 2;
                 ripple.size = this.pulseSize;
                 ripple.maxSize = this.pulseSize + energy * 100;
-                ripple.alpha = 200;
+                ripple.alpha = accent ? 255 : 200;
+                ripple.weight = accent ? 4 : 2;
                 break;
             }
         }
     }
 
     drawVisualization(p) {
-        const centerX = this.x + this.width / 2;
+        const centerX = this.x + this.width / 2 + this.getPanOffset();
         const centerY = this.y + this.height / 2;
 
         // Draw ripples
@@ -80,7 +183,7 @@ class DrumVisualizer extends BaseVisualizer {
             if (ripple.active) {
                 p.noFill();
                 p.stroke(this.accentColor.r, this.accentColor.g, this.accentColor.b, ripple.alpha);
-                p.strokeWeight(2);
+                p.strokeWeight(ripple.weight);
                 p.ellipse(ripple.x, ripple.y, ripple.size, ripple.size);
             }
         }
@@ -109,11 +212,11 @@ class DrumVisualizer extends BaseVisualizer {
     _drawFrequencyBars(p, centerX, centerY) {
         const radius = this.pulseSize * 0.6 + 20;
         const barWidth = 8;
-        const maxBarHeight = 40;
+        const rotation = this.mode === 'kit' ? this.hatAngle : 0;
 
         for (let i = 0; i < this.barCount; i++) {
-            const angle = (i / this.barCount) * Math.PI * 2 - Math.PI / 2;
-            const barHeight = this.smoothedEnergy * maxBarHeight * (0.5 + Math.random() * 0.5);
+            const angle = (i / this.barCount) * Math.PI * 2 - Math.PI / 2 + rotation;
+            const barHeight = this.bars[i].height;
 
             const x1 = centerX + Math.cos(angle) * radius;
             const y1 = centerY + Math.sin(angle) * radius;
@@ -126,3 +229,10 @@ class DrumVisualizer extends BaseVisualizer {
         }
     }
 }
+
+visualizerRegistry.register(DrumVisualizer, {
+    id: 'drums',
+    name: 'Drums',
+    group: 'drums',
+    hotkey: '1'
+});
@@ -0,0 +1,103 @@
+/**
+ * HarmonyPalette - Visualizer colors that follow the detected key and chord
+ * Roots are placed on the color wheel in circle-of-fifths order, so closely
+ * related harmonies get neighboring hues. The key sets each group's primary
+ * hue and the chord its accent; minor keys share their relative major's hue
+ * with softer colors. Hues ease toward new targets, so the palette drifts
+ * with the harmony instead of jumping.
+ */
+
+// Per-group hue offsets (degrees) and shading
+const PaletteRoles = {
+    drums: { primaryOffset: 0, accentOffset: 0, saturation: 0.75, value: 1 },
+    vocals: { primaryOffset: 120, accentOffset: 30, saturation: 0.6, value: 1 },
+    bass: { primaryOffset: -30, accentOffset: -60, saturation: 0.85, value: 0.8 },
+    highs: { primaryOffset: 210, accentOffset: 180, saturation: 0.45, value: 1 }
+};
+
+class HarmonyPalette {
+    constructor() {
+        this.enabled = false;
+
+        // Time for colors to get most of the way to a new harmony, in ms
+        this.transitionTime = 1500;
+
+        // Eased state
+        this.keyHue = 0;
+        this.chordHue = 0;
+        this.minorAmount = 0;
+
+        this.colors = {};
+        for (const group of Object.keys(PaletteRoles)) {
+            this.colors[group] = { primary: { r: 0, g: 0, b: 0 }, accent: { r: 0, g: 0, b: 0 } };
+        }
+        this._updateColors();
+    }
+
+    /**
+     * Hue of a root, by its position on the circle of fifths
+     * @param {number} root - Pitch class (0 = C)
+     * @returns {number} Hue in degrees
+     */
+    static hueOf(root) {
+        return ((root * 7) % 12) * 30;
+    }
+
+    /**
+     * Return to the starting hues
+     */
+    reset() {
+        this.keyHue = 0;
+        this.chordHue = 0;
+        this.minorAmount = 0;
+        this._updateColors();
+    }
+
+    /**
+     * Ease the palette toward the current harmony
+     * @param {Object} harmony - Analyzer harmony { key, chord }
+     * @param {number} deltaTime - Time since the last frame in ms
+     */
+    update(harmony, deltaTime) {
+        const amount = 1 - Math.exp(-3 * deltaTime / this.transitionTime);
+        const { key, chord } = harmony;
+
+        if (key.root >= 0) {
+            const minor = key.mode === 'minor';
+            const root = minor ? (key.root + 3) % 12 : key.root;
+            this.keyHue = approachHue(this.keyHue, HarmonyPalette.hueOf(root), amount);
+            this.minorAmount += ((minor ? 1 : 0) - this.minorAmount) * amount;
+        }
+        if (chord.root >= 0) {
+            this.chordHue = approachHue(this.chordHue, HarmonyPalette.hueOf(chord.root), amount);
+        }
+
+        this._updateColors();
+    }
+
+    /**
+     * Colors for a visualizer group
+     * @param {string} group - Group key (drums, vocals, bass, highs)
+     * @returns {Object} { primary, accent }, updated in place every frame
+     */
+    getColors(group) {
+        return this.colors[group] || this.colors.drums;
+    }
+
+    /**
+     * @private
+     */
+    _updateColors() {
+        // Minor keys are a little less saturated and darker
+        const saturationScale = 1 - 0.2 * this.minorAmount;
+        const valueScale = 1 - 0.15 * this.minorAmount;
+
+        for (const [group, role] of Object.entries(PaletteRoles)) {
+            const colors = this.colors[group];
+            const saturation = role.saturation * saturationScale;
+            const value = role.value * valueScale;
+            hsvToRgb(this.keyHue + role.primaryOffset, saturation, value, colors.primary);
+            hsvToRgb(this.chordHue + role.accentOffset, saturation * 0.7, value, colors.accent);
+        }
+    }
+}
@@ -3,70 +3,88 @@
  * Features shimmering particles and star-like effects
  */
 class HighsVisualizer extends BaseVisualizer {
-    constructor() {
+    /**
+     * @param {Object} services - Optional { clock, rng } overrides
+     */
+    constructor(services) {
         super(
             'Highs',
             VisualizerGroups.HIGHS.primaryColor,
-            VisualizerGroups.HIGHS.accentColor
+            VisualizerGroups.HIGHS.accentColor,
+            services
         );
 
         // Increase particle limit for sparkle effect
         this.maxParticles = 100;
 
-        // Stars/sparkle points
-        this.starCount = 20;
+        // Stars/sparkle points; quality tiers use the first starCount
+        this.maxStars = 20;
+        this.starCount = this.maxStars;
         this.stars = [];
-        for (let i = 0; i < this.starCount; i++) {
-            this.stars.push({
-                x: 0,
-                y: 0,
-                size: 0,
-                targetSize: 0,
-                alpha: 0,
-                targetAlpha: 0,
-                twinklePhase: Math.random() * Math.PI * 2,
-                twinkleSpeed: 0.05 + Math.random() * 0.1
-            });
-        }
+        this._createStars();
 
-        // Line connections
+        // Line connections (showConnections also depends on the quality tier)
         this.connectionDistance = 80;
-
-        // Shimmer wave
+        this.connectionsEnabled = true;
+        this.showConnections = true;
+
+        this.parameters = [
+            { key: 'maxStars', label: 'Stars', type: 'integer', min: 4, max: 80, step: 1 },
+            { key: 'connectionsEnabled', label: 'Connections', type: 'boolean' },
+            { key: 'connectionDistance', label: 'Connection distance', type: 'number', min: 20, max: 200, step: 1, modulatable: true },
+            { key: 'shimmerSpeed', label: 'Shimmer speed', type: 'number', min: 0, max: 0.2, step: 0.005, modulatable: true },
+            { key: 'shimmerEnergySpeed', label: 'Shimmer speed from energy', type: 'number', min: 0, max: 0.3, step: 0.005, modulatable: true },
+            { key: 'starSize', label: 'Star size', type: 'number', min: 0, max: 40, step: 0.5, modulatable: true }
+        ];
+
+        // Shimmer wave: phase step per frame, plus energy * shimmerEnergySpeed
         this.shimmerPhase = 0;
+        this.shimmerSpeed = 0.03;
+        this.shimmerEnergySpeed = 0.05;
+
+        // Star size added at full energy
+        this.starSize = 15;
     }
 
     setBounds(x, y, width, height) {
-        super.setBounds(x, y, width, height);
-
-        // Redistribute stars when bounds change
-        for (let i = 0; i < this.starCount; i++) {
-            this.stars[i].x = x + Math.random() * width;
-            this.stars[i].y = y + Math.random() * height;
+        // Stars keep their relative position when bounds change, so they
+        // follow the panel smoothly through layout transitions
+        const scaleX = width / this.width;
+        const scaleY = height / this.height;
+        for (const star of this.stars) {
+            star.x = x + (star.x - this.x) * scaleX;
+            star.y = y + (star.y - this.y) * scaleY;
         }
+
+        super.setBounds(x, y, width, height);
     }
 
     onUpdate(energy, peaks, deltaTime) {
         // Update shimmer
-        this.shimmerPhase += 0.03 + energy * 0.05;
+        this.shimmerPhase += this.getModulated('shimmerSpeed') + energy * this.getModulated('shimmerEnergySpeed');
+        const starSize = this.getModulated('starSize');
 
         // Update stars
-        for (const star of this.stars) {
+        for (let i = 0; i < this.starCount; i++) {
+            const star = this.stars[i];
             // Twinkle effect
             star.twinklePhase += star.twinkleSpeed;
             const twinkle = (Math.sin(star.twinklePhase) + 1) * 0.5;
 
+            // Stars on the side the highs are panned to shine brighter
+            const side = this._getSideWeight(star.x);
+
             // Size based on energy and twinkle
-            star.targetSize = (3 + energy * 15) * twinkle;
+            star.targetSize = (3 + energy * starSize) * twinkle * (0.5 + 0.5 * side);
             star.size += (star.targetSize - star.size) * 0.2;
 
             // Alpha based on energy
-            star.targetAlpha = 50 + energy * 200 * twinkle;
+            star.targetAlpha = (50 + energy * 200 * twinkle) * side;
             star.alpha += (star.targetAlpha - star.alpha) * 0.3;
 
             // Slight drift
-            star.x += (Math.random() - 0.5) * energy * 2;
-            star.y += (Math.random() - 0.5) * energy * 2;
+            star.x += (this.rng.random() - 0.5) * energy * 2;
+            star.y += (this.rng.random() - 0.5) * energy * 2;
 
             // Wrap around bounds
             if (star.x < this.x) star.x = this.x + this.width;
@@ -86,20 +104,22 @@ class HighsVisualizer extends BaseVisualizer {
         for (let i = 0; i < count && this.activeParticles.length < this.maxParticles; i++) {
             const particle = particlePool.acquire();
 
-            // Random position within bounds
-            const x = this.x + Math.random() * this.width;
-            const y = this.y + Math.random() * this.height;
+            // Random position within bounds, pulled toward the pan side
+            let u = this.rng.random();
+            u += ((this.pan > 0 ? 1 : 0) - u) * Math.abs(this.pan) * 0.7;
+            const x = this.x + u * this.width;
+            const y = this.y + this.rng.random() * this.height;
 
             // Random velocity
-            const angle = Math.random() * Math.PI * 2;
-            const speed = 0.5 + Math.random() * 2;
+            const angle = this.rng.random() * Math.PI * 2;
+            const speed = 0.5 + this.rng.random() * 2;
 
             particle.init(
                 x, y,
                 Math.cos(angle) * speed,
                 Math.sin(angle) * speed,
-                0.5 + Math.random() * 0.5,
-                2 + Math.random() * 4,
+                0.5 + this.rng.random() * 0.5,
+                2 + this.rng.random() * 4,
                 { r: 255, g: 255, b: 255, a: 255 }
             );
 
@@ -107,9 +127,59 @@ class HighsVisualizer extends BaseVisualizer {
         }
     }
 
+    /**
+     * Brightness weight of a point by the group's pan (1 everywhere when centered)
+     * @private
+     * @param {number} x - Horizontal position
+     * @returns {number} 0 on the far side of a hard pan, up to 2 on the near side
+     */
+    _getSideWeight(x) {
+        const position = ((x - this.x) / this.width) * 2 - 1;
+        return Math.max(0, 1 + this.pan * position);
+    }
+
+    onQualityChange(tier) {
+        this.starCount = Math.max(4, Math.round(this.maxStars * tier.detail));
+        this.showConnections = this.connectionsEnabled && tier.connections;
+    }
+
+    onParameterChange(key) {
+        if (key === 'maxStars' || key === 'connectionsEnabled') {
+            this._createStars();
+            if (this.quality) {
+                this.onQualityChange(this.quality);
+            } else {
+                this.starCount = this.maxStars;
+                this.showConnections = this.connectionsEnabled;
+            }
+        }
+    }
+
+    /**
+     * Add stars up to maxStars; existing stars keep their state
+     * @private
+     */
+    _createStars() {
+        for (let i = this.stars.length; i < this.maxStars; i++) {
+            // Spread over the current bounds; setBounds() scales them
+            this.stars.push({
+                x: this.x + this.rng.random() * this.width,
+                y: this.y + this.rng.random() * this.height,
+                size: 0,
+                targetSize: 0,
+                alpha: 0,
+                targetAlpha: 0,
+                twinklePhase: this.rng.random() * Math.PI * 2,
+                twinkleSpeed: 0.05 + this.rng.random() * 0.1
+            });
+        }
+    }
+
     drawVisualization(p) {
-        // Draw connections between nearby stars
-        this._drawConnections(p);
+        // Draw connections between nearby stars (O(n²), dropped at low quality)
+        if (this.showConnections) {
+            this._drawConnections(p);
+        }
 
         // Draw stars
         this._drawStars(p);
@@ -119,10 +189,11 @@ class HighsVisualizer extends BaseVisualizer {
     }
 
     _drawConnections(p) {
+        const distance = this.getModulated('connectionDistance');
         p.strokeWeight(1);
 
-        for (let i = 0; i < this.stars.length; i++) {
-            for (let j = i + 1; j < this.stars.length; j++) {
+        for (let i = 0; i < this.starCount; i++) {
+            for (let j = i + 1; j < this.starCount; j++) {
                 const star1 = this.stars[i];
                 const star2 = this.stars[j];
 
@@ -130,8 +201,8 @@ class HighsVisualizer extends BaseVisualizer {
                 const dy = star2.y - star1.y;
                 const dist = Math.sqrt(dx * dx + dy * dy);
 
-                if (dist < this.connectionDistance) {
-                    const alpha = (1 - dist / this.connectionDistance) * this.smoothedEnergy * 100;
+                if (dist < distance) {
+                    const alpha = (1 - dist / distance) * this.smoothedEnergy * 100;
                     p.stroke(this.accentColor.r, this.accentColor.g, this.accentColor.b, alpha);
                     p.line(star1.x, star1.y, star2.x, star2.y);
                 }
@@ -142,7 +213,8 @@ class HighsVisualizer extends BaseVisualizer {
     _drawStars(p) {
         p.noStroke();
 
-        for (const star of this.stars) {
+        for (let i = 0; i < this.starCount; i++) {
+            const star = this.stars[i];
             if (star.alpha < 5) continue;
 
             // Outer glow
@@ -199,3 +271,10 @@ class HighsVisualizer extends BaseVisualizer {
         }
     }
 }
+
+visualizerRegistry.register(HighsVisualizer, {
+    id: 'highs',
+    name: 'Highs',
+    group: 'highs',
+    hotkey: '4'
+});
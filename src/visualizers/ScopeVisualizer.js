@@ -0,0 +1,196 @@
+/**
+ * ScopeVisualizer - Oscilloscope of the input waveform
+ * Each frame starts at a rising zero crossing, picking the crossing whose
+ * trace best matches the previous one so periodic sounds stand still;
+ * the last few traces fade out behind the current one
+ */
+class ScopeVisualizer extends BaseVisualizer {
+    /**
+     * @param {Object} services - Optional { clock, rng } overrides
+     */
+    constructor(services) {
+        super(
+            'Scope',
+            VisualizerGroups.BASS.primaryColor,
+            VisualizerGroups.BASS.accentColor,
+            services
+        );
+
+        this.enabled = false;
+
+        // Samples shown across the panel (at most half the waveform, so
+        // there is room to look for a trigger) and points drawn for them
+        this.windowSize = 512;
+        this.pointCount = 256;
+
+        // Trigger: rising crossing of this level, re-armed below level - hysteresis
+        this.triggerLevel = 0;
+        this.hysteresis = 0.01;
+
+        this.gain = 2;
+
+        // Traces (newest at traceIndex), kept in a ring for the afterglow
+        this.trailLength = 4;
+        this.traces = [];
+        this.traceIndex = 0;
+        this.traceCount = 0;
+
+        this.parameters = [
+            { key: 'windowSize', label: 'Time window (samples)', type: 'select', options: [128, 256, 512, 1024] },
+            { key: 'gain', label: 'Gain', type: 'number', min: 0.5, max: 8, step: 0.1, modulatable: true },
+            { key: 'triggerLevel', label: 'Trigger level', type: 'number', min: -0.5, max: 0.5, step: 0.01 },
+            { key: 'trailLength', label: 'Afterglow (traces)', type: 'integer', min: 1, max: 8, step: 1 }
+        ];
+
+        this._acquireTraces();
+    }
+
+    onParameterChange(key) {
+        if (key === 'trailLength') {
+            this._acquireTraces();
+        }
+    }
+
+    onUpdate(energy, peaks, deltaTime, analysis) {
+        const waveform = analysis && analysis.signal ? analysis.signal.waveform : null;
+        if (!waveform || waveform.length < 2) return;
+
+        const windowSize = Math.min(this.windowSize, Math.floor(waveform.length / 2));
+        const previous = this.traceCount > 0 ? this.traces[this.traceIndex] : null;
+        const start = this._findTrigger(waveform, windowSize, previous);
+
+        this.traceIndex = (this.traceIndex + 1) % this.trailLength;
+        this.traceCount = Math.min(this.traceCount + 1, this.trailLength);
+        this._sample(waveform, start, windowSize, this.traces[this.traceIndex]);
+    }
+
+    drawVisualization(p) {
+        const padding = 20;
+        const left = this.x + padding;
+        const width = this.width - padding * 2;
+        const centerY = this.y + this.height / 2;
+        const halfHeight = Math.max(1, this.height / 2 - padding);
+        const gain = this.getModulated('gain');
+
+        // Center line and trigger level
+        p.strokeWeight(1);
+        p.stroke(this.color.r, this.color.g, this.color.b, 40);
+        p.line(left, centerY, left + width, centerY);
+        const triggerY = centerY - Math.max(-1, Math.min(1, this.triggerLevel * gain)) * halfHeight;
+        p.stroke(this.accentColor.r, this.accentColor.g, this.accentColor.b, 60);
+        p.line(left, triggerY, left + 8, triggerY);
+
+        // Oldest trace first, fading in toward the newest
+        p.noFill();
+        for (let age = this.traceCount - 1; age >= 0; age--) {
+            const trace = this.traces[(this.traceIndex - age + this.trailLength) % this.trailLength];
+            const fade = 1 - age / this.trailLength;
+            const color = age === 0 ? this.accentColor : this.color;
+
+            p.stroke(color.r, color.g, color.b, (age === 0 ? 160 + this.smoothedEnergy * 95 : 90) * fade);
+            p.strokeWeight(age === 0 ? 2 : 1);
+            p.beginShape();
+            for (let i = 0; i < this.pointCount; i++) {
+                const value = Math.max(-1, Math.min(1, trace[i] * gain));
+                p.vertex(left + (i / (this.pointCount - 1)) * width, centerY - value * halfHeight);
+            }
+            p.endShape();
+        }
+    }
+
+    dispose() {
+        super.dispose();
+        this._releaseTraces(this.traces.length);
+    }
+
+    /**
+     * Reserve one pre-allocated array per trace in the afterglow
+     * @private
+     */
+    _acquireTraces() {
+        const previous = this.traces.length;
+        this.traces = [];
+        for (let i = 0; i < this.trailLength; i++) {
+            const trace = memoryManager.getTempFloat32Array(this.pointCount, `${this.name}.${i}`);
+            trace.fill(0);
+            this.traces.push(trace);
+        }
+        if (previous > this.trailLength) {
+            this._releaseTraces(previous, this.trailLength);
+        }
+
+        this.traceIndex = 0;
+        this.traceCount = 0;
+    }
+
+    /**
+     * @private
+     */
+    _releaseTraces(count, from = 0) {
+        for (let i = from; i < count; i++) {
+            memoryManager.releaseTempFloat32Array(this.pointCount, `${this.name}.${i}`);
+        }
+    }
+
+    /**
+     * Start of the window: the rising crossing whose trace is closest to the
+     * previous one (the first crossing if there is none), or 0 without a crossing
+     * @private
+     */
+    _findTrigger(waveform, windowSize, previous) {
+        const last = waveform.length - windowSize;
+        const level = this.triggerLevel;
+        let armed = false;
+        let best = -1;
+        let bestError = Infinity;
+
+        for (let i = 1; i <= last; i++) {
+            if (waveform[i] < level - this.hysteresis) {
+                armed = true;
+            } else if (armed && waveform[i - 1] < level && waveform[i] >= level) {
+                armed = false;
+                if (!previous) return i;
+
+                const error = this._compare(waveform, i, windowSize, previous);
+                if (error < bestError) {
+                    bestError = error;
+                    best = i;
+                }
+            }
+        }
+
+        return best >= 0 ? best : 0;
+    }
+
+    /**
+     * Squared difference between a window and a trace, on a subset of points
+     * @private
+     */
+    _compare(waveform, start, windowSize, trace) {
+        const step = 8;
+        let error = 0;
+        for (let i = 0; i < this.pointCount; i += step) {
+            const diff = waveform[start + Math.floor((i / this.pointCount) * windowSize)] - trace[i];
+            error += diff * diff;
+        }
+        return error;
+    }
+
+    /**
+     * Resample a window of the waveform into a trace
+     * @private
+     */
+    _sample(waveform, start, windowSize, trace) {
+        for (let i = 0; i < this.pointCount; i++) {
+            trace[i] = waveform[start + Math.floor((i / this.pointCount) * windowSize)];
+        }
+    }
+}
+
+visualizerRegistry.register(ScopeVisualizer, {
+    id: 'scope',
+    name: 'Scope',
+    // Shows the whole waveform; the group only sets its colors and energy
+    group: 'bass',
+    hotkey: '7'
+});
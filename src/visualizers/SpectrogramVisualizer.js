@@ -0,0 +1,303 @@
+/**
+ * SpectrogramVisualizer - Scrolling spectrogram (waterfall) of the full spectrum
+ * Time runs right to left, frequency bottom to top on a log axis; the
+ * FrequencyBands ranges are overlaid along the right edge
+ */
+
+// Color maps: stops of [position (0-1), r, g, b]
+const SpectrogramColorMaps = {
+    heat: [[0, 0, 0, 0], [0.3, 120, 0, 80], [0.6, 255, 60, 0], [0.85, 255, 200, 0], [1, 255, 255, 220]],
+    ice: [[0, 0, 0, 0], [0.35, 0, 40, 120], [0.7, 0, 180, 255], [1, 230, 255, 255]],
+    aurora: [[0, 0, 0, 0], [0.3, 60, 0, 120], [0.6, 0, 160, 140], [0.85, 120, 255, 80], [1, 255, 255, 160]],
+    gray: [[0, 0, 0, 0], [1, 255, 255, 255]]
+};
+
+class SpectrogramVisualizer extends BaseVisualizer {
+    /**
+     * @param {Object} services - Optional { clock, rng } overrides
+     */
+    constructor(services) {
+        super(
+            'Spectrogram',
+            VisualizerGroups.HIGHS.primaryColor,
+            VisualizerGroups.HIGHS.accentColor,
+            services
+        );
+
+        this.enabled = false;
+
+        // Frequency axis (log), resampled to this many rows
+        this.minFrequency = 20;
+        this.maxFrequency = 20000;
+        this.rowCount = 128;
+
+        // History: one column per frame, kept in a ring so nothing moves in memory
+        this.historyLength = 180;
+        this.columns = [];
+        this.writeIndex = 0;
+
+        // FFT bin edges of each row, rebuilt when the spectrum changes size
+        this.rowEdges = new Float32Array(this.rowCount + 1);
+        this.binFrequency = 0;
+        this.binCount = 0;
+
+        this.colorMap = 'heat';
+        this.colorTable = new Uint8Array(256 * 3);
+        this.showBands = true;
+
+        // Image the columns are painted into; created on the first draw
+        this.image = null;
+        this.paintedIndex = 0;
+        this.needsRepaint = true;
+
+        this.parameters = [
+            { key: 'historyLength', label: 'History (frames)', type: 'integer', min: 30, max: 600, step: 10 },
+            { key: 'colorMap', label: 'Colors', type: 'select', options: Object.keys(SpectrogramColorMaps) },
+            { key: 'showBands', label: 'Band markers', type: 'boolean' }
+        ];
+
+        this._acquireColumns();
+        this._buildColorTable();
+    }
+
+    onParameterChange(key) {
+        if (key === 'historyLength') {
+            this._acquireColumns();
+        } else if (key === 'colorMap') {
+            this._buildColorTable();
+            this.needsRepaint = true;
+        }
+    }
+
+    onUpdate(energy, peaks, deltaTime, analysis) {
+        const signal = analysis && analysis.signal;
+        const column = this.columns[this.writeIndex];
+
+        if (signal && signal.spectrum && signal.binFrequency > 0) {
+            if (signal.binFrequency !== this.binFrequency || signal.spectrum.length !== this.binCount) {
+                this._calculateRowEdges(signal.binFrequency, signal.spectrum.length);
+            }
+            this._resample(signal.spectrum, column);
+        } else {
+            column.fill(0);
+        }
+
+        this.writeIndex = (this.writeIndex + 1) % this.historyLength;
+    }
+
+    drawVisualization(p) {
+        const padding = 20;
+        const plotX = this.x + padding;
+        const plotY = this.y + padding;
+        const plotWidth = Math.max(1, this.width - padding * 2);
+        const plotHeight = Math.max(1, this.height - padding * 2);
+
+        this._paint(p);
+
+        // Oldest column at the left: the ring from writeIndex, then from 0
+        const older = this.historyLength - this.writeIndex;
+        const olderWidth = (older / this.historyLength) * plotWidth;
+        p.image(this.image, plotX, plotY, olderWidth, plotHeight, this.writeIndex, 0, older, this.rowCount);
+        if (this.writeIndex > 0) {
+            p.image(this.image, plotX + olderWidth, plotY, plotWidth - olderWidth, plotHeight, 0, 0, this.writeIndex, this.rowCount);
+        }
+
+        this._drawFrequencyAxis(p, plotX, plotY, plotWidth, plotHeight);
+        if (this.showBands) {
+            const lanesWidth = Math.min(40, plotWidth * 0.2);
+            this._drawBandLanes(p, plotX + plotWidth - lanesWidth, plotY, lanesWidth, plotHeight);
+        }
+    }
+
+    dispose() {
+        super.dispose();
+        this._releaseColumns(this.columns.length);
+        this.image = null;
+    }
+
+    /**
+     * Reserve one pre-allocated row array per history column
+     * @private
+     */
+    _acquireColumns() {
+        const previous = this.columns.length;
+        this.columns = [];
+        for (let i = 0; i < this.historyLength; i++) {
+            const column = memoryManager.getTempFloat32Array(this.rowCount, `${this.name}.${i}`);
+            column.fill(0);
+            this.columns.push(column);
+        }
+        if (previous > this.historyLength) {
+            this._releaseColumns(previous, this.historyLength);
+        }
+
+        this.writeIndex = 0;
+        this.paintedIndex = 0;
+        this.image = null;
+        this.needsRepaint = true;
+    }
+
+    /**
+     * @private
+     */
+    _releaseColumns(count, from = 0) {
+        for (let i = from; i < count; i++) {
+            memoryManager.releaseTempFloat32Array(this.rowCount, `${this.name}.${i}`);
+        }
+    }
+
+    /**
+     * Fractional FFT bin edges for each log-spaced row
+     * @private
+     */
+    _calculateRowEdges(binFrequency, binCount) {
+        this.binFrequency = binFrequency;
+        this.binCount = binCount;
+
+        const maxFrequency = Math.min(this.maxFrequency, binFrequency * binCount);
+        const ratio = maxFrequency / this.minFrequency;
+        for (let i = 0; i <= this.rowCount; i++) {
+            const frequency = this.minFrequency * Math.pow(ratio, i / this.rowCount);
+            this.rowEdges[i] = frequency / binFrequency;
+        }
+    }
+
+    /**
+     * Resample the spectrum onto the log rows (0-1), low frequencies first
+     * Rows narrower than a bin interpolate, wider rows take their loudest bin
+     * @private
+     */
+    _resample(spectrum, column) {
+        const last = spectrum.length - 1;
+        for (let i = 0; i < this.rowCount; i++) {
+            const start = this.rowEdges[i];
+            const end = this.rowEdges[i + 1];
+            let value;
+
+            if (end - start < 1) {
+                const center = Math.min(last, (start + end) / 2);
+                const index = Math.floor(center);
+                const fraction = center - index;
+                value = spectrum[index] * (1 - fraction) + spectrum[Math.min(last, index + 1)] * fraction;
+            } else {
+                value = 0;
+                const stop = Math.min(last, Math.ceil(end));
+                for (let k = Math.floor(start); k <= stop; k++) {
+                    if (spectrum[k] > value) value = spectrum[k];
+                }
+            }
+
+            column[i] = value / 255;
+        }
+    }
+
+    /**
+     * 256-entry lookup table from the color map stops
+     * @private
+     */
+    _buildColorTable() {
+        const stops = SpectrogramColorMaps[this.colorMap] || SpectrogramColorMaps.heat;
+        for (let i = 0; i < 256; i++) {
+            const t = i / 255;
+            let s = 1;
+            while (s < stops.length - 1 && stops[s][0] < t) s++;
+            const [t0, r0, g0, b0] = stops[s - 1];
+            const [t1, r1, g1, b1] = stops[s];
+            const f = t1 > t0 ? Math.max(0, Math.min(1, (t - t0) / (t1 - t0))) : 0;
+            this.colorTable[i * 3] = r0 + (r1 - r0) * f;
+            this.colorTable[i * 3 + 1] = g0 + (g1 - g0) * f;
+            this.colorTable[i * 3 + 2] = b0 + (b1 - b0) * f;
+        }
+    }
+
+    /**
+     * Paint columns written since the last draw (all of them after a
+     * color map or history change) into the image
+     * @private
+     */
+    _paint(p) {
+        if (!this.image) {
+            this.image = p.createImage(this.historyLength, this.rowCount);
+            this.needsRepaint = true;
+        }
+
+        let count = (this.writeIndex - this.paintedIndex + this.historyLength) % this.historyLength;
+        let index = this.paintedIndex;
+        if (this.needsRepaint) {
+            count = this.historyLength;
+            index = this.writeIndex;
+            this.needsRepaint = false;
+        }
+        if (count === 0) return;
+
+        const image = this.image;
+        const width = this.historyLength;
+        image.loadPixels();
+        for (let n = 0; n < count; n++) {
+            const column = this.columns[index];
+            for (let row = 0; row < this.rowCount; row++) {
+                // Highest frequency in the top row
+                const offset = ((this.rowCount - 1 - row) * width + index) * 4;
+                const level = Math.round(Math.max(0, Math.min(1, column[row])) * 255) * 3;
+                image.pixels[offset] = this.colorTable[level];
+                image.pixels[offset + 1] = this.colorTable[level + 1];
+                image.pixels[offset + 2] = this.colorTable[level + 2];
+                image.pixels[offset + 3] = 255;
+            }
+            index = (index + 1) % width;
+        }
+        image.updatePixels();
+        this.paintedIndex = this.writeIndex;
+    }
+
+    /**
+     * Y position of a frequency on the plot
+     * @private
+     */
+    _frequencyToY(frequency, plotY, plotHeight) {
+        const maxFrequency = this.binCount > 0
+            ? Math.min(this.maxFrequency, this.binFrequency * this.binCount)
+            : this.maxFrequency;
+        const t = Math.log(frequency / this.minFrequency) / Math.log(maxFrequency / this.minFrequency);
+        return plotY + plotHeight * (1 - Math.max(0, Math.min(1, t)));
+    }
+
+    _drawFrequencyAxis(p, x, y, width, height) {
+        if (!this.labelsVisible) return;
+
+        const label = this.themeManager.current.label;
+        p.textSize(10);
+        p.textAlign(p.LEFT, p.CENTER);
+        for (const frequency of [100, 1000, 10000]) {
+            const lineY = this._frequencyToY(frequency, y, height);
+            p.stroke(label.color.r, label.color.g, label.color.b, 40);
+            p.strokeWeight(1);
+            p.line(x, lineY, x + width, lineY);
+            p.noStroke();
+            p.fill(label.color.r, label.color.g, label.color.b, label.color.a);
+            p.text(frequency >= 1000 ? `${frequency / 1000}k` : `${frequency}`, x + 4, lineY - 6);
+        }
+    }
+
+    _drawBandLanes(p, x, y, width, height) {
+        const names = Object.keys(FrequencyBands);
+        const laneWidth = width / names.length;
+
+        p.noStroke();
+        names.forEach((name, i) => {
+            const band = FrequencyBands[name];
+            const top = this._frequencyToY(band.max, y, height);
+            const bottom = this._frequencyToY(band.min, y, height);
+            p.fill(band.color.r, band.color.g, band.color.b, 140);
+            p.rect(x + i * laneWidth, top, Math.max(1, laneWidth - 1), Math.max(1, bottom - top));
+        });
+    }
+}
+
+visualizerRegistry.register(SpectrogramVisualizer, {
+    id: 'spectrogram',
+    name: 'Spectrogram',
+    // Shows the full spectrum; the group only sets its colors and energy
+    group: 'highs',
+    hotkey: '6'
+});
@@ -0,0 +1,195 @@
+/**
+ * StereoVisualizer - Shows the stereo field of the input
+ * A goniometer (or Lissajous) trace of the left/right samples next to pan and
+ * width meters for each group, with the channel correlation underneath.
+ * Needs the analyzer's stereo analysis; hidden by default
+ */
+
+// Order of the pan meters, top to bottom
+const StereoMeterGroups = ['drums', 'vocals', 'bass', 'highs'];
+
+class StereoVisualizer extends BaseVisualizer {
+    /**
+     * @param {Object} services - Optional { clock, rng } overrides
+     */
+    constructor(services) {
+        super(
+            'Stereo',
+            VisualizerGroups.VOCALS.primaryColor,
+            VisualizerGroups.VOCALS.accentColor,
+            services
+        );
+
+        this.enabled = false;
+
+        // goniometer: mid up, side across (a mono signal is a vertical line);
+        // lissajous: left across, right up (a mono signal is a diagonal)
+        this.modes = ['goniometer', 'lissajous'];
+        this.mode = 'goniometer';
+
+        // Trace zoom; quiet inputs need more
+        this.scopeGain = 2;
+
+        // Latest stereo field from the analysis
+        this.stereo = null;
+
+        this.parameters = [
+            { key: 'scopeGain', label: 'Scope zoom', type: 'number', min: 0.5, max: 8, step: 0.1, modulatable: true }
+        ];
+    }
+
+    onUpdate(energy, peaks, deltaTime, analysis) {
+        this.stereo = analysis ? analysis.stereo : null;
+    }
+
+    drawVisualization(p) {
+        const stereo = this.stereo;
+        const padding = 20;
+
+        // Scope on the left (square), meters on the right
+        const scopeSize = Math.max(10, Math.min(this.height - padding * 2, this.width * 0.5 - padding * 1.5));
+        const scopeX = this.x + padding;
+        const scopeY = this.y + (this.height - scopeSize) / 2;
+        const metersX = scopeX + scopeSize + padding;
+        const metersWidth = this.x + this.width - padding - metersX;
+
+        this._drawScope(p, stereo, scopeX, scopeY, scopeSize);
+        if (metersWidth > 20) {
+            this._drawMeters(p, stereo, metersX, scopeY, metersWidth, scopeSize);
+        }
+
+        if (!stereo || !stereo.enabled) {
+            this._drawOffNotice(p);
+        }
+    }
+
+    _drawScope(p, stereo, x, y, size) {
+        const centerX = x + size / 2;
+        const centerY = y + size / 2;
+        const half = size / 2;
+
+        // Guides: the mono axis and the channel axes
+        p.noFill();
+        p.strokeWeight(1);
+        p.stroke(this.color.r, this.color.g, this.color.b, 40);
+        p.rect(x, y, size, size);
+        if (this.mode === 'goniometer') {
+            p.line(centerX, y, centerX, y + size);
+            p.line(x, y, x + size, y + size);
+            p.line(x + size, y, x, y + size);
+        } else {
+            p.line(x, y + size, x + size, y);
+            p.line(centerX, y, centerX, y + size);
+            p.line(x, centerY, x + size, centerY);
+        }
+
+        if (!stereo || !stereo.enabled) return;
+
+        const left = stereo.left;
+        const right = stereo.right;
+        const gain = this.getModulated('scopeGain') * half;
+
+        p.stroke(this.accentColor.r, this.accentColor.g, this.accentColor.b, 120 + this.smoothedEnergy * 135);
+        p.strokeWeight(1.5);
+        p.beginShape();
+        for (let i = 0; i < left.length; i++) {
+            let px;
+            let py;
+            if (this.mode === 'goniometer') {
+                px = (right[i] - left[i]) * Math.SQRT1_2;
+                py = (left[i] + right[i]) * Math.SQRT1_2;
+            } else {
+                px = left[i];
+                py = right[i];
+            }
+            p.vertex(
+                centerX + Math.max(-half, Math.min(half, px * gain)),
+                centerY - Math.max(-half, Math.min(half, py * gain))
+            );
+        }
+        p.endShape();
+    }
+
+    _drawMeters(p, stereo, x, y, width, height) {
+        // One row per group, plus the correlation meter
+        const rows = StereoMeterGroups.length + 1;
+        const rowHeight = height / rows;
+        const trackHeight = Math.min(14, rowHeight * 0.4);
+        const centerX = x + width / 2;
+
+        p.textSize(10);
+        p.textAlign(p.LEFT, p.BOTTOM);
+
+        StereoMeterGroups.forEach((group, i) => {
+            const band = stereo && stereo.enabled ? stereo.bands[group] : null;
+            const colors = this.themeManager.getGroupColors(group);
+            const color = colors ? colors.primary : VisualizerGroups[group.toUpperCase()].primaryColor;
+            const trackY = y + i * rowHeight + (rowHeight - trackHeight) / 2 + 6;
+
+            this._drawTrack(p, x, trackY, width, trackHeight, color, group);
+            if (!band) return;
+
+            // Marker at the pan position, as wide as the group's image
+            const markerX = centerX + band.pan * width / 2;
+            const markerWidth = Math.max(3, band.width * width);
+            p.noStroke();
+            p.fill(color.r, color.g, color.b, 200);
+            p.rect(
+                Math.max(x, markerX - markerWidth / 2),
+                trackY,
+                Math.min(x + width, markerX + markerWidth / 2) - Math.max(x, markerX - markerWidth / 2),
+                trackHeight,
+                2
+            );
+            p.fill(255, 255, 255, 200);
+            p.rect(markerX - 1, trackY, 2, trackHeight);
+        });
+
+        // Correlation: +1 mono (right), 0 wide, -1 out of phase (left)
+        const trackY = y + StereoMeterGroups.length * rowHeight + (rowHeight - trackHeight) / 2 + 6;
+        this._drawTrack(p, x, trackY, width, trackHeight, this.accentColor, 'correlation');
+        if (stereo && stereo.enabled) {
+            const correlation = stereo.correlation;
+            const fill = correlation < 0 ? { r: 255, g: 80, b: 80 } : this.accentColor;
+            p.noStroke();
+            p.fill(fill.r, fill.g, fill.b, 200);
+            const end = centerX + correlation * width / 2;
+            p.rect(Math.min(centerX, end), trackY, Math.abs(end - centerX), trackHeight, 2);
+        }
+    }
+
+    _drawTrack(p, x, y, width, height, color, label) {
+        p.noStroke();
+        p.fill(color.r, color.g, color.b, 30);
+        p.rect(x, y, width, height, 2);
+
+        p.stroke(color.r, color.g, color.b, 80);
+        p.strokeWeight(1);
+        p.line(x + width / 2, y - 2, x + width / 2, y + height + 2);
+
+        if (this.labelsVisible) {
+            p.noStroke();
+            p.fill(color.r, color.g, color.b, 160);
+            p.text(label, x, y - 2);
+        }
+    }
+
+    _drawOffNotice(p) {
+        if (!this.labelsVisible) return;
+
+        const label = this.themeManager.current.label;
+        p.noStroke();
+        p.fill(label.color.r, label.color.g, label.color.b, label.color.a);
+        p.textSize(12);
+        p.textAlign(p.CENTER, p.BOTTOM);
+        p.text('Stereo analysis is off (Settings > Analysis)', this.x + this.width / 2, this.y + this.height - 8);
+    }
+}
+
+visualizerRegistry.register(StereoVisualizer, {
+    id: 'stereo',
+    name: 'Stereo',
+    // Reads the whole stereo field; the group only sets its colors and energy
+    group: 'vocals',
+    hotkey: '5'
+});
@@ -0,0 +1,98 @@
+/**
+ * VisualizerRegistry - Catalog of available visualizer types
+ * Visualizers register themselves when their script loads; the sketch
+ * builds instances, toggle buttons, hotkeys and the update/draw loop from it
+ */
+class VisualizerRegistry {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    /**
+     * Register a visualizer type
+     * @param {Function} VisualizerClass - BaseVisualizer subclass
+     * @param {Object} options
+     * @param {string} options.id - Unique identifier
+     * @param {string} options.name - Display name for buttons
+     * @param {string} options.group - Default frequency group (drums, vocals, bass, highs)
+     * @param {string} [options.hotkey] - Default toggle key
+     */
+    register(VisualizerClass, options) {
+        const { id, name, group, hotkey } = options;
+
+        if (!(VisualizerClass.prototype instanceof BaseVisualizer)) {
+            console.error(`Visualizer "${id}" must extend BaseVisualizer`);
+            return;
+        }
+
+        if (this.entries.has(id)) {
+            console.warn(`Visualizer "${id}" is already registered, replacing it`);
+        }
+
+        let key = hotkey ? hotkey.toLowerCase() : null;
+        const owner = key ? this.findByHotkey(key) : null;
+        if (owner && owner.id !== id) {
+            console.warn(`Hotkey "${key}" is already used by "${owner.id}", "${id}" has no hotkey`);
+            key = null;
+        }
+
+        this.entries.set(id, {
+            id,
+            name: name || id,
+            group,
+            hotkey: key,
+            VisualizerClass
+        });
+    }
+
+    /**
+     * Get a registered entry
+     * @param {string} id - Visualizer id
+     * @returns {Object|undefined}
+     */
+    get(id) {
+        return this.entries.get(id);
+    }
+
+    /**
+     * All entries in registration order
+     * @returns {Object[]}
+     */
+    getAll() {
+        return Array.from(this.entries.values());
+    }
+
+    /**
+     * Find the entry toggled by a key
+     * @param {string} key - Key (case-insensitive)
+     * @returns {Object|null}
+     */
+    findByHotkey(key) {
+        const lower = key.toLowerCase();
+        for (const entry of this.entries.values()) {
+            if (entry.hotkey === lower) return entry;
+        }
+        return null;
+    }
+
+    /**
+     * Create an instance of a registered visualizer
+     * @param {string} id - Visualizer id
+     * @param {Object} services - Optional { clock, rng } overrides
+     * @returns {BaseVisualizer}
+     */
+    create(id, services) {
+        const entry = this.entries.get(id);
+        if (!entry) {
+            throw new Error(`Unknown visualizer "${id}"`);
+        }
+
+        const viz = new entry.VisualizerClass(services);
+        viz.id = entry.id;
+        viz.group = entry.group;
+        return viz;
+    }
+}
+
+// Global registry instance
+const visualizerRegistry = new VisualizerRegistry();
@@ -1,13 +1,18 @@
 /**
  * VocalVisualizer - Visualizes vocal frequencies
- * Features flowing wave patterns and organic shapes
+ * Features flowing wave patterns and organic shapes; the melody mode draws
+ * the detected pitch as a scrolling piano-roll trace
  */
 class VocalVisualizer extends BaseVisualizer {
-    constructor() {
+    /**
+     * @param {Object} services - Optional { clock, rng } overrides
+     */
+    constructor(services) {
         super(
             'Vocals',
             VisualizerGroups.VOCALS.primaryColor,
-            VisualizerGroups.VOCALS.accentColor
+            VisualizerGroups.VOCALS.accentColor,
+            services
         );
 
         // Wave state
@@ -15,8 +20,15 @@ class VocalVisualizer extends BaseVisualizer {
         this.waveAmplitude = 0;
         this.targetAmplitude = 0;
 
+        // Phase step per frame (plus energy * waveEnergySpeed), and the wave
+        // height at full energy as a fraction of the panel
+        this.waveSpeed = 0.05;
+        this.waveEnergySpeed = 0.1;
+        this.waveHeight = 0.35;
+
         // Multiple wave layers for depth
-        this.waveLayers = 3;
+        this.maxWaveLayers = 3;
+        this.waveLayers = this.maxWaveLayers;
 
         // Points for the wave (pre-allocated)
         this.wavePoints = 64;
@@ -24,14 +36,62 @@ class VocalVisualizer extends BaseVisualizer {
 
         // Smooth transitions
         this.smoothingFactor = 0.15;
+
+        this.modes = ['wave', 'melody'];
+        this.mode = 'wave';
+
+        // Pitch contour (circular, MIDI note per frame, 0 = unvoiced)
+        this.contourLength = 240; // ~4 seconds at 60fps
+        this.contour = new Float32Array(this.contourLength);
+        this.contourConfidence = new Float32Array(this.contourLength);
+        this.contourIndex = 0;
+
+        // Visible note range follows the singer
+        this.noteSpan = 24;
+        this.noteCenter = 60;
+
+        // Color of the current note, eased between notes
+        this.noteColor = { r: this.color.r, g: this.color.g, b: this.color.b };
+        this.scratchColor = { r: 0, g: 0, b: 0 };
+        this.pitch = null;
+
+        this.parameters = [
+            { key: 'maxWaveLayers', label: 'Wave layers', type: 'integer', min: 1, max: 6, step: 1 },
+            { key: 'waveSpeed', label: 'Wave speed', type: 'number', min: 0, max: 0.3, step: 0.01, modulatable: true },
+            { key: 'waveEnergySpeed', label: 'Wave speed from energy', type: 'number', min: 0, max: 0.5, step: 0.01, modulatable: true },
+            { key: 'waveHeight', label: 'Wave height', type: 'number', min: 0, max: 0.5, step: 0.01, modulatable: true },
+            { key: 'noteSpan', label: 'Melody range (semitones)', type: 'integer', min: 12, max: 48, step: 1 }
+        ];
+    }
+
+    onParameterChange(key) {
+        if (key === 'maxWaveLayers') {
+            if (this.quality) {
+                this.onQualityChange(this.quality);
+            } else {
+                this.waveLayers = this.maxWaveLayers;
+            }
+        }
+    }
+
+    /**
+     * Color of a pitch class, hues evenly around the color wheel from C
+     * @param {number} pitchClass - 0 (C) to 11 (B)
+     * @param {Object} out - Object to write { r, g, b } into
+     * @returns {Object} out
+     */
+    static noteColor(pitchClass, out = {}) {
+        return hsvToRgb(pitchClass * 30, 0.65, 1, out);
     }
 
-    onUpdate(energy, peaks, deltaTime) {
+    onUpdate(energy, peaks, deltaTime, analysis) {
+        this._updatePitch(analysis ? analysis.pitch : null);
+
         // Update wave phase
-        this.wavePhase += 0.05 + energy * 0.1;
+        this.wavePhase += this.getModulated('waveSpeed') + energy * this.getModulated('waveEnergySpeed');
 
         // Update amplitude
-        this.targetAmplitude = energy * (this.height * 0.35);
+        this.targetAmplitude = energy * (this.height * this.getModulated('waveHeight'));
         this.waveAmplitude += (this.targetAmplitude - this.waveAmplitude) * this.smoothingFactor;
 
         // Update wave data with smooth noise
@@ -41,9 +101,47 @@ class VocalVisualizer extends BaseVisualizer {
         }
     }
 
+    onQualityChange(tier) {
+        this.waveLayers = Math.max(1, Math.round(this.maxWaveLayers * tier.detail));
+    }
+
+    /**
+     * Record the pitch contour and ease the note color and range
+     * @private
+     */
+    _updatePitch(pitch) {
+        this.pitch = pitch;
+        const voiced = !!(pitch && pitch.voiced);
+
+        this.contour[this.contourIndex] = voiced ? pitch.midi : 0;
+        this.contourConfidence[this.contourIndex] = voiced ? pitch.confidence : 0;
+        this.contourIndex = (this.contourIndex + 1) % this.contourLength;
+
+        if (voiced) {
+            // Recenter only when the note leaves the middle half of the range
+            const offset = pitch.midi - this.noteCenter;
+            if (Math.abs(offset) > this.noteSpan / 4) {
+                this.noteCenter += offset * 0.05;
+            }
+
+            const target = VocalVisualizer.noteColor(Math.round(pitch.midi), this.scratchColor);
+            this.noteColor.r += (target.r - this.noteColor.r) * 0.2;
+            this.noteColor.g += (target.g - this.noteColor.g) * 0.2;
+            this.noteColor.b += (target.b - this.noteColor.b) * 0.2;
+        }
+    }
+
     drawVisualization(p) {
         const centerY = this.y + this.height / 2;
 
+        if (this.mode === 'melody') {
+            this._drawPianoRoll(p);
+            this._drawContour(p);
+            this._drawWaveLayer(p, centerY, 120, 0, 1, this.noteColor, this.noteColor);
+            this._drawNoteLabel(p);
+            return;
+        }
+
         // Draw multiple wave layers
         for (let layer = 0; layer < this.waveLayers; layer++) {
             const layerOffset = (layer - 1) * 15;
@@ -57,7 +155,7 @@ class VocalVisualizer extends BaseVisualizer {
         this._drawCenterIndicator(p, centerY);
     }
 
-    _drawWaveLayer(p, baseY, alpha, phaseOffset, layerIndex) {
+    _drawWaveLayer(p, baseY, alpha, phaseOffset, layerIndex, fromColor = this.color, toColor = this.accentColor) {
         const stepX = this.width / (this.wavePoints - 1);
 
         // Create gradient effect with multiple lines
@@ -72,9 +170,9 @@ class VocalVisualizer extends BaseVisualizer {
 
             // Color gradient along wave
             const colorProgress = i / this.wavePoints;
-            const r = p.lerp(this.color.r, this.accentColor.r, colorProgress);
-            const g = p.lerp(this.color.g, this.accentColor.g, colorProgress);
-            const b = p.lerp(this.color.b, this.accentColor.b, colorProgress);
+            const r = p.lerp(fromColor.r, toColor.r, colorProgress);
+            const g = p.lerp(fromColor.g, toColor.g, colorProgress);
+            const b = p.lerp(fromColor.b, toColor.b, colorProgress);
 
             p.stroke(r, g, b, alpha);
             p.curveVertex(x, y);
@@ -108,10 +206,105 @@ class VocalVisualizer extends BaseVisualizer {
         }
     }
 
+    /**
+     * Y position of a (fractional) MIDI note in the visible range
+     * @private
+     */
+    _noteY(midi) {
+        const low = this.noteCenter - this.noteSpan / 2;
+        return this.y + this.height - ((midi - low) / this.noteSpan) * this.height;
+    }
+
+    /**
+     * Semitone rows, black keys shaded and C rows labeled
+     * @private
+     */
+    _drawPianoRoll(p) {
+        const rowHeight = this.height / this.noteSpan;
+        const ink = this.themeManager.current.label.color;
+        const low = Math.ceil(this.noteCenter - this.noteSpan / 2);
+        const high = Math.floor(this.noteCenter + this.noteSpan / 2);
+
+        p.noStroke();
+        p.textSize(10);
+        p.textAlign(p.RIGHT, p.CENTER);
+        for (let note = low; note <= high; note++) {
+            const y = this._noteY(note);
+            const pitchClass = ((note % 12) + 12) % 12;
+
+            if ([1, 3, 6, 8, 10].includes(pitchClass)) {
+                p.fill(0, 0, 0, 60);
+                p.rect(this.x, Math.max(this.y, y - rowHeight / 2), this.width, rowHeight);
+            }
+
+            if (pitchClass === 0) {
+                p.fill(ink.r, ink.g, ink.b, 30);
+                p.rect(this.x, y, this.width, 1);
+                p.fill(ink.r, ink.g, ink.b, 90);
+                p.text(PitchDetector.noteName(note), this.x + this.width - 6, y);
+            }
+        }
+    }
+
+    /**
+     * Pitch trace, oldest on the left, colored by note
+     * @private
+     */
+    _drawContour(p) {
+        const length = this.contourLength;
+        const stepX = this.width / (length - 1);
+        const color = this.scratchColor;
+        let prevX = 0;
+        let prevY = 0;
+        let prevMidi = 0;
+
+        p.strokeWeight(3);
+        for (let i = 0; i < length; i++) {
+            const index = (this.contourIndex + i) % length;
+            const midi = this.contour[index];
+            const x = this.x + i * stepX;
+            const y = this._noteY(midi);
+
+            // Break the line at gaps and leaps
+            if (midi > 0 && prevMidi > 0 && Math.abs(midi - prevMidi) < 2 &&
+                y >= this.y && y <= this.y + this.height) {
+                VocalVisualizer.noteColor(Math.round(midi), color);
+                p.stroke(color.r, color.g, color.b, 80 + this.contourConfidence[index] * 175);
+                p.line(prevX, prevY, x, y);
+            }
+
+            prevX = x;
+            prevY = y;
+            prevMidi = midi;
+        }
+    }
+
+    /**
+     * Current note name and cents offset
+     * @private
+     */
+    _drawNoteLabel(p) {
+        const pitch = this.pitch;
+        if (!pitch || !pitch.note) return;
+
+        const alpha = pitch.voiced ? 230 : 80;
+        const ink = this.themeManager.current.label.color;
+        const cents = `${pitch.cents >= 0 ? '+' : ''}${pitch.cents}¢`;
+
+        p.noStroke();
+        p.textAlign(p.RIGHT, p.TOP);
+        p.fill(this.noteColor.r, this.noteColor.g, this.noteColor.b, alpha);
+        p.textSize(22);
+        p.text(pitch.note, this.x + this.width - 10, this.y + this.labelOffset + 8);
+        p.fill(ink.r, ink.g, ink.b, alpha * 0.6);
+        p.textSize(11);
+        p.text(cents, this.x + this.width - 10, this.y + this.labelOffset + 34);
+    }
+
     _drawCenterIndicator(p, centerY) {
         // Animated center orb
         const orbSize = 10 + this.smoothedEnergy * 20;
-        const orbX = this.x + this.width / 2;
+        const orbX = this.x + this.width / 2 + this.getPanOffset();
 
         p.noStroke();
         p.fill(this.accentColor.r, this.accentColor.g, this.accentColor.b, 50);
@@ -124,3 +317,10 @@ class VocalVisualizer extends BaseVisualizer {
         p.ellipse(orbX, centerY, orbSize * 0.4, orbSize * 0.4);
     }
 }
+
+visualizerRegistry.register(VocalVisualizer, {
+    id: 'vocals',
+    name: 'Vocals',
+    group: 'vocals',
+    hotkey: '2'
+});
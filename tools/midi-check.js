@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+/**
+ * midi-check - Runs MidiOutput against a mock output
+ * Feeds a stub analyzer through process() and checks the messages sent:
+ * note on/off pairing and retriggers, CCs only on change, and curve scaling.
+ *
+ *   node tools/midi-check.js
+ *
+ * Exits non-zero if a check fails.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const context = vm.createContext({ console });
+vm.runInContext(fs.readFileSync(path.join(__dirname, '../src/output/MidiOutput.js'), 'utf8'), context, {
+    filename: 'output/MidiOutput.js'
+});
+const MidiOutput = vm.runInContext('MidiOutput', context);
+
+const results = [];
+function check(name, passed) {
+    results.push(passed);
+    console.log(`${passed ? 'ok  ' : 'FAIL'} ${name}`);
+}
+
+/**
+ * Output recording every message as { data, timestamp }
+ */
+function createMockOutput() {
+    const sent = [];
+    return { sent, send: (data, timestamp) => sent.push({ data: Array.from(data), timestamp }) };
+}
+
+/**
+ * Analyzer returning whatever frame is set on it
+ */
+function createAnalyzer() {
+    const analyzer = {
+        energies: { drums: 0, vocals: 0, bass: 0, highs: 0 },
+        peaks: {
+            drums: { value: 0, isPeak: false },
+            vocals: { value: 0, isPeak: false },
+            bass: { value: 0, isPeak: false },
+            highs: { value: 0, isPeak: false }
+        },
+        beat: { bpm: 0, confidence: 0, phase: 0, isBeat: false, isDownbeat: false },
+        getEnergies: () => analyzer.energies,
+        getPeaks: () => analyzer.peaks,
+        getBeat: () => analyzer.beat
+    };
+    return analyzer;
+}
+
+let time = 1000;
+const output = createMockOutput();
+const midi = new MidiOutput({ output, now: () => time });
+const analyzer = createAnalyzer();
+
+// Triggers: one note on and its note off, noteLength later
+midi.setMappings([
+    { signal: 'drums.onset', enabled: true, channel: 10, number: 38, curve: 'linear', min: 0, max: 127 }
+]);
+output.sent.length = 0;
+analyzer.energies.drums = 0.5;
+midi.process(analyzer);
+check('no note without an onset', output.sent.length === 0);
+
+analyzer.peaks.drums.isPeak = true;
+midi.process(analyzer);
+const [on] = output.sent;
+check('onset sends a note on', output.sent.length === 1);
+check('note on carries channel, note and velocity',
+    on.data[0] === 0x99 && on.data[1] === 38 && on.data[2] === 64 && on.timestamp === time);
+
+analyzer.peaks.drums.isPeak = false;
+time += midi.noteLength - 1;
+midi.process(analyzer);
+check('note holds until noteLength has passed', output.sent.length === 1);
+
+time += 1;
+midi.process(analyzer);
+const off = output.sent[1];
+check('note off matches the note on', output.sent.length === 2 &&
+    off.data[0] === 0x89 && off.data[1] === 38 && off.data[2] === 0 && off.timestamp === time);
+
+time += midi.noteLength;
+midi.process(analyzer);
+check('note off is sent once', output.sent.length === 2);
+
+// Retrigger within noteLength: the ringing note ends right before the new
+// one starts, and the new one then gets its full length
+output.sent.length = 0;
+analyzer.peaks.drums.isPeak = true;
+midi.process(analyzer);
+time += midi.noteLength / 2;
+midi.process(analyzer);
+const retriggered = output.sent.map(m => m.data[0]).join();
+check('retrigger sends note off, then note on',
+    retriggered === [0x99, 0x89, 0x99].join() && output.sent[1].timestamp === time);
+
+analyzer.peaks.drums.isPeak = false;
+time += midi.noteLength / 2;
+midi.process(analyzer);
+check('retriggered note is not cut short by the first note off', output.sent.length === 3);
+
+time += midi.noteLength / 2;
+midi.process(analyzer);
+check('retriggered note ends after its own noteLength',
+    output.sent.length === 4 && output.sent[3].data[0] === 0x89);
+
+// A velocity of 0 would be a note off; triggers send at least 1
+output.sent.length = 0;
+analyzer.peaks.drums.isPeak = true;
+analyzer.energies.drums = 0;
+midi.process(analyzer);
+check('silent onset still sends a real note on', output.sent[0].data[2] === 1);
+
+// Changing the mappings silences the notes and drops their note offs
+output.sent.length = 0;
+midi.setMappings(midi.mappings);
+time += midi.noteLength;
+analyzer.peaks.drums.isPeak = false;
+midi.process(analyzer);
+check('all notes off drops pending note offs',
+    output.sent.length === 1 && output.sent[0].data.join() === [0xB9, 123, 0].join());
+
+// Continuous signals: CC only when the scaled value changes
+midi.setMappings([
+    { signal: 'bass.energy', enabled: true, channel: 2, number: 21, curve: 'linear', min: 0, max: 127 }
+]);
+output.sent.length = 0;
+analyzer.energies.bass = 0.5;
+midi.process(analyzer);
+check('first frame sends the CC', output.sent.length === 1 &&
+    output.sent[0].data.join() === [0xB1, 21, 64].join());
+
+midi.process(analyzer);
+analyzer.energies.bass = 0.501;
+midi.process(analyzer);
+check('unchanged value sends nothing', output.sent.length === 1);
+
+analyzer.energies.bass = 0.75;
+midi.process(analyzer);
+check('changed value sends the CC', output.sent.length === 2 && output.sent[1].data[2] === 95);
+
+midi.setMappings([
+    { signal: 'bass.energy', enabled: false, channel: 2, number: 21, curve: 'linear', min: 0, max: 127 }
+]);
+output.sent.length = 0;
+midi.process(analyzer);
+check('disabled mappings send nothing', output.sent.length === 0);
+
+// Curves and ranges
+const scale = (value, curve, min = 0, max = 127) => MidiOutput.scale(value, { curve, min, max });
+check('linear scales across the range', scale(0, 'linear') === 0 && scale(0.5, 'linear') === 64 && scale(1, 'linear') === 127);
+check('exponential squares', scale(0.5, 'exponential') === 32);
+check('logarithmic takes the root', scale(0.25, 'logarithmic') === 64);
+check('s-curve is symmetric', scale(0.5, 'scurve') === 64 && scale(0.25, 'scurve') === 20);
+check('range is applied after the curve', scale(0.5, 'exponential', 40, 120) === 60);
+check('inverted range counts down', scale(0.25, 'linear', 127, 0) === 95);
+check('values are clamped', scale(2, 'linear') === 127 && scale(-1, 'linear') === 0);
+check('unknown curves fall back to linear', scale(0.5, 'nope') === 64);
+
+process.exit(results.every(Boolean) ? 0 : 1);
@@ -0,0 +1,251 @@
+#!/usr/bin/env node
+/**
+ * osc-relay - Forwards analysis frames from the browser to UDP OSC
+ * Accepts WebSocket connections from the visualizer's Broadcast panel.
+ * OSC bundles (binary messages) are forwarded as-is; JSON frames are
+ * converted to OSC bundles first. Uses Node built-ins only.
+ *
+ * Usage:
+ *   node tools/osc-relay.js [--port 8080] [--osc-host 127.0.0.1] [--osc-port 9000]
+ *                           [--prefix /viz] [--verbose]
+ *
+ * With --verbose every frame is logged, so it also works as a local
+ * endpoint for checking what the browser sends.
+ */
+const http = require('http');
+const crypto = require('crypto');
+const dgram = require('dgram');
+const path = require('path');
+
+const { OscCodec } = require(path.join(__dirname, '../src/output/OscCodec.js'));
+const { AnalysisFrame } = require(path.join(__dirname, '../src/output/AnalysisFrame.js'));
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_PAYLOAD = 1024 * 1024;
+
+function parseArgs(argv) {
+    const options = { port: 8080, oscHost: '127.0.0.1', oscPort: 9000, prefix: '/viz', verbose: false };
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--port': options.port = Number(argv[++i]); break;
+            case '--osc-host': options.oscHost = argv[++i]; break;
+            case '--osc-port': options.oscPort = Number(argv[++i]); break;
+            case '--prefix': options.prefix = argv[++i]; break;
+            case '--verbose': options.verbose = true; break;
+            default:
+                console.error(`Unknown option: ${argv[i]}`);
+                process.exit(1);
+        }
+    }
+    return options;
+}
+
+/**
+ * Build a server-to-client frame (never masked)
+ */
+function encodeFrame(opcode, payload) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Incremental parser for client-to-server frames
+ * Calls onMessage(isBinary, payload) for each complete message
+ */
+class FrameParser {
+    constructor(socket, onMessage) {
+        this.socket = socket;
+        this.onMessage = onMessage;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.fragmentOpcode = 0;
+    }
+
+    push(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        while (this.buffer.length >= 2) {
+            const fin = (this.buffer[0] & 0x80) !== 0;
+            const opcode = this.buffer[0] & 0x0F;
+            const masked = (this.buffer[1] & 0x80) !== 0;
+            let length = this.buffer[1] & 0x7F;
+            let offset = 2;
+
+            if (length === 126) {
+                if (this.buffer.length < 4) return;
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.buffer.length < 10) return;
+                length = Number(this.buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+
+            if (length > MAX_PAYLOAD || !masked) {
+                // Clients must mask; oversized frames are not ours
+                this.close(1002);
+                return;
+            }
+
+            if (this.buffer.length < offset + 4 + length) return;
+
+            const mask = this.buffer.subarray(offset, offset + 4);
+            const payload = Buffer.from(this.buffer.subarray(offset + 4, offset + 4 + length));
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= mask[i & 3];
+            }
+            this.buffer = this.buffer.subarray(offset + 4 + length);
+
+            this.handleFrame(fin, opcode, payload);
+        }
+    }
+
+    handleFrame(fin, opcode, payload) {
+        switch (opcode) {
+            case 0x0: // Continuation
+            case 0x1: // Text
+            case 0x2: // Binary
+                if (opcode !== 0) {
+                    this.fragmentOpcode = opcode;
+                    this.fragments = [];
+                }
+                this.fragments.push(payload);
+                if (fin) {
+                    this.onMessage(this.fragmentOpcode === 0x2, Buffer.concat(this.fragments));
+                    this.fragments = [];
+                }
+                break;
+            case 0x8: // Close
+                this.close(1000);
+                break;
+            case 0x9: // Ping
+                this.socket.write(encodeFrame(0xA, payload));
+                break;
+            default: // Pong and reserved opcodes
+                break;
+        }
+    }
+
+    close(code) {
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        this.socket.end(encodeFrame(0x8, payload));
+    }
+}
+
+/**
+ * Create the relay server (not yet listening)
+ * @param {Object} options - { oscHost, oscPort, prefix, verbose }
+ * @returns {Object} { server, udp, getForwardedCount }
+ */
+function createRelay(options) {
+    const udp = dgram.createSocket('udp4');
+    let framesForwarded = 0;
+
+    const forward = (packet) => {
+        udp.send(packet, options.oscPort, options.oscHost, (error) => {
+            if (error) console.error('UDP send failed:', error.message);
+        });
+        framesForwarded++;
+    };
+
+    const onMessage = (isBinary, payload) => {
+        if (isBinary) {
+            if (options.verbose) console.log(`OSC bundle, ${payload.length} bytes`);
+            forward(payload);
+            return;
+        }
+
+        let frame;
+        try {
+            frame = JSON.parse(payload.toString('utf8'));
+        } catch (error) {
+            console.warn('Ignoring malformed JSON frame:', error.message);
+            return;
+        }
+        if (!frame || typeof frame !== 'object' || Array.isArray(frame)) {
+            console.warn('Ignoring JSON frame that is not an object');
+            return;
+        }
+        if (options.verbose) console.log(JSON.stringify(frame));
+
+        let bundle;
+        try {
+            const messages = AnalysisFrame.toOscMessages(frame, options.prefix)
+                .map(m => OscCodec.encodeMessage(m.address, m.args));
+            bundle = OscCodec.encodeBundle(messages);
+        } catch (error) {
+            console.warn('Ignoring JSON frame that cannot be converted:', error.message);
+            return;
+        }
+        forward(Buffer.from(bundle));
+    };
+
+    const server = http.createServer((req, res) => {
+        res.writeHead(426, { 'Content-Type': 'text/plain' });
+        res.end('WebSocket endpoint for the music visualizer OSC relay\n');
+    });
+
+    server.on('upgrade', (req, socket) => {
+        const key = req.headers['sec-websocket-key'];
+        if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+
+        const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '', ''
+        ].join('\r\n'));
+
+        const address = `${socket.remoteAddress}:${socket.remotePort}`;
+        console.log(`Client connected: ${address}`);
+
+        const parser = new FrameParser(socket, onMessage);
+        socket.on('data', chunk => parser.push(chunk));
+        socket.on('close', () => console.log(`Client disconnected: ${address}`));
+        socket.on('error', error => console.warn(`Socket error (${address}):`, error.message));
+    });
+
+    return { server, udp, getForwardedCount: () => framesForwarded };
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const { server, udp, getForwardedCount } = createRelay(options);
+
+    server.listen(options.port, () => {
+        console.log(`Listening on ws://localhost:${options.port}, forwarding OSC to ${options.oscHost}:${options.oscPort}`);
+    });
+
+    process.on('SIGINT', () => {
+        console.log(`\n${getForwardedCount()} frames forwarded`);
+        server.close();
+        udp.close();
+        process.exit(0);
+    });
+}
+
+if (require.main === module) {
+    main();
+} else {
+    module.exports = { createRelay };
+}
@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+/**
+ * post-check - Runs the WebGL post passes on a headless software context
+ * Composites small synthetic frames through GLCompositor and checks the
+ * pixels each effect should change. Needs the `gl` package (headless-gl):
+ *
+ *   npm install --no-save gl
+ *   node tools/post-check.js
+ *
+ * On a machine without a display, run it under xvfb-run. Exits non-zero
+ * if a check fails.
+ */
+const path = require('path');
+
+const { GLCompositor, GL_PARTICLE_STRIDE } = require(path.join(__dirname, '../src/render/GLCompositor.js'));
+
+const SIZE = 64;
+
+let createGL;
+try {
+    createGL = require('gl');
+} catch (error) {
+    console.error('The `gl` package is missing: npm install --no-save gl');
+    process.exit(1);
+}
+
+const gl = createGL(SIZE, SIZE, { preserveDrawingBuffer: true });
+if (!gl) {
+    console.error('Could not create a WebGL context');
+    process.exit(1);
+}
+
+const compositor = new GLCompositor(gl);
+compositor.resize(SIZE, SIZE);
+const pixels = new Uint8Array(SIZE * SIZE * 4);
+
+/**
+ * Black frame with a white square of the given half size in the middle
+ */
+function squareFrame(half) {
+    const data = new Uint8Array(SIZE * SIZE * 4);
+    for (let y = 0; y < SIZE; y++) {
+        for (let x = 0; x < SIZE; x++) {
+            const inside = Math.abs(x - SIZE / 2 + 0.5) < half && Math.abs(y - SIZE / 2 + 0.5) < half;
+            const i = (y * SIZE + x) * 4;
+            data[i] = data[i + 1] = data[i + 2] = inside ? 255 : 0;
+            data[i + 3] = 255;
+        }
+    }
+    return { width: SIZE, height: SIZE, data };
+}
+
+/**
+ * Composite a frame and read it back
+ * @returns {Function} (x, y) => [r, g, b], y down like the canvas
+ */
+function run(frame, options) {
+    compositor.upload(frame);
+    compositor.render(options);
+    compositor.readPixels(pixels);
+    return (x, y) => {
+        const i = ((SIZE - 1 - y) * SIZE + x) * 4;
+        return [pixels[i], pixels[i + 1], pixels[i + 2]];
+    };
+}
+
+const results = [];
+function check(name, passed) {
+    results.push(passed);
+    console.log(`${passed ? 'ok  ' : 'FAIL'} ${name}`);
+}
+
+const center = SIZE / 2;
+const empty = squareFrame(0);
+const square = squareFrame(8);
+
+// Nothing on: the frame comes through unchanged
+let at = run(square, {});
+check('passthrough keeps the square', at(center, center)[1] === 255);
+check('passthrough keeps the background', at(4, 4)[1] === 0);
+
+// Bloom spreads light past the square's edge
+at = run(square, { bloom: 1.5, bloomThreshold: 0.5 });
+check('bloom lights the surroundings', at(center + 11, center)[1] > 0);
+check('bloom leaves the corners dark', at(1, 1)[1] < 8);
+
+// Trails keep the previous frame fading
+run(square, { trails: 0.9 });
+at = run(empty, { trails: 0.9 });
+const trail = at(center, center)[1];
+check('trails fade the previous frame', trail > 150 && trail < 255);
+at = run(empty, {});
+check('trails clear when turned off', at(center, center)[1] === 0);
+
+// Aberration moves red and blue apart at the square's edge
+at = run(square, { aberration: 6 });
+const [red, , blue] = at(center + 8, center);
+check('aberration splits the channels', red !== blue);
+
+// Kaleidoscope mirrors a dot inside the first wedge (30 degrees up from
+// the right) into every quadrant
+const dot = squareFrame(0);
+for (let y = 20; y < 25; y++) {
+    for (let x = 46; x < 51; x++) {
+        const i = (y * SIZE + x) * 4;
+        dot.data[i] = dot.data[i + 1] = dot.data[i + 2] = 255;
+    }
+}
+at = run(dot, { kaleidoscope: 1, segments: 4 });
+let lit = 0;
+for (const [x, y] of [[16, 16], [48, 16], [16, 48], [48, 48]]) {
+    for (let dy = -8; dy <= 8; dy++) {
+        for (let dx = -8; dx <= 8; dx++) {
+            if (at(x + dx, y + dy)[1] > 128) {
+                lit++;
+                dy = dx = 9;
+            }
+        }
+    }
+}
+check('kaleidoscope mirrors into every quadrant', lit === 4);
+
+// Instanced particles draw over the frame
+if (compositor.canDrawParticles()) {
+    const particles = new Float32Array(GL_PARTICLE_STRIDE * 2);
+    particles.set([16, 16, 10, 1, 1, 0, 0], 0);
+    particles.set([48, 48, 10, 0.5, 0, 0, 1], GL_PARTICLE_STRIDE);
+    at = run(empty, { particles, particleCount: 2 });
+    check('opaque particle is drawn', at(16, 16)[0] > 240 && at(16, 16)[2] === 0);
+    const half = at(48, 48)[2];
+    check('translucent particle blends', half > 100 && half < 160);
+    check('particles stay round', at(16 + 6, 16 + 6)[0] === 0);
+
+    // Batches are clipped to their panels: the left half only, then nothing
+    at = run(empty, {
+        particles,
+        particleCount: 2,
+        particleBatches: [
+            { start: 0, count: 1, clip: { x: 0, y: 0, width: 16, height: SIZE } },
+            { start: 1, count: 1, clip: { x: 0, y: 0, width: 0, height: 0 } }
+        ]
+    });
+    check('batch is clipped to its panel', at(12, 16)[0] > 240 && at(18, 16)[0] === 0);
+    check('batch outside its panel is not drawn', at(48, 48)[2] === 0);
+} else {
+    console.log('skip particles (no ANGLE_instanced_arrays)');
+}
+
+compositor.dispose();
+process.exit(results.every(Boolean) ? 0 : 1);
@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+/**
+ * relay-check - Runs the OSC relay between a WebSocket client and a local
+ * mock OSC receiver
+ * Sends JSON and binary frames, including malformed ones, and checks what
+ * arrives over UDP: JSON frames converted to bundles, binary bundles passed
+ * through unchanged, bad frames dropped with a warning and the relay still
+ * running.
+ *
+ *   node tools/relay-check.js
+ *
+ * Exits non-zero if a check fails.
+ */
+const crypto = require('crypto');
+const dgram = require('dgram');
+const http = require('http');
+const path = require('path');
+
+const { createRelay } = require(path.join(__dirname, 'osc-relay.js'));
+const { OscCodec } = require(path.join(__dirname, '../src/output/OscCodec.js'));
+const { AnalysisFrame } = require(path.join(__dirname, '../src/output/AnalysisFrame.js'));
+
+const TIMEOUT = 5000;
+
+const results = [];
+function check(name, passed) {
+    results.push(passed);
+    console.log(`${passed ? 'ok  ' : 'FAIL'} ${name}`);
+}
+
+/**
+ * Masked client-to-server frame
+ */
+function encodeClientFrame(opcode, payload) {
+    const mask = crypto.randomBytes(4);
+    const masked = Buffer.from(payload);
+    for (let i = 0; i < masked.length; i++) {
+        masked[i] ^= mask[i & 3];
+    }
+
+    let header;
+    if (masked.length < 126) {
+        header = Buffer.from([0x80 | opcode, 0x80 | masked.length]);
+    } else {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 0x80 | 126;
+        header.writeUInt16BE(masked.length, 2);
+    }
+    return Buffer.concat([header, mask, masked]);
+}
+
+/**
+ * Addresses and first arguments of the messages in an OSC bundle
+ * @returns {Map} address -> value
+ */
+function decodeBundle(packet) {
+    const readString = (offset) => {
+        const end = packet.indexOf(0, offset);
+        return { value: packet.toString('ascii', offset, end), next: (end + 4) & ~3 };
+    };
+
+    const messages = new Map();
+    if (readString(0).value !== '#bundle') return messages;
+
+    let offset = 16;
+    while (offset < packet.length) {
+        const size = packet.readInt32BE(offset);
+        const address = readString(offset + 4);
+        const tags = readString(address.next);
+        const type = tags.value[1];
+        let value;
+        if (type === 'f') value = packet.readFloatBE(tags.next);
+        else if (type === 'i') value = packet.readInt32BE(tags.next);
+        messages.set(address.value, value);
+        offset += 4 + size;
+    }
+    return messages;
+}
+
+/**
+ * UDP socket queueing what it receives
+ */
+function createReceiver() {
+    const socket = dgram.createSocket('udp4');
+    const packets = [];
+    let waiting = null;
+
+    socket.on('message', (packet) => {
+        if (waiting) {
+            const resolve = waiting;
+            waiting = null;
+            resolve(packet);
+        } else {
+            packets.push(packet);
+        }
+    });
+
+    return {
+        socket,
+        next: () => (packets.length > 0
+            ? Promise.resolve(packets.shift())
+            : new Promise(resolve => { waiting = resolve; })),
+        pending: () => packets.length
+    };
+}
+
+function connect(port) {
+    return new Promise((resolve, reject) => {
+        const request = http.request({
+            port,
+            host: '127.0.0.1',
+            headers: {
+                Connection: 'Upgrade',
+                Upgrade: 'websocket',
+                'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64'),
+                'Sec-WebSocket-Version': '13'
+            }
+        });
+        request.on('upgrade', (response, socket) => resolve(socket));
+        request.on('error', reject);
+        request.end();
+    });
+}
+
+async function main() {
+    // Bad frames are expected to warn; count the warnings instead of printing them
+    const warnings = [];
+    console.warn = (...args) => warnings.push(args.join(' '));
+    const log = console.log;
+    console.log = (...args) => {
+        if (!String(args[0]).startsWith('Client ')) log(...args);
+    };
+
+    const receiver = createReceiver();
+    await new Promise(resolve => receiver.socket.bind(0, '127.0.0.1', resolve));
+
+    const relay = createRelay({ oscHost: '127.0.0.1', oscPort: receiver.socket.address().port, prefix: '/viz', verbose: false });
+    await new Promise(resolve => relay.server.listen(0, '127.0.0.1', resolve));
+    const client = await connect(relay.server.address().port);
+
+    const sendText = text => client.write(encodeClientFrame(0x1, Buffer.from(text, 'utf8')));
+
+    // Frames the relay must drop
+    const bad = ['null', '42', '"frame"', '[1, 2]', '{"bands": {"drums": null}}', '{not json'];
+    for (const text of bad) {
+        sendText(text);
+    }
+
+    const frame = {
+        time: 1500,
+        energies: { drums: 0.5, bass: 0.25 },
+        peaks: { drums: true, bass: false },
+        beat: { bpm: 120, phase: 0.5, isBeat: true, isDownbeat: false }
+    };
+    sendText(JSON.stringify(frame));
+
+    const converted = decodeBundle(await receiver.next());
+    check('dropped frames send nothing', receiver.pending() === 0 && relay.getForwardedCount() === 1);
+    check('each dropped frame warns', warnings.length === bad.length);
+    check('JSON frame arrives as a bundle', converted.size === AnalysisFrame.toOscMessages(frame).length);
+    check('time is in seconds', converted.get('/viz/time') === 1.5);
+    check('energies keep their values', converted.get('/viz/energy/drums') === 0.5 && converted.get('/viz/energy/bass') === 0.25);
+    check('peaks and beats are ints', converted.get('/viz/peak/drums') === 1 && converted.get('/viz/peak/bass') === 0 &&
+        converted.get('/viz/beat/isBeat') === 1);
+
+    // Binary bundles pass through byte for byte
+    const bundle = Buffer.from(OscCodec.encodeBundle(AnalysisFrame.toOscMessages(frame, '/other')
+        .map(m => OscCodec.encodeMessage(m.address, m.args))));
+    client.write(encodeClientFrame(0x2, bundle));
+    const passed = await receiver.next();
+    check('binary bundle is forwarded unchanged', passed.equals(bundle));
+
+    // Still running after the bad frames
+    sendText(JSON.stringify({ time: 0, energies: { highs: 1 } }));
+    check('relay keeps forwarding', decodeBundle(await receiver.next()).get('/viz/energy/highs') === 1);
+
+    client.destroy();
+    relay.server.close();
+    relay.udp.close();
+    receiver.socket.close();
+    process.exit(results.every(Boolean) ? 0 : 1);
+}
+
+setTimeout(() => {
+    console.log('FAIL timed out waiting for the relay');
+    process.exit(1);
+}, TIMEOUT).unref();
+
+main().catch((error) => {
+    console.log(`FAIL ${error.message}`);
+    process.exit(1);
+});
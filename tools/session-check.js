@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+/**
+ * session-check - Records a synthetic analysis stream and replays it
+ * Drives SessionRecorder with a stub analyzer, loads the (gzip-compressed)
+ * file back through ReplayAnalyzer and checks every frame decodes to what
+ * was recorded, within the format's quantization, that onsets in
+ * frames skipped during playback still fire, and that a clock jumping
+ * back mid-recording doesn't break the timeline.
+ *
+ *   node tools/session-check.js
+ *
+ * Exits non-zero if a check fails.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SCRIPTS = [
+    'utils/Clock.js',
+    'audio/PitchDetector.js',
+    'audio/ChromaAnalyzer.js',
+    'audio/DrumDetector.js',
+    'audio/OfflineFFT.js',
+    'audio/StereoAnalyzer.js',
+    'session/SessionRecorder.js',
+    'session/ReplayAnalyzer.js'
+];
+
+const context = vm.createContext({
+    console, Blob, Response, CompressionStream, DecompressionStream, TextEncoder, TextDecoder
+});
+for (const file of SCRIPTS) {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '../src', file), 'utf8'), context, { filename: file });
+}
+const SessionRecorder = vm.runInContext('SessionRecorder', context);
+const ReplayAnalyzer = vm.runInContext('ReplayAnalyzer', context);
+
+const FRAMES = 300;
+const FRAME_MS = 20;
+const SUB_SPECTRUM_SIZE = 16;
+const SPECTRUM_LENGTH = 64;
+const GROUPS = ['drums', 'vocals', 'bass', 'highs'];
+const BAND_KEYS = { drums: ['low', 'mid', 'high'], vocals: ['low', 'mid', 'high'], bass: ['sub', 'main'], highs: ['instruments', 'air'] };
+
+// Largest error quantization may introduce
+const ENERGY_STEP = 4 / 65535;
+const BYTE_STEP = 1 / 255;
+
+const results = [];
+function check(name, passed) {
+    results.push(passed);
+    console.log(`${passed ? 'ok  ' : 'FAIL'} ${name}`);
+}
+
+/**
+ * Analysis of one frame, a pure function of the frame index
+ */
+function createFrame(index) {
+    const wave = (rate, offset) => 0.5 + 0.5 * Math.sin(index * rate + offset);
+
+    const energies = { raw: {} };
+    const peaks = {};
+    const subSpectra = {};
+    GROUPS.forEach((group, g) => {
+        // Combined energies can go above 1
+        energies[group] = wave(0.05, g) * 1.5;
+        peaks[group] = { value: energies[group], isPeak: (index + g * 3) % 17 === 0 };
+        energies.raw[group] = {};
+        BAND_KEYS[group].forEach((key, k) => {
+            energies.raw[group][key] = wave(0.07 + k * 0.01, g + k);
+        });
+        subSpectra[group] = Float32Array.from({ length: SUB_SPECTRUM_SIZE }, (_, i) => wave(0.03, i * 0.4 + g));
+    });
+
+    const voiced = index % 40 < 25;
+    const midi = 48 + (index % 24) + 0.37;
+    const root = Math.floor(index / 30) % 12;
+
+    return {
+        energies,
+        peaks,
+        subSpectra,
+        beat: { bpm: 123.4, confidence: 0.8, phase: (index % 25) / 25, isBeat: index % 25 === 0, isDownbeat: index % 100 === 0 },
+        pitch: { frequency: 0, midi: voiced ? midi : 0, note: '', cents: 0, confidence: voiced ? 0.9 : 0, voiced },
+        harmony: {
+            chroma: Float32Array.from({ length: 12 }, (_, i) => wave(0.02, i)),
+            key: { root, mode: index % 60 < 30 ? 'major' : 'minor', name: '', confidence: 0.7 },
+            chord: { root: index % 50 < 5 ? -1 : (root + 7) % 12, quality: 'major', name: '', confidence: 0.6 }
+        },
+        hits: {
+            kick: { energy: 0, flux: 0, isOnset: index % 25 === 0 },
+            snare: { energy: 0, flux: 0, isOnset: index % 25 === 12 },
+            hat: { energy: 0, flux: 0, isOnset: index % 6 === 0 }
+        },
+        spectrum: Uint8Array.from({ length: SPECTRUM_LENGTH }, (_, i) => (index * 7 + i * 13) & 255)
+    };
+}
+
+/**
+ * Analyzer returning the current synthetic frame
+ */
+function createAnalyzer() {
+    const analyzer = {
+        sampleRate: 44100,
+        fftSize: 2048,
+        subSpectrumSize: SUB_SPECTRUM_SIZE,
+        frame: createFrame(0),
+        getEnergies: () => analyzer.frame.energies,
+        getPeaks: () => analyzer.frame.peaks,
+        getBeat: () => analyzer.frame.beat,
+        getPitch: () => analyzer.frame.pitch,
+        getHarmony: () => analyzer.frame.harmony,
+        getDrumHits: () => analyzer.frame.hits,
+        getSpectrum: () => analyzer.frame.spectrum,
+        getGroupAnalysis: group => ({ spectrum: analyzer.frame.subSpectra[group] })
+    };
+    return analyzer;
+}
+
+// Slack for values stored as Float32
+const close = (a, b, step) => Math.abs(a - b) <= step / 2 + 1e-6;
+
+async function main() {
+    const analyzer = createAnalyzer();
+    const recorder = new SessionRecorder(analyzer);
+    // Small chunks, so the file spans several
+    recorder.chunkFrames = 64;
+    recorder.start(1000, { includeSpectrum: true });
+    for (let i = 0; i < FRAMES; i++) {
+        analyzer.frame = createFrame(i);
+        recorder.record(1000 + i * FRAME_MS);
+    }
+    const blob = await recorder.stop();
+
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    check('session is gzip-compressed', bytes[0] === 0x1F && bytes[1] === 0x8B);
+
+    const replay = await ReplayAnalyzer.load(blob, 'check');
+    check('all frames are read back', replay.frameCount === FRAMES);
+    check('duration matches', replay.getDuration() === (FRAMES - 1) * FRAME_MS / 1000);
+
+    // Seek to the middle of every frame and compare
+    const failures = new Map();
+    const fail = (name, index) => {
+        if (!failures.has(name)) failures.set(name, index);
+    };
+    replay.pause();
+    for (let i = 0; i < FRAMES; i++) {
+        const expected = createFrame(i);
+        replay.seek((i * FRAME_MS + FRAME_MS / 2) / 1000);
+        replay.update(0);
+
+        const energies = replay.getEnergies();
+        for (const group of GROUPS) {
+            if (!close(energies[group], expected.energies[group], ENERGY_STEP)) fail('energies', i);
+            for (const key of BAND_KEYS[group]) {
+                if (!close(energies.raw[group][key], expected.energies.raw[group][key], ENERGY_STEP)) fail('raw bands', i);
+            }
+            if (replay.getPeaks()[group].isPeak !== expected.peaks[group].isPeak) fail('peaks', i);
+            const spectrum = replay.getGroupAnalysis(group).spectrum;
+            for (let k = 0; k < SUB_SPECTRUM_SIZE; k++) {
+                if (!close(spectrum[k], expected.subSpectra[group][k], BYTE_STEP)) fail('sub-spectra', i);
+            }
+        }
+
+        const beat = replay.getBeat();
+        if (beat.isBeat !== expected.beat.isBeat || beat.isDownbeat !== expected.beat.isDownbeat) fail('beat flags', i);
+        if (!close(beat.bpm, expected.beat.bpm, 0.1) || !close(beat.phase, expected.beat.phase, 1 / 65535) ||
+            !close(beat.confidence, expected.beat.confidence, BYTE_STEP)) fail('beat values', i);
+
+        const pitch = replay.getPitch();
+        if (pitch.voiced !== expected.pitch.voiced) fail('voicing', i);
+        if (expected.pitch.voiced && !close(pitch.midi, expected.pitch.midi, 0.01)) fail('pitch', i);
+
+        const harmony = replay.getHarmony();
+        for (let k = 0; k < 12; k++) {
+            if (!close(harmony.chroma[k], expected.harmony.chroma[k], BYTE_STEP)) fail('chroma', i);
+        }
+        if (harmony.key.root !== expected.harmony.key.root || harmony.key.mode !== expected.harmony.key.mode) fail('key', i);
+        if (harmony.chord.root !== expected.harmony.chord.root) fail('chord', i);
+
+        const hits = replay.getDrumHits();
+        for (const voice of Object.keys(expected.hits)) {
+            if (hits[voice].isOnset !== expected.hits[voice].isOnset) fail('drum hits', i);
+        }
+
+        if (!replay.getSpectrum().every((v, k) => v === expected.spectrum[k])) fail('spectrum', i);
+    }
+    for (const name of ['energies', 'raw bands', 'peaks', 'sub-spectra', 'beat flags', 'beat values', 'voicing',
+        'pitch', 'chroma', 'key', 'chord', 'drum hits', 'spectrum']) {
+        check(`${name} round-trip`, !failures.has(name));
+        if (failures.has(name)) console.log(`     first mismatch at frame ${failures.get(name)}`);
+    }
+
+    // Playing past several frames at once still fires their onsets, once
+    replay.seek(1 / 1000);
+    replay.play();
+    replay.update(0);
+    replay.update(5 * FRAME_MS);
+    check('playback advances with time', replay.frameIndex === 5 && !replay.getBeat().isBeat);
+    replay.update(26 * FRAME_MS);
+    check('onsets in skipped frames fire', replay.getBeat().isBeat && replay.getDrumHits().kick.isOnset);
+    replay.update(26 * FRAME_MS);
+    check('a repeated frame does not fire again', !replay.getBeat().isBeat && !replay.getDrumHits().kick.isOnset);
+
+    // The clock jumping back mid-recording (an offline render resets it)
+    // continues the recording from its last frame
+    recorder.start(5000);
+    for (let i = 0; i < 10; i++) {
+        analyzer.frame = createFrame(i);
+        recorder.record(i < 5 ? 5000 + i * FRAME_MS : i * FRAME_MS);
+    }
+    check('duration keeps growing when the clock jumps back', recorder.getDuration() === 8 * FRAME_MS / 1000);
+    const jumped = await ReplayAnalyzer.load(await recorder.stop(), 'jump');
+    const times = Array.from(jumped.times);
+    check('times never run backwards', times.every((t, i) => i === 0 || t >= times[i - 1]));
+    check('duration survives the jump', jumped.getDuration() === 8 * FRAME_MS / 1000);
+    jumped.pause();
+    jumped.seek((7 * FRAME_MS + FRAME_MS / 2) / 1000);
+    jumped.update(0);
+    check('frames after the jump replay in order', jumped.frameIndex === 8 &&
+        close(jumped.getEnergies().drums, createFrame(8).energies.drums, ENERGY_STEP));
+
+    process.exit(results.every(Boolean) ? 0 : 1);
+}
+
+main().catch((error) => {
+    console.log(`FAIL ${error.message}`);
+    process.exit(1);
+});
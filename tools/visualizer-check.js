@@ -0,0 +1,442 @@
+#!/usr/bin/env node
+/**
+ * visualizer-check - Drives every registered visualizer headlessly through its
+ * injected clock and random stream
+ * Loads the browser scripts into a fresh context per run and feeds each
+ * visualizer (in each of its modes) synthetic analysis frames with a fixed-step clock and seeded
+ * rng. Checks that two runs draw exactly the same calls, that another seed
+ * draws differently, and that peaks, beats and spectra in the frames drive
+ * what they should. Math.random is unavailable inside the context, so randomness that
+ * bypasses the injected rng fails the check too.
+ *
+ *   node tools/visualizer-check.js
+ *
+ * Exits non-zero if a check fails.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Scripts the visualizers need, in index.html order
+const SCRIPTS = [
+    'utils/ObjectPool.js',
+    'utils/MemoryManager.js',
+    'utils/Clock.js',
+    'utils/SeededRandom.js',
+    'utils/ColorUtils.js',
+    'theme/ThemeManager.js',
+    'audio/FrequencyBands.js',
+    'audio/PitchDetector.js',
+    'audio/StereoAnalyzer.js',
+    'visualizers/BaseVisualizer.js',
+    'visualizers/VisualizerRegistry.js',
+    'visualizers/DrumVisualizer.js',
+    'visualizers/VocalVisualizer.js',
+    'visualizers/BassVisualizer.js',
+    'visualizers/HighsVisualizer.js',
+    'visualizers/StereoVisualizer.js',
+    'visualizers/SpectrogramVisualizer.js',
+    'visualizers/ScopeVisualizer.js'
+].map(file => ({ file, source: fs.readFileSync(path.join(__dirname, '../src', file), 'utf8') }));
+
+const FRAMES = 240;
+const FRAME_MS = 1000 / 60;
+const SEED = 1234;
+const WIDTH = 640;
+const HEIGHT = 360;
+
+// Sub-band energies per group, as in AudioAnalyzer.energyCache
+const GROUP_BANDS = {
+    drums: ['low', 'mid', 'high'],
+    vocals: ['low', 'mid', 'high'],
+    bass: ['sub', 'main'],
+    highs: ['instruments', 'air']
+};
+const GROUPS = Object.keys(GROUP_BANDS);
+
+/**
+ * Fresh script context with the visualizer scripts loaded
+ */
+function createContext() {
+    const math = Object.create(Math);
+    math.random = () => {
+        throw new Error('Math.random() called, use the injected rng');
+    };
+
+    const context = vm.createContext({ console, Math: math, Date, localStorage: null });
+    for (const { file, source } of SCRIPTS) {
+        vm.runInContext(source, context, { filename: file });
+    }
+    return context;
+}
+
+/**
+ * Analysis of one frame, a pure function of the frame index
+ * Same shapes as AudioAnalyzer (see getGroupAnalysis)
+ */
+function createFrame(context, index) {
+    const t = index * FRAME_MS * 0.001;
+    const wave = (rate, offset) => 0.5 + 0.5 * Math.sin((t * rate + offset) * Math.PI * 2);
+    const beat = { bpm: 120, confidence: 0.8, phase: (index % 30) / 30, isBeat: index % 30 === 0, isDownbeat: index % 120 === 0 };
+
+    const stereo = vm.runInContext('StereoAnalyzer.createStereo()', context);
+    stereo.enabled = true;
+    stereo.correlation = Math.cos(t);
+    for (let i = 0; i < stereo.left.length; i++) {
+        stereo.left[i] = Math.sin(i * 0.1 + t * 5) * 0.5;
+        stereo.right[i] = Math.sin(i * 0.13 + t * 3) * 0.4;
+    }
+
+    const spectrum = new Uint8Array(512);
+    for (let i = 0; i < spectrum.length; i++) {
+        spectrum[i] = Math.round(255 * wave(0.7, i / 64) * Math.exp(-i / 200));
+    }
+    const waveform = new Float32Array(1024);
+    for (let i = 0; i < waveform.length; i++) {
+        waveform[i] = Math.sin(i * 0.05 + t * 2) * 0.6 + Math.sin(i * 0.31) * 0.2;
+    }
+    const signal = { spectrum, waveform, binFrequency: 44100 / 2048 };
+
+    const energies = {};
+    const peaks = {};
+    const groups = {};
+    GROUPS.forEach((group, i) => {
+        stereo.bands[group].pan = Math.sin(t + i) * 0.8;
+        stereo.bands[group].width = wave(0.2, i * 0.1);
+
+        energies[group] = wave(0.5 + i * 0.3, i * 0.25);
+        peaks[group] = { value: energies[group], isPeak: (index + i * 7) % 20 === 0 };
+
+        const sub = new Float32Array(32);
+        for (let k = 0; k < sub.length; k++) {
+            sub[k] = wave(1 + k * 0.05, i * 0.3);
+        }
+        const bands = { combined: energies[group] };
+        GROUP_BANDS[group].forEach((band, k) => {
+            bands[band] = energies[group] * (1 - k * 0.2);
+        });
+        groups[group] = { beat, stereo, signal, spectrum: sub, bands };
+    });
+
+    groups.drums.hits = {
+        kick: { energy: wave(2, 0), flux: 0, isOnset: index % 30 === 0 },
+        snare: { energy: wave(2, 0.5), flux: 0, isOnset: index % 30 === 15 },
+        hat: { energy: wave(4, 0.25), flux: 0, isOnset: index % 8 === 0 }
+    };
+
+    const voiced = index % 90 < 60;
+    const midi = 57 + Math.floor(index / 15) % 12;
+    groups.vocals.pitch = {
+        frequency: voiced ? 440 * Math.pow(2, (midi - 69) / 12) : 0,
+        midi: voiced ? midi : 0,
+        note: voiced ? vm.runInContext('PitchDetector', context).noteName(midi) : '',
+        cents: 0,
+        confidence: voiced ? 0.9 : 0,
+        voiced
+    };
+
+    return { energies, peaks, groups };
+}
+
+/**
+ * Quiet frame with an optional peak or beat, for the behaviour checks
+ * @param {Object} events - { energy, isPeak, isBeat, bpm, spectrum, pitch, hits, pan, signal }
+ *   hits lists the drums with an onset, e.g. ['kick', 'hat']; pan applies to every group
+ */
+function createEventFrame({ energy = 0.8, isPeak = false, isBeat = false, bpm = 120, spectrum = new Float32Array(32), pitch = null, hits = [], pan = null, signal = null } = {}) {
+    const stereo = vm.runInContext('StereoAnalyzer.createStereo()', shapes);
+    if (pan !== null) {
+        stereo.enabled = true;
+        for (const band of Object.values(stereo.bands)) band.pan = pan;
+    }
+    const hit = voice => ({ energy: hits.includes(voice) ? energy : 0.1, flux: 0, isOnset: hits.includes(voice) });
+    return {
+        energy,
+        peaks: { value: energy, isPeak },
+        analysis: {
+            beat: { bpm, confidence: bpm > 0 ? 0.8 : 0, phase: 0, isBeat, isDownbeat: false },
+            spectrum,
+            pitch,
+            hits: { kick: hit('kick'), snare: hit('snare'), hat: hit('hat') },
+            stereo,
+            signal
+        }
+    };
+}
+
+/**
+ * p5 stand-in that hashes every call made on it
+ */
+function createRecorder() {
+    const hash = crypto.createHash('sha1');
+    const record = (name, args) => {
+        hash.update(name);
+        for (const arg of args) {
+            if (arg && typeof arg === 'object' && arg.pixels) {
+                hash.update(arg.pixels);
+            } else {
+                hash.update(`,${typeof arg === 'object' ? JSON.stringify(arg) : arg}`);
+            }
+        }
+        hash.update(';');
+    };
+
+    const drawingContext = new Proxy({}, {
+        set(target, key, value) {
+            record(`ctx.${String(key)}`, [value]);
+            target[key] = value;
+            return true;
+        }
+    });
+
+    const helpers = {
+        drawingContext,
+        LEFT: 'left', RIGHT: 'right', CENTER: 'center', TOP: 'top', BOTTOM: 'bottom', CLOSE: 'close',
+        lerp: (a, b, t) => a + (b - a) * t,
+        createImage: (width, height) => ({
+            width,
+            height,
+            pixels: new Uint8ClampedArray(width * height * 4),
+            loadPixels() {},
+            updatePixels() {}
+        })
+    };
+
+    const p = new Proxy(helpers, {
+        get(target, key) {
+            if (key in target) return target[key];
+            return (...args) => record(String(key), args);
+        }
+    });
+
+    return { p, digest: () => hash.digest('hex') };
+}
+
+/**
+ * Visualizer in a fresh context with a fixed-step clock and seeded stream
+ * @returns {{ viz: BaseVisualizer, clock: Clock, context: Object }}
+ */
+function createVisualizer(id, seed = SEED) {
+    const context = createContext();
+    const registry = vm.runInContext('visualizerRegistry', context);
+    const Clock = vm.runInContext('Clock', context);
+    const SeededRandom = vm.runInContext('SeededRandom', context);
+
+    const clock = new Clock();
+    clock.setFixedStep(FRAME_MS);
+    const viz = registry.create(id, { clock, rng: new SeededRandom(seed).fork(id) });
+    viz.enabled = true;
+    viz.setBounds(0, 0, WIDTH, HEIGHT);
+    return { viz, clock, context };
+}
+
+/**
+ * Run one visualizer over all frames
+ * @returns {string} Hash of everything it drew
+ */
+function run(id, mode, seed = SEED) {
+    const { viz, clock, context } = createVisualizer(id, seed);
+    viz.followPan = true;
+    viz.setMode(mode);
+
+    const recorder = createRecorder();
+    for (let i = 0; i < FRAMES; i++) {
+        clock.tick(0);
+        const frame = createFrame(context, i);
+        viz.update(frame.energies[viz.group] || 0, frame.peaks[viz.group], clock.deltaTime, frame.groups[viz.group]);
+        viz.draw(recorder.p);
+    }
+    viz.dispose();
+    return recorder.digest();
+}
+
+/**
+ * Feed a visualizer one event frame
+ */
+function step(viz, clock, events) {
+    clock.tick(0);
+    const frame = createEventFrame(events);
+    viz.update(frame.energy, frame.peaks, clock.deltaTime, frame.analysis);
+}
+
+const results = [];
+function check(name, passed, detail = '') {
+    results.push(passed);
+    console.log(`${passed ? 'ok  ' : 'FAIL'} ${name}${detail ? ` (${detail})` : ''}`);
+}
+
+// Context for the analysis shapes of the event frames
+const shapes = createContext();
+const ids = vm.runInContext('visualizerRegistry', shapes).getAll().map(entry => entry.id);
+
+// Reproducibility: the same seed draws the same calls, another seed doesn't
+for (const id of ids) {
+    for (const mode of createVisualizer(id).viz.modes) {
+        const name = `${id} (${mode})`;
+        try {
+            const first = run(id, mode);
+            const second = run(id, mode);
+            check(`${name} is reproducible`, first === second, first === second ? '' : `${first} != ${second}`);
+            check(`${name} draws differently with another seed`, run(id, mode, SEED + 1) !== first);
+        } catch (error) {
+            check(`${name} runs`, false, error.message);
+        }
+    }
+}
+
+// Particles spawn on peaks, not between them
+for (const id of ids) {
+    const { viz, clock } = createVisualizer(id);
+    step(viz, clock, { isPeak: false });
+    const before = viz.activeParticles.length;
+    step(viz, clock, { isPeak: true });
+    check(`${id} spawns particles on a peak`, before === 0 && viz.activeParticles.length > 0,
+        `${before} -> ${viz.activeParticles.length}`);
+    viz.dispose();
+}
+
+{
+    // Highs add sparkles on top of the base particles
+    const { viz: highs, clock } = createVisualizer('highs');
+    step(highs, clock, { isPeak: true });
+    const { viz: drums, clock: drumClock } = createVisualizer('drums');
+    step(drums, drumClock, { isPeak: true });
+    check('highs sparkle on a peak', highs.activeParticles.length > drums.activeParticles.length,
+        `${highs.activeParticles.length} vs ${drums.activeParticles.length}`);
+    highs.dispose();
+    drums.dispose();
+}
+
+{
+    // Drums ripple on every onset, and heavier on the beat once tempo is locked
+    const activeRipples = viz => viz.ripples.filter(ripple => ripple.active);
+
+    let { viz, clock } = createVisualizer('drums');
+    step(viz, clock, { isBeat: false });
+    const before = activeRipples(viz).length;
+    step(viz, clock, { isBeat: true });
+    const beat = activeRipples(viz);
+    check('drums ripple on a beat', before === 0 && beat.length === 1 && beat[0].weight > 2);
+    viz.dispose();
+
+    ({ viz, clock } = createVisualizer('drums'));
+    step(viz, clock, { bpm: 0, isPeak: true });
+    check('drums ripple on an onset before tempo lock', activeRipples(viz).length === 1);
+    viz.dispose();
+
+    ({ viz, clock } = createVisualizer('drums'));
+    step(viz, clock, { isPeak: true });
+    const onset = activeRipples(viz);
+    step(viz, clock, { isPeak: true, isBeat: true });
+    check('drums ripple on an onset between beats, once on an onset on the beat',
+        onset.length === 1 && onset[0].weight === 2 && activeRipples(viz).length === 2);
+    viz.dispose();
+}
+
+{
+    // Bass pulses on the beat
+    const { viz, clock } = createVisualizer('bass');
+    step(viz, clock, { isBeat: false });
+    const before = viz.beatPulse;
+    step(viz, clock, { isBeat: true });
+    check('bass pulses on a beat', before === 0 && viz.beatPulse > 0);
+    viz.dispose();
+}
+
+{
+    // Bars follow the sub-spectrum: a falling spectrum leans the bars to the
+    // low end, a rising one to the high end
+    const falling = new Float32Array(32).map((_, k) => 1 - k / 31);
+    const rising = falling.slice().reverse();
+
+    for (const id of ['drums', 'bass']) {
+        const { viz, clock } = createVisualizer(id);
+        const heights = () => viz.bars.map(bar => bar.height);
+        for (let i = 0; i < 30; i++) step(viz, clock, { spectrum: falling });
+        const low = heights();
+        for (let i = 0; i < 30; i++) step(viz, clock, { spectrum: rising });
+        const high = heights();
+        const last = viz.bars.length - 1;
+        check(`${id} bars follow the sub-spectrum`, low[0] > low[last] && high[last] > high[0],
+            `${low[0].toFixed(1)}/${low[last].toFixed(1)} then ${high[0].toFixed(1)}/${high[last].toFixed(1)}`);
+        viz.dispose();
+    }
+}
+
+{
+    // The melody trace records the sung note, and nothing while unvoiced
+    const { viz, clock } = createVisualizer('vocals');
+    const latest = () => viz.contour[(viz.contourIndex + viz.contourLength - 1) % viz.contourLength];
+    step(viz, clock, { pitch: { frequency: 329.63, midi: 64, note: 'E4', cents: 0, confidence: 0.9, voiced: true } });
+    const sung = latest();
+    step(viz, clock, { pitch: { frequency: 0, midi: 0, note: '', cents: 0, confidence: 0, voiced: false } });
+    check('vocals trace the pitch', sung === 64 && latest() === 0, `${sung}, then ${latest()}`);
+    viz.dispose();
+}
+
+{
+    // Kit mode: the kick punches the pulse, snares ripple, hats step the bars
+    const { viz, clock } = createVisualizer('drums');
+    viz.setMode('kit');
+    const activeRipples = () => viz.ripples.filter(ripple => ripple.active).length;
+
+    step(viz, clock, { isBeat: true });
+    const quiet = { ripples: activeRipples(), kick: viz.kickLevel, angle: viz.hatAngle };
+    step(viz, clock, { hits: ['kick'] });
+    const kick = viz.kickLevel;
+    step(viz, clock, { hits: ['snare'] });
+    const ripples = activeRipples();
+    step(viz, clock, { hits: ['hat'] });
+    check('drums kit follows kick, snare and hat hits',
+        quiet.ripples === 0 && quiet.kick === 0 && kick > 0 && ripples === 1 && viz.hatAngle !== quiet.angle);
+    viz.dispose();
+}
+
+{
+    // Following the stereo pan moves a visualizer toward its group's side
+    const follow = createVisualizer('drums');
+    const fixed = createVisualizer('drums');
+    follow.viz.followPan = true;
+    for (let i = 0; i < 30; i++) {
+        step(follow.viz, follow.clock, { pan: 1 });
+        step(fixed.viz, fixed.clock, { pan: 1 });
+    }
+    check('drums follow the stereo pan when asked to', follow.viz.pan > 0.9 && fixed.viz.pan === 0,
+        `${follow.viz.pan.toFixed(2)} vs ${fixed.viz.pan}`);
+    follow.viz.dispose();
+    fixed.viz.dispose();
+}
+
+{
+    // The spectrogram paints each frame's spectrum as a column, a 1 kHz tone
+    // on the row of 1 kHz
+    const { viz, clock } = createVisualizer('spectrogram');
+    const binFrequency = 44100 / 2048;
+    const spectrum = new Uint8Array(1024);
+    spectrum[Math.round(1000 / binFrequency)] = 255;
+    step(viz, clock, { signal: { spectrum, waveform: null, binFrequency } });
+
+    const column = viz.columns[(viz.writeIndex + viz.historyLength - 1) % viz.historyLength];
+    const loudest = column.indexOf(Math.max(...column));
+    const expected = Math.log(1000 / viz.minFrequency) / Math.log(viz.maxFrequency / viz.minFrequency) * viz.rowCount;
+    check('spectrogram paints the spectrum', Math.abs(loudest - expected) <= 2, `row ${loudest}, expected ${expected.toFixed(1)}`);
+    viz.dispose();
+}
+
+{
+    // The scope triggers on the rising crossing, so a tone holds still
+    // whatever its phase in the frame
+    const { viz, clock } = createVisualizer('scope');
+    const traces = [];
+    for (const phase of [0, 1.3, 2.9]) {
+        const waveform = new Float32Array(1024).map((_, i) => Math.sin(i * 0.05 + phase) * 0.5);
+        step(viz, clock, { signal: { spectrum: null, waveform, binFrequency: 0 } });
+        traces.push(Array.from(viz.traces[viz.traceIndex]));
+    }
+    const drift = Math.max(...traces[0].map((value, i) => Math.max(Math.abs(value - traces[1][i]), Math.abs(value - traces[2][i]))));
+    check('scope holds a tone still', drift < 0.05, `drift ${drift.toFixed(3)}`);
+    viz.dispose();
+}
+
+process.exit(results.every(Boolean) ? 0 : 1);